@@ -0,0 +1,129 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/AccessControl.sol";
+
+/**
+ * @dev 所有银行共用的权限：
+ *  - DEFAULT_ADMIN_ROLE：唯一的管理员，负责授予/撤销其他角色，只能通过 proposeAdmin + acceptAdmin 两步转移
+ *  - PAUSER_ROLE：暂停/恢复
+ *  - RATE_MANAGER_ROLE：调整利率
+ *  - TREASURER_ROLE：注入/取回利息储备、提取盈余
+ *  - GUARDIAN_ROLE：在延时期内取消排队中的大额取款（见 BankWithdrawLimiter）
+ * 部署者默认拥有全部角色
+ */
+abstract contract BankAccessControl is AccessControl {
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+    bytes32 public constant RATE_MANAGER_ROLE = keccak256("RATE_MANAGER_ROLE");
+    bytes32 public constant TREASURER_ROLE = keccak256("TREASURER_ROLE");
+    bytes32 public constant GUARDIAN_ROLE = keccak256("GUARDIAN_ROLE");
+
+    // 当前持有 DEFAULT_ADMIN_ROLE 的地址
+    address public admin;
+    // 已提名、尚未接受的新管理员
+    address public pendingAdmin;
+
+    event AdminProposed(
+        address indexed currentAdmin,
+        address indexed proposedAdmin
+    );
+    event OwnershipTransferred(
+        address indexed previousAdmin,
+        address indexed newAdmin
+    );
+
+    constructor() {
+        _grantInitialRoles(msg.sender);
+    }
+
+    /**
+     * @notice 第一步：提名新管理员。再次提名会覆盖之前的提名，提名 address(0) 表示取消
+     */
+    function proposeAdmin(
+        address newAdmin
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(newAdmin != admin, "BankAccessControl: already admin");
+
+        pendingAdmin = newAdmin;
+
+        emit AdminProposed(admin, newAdmin);
+    }
+
+    /**
+     * @notice 第二步：被提名的地址接受管理员身份，原管理员失去 DEFAULT_ADMIN_ROLE（其他角色需要另行撤销）
+     */
+    function acceptAdmin() external {
+        require(
+            pendingAdmin != address(0) && msg.sender == pendingAdmin,
+            "BankAccessControl: caller is not pending admin"
+        );
+
+        address previousAdmin = admin;
+        admin = msg.sender;
+        pendingAdmin = address(0);
+
+        _revokeRole(DEFAULT_ADMIN_ROLE, previousAdmin);
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+
+        emit OwnershipTransferred(previousAdmin, msg.sender);
+    }
+
+    // DEFAULT_ADMIN_ROLE 始终只有一个持有者，不能直接授予、撤销或放弃
+
+    function grantRole(
+        bytes32 role,
+        address account
+    ) public virtual override {
+        require(
+            role != DEFAULT_ADMIN_ROLE,
+            "BankAccessControl: use proposeAdmin"
+        );
+        super.grantRole(role, account);
+    }
+
+    function revokeRole(
+        bytes32 role,
+        address account
+    ) public virtual override {
+        require(
+            role != DEFAULT_ADMIN_ROLE,
+            "BankAccessControl: use proposeAdmin"
+        );
+        super.revokeRole(role, account);
+    }
+
+    function renounceRole(
+        bytes32 role,
+        address account
+    ) public virtual override {
+        require(
+            role != DEFAULT_ADMIN_ROLE,
+            "BankAccessControl: use proposeAdmin"
+        );
+        super.renounceRole(role, account);
+    }
+
+    /**
+     * @dev 让 initialAdmin 成为管理员并拥有全部角色。代理部署时构造函数不作用于代理的存储，由 initialize 调用
+     */
+    function _grantInitialRoles(address initialAdmin) internal {
+        admin = initialAdmin;
+        bytes32[5] memory roles = [
+            DEFAULT_ADMIN_ROLE,
+            PAUSER_ROLE,
+            RATE_MANAGER_ROLE,
+            TREASURER_ROLE,
+            GUARDIAN_ROLE
+        ];
+        for (uint256 i = 0; i < roles.length; i++) {
+            _grantRole(roles[i], initialAdmin);
+        }
+    }
+
+    /**
+     * @dev 给升级后新增的状态变量预留槽位。可升级的银行通过继承使用这些基础合约，
+     * 基础合约直接追加变量会挪动子合约全部的槽位；新增变量时从 __gap 里扣除相同的槽位数，
+     * 保持 admin、pendingAdmin 和 __gap 一共 50 个槽位。其他基础合约也按这个约定预留
+     */
+    uint256[48] private __gap;
+}
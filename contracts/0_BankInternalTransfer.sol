@@ -0,0 +1,108 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "./0_BankPortfolio.sol";
+
+/**
+ * @dev 代币银行共用的账户间转账：只改账本、不转代币，一笔交易完成，不需要先取款再存款。
+ * transferInternalWithSig 由中继人提交用户的 EIP-712 签名，域名由各银行在构造函数中传入。
+ * 收款人的本金受 userCap 限制；代币移出白名单后仍然可以转账
+ */
+abstract contract BankInternalTransfer is BankPortfolio, EIP712 {
+    // transferInternalWithSig 的 EIP-712 类型。不含 from：从签名恢复出的地址就是 from
+    bytes32 public constant TRANSFER_TYPEHASH =
+        keccak256(
+            "InternalTransfer(address token,address to,uint256 amount,uint256 nonce,uint256 deadline)"
+        );
+
+    // user -> 下一个可用的签名转账 nonce
+    mapping(address => uint256) public transferNonces;
+
+    event InternalTransfer(
+        address indexed token,
+        address indexed from,
+        address indexed to,
+        uint256 amount
+    );
+
+    /**
+     * @notice 把自己在银行中的 amount 个代币转给 to
+     */
+    function transferInternal(
+        address token,
+        address to,
+        uint256 amount
+    ) external whenNotPaused(this.transferInternal.selector) {
+        _transferInternal(token, msg.sender, to, amount);
+    }
+
+    /**
+     * @dev 使用 EIP-712 签名转账，任何人都可以代为提交
+     * @param nonce 必须等于签名人当前的 transferNonces，用过即作废
+     * @param deadline 签名过期时间戳
+     * @param sig 签名人对 InternalTransfer 结构的 65 字节签名
+     */
+    function transferInternalWithSig(
+        address token,
+        address to,
+        uint256 amount,
+        uint256 nonce,
+        uint256 deadline,
+        bytes calldata sig
+    ) external whenNotPaused(this.transferInternalWithSig.selector) {
+        require(block.timestamp <= deadline, "Signature expired");
+
+        bytes32 structHash = keccak256(
+            abi.encode(TRANSFER_TYPEHASH, token, to, amount, nonce, deadline)
+        );
+        (address from, ECDSA.RecoverError error) = ECDSA.tryRecover(
+            _hashTypedDataV4(structHash),
+            sig
+        );
+        require(error == ECDSA.RecoverError.NoError, "Invalid signature");
+        require(nonce == transferNonces[from], "Invalid nonce");
+        transferNonces[from] = nonce + 1;
+
+        _transferInternal(token, from, to, amount);
+    }
+
+    /**
+     * @notice EIP-712 域分隔符，链下签名时使用
+     */
+    function DOMAIN_SEPARATOR() external view returns (bytes32) {
+        return _domainSeparatorV4();
+    }
+
+    function _transferInternal(
+        address token,
+        address from,
+        address to,
+        uint256 amount
+    ) internal {
+        require(token != address(0), "Invalid token address");
+        require(to != address(0) && to != from, "Invalid recipient");
+        require(amount > 0, "Amount must be greater than 0");
+        _checkUserCap(token, to, amount);
+
+        _moveBalance(token, from, to, amount);
+        _syncPortfolio(token, from);
+        _syncPortfolio(token, to);
+
+        emit InternalTransfer(token, from, to, amount);
+    }
+
+    /**
+     * @dev 从 from 的余额中扣除 amount 记到 to 名下，余额不足时 revert
+     */
+    function _moveBalance(
+        address token,
+        address from,
+        address to,
+        uint256 amount
+    ) internal virtual;
+
+    // 预留槽位，和 transferNonces 一共 50 个
+    uint256[49] private __gap;
+}
@@ -0,0 +1,92 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./0_BankAccessControl.sol";
+
+/**
+ * @dev 所有银行共用的暂停和紧急模式：
+ *  - pause/unpause 暂停全部受保护的函数
+ *  - setFunctionPaused 按函数 selector 单独暂停，例如只停存款、保留取款
+ *  - 紧急模式下用户可以绕过利息逻辑只取回本金，合约暂停时也可以
+ * 暂停和进入紧急模式由 PAUSER_ROLE 负责；退出紧急模式会恢复正常计息，只有管理员可以操作
+ */
+abstract contract BankPausable is BankAccessControl {
+    bool public paused;
+    // selector -> 是否被单独暂停
+    mapping(bytes4 => bool) public functionPaused;
+    bool public emergency;
+
+    event Paused(address indexed account);
+    event Unpaused(address indexed account);
+    event FunctionPauseChanged(
+        bytes4 indexed selector,
+        bool paused,
+        address indexed account
+    );
+    event EmergencyModeChanged(bool enabled, address indexed account);
+
+    /**
+     * @dev selector 显式传入，receive/fallback 间接调用 deposit 时也按 deposit 判断
+     */
+    modifier whenNotPaused(bytes4 selector) {
+        _requireNotPaused(selector);
+        _;
+    }
+
+    modifier whenEmergency() {
+        require(emergency, "BankPausable: not in emergency mode");
+        _;
+    }
+
+    function pause() external onlyRole(PAUSER_ROLE) {
+        require(!paused, "BankPausable: contract is paused");
+        paused = true;
+        emit Paused(msg.sender);
+    }
+
+    function unpause() external onlyRole(PAUSER_ROLE) {
+        require(paused, "BankPausable: contract is not paused");
+        paused = false;
+        emit Unpaused(msg.sender);
+    }
+
+    /**
+     * @notice 单独暂停/恢复某个函数，不影响全局暂停状态
+     * @param selector 函数 selector，例如 deposit(address,uint256) 的 0x47e7ef24
+     */
+    function setFunctionPaused(
+        bytes4 selector,
+        bool isPaused
+    ) external onlyRole(PAUSER_ROLE) {
+        require(
+            functionPaused[selector] != isPaused,
+            "BankPausable: function pause already set"
+        );
+        functionPaused[selector] = isPaused;
+        emit FunctionPauseChanged(selector, isPaused, msg.sender);
+    }
+
+    function enterEmergency() external onlyRole(PAUSER_ROLE) {
+        require(!emergency, "BankPausable: already in emergency mode");
+        emergency = true;
+        emit EmergencyModeChanged(true, msg.sender);
+    }
+
+    function exitEmergency()
+        external
+        onlyRole(DEFAULT_ADMIN_ROLE)
+        whenEmergency
+    {
+        emergency = false;
+        emit EmergencyModeChanged(false, msg.sender);
+    }
+
+    // 修饰器的检查放在函数里，不在每个被保护的函数中重复展开，控制合约大小
+    function _requireNotPaused(bytes4 selector) internal view {
+        require(!paused, "BankPausable: contract is paused");
+        require(!functionPaused[selector], "BankPausable: function is paused");
+    }
+
+    // 预留槽位，约定见 BankAccessControl：paused、functionPaused、emergency 占 3 个
+    uint256[47] private __gap;
+}
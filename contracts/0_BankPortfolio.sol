@@ -0,0 +1,88 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./0_BankTokenAllowlist.sol";
+
+/**
+ * @dev 记录每个用户持有仓位的代币集合，用户的某个代币本金和利息都为 0 时移出集合。
+ * 银行在余额变化后调用 _syncPortfolio，getPortfolio 分页返回，调用方不需要事先知道用户存过哪些代币
+ */
+abstract contract BankPortfolio is BankTokenAllowlist {
+    // getPortfolio 返回的一项
+    struct PortfolioEntry {
+        address token;
+        uint256 principal;
+        uint256 interest;
+    }
+
+    // user -> 有仓位的代币（顺序不固定）
+    mapping(address => address[]) internal portfolioTokens;
+    // user -> token -> 在 portfolioTokens 中的下标 + 1，0 表示不在集合中
+    mapping(address => mapping(address => uint256)) internal portfolioIndex;
+
+    /**
+     * @notice 分页返回用户有仓位的代币及其本金和利息（顺序不固定，翻页期间余额变化可能导致顺序改变）
+     * @param offset 从第几项开始
+     * @param limit 最多返回几项
+     * @return entries 本页的仓位
+     * @return total 用户仓位的总数
+     */
+    function getPortfolio(
+        address user,
+        uint256 offset,
+        uint256 limit
+    ) external view returns (PortfolioEntry[] memory entries, uint256 total) {
+        address[] storage tokens = portfolioTokens[user];
+        total = tokens.length;
+        if (offset >= total) {
+            return (entries, total);
+        }
+
+        uint256 count = total - offset;
+        if (count > limit) {
+            count = limit;
+        }
+        entries = new PortfolioEntry[](count);
+        for (uint256 i = 0; i < count; i++) {
+            address token = tokens[offset + i];
+            entries[i] = PortfolioEntry(
+                token,
+                _userPrincipal(token, user),
+                _userInterest(token, user)
+            );
+        }
+    }
+
+    /**
+     * @dev 余额变化后调用：有本金或利息时加入集合，都为 0 时移出
+     */
+    function _syncPortfolio(address token, address user) internal {
+        bool held = _userPrincipal(token, user) > 0 ||
+            _userInterest(token, user) > 0;
+        uint256 index = portfolioIndex[user][token];
+
+        if (held && index == 0) {
+            portfolioTokens[user].push(token);
+            portfolioIndex[user][token] = portfolioTokens[user].length;
+        } else if (!held && index != 0) {
+            // 与最后一个交换后弹出
+            address[] storage tokens = portfolioTokens[user];
+            address last = tokens[tokens.length - 1];
+            tokens[index - 1] = last;
+            portfolioIndex[user][last] = index;
+            tokens.pop();
+            delete portfolioIndex[user][token];
+        }
+    }
+
+    /**
+     * @dev 用户在银行中的利息（已结算 + 未结算），没有利息的银行返回 0
+     */
+    function _userInterest(
+        address token,
+        address user
+    ) internal view virtual returns (uint256);
+
+    // 预留槽位，和 portfolioTokens、portfolioIndex 一共 50 个
+    uint256[48] private __gap;
+}
@@ -0,0 +1,186 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./0_BankPausable.sol";
+
+/**
+ * @dev 代币银行共用的代币白名单：只有管理员加入白名单的代币才能存入，每个代币可以设置
+ *  - minDeposit：单笔最小存款，类似 BigBank 的 MIN_DEPOSIT
+ *  - userCap：单个用户的本金上限
+ *  - tvlCap：全部用户的本金上限
+ * 0 表示不限制。上限只在存入时检查，复利滚入本金不受限制。
+ * 银行按实际到账数量记账，可以支持收手续费的代币；余额会自行变化的 rebasing 代币无法按固定数量记账，
+ * 不应加入白名单。移出白名单只禁止新的存入，已有存款照常取出
+ */
+abstract contract BankTokenAllowlist is BankPausable {
+    struct TokenLimits {
+        uint256 minDeposit;
+        uint256 userCap;
+        uint256 tvlCap;
+    }
+
+    // getSupportedTokens 返回的一项，tvl 为当前全部用户的本金
+    struct SupportedToken {
+        address token;
+        uint256 minDeposit;
+        uint256 userCap;
+        uint256 tvlCap;
+        uint256 tvl;
+    }
+
+    // token -> 是否允许存入
+    mapping(address => bool) public tokenAllowed;
+    // token -> 存款限制，移出白名单时清空
+    mapping(address => TokenLimits) public tokenLimits;
+    // 白名单中的全部代币（顺序不固定）
+    address[] internal supportedTokens;
+    // token -> 在 supportedTokens 中的下标，删除时用来 O(1) 交换
+    mapping(address => uint256) internal supportedTokenIndex;
+
+    event TokenAllowlistChanged(
+        address indexed token,
+        bool allowed,
+        address indexed account
+    );
+    event TokenLimitsChanged(
+        address indexed token,
+        uint256 minDeposit,
+        uint256 userCap,
+        uint256 tvlCap
+    );
+
+    /**
+     * @notice 加入或移出白名单，新加入的代币不限制存款
+     */
+    function setTokenAllowed(
+        address token,
+        bool allowed
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(token != address(0), "Invalid token address");
+        require(
+            tokenAllowed[token] != allowed,
+            "BankTokenAllowlist: token already set"
+        );
+        tokenAllowed[token] = allowed;
+
+        if (allowed) {
+            supportedTokenIndex[token] = supportedTokens.length;
+            supportedTokens.push(token);
+        } else {
+            // 与最后一个交换后弹出
+            uint256 index = supportedTokenIndex[token];
+            address last = supportedTokens[supportedTokens.length - 1];
+            supportedTokens[index] = last;
+            supportedTokenIndex[last] = index;
+            supportedTokens.pop();
+            delete supportedTokenIndex[token];
+            delete tokenLimits[token];
+        }
+
+        emit TokenAllowlistChanged(token, allowed, msg.sender);
+    }
+
+    /**
+     * @notice 设置白名单代币的存款限制，0 表示不限制；调低上限不影响已有存款，只限制之后的存入
+     * @param minDeposit 单笔最小存款
+     * @param userCap 单个用户的本金上限
+     * @param tvlCap 全部用户的本金上限
+     */
+    function setTokenLimits(
+        address token,
+        uint256 minDeposit,
+        uint256 userCap,
+        uint256 tvlCap
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(tokenAllowed[token], "BankTokenAllowlist: token not allowed");
+        require(
+            (userCap == 0 || userCap >= minDeposit) &&
+                (tvlCap == 0 || tvlCap >= minDeposit),
+            "BankTokenAllowlist: cap below minimum deposit"
+        );
+
+        tokenLimits[token] = TokenLimits(minDeposit, userCap, tvlCap);
+
+        emit TokenLimitsChanged(token, minDeposit, userCap, tvlCap);
+    }
+
+    /**
+     * @notice 白名单中的全部代币及其限制和当前 TVL，前端可以直接用来展示（顺序不固定）
+     */
+    function getSupportedTokens()
+        external
+        view
+        returns (SupportedToken[] memory tokens)
+    {
+        tokens = new SupportedToken[](supportedTokens.length);
+        for (uint256 i = 0; i < tokens.length; i++) {
+            address token = supportedTokens[i];
+            TokenLimits memory limits = tokenLimits[token];
+            tokens[i] = SupportedToken(
+                token,
+                limits.minDeposit,
+                limits.userCap,
+                limits.tvlCap,
+                _totalPrincipal(token)
+            );
+        }
+    }
+
+    /**
+     * @dev 存入前的检查，取款不检查，移出白名单的代币仍然可以取出
+     * @param amount 本次存入的数量，收手续费的代币传转账数量（不小于实际到账）
+     */
+    function _checkDeposit(
+        address token,
+        address user,
+        uint256 amount
+    ) internal view {
+        require(token != address(0), "Invalid token address");
+        require(tokenAllowed[token], "BankTokenAllowlist: token not allowed");
+
+        TokenLimits memory limits = tokenLimits[token];
+        require(
+            amount >= limits.minDeposit,
+            "BankTokenAllowlist: deposit below minimum"
+        );
+        _checkUserCap(token, user, amount);
+        require(
+            limits.tvlCap == 0 ||
+                _totalPrincipal(token) + amount <= limits.tvlCap,
+            "BankTokenAllowlist: TVL cap exceeded"
+        );
+    }
+
+    /**
+     * @dev user 的本金再增加 amount 后不能超过 userCap，账户间转账也要检查
+     */
+    function _checkUserCap(
+        address token,
+        address user,
+        uint256 amount
+    ) internal view {
+        uint256 userCap = tokenLimits[token].userCap;
+        require(
+            userCap == 0 || _userPrincipal(token, user) + amount <= userCap,
+            "BankTokenAllowlist: user cap exceeded"
+        );
+    }
+
+    /**
+     * @dev 用户在银行中的本金，用于 userCap
+     */
+    function _userPrincipal(
+        address token,
+        address user
+    ) internal view virtual returns (uint256);
+
+    /**
+     * @dev 全部用户的本金，用于 tvlCap
+     */
+    function _totalPrincipal(
+        address token
+    ) internal view virtual returns (uint256);
+
+    // 预留槽位，和上面 4 个状态变量一共 50 个
+    uint256[46] private __gap;
+}
@@ -0,0 +1,367 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./0_BankPausable.sol";
+
+/**
+ * @dev 取款限额和大额取款延时，防止某个私钥泄露后一笔交易把银行或用户的余额取空：
+ *  - 每个代币可以设置统计窗口 window，以及每个窗口内全部用户合计（globalLimit）和单个用户（userLimit）最多取出的数量
+ *  - 单笔达到 largeThreshold 的取款先从余额中扣除、进入队列，delay 秒之后才能领取；
+ *    延时期内 GUARDIAN_ROLE 可以取消，取消后退回原账户，并从仍在进行的窗口中扣回这笔用量
+ *  - 账户间转账不转出资产，不计入 globalLimit，但计入转出人的 userLimit，
+ *    否则把余额分散到多个新账户后，每个账户都能再取出一份 userLimit
+ * 窗口按 block.timestamp 对齐（[k × window, (k + 1) × window)），0 表示不限制。
+ * ETH 银行使用 address(0) 作为代币地址。紧急模式下取回本金不受限制，排队中的取款到期后即使合约暂停也可以领取
+ */
+abstract contract BankWithdrawLimiter is BankPausable {
+    // 排队时长上限，避免把用户的资金无限期锁住
+    uint256 public constant MAX_WITHDRAW_DELAY = 30 days;
+
+    struct WithdrawLimit {
+        uint256 window;
+        uint256 globalLimit;
+        uint256 userLimit;
+        uint256 largeThreshold;
+        uint256 delay;
+    }
+
+    // 某个窗口内已经取出的数量，窗口变化时清零
+    struct WindowUsage {
+        uint256 windowStart;
+        uint256 amount;
+    }
+
+    struct QueuedWithdrawal {
+        address token;
+        address owner;
+        address to;
+        uint256 amount;
+        uint256 readyAt;
+        // 排队时间，取消时据此判断计入的窗口是否还在进行
+        uint256 queuedAt;
+    }
+
+    // token -> 限额设置
+    mapping(address => WithdrawLimit) public withdrawLimits;
+    // token -> 当前窗口全部用户的取款
+    mapping(address => WindowUsage) public globalWithdrawUsage;
+    // token -> user -> 当前窗口该用户的取款
+    mapping(address => mapping(address => WindowUsage)) public userWithdrawUsage;
+    // id -> 排队中的大额取款，领取或取消后删除
+    mapping(uint256 => QueuedWithdrawal) public queuedWithdrawals;
+    // token -> 排队中的总数量，已经从用户余额扣除但还在合约里，不能算作盈余
+    mapping(address => uint256) public totalQueuedWithdrawals;
+    // 下一笔排队取款的编号，从 1 开始
+    uint256 public nextQueuedWithdrawalId = 1;
+
+    event WithdrawLimitChanged(
+        address indexed token,
+        uint256 window,
+        uint256 globalLimit,
+        uint256 userLimit,
+        uint256 largeThreshold,
+        uint256 delay
+    );
+    // 监控可以据此发现大额资金正在离开
+    event WithdrawalQueued(
+        uint256 indexed id,
+        address indexed token,
+        address indexed owner,
+        address to,
+        uint256 amount,
+        uint256 readyAt
+    );
+    event WithdrawalClaimed(
+        uint256 indexed id,
+        address indexed token,
+        address indexed owner,
+        address to,
+        uint256 amount
+    );
+    event WithdrawalCancelled(
+        uint256 indexed id,
+        address indexed token,
+        address indexed owner,
+        address guardian,
+        uint256 amount
+    );
+
+    /**
+     * @notice 设置代币的取款限额，全部为 0 表示不限制
+     * @param window 统计窗口（秒），设置了 globalLimit 或 userLimit 时必须大于 0
+     * @param globalLimit 每个窗口全部用户合计最多取出的数量
+     * @param userLimit 每个窗口单个用户最多取出的数量
+     * @param largeThreshold 单笔达到该数量的取款进入延时队列
+     * @param delay 排队时长（秒），设置了 largeThreshold 时必须大于 0，最长 MAX_WITHDRAW_DELAY
+     */
+    function setWithdrawLimit(
+        address token,
+        uint256 window,
+        uint256 globalLimit,
+        uint256 userLimit,
+        uint256 largeThreshold,
+        uint256 delay
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(
+            window > 0 || (globalLimit == 0 && userLimit == 0),
+            "BankWithdrawLimiter: window required"
+        );
+        require(
+            largeThreshold == 0 || delay > 0,
+            "BankWithdrawLimiter: delay required"
+        );
+        require(
+            delay <= MAX_WITHDRAW_DELAY,
+            "BankWithdrawLimiter: delay too long"
+        );
+
+        withdrawLimits[token] = WithdrawLimit(
+            window,
+            globalLimit,
+            userLimit,
+            largeThreshold,
+            delay
+        );
+
+        emit WithdrawLimitChanged(
+            token,
+            window,
+            globalLimit,
+            userLimit,
+            largeThreshold,
+            delay
+        );
+    }
+
+    /**
+     * @notice 当前窗口内还能取出的数量：全部用户合计和 user 自己，type(uint256).max 表示不限制
+     */
+    function getWithdrawAllowance(
+        address token,
+        address user
+    ) external view returns (uint256 globalRemaining, uint256 userRemaining) {
+        WithdrawLimit memory limit = withdrawLimits[token];
+        uint256 windowStart = _windowStart(limit.window);
+        globalRemaining = _remaining(
+            globalWithdrawUsage[token],
+            windowStart,
+            limit.globalLimit
+        );
+        userRemaining = _remaining(
+            userWithdrawUsage[token][user],
+            windowStart,
+            limit.userLimit
+        );
+    }
+
+    /**
+     * @notice 延时结束后领取排队中的取款，任何人都可以代为调用，资产总是转给排队时指定的 to。
+     * 紧急模式下不受暂停限制，否则已经从余额扣除的数量在暂停期间无法取回
+     */
+    function claimWithdrawal(uint256 id) external {
+        if (!emergency) {
+            _requireNotPaused(this.claimWithdrawal.selector);
+        }
+        QueuedWithdrawal memory queued = _takeQueuedWithdrawal(id);
+        require(
+            block.timestamp >= queued.readyAt,
+            "BankWithdrawLimiter: withdrawal not ready"
+        );
+
+        _payout(queued.token, queued.to, queued.amount);
+
+        emit WithdrawalClaimed(
+            id,
+            queued.token,
+            queued.owner,
+            queued.to,
+            queued.amount
+        );
+    }
+
+    /**
+     * @notice GUARDIAN_ROLE 在延时期内取消排队中的取款，数量退回 owner 的余额（记为本金）。
+     * 排队时所在的窗口还没结束时，这笔数量不再占用全部用户和 owner 的限额
+     */
+    function cancelWithdrawal(uint256 id) external onlyRole(GUARDIAN_ROLE) {
+        QueuedWithdrawal memory queued = _takeQueuedWithdrawal(id);
+        require(
+            block.timestamp < queued.readyAt,
+            "BankWithdrawLimiter: withdrawal already claimable"
+        );
+
+        _refundQueued(queued.token, queued.owner, queued.amount);
+        _releaseWithdrawLimit(queued);
+
+        emit WithdrawalCancelled(
+            id,
+            queued.token,
+            queued.owner,
+            msg.sender,
+            queued.amount
+        );
+    }
+
+    /**
+     * @dev 计入当前窗口的取款量，超出限额时 revert。调用方在扣除余额之后、转出之前调用
+     * @return queued 是否达到大额阈值，需要改为调用 _queueWithdrawal
+     */
+    function _consumeWithdrawLimit(
+        address token,
+        address user,
+        uint256 amount
+    ) internal returns (bool queued) {
+        WithdrawLimit memory limit = withdrawLimits[token];
+        if (limit.window > 0) {
+            uint256 windowStart = _windowStart(limit.window);
+            _consume(
+                globalWithdrawUsage[token],
+                windowStart,
+                amount,
+                limit.globalLimit,
+                "BankWithdrawLimiter: global limit exceeded"
+            );
+            _consume(
+                userWithdrawUsage[token][user],
+                windowStart,
+                amount,
+                limit.userLimit,
+                "BankWithdrawLimiter: user limit exceeded"
+            );
+        }
+        return limit.largeThreshold > 0 && amount >= limit.largeThreshold;
+    }
+
+    /**
+     * @dev 只计入 user 自己当前窗口的限额，超出时 revert。用于不转出资产的账户间转账
+     */
+    function _consumeUserWithdrawLimit(
+        address token,
+        address user,
+        uint256 amount
+    ) internal {
+        WithdrawLimit memory limit = withdrawLimits[token];
+        if (limit.window > 0) {
+            _consume(
+                userWithdrawUsage[token][user],
+                _windowStart(limit.window),
+                amount,
+                limit.userLimit,
+                "BankWithdrawLimiter: user limit exceeded"
+            );
+        }
+    }
+
+    /**
+     * @dev 把已经从 owner 余额中扣除的 amount 放进延时队列
+     */
+    function _queueWithdrawal(
+        address token,
+        address owner,
+        address to,
+        uint256 amount
+    ) internal returns (uint256 id) {
+        id = nextQueuedWithdrawalId++;
+        uint256 readyAt = block.timestamp + withdrawLimits[token].delay;
+        queuedWithdrawals[id] = QueuedWithdrawal(
+            token,
+            owner,
+            to,
+            amount,
+            readyAt,
+            block.timestamp
+        );
+        totalQueuedWithdrawals[token] += amount;
+
+        emit WithdrawalQueued(id, token, owner, to, amount, readyAt);
+    }
+
+    /**
+     * @dev 把资产转给 to
+     */
+    function _payout(address token, address to, uint256 amount) internal virtual;
+
+    /**
+     * @dev 取消排队后把 amount 记回 owner 的本金
+     */
+    function _refundQueued(
+        address token,
+        address owner,
+        uint256 amount
+    ) internal virtual;
+
+    function _takeQueuedWithdrawal(
+        uint256 id
+    ) private returns (QueuedWithdrawal memory queued) {
+        queued = queuedWithdrawals[id];
+        require(
+            queued.owner != address(0),
+            "BankWithdrawLimiter: unknown withdrawal"
+        );
+        delete queuedWithdrawals[id];
+        totalQueuedWithdrawals[queued.token] -= queued.amount;
+    }
+
+    // 取消排队后，从排队时计入的窗口中扣回数量；窗口已经过去时无需处理
+    function _releaseWithdrawLimit(QueuedWithdrawal memory queued) private {
+        uint256 window = withdrawLimits[queued.token].window;
+        if (window == 0) {
+            return;
+        }
+        uint256 windowStart = _windowStart(window);
+        if (queued.queuedAt - (queued.queuedAt % window) != windowStart) {
+            return;
+        }
+        _release(globalWithdrawUsage[queued.token], windowStart, queued.amount);
+        _release(userWithdrawUsage[queued.token][queued.owner], windowStart, queued.amount);
+    }
+
+    function _release(
+        WindowUsage storage usage,
+        uint256 windowStart,
+        uint256 amount
+    ) private {
+        if (usage.windowStart != windowStart) {
+            return;
+        }
+        // 排队后管理员可能改过限额设置，用量不一定包含整笔数量
+        usage.amount = usage.amount > amount ? usage.amount - amount : 0;
+    }
+
+    function _consume(
+        WindowUsage storage usage,
+        uint256 windowStart,
+        uint256 amount,
+        uint256 cap,
+        string memory message
+    ) private {
+        if (cap == 0) {
+            return;
+        }
+        if (usage.windowStart != windowStart) {
+            usage.windowStart = windowStart;
+            usage.amount = 0;
+        }
+        usage.amount += amount;
+        require(usage.amount <= cap, message);
+    }
+
+    function _remaining(
+        WindowUsage storage usage,
+        uint256 windowStart,
+        uint256 cap
+    ) private view returns (uint256) {
+        if (cap == 0) {
+            return type(uint256).max;
+        }
+        uint256 used = usage.windowStart == windowStart ? usage.amount : 0;
+        return cap > used ? cap - used : 0;
+    }
+
+    function _windowStart(uint256 window) private view returns (uint256) {
+        return window == 0 ? 0 : block.timestamp - (block.timestamp % window);
+    }
+
+    // 预留槽位，和上面 6 个状态变量一共 50 个
+    uint256[44] private __gap;
+}
@@ -1,27 +1,83 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.20;
 
-contract EtherBank {
-    mapping(address => uint256) public balances;
-    address[3] public topDepositors;
-    address public admin;
+import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "./0_BankWithdrawLimiter.sol";
 
-    event Deposit(address indexed user, uint256 amount);
-    event Withdraw(address indexed admin, uint256 amount);
+// 取款限额和大额延时使用 address(0) 作为 ETH 的代币地址
+contract EtherBank is ReentrancyGuard, BankWithdrawLimiter {
+    // 排行榜容量上限，防止榜单操作的 gas 无限增长
+    uint256 public constant MAX_LEADERBOARD_SIZE = 100;
+
+    // 利息：和 SmartTokenBank 相同，0.1% per day，只按完整天数计算
+    uint256 public constant INTEREST_RATE_NUMERATOR = 1;
+    uint256 public constant INTEREST_RATE_DENOMINATOR = 1000;
+    uint256 public constant SECONDS_PER_DAY = 86400;
 
-    constructor() {
-        admin = msg.sender;
+    struct LeaderboardEntry {
+        address user;
+        uint256 balance;
+        uint256 rank; // 从 1 开始
     }
 
-    modifier onlyAdmin() {
-        require(msg.sender == admin, "Only admin can call this function");
-        _;
+    mapping(address => uint256) public balances;                 //本金
+    mapping(address => uint256) public accruedInterest;          //结算好的利息
+    mapping(address => uint256) public depositTimestamps;        //上次结算时间
+    // 按余额从高到低排列，长度不超过 leaderboardSize，没有空位
+    address[] public topDepositors;
+    uint256 public immutable leaderboardSize;
+    // 余额不为 0 但不在榜上的用户，按余额组成大顶堆。
+    // 榜上有人余额下降或取光时，从堆顶补上，保证榜单始终是全体用户的前 N 名
+    address[] private candidates;
+    // user -> 在 candidates 中的下标 + 1，0 表示不在堆中
+    mapping(address => uint256) private candidateIndex;
+    // 所有用户存款之和，即银行对用户的负债
+    uint256 public totalDeposits;
+    // 所有用户已结算、未取走的利息之和
+    uint256 public totalAccruedInterest;
+    // 管理员注入、尚未分配给用户的 ETH。结算的利息以它为上限，储备不足时少付利息，不会动用存款
+    uint256 public interestReserve;
+
+    event Deposit(address indexed user, uint256 amount);
+    event Withdraw(address indexed treasurer, uint256 amount);
+    event UserWithdraw(
+        address indexed user,
+        uint256 principal,
+        uint256 interest
+    );
+    event InterestReserveFunded(address indexed treasurer, uint256 amount);
+    // 紧急模式下取回的本金
+    event EmergencyWithdraw(address indexed user, uint256 amount);
+    // 某个用户的名次变化（0 表示不在榜上）。
+    // 只为主动变化的用户、被挤出榜单的用户和补上榜的用户触发，夹在 oldRank 和 newRank 之间的用户名次各顺移一位
+    event LeaderboardChanged(
+        address indexed user,
+        uint256 oldRank,
+        uint256 newRank
+    );
+
+    constructor(uint256 _leaderboardSize) {
+        require(
+            _leaderboardSize > 0 && _leaderboardSize <= MAX_LEADERBOARD_SIZE,
+            "Invalid leaderboard size"
+        );
+        leaderboardSize = _leaderboardSize;
     }
 
-    function deposit() public payable virtual {
+    function deposit()
+        public
+        payable
+        virtual
+        whenNotPaused(this.deposit.selector)
+    {
         require(msg.value > 0, "Deposit amount must be greater than 0");
 
+        // Settle pending interest before adding new deposit
+        _settleInterest(msg.sender);
+
         balances[msg.sender] += msg.value;
+        totalDeposits += msg.value;
+        depositTimestamps[msg.sender] = block.timestamp;
         updateTopDepositors(msg.sender, balances[msg.sender]);
         emit Deposit(msg.sender, msg.value);
     }
@@ -30,67 +86,371 @@ contract EtherBank {
         address depositor,
         uint256 newBalance
     ) private {
-        // 1. 检查是否已在榜单中
-        for (uint256 i = 0; i < topDepositors.length; i++) {
-            if (topDepositors[i] == depositor) {
-                // 用户已在榜单，只需要检查是否需要"向上冒泡"
-                // 因为是存款，余额只会增加，排名只可能上升，不可能下降
-                for (uint256 j = i; j > 0; j--) {
-                    address preUser = topDepositors[j - 1];
-                    if (balances[preUser] < newBalance) {
-                        // 需要向上冒泡
-                        topDepositors[j] = preUser;
-                        topDepositors[j - 1] = depositor;
-                    } else {
-                        // 已经到位，无需继续
-                        break;
-                    }
+        uint256 oldRank = rankOf(depositor);
+
+        // 1. 不在榜单中：只调整候选堆，再看能不能上榜
+        if (oldRank == 0) {
+            if (candidateIndex[depositor] > 0) {
+                if (newBalance == 0) {
+                    _removeCandidate(depositor);
+                } else {
+                    _updateCandidate(depositor);
                 }
+            } else if (newBalance > 0) {
+                _pushCandidate(depositor);
+            }
+            _promoteCandidates();
+            return;
+        }
 
-                return;
+        // 2. 已在榜单中且全部取出：移出榜单，后面的人依次前移，空位由候选人补上
+        if (newBalance == 0) {
+            for (uint256 j = oldRank - 1; j + 1 < topDepositors.length; j++) {
+                topDepositors[j] = topDepositors[j + 1];
             }
+            topDepositors.pop();
+            emit LeaderboardChanged(depositor, oldRank, 0);
+            _promoteCandidates();
+            return;
+        }
+
+        uint256 i = oldRank - 1;
+        // 存款后余额增加："向上冒泡"
+        while (i > 0 && balances[topDepositors[i - 1]] < newBalance) {
+            topDepositors[i] = topDepositors[i - 1];
+            i--;
+        }
+        // 取款后余额减少："向下沉"
+        while (
+            i + 1 < topDepositors.length &&
+            balances[topDepositors[i + 1]] > newBalance
+        ) {
+            topDepositors[i] = topDepositors[i + 1];
+            i++;
         }
 
-        // 2. 如果不在榜单中，检查是否够资格进入
-        // 只有比第 3 名（最后一名）大才能进
-        address lastUser = topDepositors[topDepositors.length - 1];
-        if (newBalance <= balances[lastUser] && lastUser != address(0)) {
+        // 3. 沉到最后一名后，余额比最好的候选人还低：让出位置，回到候选堆
+        if (
+            i + 1 == topDepositors.length &&
+            candidates.length > 0 &&
+            balances[candidates[0]] > newBalance
+        ) {
+            topDepositors.pop();
+            _pushCandidate(depositor);
+            emit LeaderboardChanged(depositor, oldRank, 0);
+            _promoteCandidates();
             return;
         }
 
-        // 3. 插入新用户（正序查找插入点）
-        // 此时我们确定他比最后一名大，或者最后一名是空
-        for (uint256 i = 0; i < topDepositors.length; i++) {
-            if (balances[topDepositors[i]] < newBalance || topDepositors[i] == address(0)) {
-                // 找到插入点 i
-                // 将 i 及之后的用户后移一位
-                for (uint256 j = topDepositors.length - 1; j > i; j--) {
-                    topDepositors[j] = topDepositors[j - 1];
+        topDepositors[i] = depositor;
+        if (i + 1 != oldRank) {
+            emit LeaderboardChanged(depositor, oldRank, i + 1);
+        }
+    }
+
+    /**
+     * @dev 榜单有空位时把堆顶的候选人补上；榜单已满时，堆顶余额比最后一名大就交换两人
+     */
+    function _promoteCandidates() private {
+        while (candidates.length > 0) {
+            address best = candidates[0];
+            if (topDepositors.length == leaderboardSize) {
+                address lastUser = topDepositors[topDepositors.length - 1];
+                if (balances[best] <= balances[lastUser]) {
+                    return;
                 }
-                // 插入新用户
-                topDepositors[i] = depositor;
-                return;
+                topDepositors.pop();
+                _removeCandidate(best);
+                _pushCandidate(lastUser);
+                emit LeaderboardChanged(lastUser, leaderboardSize, 0);
+            } else {
+                _removeCandidate(best);
+            }
+
+            // 先放到末尾，再向上找插入点
+            topDepositors.push(best);
+            uint256 k = topDepositors.length - 1;
+            while (k > 0 && balances[topDepositors[k - 1]] < balances[best]) {
+                topDepositors[k] = topDepositors[k - 1];
+                k--;
             }
+            topDepositors[k] = best;
+            emit LeaderboardChanged(best, 0, k + 1);
         }
     }
 
-    function withdraw(uint256 amount) public virtual onlyAdmin {
-        require(
-            amount <= address(this).balance,
-            "Insufficient contract balance"
-        );
-        payable(admin).transfer(amount);
-        emit Withdraw(admin, amount);                                               
+    // ==================== 候选堆 ====================
+
+    function _pushCandidate(address user) private {
+        candidates.push(user);
+        candidateIndex[user] = candidates.length;
+        _siftUp(candidates.length - 1);
+    }
+
+    function _removeCandidate(address user) private {
+        uint256 i = candidateIndex[user] - 1;
+        address lastUser = candidates[candidates.length - 1];
+        candidates.pop();
+        delete candidateIndex[user];
+        // 用最后一个元素填上空位，再按它的余额上浮或下沉
+        if (lastUser != user) {
+            _placeCandidate(lastUser, i);
+            _updateCandidate(lastUser);
+        }
+    }
+
+    // 余额变化后重新调整位置
+    function _updateCandidate(address user) private {
+        _siftUp(candidateIndex[user] - 1);
+        _siftDown(candidateIndex[user] - 1);
+    }
+
+    function _siftUp(uint256 i) private {
+        address user = candidates[i];
+        while (i > 0) {
+            uint256 parent = (i - 1) / 2;
+            if (balances[candidates[parent]] >= balances[user]) {
+                break;
+            }
+            _placeCandidate(candidates[parent], i);
+            i = parent;
+        }
+        _placeCandidate(user, i);
+    }
+
+    function _siftDown(uint256 i) private {
+        address user = candidates[i];
+        uint256 length = candidates.length;
+        while (true) {
+            uint256 child = 2 * i + 1;
+            if (child >= length) {
+                break;
+            }
+            if (
+                child + 1 < length &&
+                balances[candidates[child + 1]] > balances[candidates[child]]
+            ) {
+                child++;
+            }
+            if (balances[candidates[child]] <= balances[user]) {
+                break;
+            }
+            _placeCandidate(candidates[child], i);
+            i = child;
+        }
+        _placeCandidate(user, i);
+    }
+
+    function _placeCandidate(address user, uint256 i) private {
+        candidates[i] = user;
+        candidateIndex[user] = i + 1;
+    }
+
+    /**
+     * @notice 用户取回自己的存款，先扣利息再扣本金
+     * @param amount 取款金额
+     */
+    function userWithdraw(
+        uint256 amount
+    ) public virtual nonReentrant whenNotPaused(this.userWithdraw.selector) {
+        require(amount > 0, "Withdraw amount must be greater than 0");
+
+        // Settle pending interest first
+        _settleInterest(msg.sender);
+
+        uint256 principal = balances[msg.sender];
+        uint256 interest = accruedInterest[msg.sender];
+        require(amount <= principal + interest, "Insufficient balance");
+
+        uint256 interestUsed = amount <= interest ? amount : interest;
+        uint256 principalUsed = amount - interestUsed;
+
+        // 先记账再转账（checks-effects-interactions）
+        accruedInterest[msg.sender] -= interestUsed;
+        totalAccruedInterest -= interestUsed;
+        balances[msg.sender] -= principalUsed;
+        totalDeposits -= principalUsed;
+
+        if (balances[msg.sender] == 0) {
+            depositTimestamps[msg.sender] = 0;
+        }
+        updateTopDepositors(msg.sender, balances[msg.sender]);
+
+        // 大额取款进入延时队列，延时结束后通过 claimWithdrawal 领取
+        if (_consumeWithdrawLimit(address(0), msg.sender, amount)) {
+            _queueWithdrawal(address(0), msg.sender, msg.sender, amount);
+        } else {
+            _payout(address(0), msg.sender, amount);
+        }
+
+        emit UserWithdraw(msg.sender, principalUsed, interestUsed);
+    }
+
+    /**
+     * @notice 紧急模式下取回全部本金，不结算利息：未结算的利息作废，已结算的利息保留在账上。暂停时也可以调用
+     */
+    function emergencyWithdraw() external nonReentrant whenEmergency {
+        uint256 principal = balances[msg.sender];
+        require(principal > 0, "Insufficient balance");
+
+        balances[msg.sender] = 0;
+        totalDeposits -= principal;
+        depositTimestamps[msg.sender] = 0;
+        updateTopDepositors(msg.sender, 0);
+
+        (bool success, ) = payable(msg.sender).call{value: principal}("");
+        require(success, "ETH transfer failed");
+
+        emit EmergencyWithdraw(msg.sender, principal);
+    }
+
+    // ==================== Interest Functions ====================
+
+    /**
+     * @notice 注入利息储备
+     */
+    function fundInterestReserve() external payable onlyRole(TREASURER_ROLE) {
+        require(msg.value > 0, "Reserve amount must be greater than 0");
+        interestReserve += msg.value;
+        emit InterestReserveFunded(msg.sender, msg.value);
+    }
+
+    /**
+     * @notice Calculate pending interest (not yet settled)
+     * @dev 不超过当前利息储备：储备不足时只能结算储备里剩下的部分
+     */
+    function calculatePendingInterest(
+        address user
+    ) public view returns (uint256) {
+        uint256 principal = balances[user];
+        uint256 depositTime = depositTimestamps[user];
+
+        if (principal == 0 || depositTime == 0) {
+            return 0;
+        }
+
+        uint256 daysElapsed = (block.timestamp - depositTime) / SECONDS_PER_DAY;
+        uint256 interest = (principal * daysElapsed * INTEREST_RATE_NUMERATOR) /
+            INTEREST_RATE_DENOMINATOR;
+
+        return interest < interestReserve ? interest : interestReserve;
+    }
+
+    /**
+     * @notice Get complete balance info
+     */
+    function getBalanceInfo(
+        address user
+    )
+        external
+        view
+        returns (
+            uint256 principal,
+            uint256 settledInterest,
+            uint256 pendingInterest,
+            uint256 totalInterest,
+            uint256 total
+        )
+    {
+        principal = balances[user];
+        settledInterest = accruedInterest[user];
+        pendingInterest = calculatePendingInterest(user);
+        totalInterest = settledInterest + pendingInterest;
+        total = principal + totalInterest;
+    }
+
+    /**
+     * @dev 把待结算利息从储备划到用户名下
+     */
+    function _settleInterest(address user) internal {
+        uint256 pending = calculatePendingInterest(user);
+        if (pending > 0) {
+            interestReserve -= pending;
+            accruedInterest[user] += pending;
+            totalAccruedInterest += pending;
+        }
+        // Reset timestamp for next calculation period
+        if (balances[user] > 0) {
+            depositTimestamps[user] = block.timestamp;
+        }
+    }
+
+    /**
+     * @notice 合约余额中不属于用户（本金 + 已结算利息 + 排队中的取款）也不属于利息储备的部分，财务只能提取这部分
+     */
+    function getSurplus() public view returns (uint256) {
+        uint256 contractBalance = address(this).balance;
+        uint256 committed = totalDeposits +
+            totalAccruedInterest +
+            interestReserve +
+            totalQueuedWithdrawals[address(0)];
+        return contractBalance > committed ? contractBalance - committed : 0;
+    }
+
+    /**
+     * @notice 财务提取盈余，计入窗口限额，但不进入大额延时队列
+     */
+    function withdraw(
+        uint256 amount
+    ) public virtual onlyRole(TREASURER_ROLE) {
+        require(amount <= getSurplus(), "Insufficient surplus balance");
+        _consumeWithdrawLimit(address(0), msg.sender, amount);
+        payable(msg.sender).transfer(amount);
+        emit Withdraw(msg.sender, amount);
+    }
+
+    function _payout(address, address to, uint256 amount) internal override {
+        (bool success, ) = payable(to).call{value: amount}("");
+        require(success, "ETH transfer failed");
+    }
+
+    function _refundQueued(
+        address,
+        address owner,
+        uint256 amount
+    ) internal override {
+        _settleInterest(owner);
+        balances[owner] += amount;
+        totalDeposits += amount;
+        depositTimestamps[owner] = block.timestamp;
+        updateTopDepositors(owner, balances[owner]);
     }
 
     function getBalance() external view returns (uint256) {
         return address(this).balance;
     }
 
-    function getTopDepositors() public view returns (address[3] memory) {
+    function getTopDepositors() public view returns (address[] memory) {
         return topDepositors;
     }
 
+    /**
+     * @notice 带余额和名次的完整排行榜
+     */
+    function getLeaderboard()
+        external
+        view
+        returns (LeaderboardEntry[] memory entries)
+    {
+        entries = new LeaderboardEntry[](topDepositors.length);
+        for (uint256 i = 0; i < topDepositors.length; i++) {
+            address user = topDepositors[i];
+            entries[i] = LeaderboardEntry(user, balances[user], i + 1);
+        }
+    }
+
+    /**
+     * @notice 查询用户名次，从 1 开始；不在榜上返回 0
+     */
+    function rankOf(address user) public view returns (uint256) {
+        for (uint256 i = 0; i < topDepositors.length; i++) {
+            if (topDepositors[i] == user) {
+                return i + 1;
+            }
+        }
+        return 0;
+    }
+
     receive() external payable {
         deposit();
     }
@@ -7,10 +7,7 @@ import "./2_IBank.sol";
 contract BigBank is EtherBank, IBank {
     uint256 public constant MIN_DEPOSIT = 0.001 ether;
 
-    event OwnershipTransferred(
-        address indexed previousAdmin,
-        address indexed newAdmin
-    );
+    constructor(uint256 _leaderboardSize) EtherBank(_leaderboardSize) {}
 
     modifier minDepositAmount() {
         require(
@@ -26,17 +23,9 @@ contract BigBank is EtherBank, IBank {
 
     function withdraw(
         uint256 amount
-    ) public override(EtherBank, IBank) onlyAdmin {
+    ) public override(EtherBank, IBank) onlyRole(TREASURER_ROLE) {
         super.withdraw(amount);
     }
 
-    function transferOwnership(address newAdmin) public onlyAdmin {
-        require(newAdmin != address(0), "New admin cannot be zero address");
-        require(newAdmin != admin, "New admin is the same as current admin");
-
-        address previousAdmin = admin;
-        admin = newAdmin;
-
-        emit OwnershipTransferred(previousAdmin, newAdmin);
-    }
+    // 管理员转移使用 BankAccessControl 的 proposeAdmin / acceptAdmin
 }
\ No newline at end of file
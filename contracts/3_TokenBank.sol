@@ -4,26 +4,78 @@ pragma solidity ^0.8.26;
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "./0_BankInternalTransfer.sol";
+import "./0_BankWithdrawLimiter.sol";
+import "./3_IDaiPermit.sol";
+import "./3_IPermit2.sol";
 
-contract TokenBank {
+contract TokenBank is BankInternalTransfer, BankWithdrawLimiter {
     using SafeERC20 for IERC20;
 
+    // withdrawWithSig 的 EIP-712 类型。不含 owner：从签名恢复出的地址就是 owner
+    bytes32 public constant WITHDRAW_TYPEHASH =
+        keccak256(
+            "Withdraw(address token,uint256 amount,address to,uint256 nonce,uint256 deadline)"
+        );
+
+    // EIP-2612 permit 的类型，用来确认 permit 失败时签名是否已经被别人提交过
+    bytes32 private constant PERMIT_TYPEHASH =
+        keccak256(
+            "Permit(address owner,address spender,uint256 value,uint256 nonce,uint256 deadline)"
+        );
+
     // user -> token -> balances
     mapping(address => mapping(address => uint256)) public balances;
+    // token -> 所有用户存款之和
+    mapping(address => uint256) public totalDeposits;
+    // user -> 下一个可用的签名取款 nonce，和代币的 permit nonce 互不影响
+    mapping(address => uint256) public withdrawNonces;
+    // Permit2 合约地址，未设置时不能使用 permit2Deposit
+    address public permit2;
 
     event Deposit(address indexed token, address indexed user, uint256 amount);
     event Withdraw(address indexed token, address indexed user, uint256 amount);
+    // 签名取款，由中继人代为提交，代币转给 to
+    event WithdrawWithSig(
+        address indexed token,
+        address indexed owner,
+        address indexed to,
+        uint256 amount,
+        uint256 nonce,
+        address relayer
+    );
+    event Permit2Changed(address indexed oldPermit2, address indexed newPermit2);
+    event EmergencyWithdraw(
+        address indexed token,
+        address indexed user,
+        uint256 amount
+    );
+    event SurplusWithdrawn(
+        address indexed token,
+        address indexed treasurer,
+        uint256 amount
+    );
+
+    constructor() EIP712("TokenBank", "1") {}
 
     /**
-     * @dev 用户需要先调用代币合约的 approve() 授权
+     * @dev 用户需要先调用代币合约的 approve() 授权。
+     * 所有存款都按实际到账数量记账，收手续费的代币记的是扣费后的数量
      */
-    function deposit(address token, uint256 amount) external {
-        require(token != address(0), "Invalid token address");
+    function deposit(
+        address token,
+        uint256 amount
+    ) external whenNotPaused(this.deposit.selector) {
+        _checkDeposit(token, msg.sender, amount);
         require(amount > 0, "Amount must be greater than 0");
 
-        IERC20(token).safeTransferFrom(msg.sender, address(this), amount);
-        balances[msg.sender][token] += amount;
-        emit Deposit(token, msg.sender, amount);
+        uint256 received = _pullTokens(token, msg.sender, amount);
+        balances[msg.sender][token] += received;
+        totalDeposits[token] += received;
+        _syncPortfolio(token, msg.sender);
+        emit Deposit(token, msg.sender, received);
     }
 
     /**
@@ -42,13 +94,17 @@ contract TokenBank {
         bytes32 r,
         bytes32 s,
         address owner         //这个签名是“谁”签的，谁的代币会被扣除、谁的余额会增加
-    ) external {
-        require(token != address(0), "Invalid token address");
+    ) external whenNotPaused(this.permitDeposit.selector) {
+        _checkDeposit(token, owner, amount);
         require(amount > 0, "Amount must be greater than 0");
         require(block.timestamp <= deadline, "Permit expired");
 
-        // 1. 调用目标代币的 permit 函数，让它记录 owner 授权 TokenBank 转移 amount
-        IERC20Permit(token).permit(
+        // 1. 调用目标代币的 permit 函数，让它记录 owner 授权 TokenBank 转移 amount。
+        //    签名是公开的，别人可以抢先把它直接提交给 token.permit，这时 nonce 已被用掉、permit 会失败，
+        //    但授权已经生效，这种情况下按现有授权继续存款，否则把 permit 的原始错误抛出去。
+        //    只有 owner 自己调用，或者这个签名确实是 owner 刚被用掉的那次 permit 时才能这样做：
+        //    否则任何人都能带着无效签名，用 owner 留下的授权（例如 daiPermitDeposit 的无限授权）把他钱包里的代币存进来
+        try IERC20Permit(token).permit(
             owner,              // 签名人
             address(this),      // 授权给 TokenBank 合约
             amount,             // 授权数量
@@ -56,28 +112,304 @@ contract TokenBank {
             v,
             r,
             s
-        );
+        ) {} catch (bytes memory reason) {
+            if (
+                (msg.sender != owner && !_permitUsed(token, owner, amount, deadline, v, r, s)) ||
+                IERC20(token).allowance(owner, address(this)) < amount
+            ) {
+                _bubbleRevert(reason);
+            }
+        }
 
         // 2. 现在授权已经生效，可以安全转账，IERC20Permit没有safeTransferFrom这个函数的，就像人可以说普通话和英文
-        IERC20(token).safeTransferFrom(owner, address(this), amount);
+        uint256 received = _pullTokens(token, owner, amount);
 
         // 3. 更新银行内部记账（注意：记账用 owner，而不是 msg.sender）
-        balances[owner][token] += amount;
+        balances[owner][token] += received;
+        totalDeposits[token] += received;
+        _syncPortfolio(token, owner);
 
         // 4. 发出事件（记录 owner 而不是 msg.sender）
-        emit Deposit(token, owner, amount);
+        emit Deposit(token, owner, received);
     }
 
-    function withdraw(address token, uint256 amount) external {
-        require(token != address(0), "Invalid token address");
+    /**
+     * @dev 使用 DAI 风格的 permit 签名进行授权 + 存款。
+     * 注意 DAI 的 permit 授权的是无限额度，存款后 TokenBank 仍保留 holder 的授权
+     * @param nonce holder 在代币合约中的 permit nonce
+     * @param expiry 签名过期时间戳，0 表示永不过期
+     * @param holder 签名人，余额记在 holder 名下
+     */
+    function daiPermitDeposit(
+        address token,
+        uint256 amount,
+        uint256 nonce,
+        uint256 expiry,
+        uint8 v,
+        bytes32 r,
+        bytes32 s,
+        address holder
+    ) external whenNotPaused(this.daiPermitDeposit.selector) {
+        _checkDeposit(token, holder, amount);
         require(amount > 0, "Amount must be greater than 0");
-        require(balances[msg.sender][token] >= amount, "Insufficient balance");
 
-        balances[msg.sender][token] -= amount;
+        IDaiPermit(token).permit(holder, address(this), nonce, expiry, true, v, r, s);
+        uint256 received = _pullTokens(token, holder, amount);
+
+        balances[holder][token] += received;
+        totalDeposits[token] += received;
+        _syncPortfolio(token, holder);
+        emit Deposit(token, holder, received);
+    }
+
+    /**
+     * @dev 通过 Permit2 的签名转账存款，适用于没有 permit 的代币（owner 需要事先 approve 过 Permit2）。
+     * 签名中的 spender 必须是 TokenBank，转入签名中的全部数量，按实际到账记账
+     * @param permit owner 签名的代币、数量、nonce 和过期时间
+     * @param owner 签名人，余额记在 owner 名下
+     * @param signature owner 的签名
+     */
+    function permit2Deposit(
+        IPermit2.PermitTransferFrom calldata permit,
+        address owner,
+        bytes calldata signature
+    ) external whenNotPaused(this.permit2Deposit.selector) {
+        require(permit2 != address(0), "TokenBank: permit2 not set");
+        address token = permit.permitted.token;
+        uint256 amount = permit.permitted.amount;
+        _checkDeposit(token, owner, amount);
+        require(amount > 0, "Amount must be greater than 0");
+
+        // 按实际到账数量记账，不完全信任外部合约
+        uint256 balanceBefore = IERC20(token).balanceOf(address(this));
+        IPermit2(permit2).permitTransferFrom(
+            permit,
+            IPermit2.SignatureTransferDetails(address(this), amount),
+            owner,
+            signature
+        );
+        uint256 received = _receivedSince(token, balanceBefore);
+
+        balances[owner][token] += received;
+        totalDeposits[token] += received;
+        _syncPortfolio(token, owner);
+        emit Deposit(token, owner, received);
+    }
+
+    /**
+     * @notice 设置 Permit2 合约地址，address(0) 表示停用 permit2Deposit
+     */
+    function setPermit2(
+        address newPermit2
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        emit Permit2Changed(permit2, newPermit2);
+        permit2 = newPermit2;
+    }
+
+    function withdraw(
+        address token,
+        uint256 amount
+    ) external whenNotPaused(this.withdraw.selector) {
+        _withdraw(msg.sender, token, amount, msg.sender);
+    }
+
+    /**
+     * @dev 使用 EIP-712 签名取款，任何人都可以代为提交，用户不需要 ETH 支付 gas
+     * @param token 代币地址
+     * @param amount 取款数量
+     * @param to 收款地址，可以不是签名人
+     * @param nonce 必须等于签名人当前的 withdrawNonces，用过即作废
+     * @param deadline 签名过期时间戳
+     * @param sig 签名人对 Withdraw 结构的 65 字节签名
+     */
+    function withdrawWithSig(
+        address token,
+        uint256 amount,
+        address to,
+        uint256 nonce,
+        uint256 deadline,
+        bytes calldata sig
+    ) external whenNotPaused(this.withdrawWithSig.selector) {
+        require(block.timestamp <= deadline, "Signature expired");
+        require(to != address(0), "Invalid recipient");
+
+        // 从谁的余额里扣由签名决定：篡改任何参数都会恢复出另一个（没有余额的）地址
+        bytes32 structHash = keccak256(
+            abi.encode(WITHDRAW_TYPEHASH, token, amount, to, nonce, deadline)
+        );
+        (address owner, ECDSA.RecoverError error) = ECDSA.tryRecover(
+            _hashTypedDataV4(structHash),
+            sig
+        );
+        require(error == ECDSA.RecoverError.NoError, "Invalid signature");
+        require(nonce == withdrawNonces[owner], "Invalid nonce");
+        withdrawNonces[owner] = nonce + 1;
+
+        _withdraw(owner, token, amount, to);
+
+        emit WithdrawWithSig(token, owner, to, amount, nonce, msg.sender);
+    }
+
+    /**
+     * @notice 紧急模式下取回某个代币的全部余额，暂停时也可以调用
+     */
+    function emergencyWithdraw(address token) external whenEmergency {
+        uint256 amount = balances[msg.sender][token];
+        require(amount > 0, "Insufficient balance");
+
+        balances[msg.sender][token] = 0;
+        totalDeposits[token] -= amount;
+        _syncPortfolio(token, msg.sender);
 
         IERC20(token).safeTransfer(msg.sender, amount);
 
-        emit Withdraw(token, msg.sender, amount);
+        emit EmergencyWithdraw(token, msg.sender, amount);
+    }
+
+    /**
+     * @notice 合约持有的代币中不属于任何用户的部分（例如直接转进来的代币），排队中的取款仍属于用户
+     */
+    function getSurplus(address token) public view returns (uint256) {
+        uint256 held = IERC20(token).balanceOf(address(this));
+        uint256 deposits = totalDeposits[token] + totalQueuedWithdrawals[token];
+        return held > deposits ? held - deposits : 0;
+    }
+
+    /**
+     * @notice 财务提取盈余，不能动用户存款；计入窗口限额，但不进入大额延时队列
+     */
+    function withdrawSurplus(
+        address token,
+        uint256 amount
+    ) external onlyRole(TREASURER_ROLE) {
+        require(amount <= getSurplus(token), "Insufficient surplus balance");
+        _consumeWithdrawLimit(token, msg.sender, amount);
+
+        IERC20(token).safeTransfer(msg.sender, amount);
+
+        emit SurplusWithdrawn(token, msg.sender, amount);
+    }
+
+    function _withdraw(
+        address owner,
+        address token,
+        uint256 amount,
+        address to
+    ) internal {
+        require(token != address(0), "Invalid token address");
+        require(amount > 0, "Amount must be greater than 0");
+        require(balances[owner][token] >= amount, "Insufficient balance");
+
+        balances[owner][token] -= amount;
+        totalDeposits[token] -= amount;
+        _syncPortfolio(token, owner);
+
+        // 大额取款进入延时队列，延时结束后通过 claimWithdrawal 转给 to
+        if (_consumeWithdrawLimit(token, owner, amount)) {
+            _queueWithdrawal(token, owner, to, amount);
+        } else {
+            _payout(token, to, amount);
+        }
+
+        emit Withdraw(token, owner, amount);
+    }
+
+    function _payout(address token, address to, uint256 amount) internal override {
+        IERC20(token).safeTransfer(to, amount);
+    }
+
+    function _refundQueued(
+        address token,
+        address owner,
+        uint256 amount
+    ) internal override {
+        balances[owner][token] += amount;
+        totalDeposits[token] += amount;
+        _syncPortfolio(token, owner);
+    }
+
+    function _moveBalance(
+        address token,
+        address from,
+        address to,
+        uint256 amount
+    ) internal override {
+        require(balances[from][token] >= amount, "Insufficient balance");
+        // 转出的数量计入 from 的单用户取款限额，不能靠分散到多个账户绕过
+        _consumeUserWithdrawLimit(token, from, amount);
+
+        balances[from][token] -= amount;
+        balances[to][token] += amount;
+    }
+
+    /**
+     * @dev 从 from 转入 amount，返回实际到账的数量
+     */
+    function _pullTokens(
+        address token,
+        address from,
+        uint256 amount
+    ) internal returns (uint256) {
+        uint256 balanceBefore = IERC20(token).balanceOf(address(this));
+        IERC20(token).safeTransferFrom(from, address(this), amount);
+        return _receivedSince(token, balanceBefore);
+    }
+
+    function _receivedSince(
+        address token,
+        uint256 balanceBefore
+    ) internal view returns (uint256 received) {
+        received = IERC20(token).balanceOf(address(this)) - balanceBefore;
+        require(received > 0, "TokenBank: nothing received");
+    }
+
+    // 签名是否是 owner 授权本合约 amount 的 permit，并且用的正是 owner 最近被消耗掉的那个 nonce
+    function _permitUsed(
+        address token,
+        address owner,
+        uint256 amount,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) private view returns (bool) {
+        uint256 nonce = IERC20Permit(token).nonces(owner);
+        if (nonce == 0) return false;
+
+        bytes32 structHash = keccak256(
+            abi.encode(PERMIT_TYPEHASH, owner, address(this), amount, nonce - 1, deadline)
+        );
+        bytes32 digest = ECDSA.toTypedDataHash(IERC20Permit(token).DOMAIN_SEPARATOR(), structHash);
+        (address signer, ECDSA.RecoverError error) = ECDSA.tryRecover(digest, v, r, s);
+        return error == ECDSA.RecoverError.NoError && signer == owner;
+    }
+
+    // 原样抛出被 catch 住的错误，调用方看到的还是代币给出的 revert 原因
+    function _bubbleRevert(bytes memory reason) private pure {
+        assembly {
+            revert(add(reason, 32), mload(reason))
+        }
+    }
+
+    function _userPrincipal(
+        address token,
+        address user
+    ) internal view override returns (uint256) {
+        return balances[user][token];
+    }
+
+    function _totalPrincipal(
+        address token
+    ) internal view override returns (uint256) {
+        return totalDeposits[token];
+    }
+
+    // TokenBank 不计息
+    function _userInterest(
+        address,
+        address
+    ) internal pure override returns (uint256) {
+        return 0;
     }
 
     function getBalance(
@@ -26,6 +26,19 @@ contract SmartToken is ERC20 {
         return true;
     }
 
+    /**
+     * @dev data 原样传给接收方的 onTransferReceived，格式由接收方约定
+     */
+    function transferAndCall(
+        address to,
+        uint256 value,
+        bytes calldata data
+    ) external returns (bool) {
+        transfer(to, value);
+        _invokeTokenReceived(msg.sender, to, value, data);
+        return true;
+    }
+
     function transferFromAndCall(
         address from,
         address to,
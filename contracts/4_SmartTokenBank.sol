@@ -3,13 +3,14 @@ pragma solidity ^0.8.0;
 
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "./0_BankInternalTransfer.sol";
 import "./4_ITokenRecipient.sol";
+import "./4_SmartTokenBankTerms.sol";
 
-contract SmartTokenBank is ITokenRecipient {
+contract SmartTokenBank is ITokenRecipient, BankInternalTransfer {
     using SafeERC20 for IERC20;
-
-    address public admin;
-    bool public paused;
+    using SmartTokenBankTerms for SmartTokenBankTerms.Book;
 
     // token -> user -> principal
     mapping(address => mapping(address => uint256)) public balances;              //本金
@@ -19,12 +20,74 @@ contract SmartTokenBank is ITokenRecipient {
     mapping(address => mapping(address => uint256)) public depositTimestamps;     //上次结算时间
     // token -> total actual deposits
     mapping(address => uint256) public totalDeposits;                             //代币总存款
-    
+
+    // 利率历史中的一个点：从 timestamp 起按 ratePerDay 计息
+    struct RateCheckpoint {
+        uint256 timestamp;
+        uint256 ratePerDay;
+    }
+
+    // token -> 利率调整历史（为空表示一直使用默认利率）
+    mapping(address => RateCheckpoint[]) internal rateHistory;
+    // token -> 累计利率指数 = Σ(日利率 × 经过秒数)，每次调整利率前先累计，旧利率只作用于过去的时间段
+    mapping(address => uint256) public rateIndex;
+    // token -> rateIndex 上次累计的时间
+    mapping(address => uint256) public rateIndexUpdatedAt;
+    // token -> user -> 上次结算时的 rateIndex
+    mapping(address => mapping(address => uint256)) public userRateIndex;
+    // token -> Σ(本金 × userRateIndex)，用来在 O(1) 内算出全部用户的待结算利息
+    mapping(address => uint256) internal totalIndexWeight;
+
+    // token -> 管理员注入、尚未分配的利息储备，活期结算的利息和定期开户时预留的利息都从这里划出
+    mapping(address => uint256) public interestReserve;
+    // token -> 所有用户已结算、未取走的利息之和
+    mapping(address => uint256) public totalAccruedInterest;
+    // token -> user -> 是否开启复利（结算的利息直接滚入本金）
+    mapping(address => mapping(address => bool)) public compounding;
+    // token -> 复利指数，与 rateIndex 同步累计，每秒按当时的利率滚存一次。
+    // 复利用户的本息 = 本金 × 当前 compoundIndex / 上次结算时的 compoundIndex。0 表示还没有累计过（即 RATE_PRECISION）
+    mapping(address => uint256) internal compoundIndex;
+    // token -> 复利用户的 Σ(本金 / 上次结算时的 compoundIndex)，乘以当前 compoundIndex 就是他们本息之和的上界
+    mapping(address => uint256) internal compoundWeight;
+    // token -> 复利用户的本金之和
+    mapping(address => uint256) internal compoundingDeposits;
+    // token -> user -> 复利用户上次结算后的本金和当时的 compoundIndex，单利用户为空
+    mapping(address => mapping(address => CompoundShare)) internal compoundShares;
+
+    struct CompoundShare {
+        uint256 principal;
+        uint256 index;
+    }
+
+    // 定期存款的利率、持仓和统计，记账逻辑见 SmartTokenBankTerms
+    SmartTokenBankTerms.Book internal terms;
+
+    // token -> 银行上次收付这个代币之后的持有量，transferAndCall 据此核对这次是否真的转进来了 value
+    mapping(address => uint256) internal holdingsSnapshot;
+
+    // 偿付能力报告
+    struct Solvency {
+        uint256 holdings;          // 合约实际持有的代币
+        uint256 deposits;          // 用户本金
+        uint256 accruedInterest;   // 已结算、未取走的利息
+        uint256 pendingInterest;   // 全部用户待结算利息（未按储备封顶）
+        uint256 reserve;           // 未分配的利息储备
+        uint256 reserveShortfall;  // 待结算利息超出储备、将无法支付的部分
+        uint256 termDeposits;      // 定期本金
+        uint256 termInterest;      // 为定期存款预留的利息
+        bool solvent;              // holdings >= 以上所有负债 + reserve
+    }
+
     //利息相关的常量
-    // 0.1% per day = 1/1000 per day
-    uint256 public constant INTEREST_RATE_NUMERATOR = 1;
-    uint256 public constant INTEREST_RATE_DENOMINATOR = 1000;
+    // 日利率以 1e18 为精度：1e18 = 100% per day
+    uint256 public constant RATE_PRECISION = 1e18;
+    // 0.1% per day，未单独设置利率的代币使用
+    uint256 public constant DEFAULT_RATE_PER_DAY = 1e15;
+    // 1% per day，防止管理员误设过高利率
+    uint256 public constant MAX_RATE_PER_DAY = 1e16;
     uint256 public constant SECONDS_PER_DAY = 86400;
+    // 两次累计复利指数之间最多按 10 年计算，防止幂运算溢出导致无法结算
+    uint256 public constant MAX_COMPOUND_DAYS = 3650;
 
     event Deposit(address indexed token, address indexed user, uint256 amount);   //五个事件
     event Withdraw(
@@ -33,132 +96,365 @@ contract SmartTokenBank is ITokenRecipient {
         uint256 principal,
         uint256 interest
     );
-    event Paused(address indexed admin);
-    event Unpaused(address indexed admin);
-    event OwnershipTransferred(
-        address indexed previousAdmin,
-        address indexed newAdmin
+    // 紧急模式下取回的本金（定期存款 id 为 0 表示活期）
+    event EmergencyWithdraw(
+        address indexed token,
+        address indexed user,
+        uint256 termDepositId,
+        uint256 principal
+    );
+    event RateChanged(
+        address indexed token,
+        uint256 oldRatePerDay,
+        uint256 newRatePerDay,
+        uint256 effectiveFrom
+    );
+    event InterestReserveFunded(
+        address indexed token,
+        address indexed from,
+        uint256 amount
+    );
+    event InterestReserveWithdrawn(
+        address indexed token,
+        address indexed to,
+        uint256 amount
+    );
+    event CompoundingChanged(
+        address indexed token,
+        address indexed user,
+        bool enabled
+    );
+    // 结算时储备不足，用户少拿的利息
+    event InterestShortfall(
+        address indexed token,
+        address indexed user,
+        uint256 unpaid
     );
+    event TermRateChanged(
+        address indexed token,
+        uint256 termDays,
+        uint256 ratePerDay
+    );
+    // 定期存款的事件由 SmartTokenBankTerms 在银行的地址上发出，在这里声明以便出现在银行的 ABI 里
+    event TermDepositOpened(
+        uint256 indexed id,
+        address indexed token,
+        address indexed owner,
+        uint256 principal,
+        uint256 ratePerDay,
+        uint256 maturity
+    );
+    event TermDepositMatured(
+        uint256 indexed id,
+        address indexed token,
+        address indexed owner,
+        uint256 principal,
+        uint256 interest
+    );
+    // 提前支取：只退本金，利息作为罚金退回储备
+    event TermDepositBroken(
+        uint256 indexed id,
+        address indexed token,
+        address indexed owner,
+        uint256 principal,
+        uint256 forfeitedInterest
+    );
+    // transferAndCall 的 data 中带了推荐码
+    event Referral(
+        address indexed token,
+        address indexed user,
+        bytes32 indexed code,
+        uint256 amount
+    );
+
+    constructor() EIP712("SmartTokenBank", "1") {}
 
-    //修饰器
+    // ==================== Admin Functions ====================   管理员函数
+    // pause/unpause、按函数暂停和紧急模式见 BankPausable
 
-    modifier onlyAdmin() {
-        require(msg.sender == admin, "SmartTokenBank: caller is not admin");
-        _;
+    /**
+     * @notice 调整某个代币的日利率，只影响调整之后的时间段
+     * @param token 代币地址
+     * @param ratePerDay 日利率，1e18 = 100%
+     */
+    function setInterestRate(
+        address token,
+        uint256 ratePerDay
+    ) external onlyRole(RATE_MANAGER_ROLE) {
+        require(token != address(0), "Invalid token address");
+        require(
+            ratePerDay <= MAX_RATE_PER_DAY,
+            "SmartTokenBank: rate exceeds maximum"
+        );
+
+        // 先按旧利率把指数累计到现在
+        _accrueRateIndex(token);
+
+        uint256 oldRate = getInterestRate(token);
+        rateHistory[token].push(RateCheckpoint(block.timestamp, ratePerDay));
+
+        emit RateChanged(token, oldRate, ratePerDay, block.timestamp);
     }
 
-    modifier whenNotPaused() {
-        require(!paused, "SmartTokenBank: contract is paused");
-        _;
+    /**
+     * @notice 设置某个期限的定期日利率，0 表示下架该期限；已开的定期存款不受影响
+     * @param termDays 期限（天）
+     * @param ratePerDay 日利率，1e18 = 100%
+     */
+    function setTermRate(
+        address token,
+        uint256 termDays,
+        uint256 ratePerDay
+    ) external onlyRole(RATE_MANAGER_ROLE) {
+        require(token != address(0), "Invalid token address");
+        require(termDays > 0, "Term must be greater than 0");
+        require(
+            ratePerDay <= MAX_RATE_PER_DAY,
+            "SmartTokenBank: rate exceeds maximum"
+        );
+
+        terms.rates[token][termDays] = ratePerDay;
+
+        emit TermRateChanged(token, termDays, ratePerDay);
     }
 
-    modifier whenPaused() {
-        require(paused, "SmartTokenBank: contract is not paused");
-        _;
+    /**
+     * @notice 注入利息储备，需要先 approve。按实际到账数量计入储备
+     */
+    function fundInterestReserve(
+        address token,
+        uint256 amount
+    ) external onlyRole(TREASURER_ROLE) {
+        require(token != address(0), "Invalid token address");
+        require(amount > 0, "Reserve amount must be greater than 0");
+
+        uint256 received = _pullTokens(token, msg.sender, amount);
+        interestReserve[token] += received;
+
+        emit InterestReserveFunded(token, msg.sender, received);
     }
 
-    //构造函数
-    constructor() {
-        admin = msg.sender;
-        paused = false;
+    /**
+     * @notice 取回多余的利息储备；用户已经赚到、尚未结算的利息对应的储备不能取走
+     */
+    function withdrawInterestReserve(
+        address token,
+        uint256 amount
+    ) external onlyRole(TREASURER_ROLE) {
+        _requireFreeReserve(token, amount);
+
+        interestReserve[token] -= amount;
+        IERC20(token).safeTransfer(msg.sender, amount);
+        _recordHoldings(token);
+
+        emit InterestReserveWithdrawn(token, msg.sender, amount);
     }
 
-    // ==================== Admin Functions ====================   管理员函数
+    // ==================== Core Functions ====================  核心函数
+    // deposit 和 openTermDeposit 按实际到账数量记账，收手续费的代币记的是扣费后的数量；transferAndCall 见 onTransferReceived
 
-    function pause() external onlyAdmin whenNotPaused {
-        paused = true;
-        emit Paused(msg.sender);
+    function deposit(
+        address token,
+        uint256 amount
+    ) external whenNotPaused(this.deposit.selector) {
+        _checkDeposit(token, msg.sender, amount);
+        require(amount > 0, "Deposit amount must be greater than 0");
+
+        uint256 received = _pullTokens(token, msg.sender, amount);
+        _creditDeposit(token, msg.sender, received);
     }
 
-    function unpause() external onlyAdmin whenPaused {
-        paused = false;
-        emit Unpaused(msg.sender);
+    /**
+     * @dev 代币已经到账后记入 user 的活期本金
+     */
+    function _creditDeposit(address token, address user, uint256 amount) internal {
+        // Settle pending interest before adding new deposit
+        _settleInterest(token, user);
+
+        _increasePrincipal(token, user, amount);
+
+        emit Deposit(token, user, amount);
     }
 
-    function transferOwnership(address newAdmin) external onlyAdmin {
-        require(
-            newAdmin != address(0),
-            "SmartTokenBank: new admin is zero address"
+    function withdraw(
+        address token,
+        uint256 amount
+    ) external whenNotPaused(this.withdraw.selector) {
+        require(token != address(0), "Invalid token address");
+        require(amount > 0, "Withdraw amount must be greater than 0");
+
+        (uint256 principalUsed, uint256 interestUsed) = _debit(
+            token,
+            msg.sender,
+            amount
         );
+        _syncPortfolio(token, msg.sender);
+
+        // Transfer to user
+        IERC20(token).safeTransfer(msg.sender, amount);
+        _recordHoldings(token);
+
+        emit Withdraw(token, msg.sender, principalUsed, interestUsed);
+    }
+
+    /**
+     * @notice 开启/关闭复利。开启时已结算的利息立即滚入本金，之后每秒按当时的利率复利计算
+     */
+    function setCompounding(
+        address token,
+        bool enabled
+    ) external whenNotPaused(this.setCompounding.selector) {
+        require(token != address(0), "Invalid token address");
         require(
-            newAdmin != admin,
-            "SmartTokenBank: new admin is same as current"
+            compounding[token][msg.sender] != enabled,
+            "SmartTokenBank: compounding already set"
         );
 
-        address previousAdmin = admin;
-        admin = newAdmin;
+        // 先按旧模式结算
+        _settleInterest(token, msg.sender);
+        compounding[token][msg.sender] = enabled;
+        _updateCompoundShare(token, msg.sender);
+
+        uint256 interest = accruedInterest[token][msg.sender];
+        if (enabled && interest > 0) {
+            accruedInterest[token][msg.sender] = 0;
+            totalAccruedInterest[token] -= interest;
+            _increasePrincipal(token, msg.sender, interest);
+        }
 
-        emit OwnershipTransferred(previousAdmin, newAdmin);
+        emit CompoundingChanged(token, msg.sender, enabled);
     }
 
-    // ==================== Core Functions ====================  核心函数
+    // ==================== Term Deposit Functions ==================== 定期存款
 
-    function deposit(address token, uint256 amount) external whenNotPaused {
-        require(token != address(0), "Invalid token address");
+    /**
+     * @notice 开一笔定期存款，需要先 approve。到期利息开户时就从空闲储备中预留，储备不足时无法开户
+     * @return id 定期存款编号
+     */
+    function openTermDeposit(
+        address token,
+        uint256 amount,
+        uint256 termDays
+    ) external whenNotPaused(this.openTermDeposit.selector) returns (uint256 id) {
+        _checkDeposit(token, msg.sender, amount);
         require(amount > 0, "Deposit amount must be greater than 0");
 
-        // Settle pending interest before adding new deposit
-        _settleInterest(token, msg.sender);
+        uint256 ratePerDay = _offeredTermRate(token, termDays);
 
-        IERC20(token).safeTransferFrom(msg.sender, address(this), amount);
+        // 本金按实际到账数量计算，先转入再核对储备，储备不足时整笔回滚
+        amount = _pullTokens(token, msg.sender, amount);
+        id = _openTermDeposit(token, msg.sender, amount, termDays, ratePerDay);
+    }
 
-        balances[token][msg.sender] += amount;
-        totalDeposits[token] += amount;
-        depositTimestamps[token][msg.sender] = block.timestamp;
+    function _offeredTermRate(
+        address token,
+        uint256 termDays
+    ) internal view returns (uint256 ratePerDay) {
+        ratePerDay = terms.rates[token][termDays];
+        require(ratePerDay > 0, "SmartTokenBank: term not offered");
+    }
 
-        emit Deposit(token, msg.sender, amount);
+    /**
+     * @dev 储备中扣除活期用户已经赚到、尚未结算的利息后，至少还剩 amount
+     */
+    function _requireFreeReserve(address token, uint256 amount) internal {
+        _accrueRateIndex(token);
+        uint256 reserve = interestReserve[token];
+        uint256 pending = getTotalPendingInterest(token);
+        require(
+            reserve >= pending && amount <= reserve - pending,
+            "SmartTokenBank: reserve is committed"
+        );
     }
 
-    function withdraw(address token, uint256 amount) external whenNotPaused {
-        require(token != address(0), "Invalid token address");
-        require(amount > 0, "Withdraw amount must be greater than 0");
+    /**
+     * @dev 代币已经到账后开户，调用方负责检查存款限制和期限
+     */
+    function _openTermDeposit(
+        address token,
+        address owner,
+        uint256 amount,
+        uint256 termDays,
+        uint256 ratePerDay
+    ) internal returns (uint256 id) {
+        uint256 interest;
+        (id, interest) = terms.open(token, owner, amount, termDays, ratePerDay);
+
+        // 活期用户已经赚到的利息优先，只能占用剩余的储备
+        _requireFreeReserve(token, interest);
+        interestReserve[token] -= interest;
+        _syncPortfolio(token, owner);
+    }
 
-        // Settle pending interest first
-        _settleInterest(token, msg.sender);
+    /**
+     * @notice 到期后取回本金和利息，到期后不再计息
+     */
+    function redeemTermDeposit(
+        uint256 id
+    ) external whenNotPaused(this.redeemTermDeposit.selector) {
+        _afterTermPayout(terms.redeem(id, msg.sender));
+    }
 
-        uint256 principal = balances[token][msg.sender];         //本金
-        uint256 interest = accruedInterest[token][msg.sender];   //利息
-        uint256 totalAvailable = principal + interest;           //总金额
+    /**
+     * @notice 到期前提前支取：退还全部本金，放弃全部利息
+     */
+    function breakTermDeposit(
+        uint256 id
+    ) external whenNotPaused(this.breakTermDeposit.selector) {
+        // 罚没的利息退回储备
+        _afterTermPayout(terms.breakEarly(interestReserve, id, msg.sender));
+    }
 
-        require(amount <= totalAvailable, "Insufficient balance");
+    // ==================== Emergency Functions ==================== 紧急模式
 
-        // Deduct from interest first, then from principal
-        uint256 interestUsed = 0;
-        uint256 principalUsed = 0;
+    /**
+     * @notice 紧急模式下取回全部活期本金，不结算利息：未结算的利息作废，已结算的利息保留在账上。暂停时也可以调用
+     */
+    function emergencyWithdraw(address token) external whenEmergency {
+        uint256 principal = balances[token][msg.sender];
+        require(principal > 0, "Insufficient balance");
 
-        if (amount <= interest) {
-            // Only use interest
-            interestUsed = amount;
-        } else {
-            // Use all interest + some principal
-            interestUsed = interest;
-            principalUsed = amount - interest;
-        }
+        _decreasePrincipal(token, msg.sender, principal);
+        depositTimestamps[token][msg.sender] = 0;
+        _syncPortfolio(token, msg.sender);
 
-        // Update state
-        accruedInterest[token][msg.sender] -= interestUsed;
-        balances[token][msg.sender] -= principalUsed;
-        totalDeposits[token] -= principalUsed;
+        IERC20(token).safeTransfer(msg.sender, principal);
+        _recordHoldings(token);
 
-        // Reset timestamp if still has principal
-        if (balances[token][msg.sender] > 0) {
-            depositTimestamps[token][msg.sender] = block.timestamp;
-        } else {
-            depositTimestamps[token][msg.sender] = 0;
-        }
+        emit EmergencyWithdraw(token, msg.sender, 0, principal);
+    }
 
-        // Transfer to user
-        IERC20(token).safeTransfer(msg.sender, amount);
+    /**
+     * @notice 紧急模式下取回定期存款本金，不论是否到期，预留的利息退回储备
+     */
+    function emergencyWithdrawTermDeposit(uint256 id) external whenEmergency {
+        _afterTermPayout(terms.emergencyWithdraw(interestReserve, id, msg.sender));
+    }
 
-        emit Withdraw(token, msg.sender, principalUsed, interestUsed);
+    /**
+     * @dev 定期存款的本金转给调用者之后更新持仓和持有量快照
+     */
+    function _afterTermPayout(address token) internal {
+        _recordHoldings(token);
+        _syncPortfolio(token, msg.sender);
     }
 
+    /**
+     * @dev transferAndCall 存款。data 为空时记到 from 名下的活期；否则为
+     * abi.encode(address beneficiary, uint256 termDays, bytes32 referralCode)：
+     *  - beneficiary：记到谁名下，address(0) 表示 from
+     *  - termDays：0 表示活期，否则按该期限开定期存款（受 openTermDeposit 的暂停控制）
+     *  - referralCode：非 0 时发出 Referral 事件
+     * 存款限制按 beneficiary 检查。
+     * 按 value 记账，前提是持有量比银行上次收付之后的快照至少多出 value：收手续费的代币到账不足时整笔回滚，
+     * 别人直接转进来的代币不会记到这次存款里。快照之后发生的 rebase 下调要等银行下一次收付这个代币才会计入
+     */
     function onTransferReceived(
         address,
         address from,
         uint256 value,
-        bytes calldata
-    ) external whenNotPaused returns (bytes4) {
+        bytes calldata data
+    ) external whenNotPaused(this.onTransferReceived.selector) returns (bytes4) {
         require(
             _isContract(msg.sender),
             "SmartTokenBank: caller must be a contract"
@@ -166,54 +462,167 @@ contract SmartTokenBank is ITokenRecipient {
 
         address token = msg.sender;
 
-        // Validate actual token transfer
-        uint256 contractBalance = IERC20(token).balanceOf(address(this));
-        uint256 expectedBalance = totalDeposits[token] + value;
+        // 代币已经先转进来了，和转账前的快照对比
+        require(value > 0, "SmartTokenBank: nothing received");
+        uint256 held = IERC20(token).balanceOf(address(this));
         require(
-            contractBalance >= expectedBalance,
-            "SmartTokenBank: actual received less than claimed value"
+            held >= holdingsSnapshot[token] + value,
+            "SmartTokenBank: value not received"
         );
+        holdingsSnapshot[token] = held;
 
-        // Settle pending interest before adding new deposit
-        _settleInterest(token, from);
+        (address beneficiary, uint256 termDays, bytes32 referralCode) =
+            _decodeDepositData(from, data);
+        _checkDeposit(token, beneficiary, value);
 
-        balances[token][from] += value;
-        totalDeposits[token] += value;
-        depositTimestamps[token][from] = block.timestamp;
+        if (termDays == 0) {
+            _creditDeposit(token, beneficiary, value);
+        } else {
+            _requireNotPaused(this.openTermDeposit.selector);
+            _openTermDeposit(
+                token,
+                beneficiary,
+                value,
+                termDays,
+                _offeredTermRate(token, termDays)
+            );
+        }
 
-        emit Deposit(token, from, value);
+        if (referralCode != bytes32(0)) {
+            emit Referral(token, beneficiary, referralCode, value);
+        }
 
         return ITokenRecipient.onTransferReceived.selector;
     }
 
+    /**
+     * @dev 解析 onTransferReceived 的 data，格式见 onTransferReceived
+     */
+    function _decodeDepositData(
+        address from,
+        bytes calldata data
+    )
+        internal
+        view
+        returns (address beneficiary, uint256 termDays, bytes32 referralCode)
+    {
+        if (data.length == 0) {
+            return (from, 0, bytes32(0));
+        }
+        require(data.length == 96, "SmartTokenBank: invalid deposit data");
+
+        (beneficiary, termDays, referralCode) = abi.decode(
+            data,
+            (address, uint256, bytes32)
+        );
+        if (beneficiary == address(0)) {
+            beneficiary = from;
+        }
+        require(
+            beneficiary != address(this),
+            "SmartTokenBank: invalid beneficiary"
+        );
+    }
+
     // ==================== Interest Functions ====================
 
+    /**
+     * @notice 代币当前的日利率（1e18 = 100%）
+     */
+    function getInterestRate(address token) public view returns (uint256) {
+        uint256 length = rateHistory[token].length;
+        if (length == 0) {
+            return DEFAULT_RATE_PER_DAY;
+        }
+        return rateHistory[token][length - 1].ratePerDay;
+    }
+
+    /**
+     * @notice 代币的利率调整历史
+     */
+    function getRateHistory(
+        address token
+    ) external view returns (RateCheckpoint[] memory) {
+        return rateHistory[token];
+    }
+
+    /**
+     * @notice 累计到当前区块的利率指数
+     */
+    function currentRateIndex(address token) public view returns (uint256) {
+        uint256 updatedAt = rateIndexUpdatedAt[token];
+        if (updatedAt == 0) {
+            return rateIndex[token];
+        }
+        return
+            rateIndex[token] +
+            getInterestRate(token) *
+            (block.timestamp - updatedAt);
+    }
+
     /**
      * @notice Calculate pending interest (not yet settled)
      */
-     //待结算利息计算器：只算完整天、基于当前本金和上次结算时间，返回你“还没落袋但已经赚到”的利息。
+     //待结算利息计算器：按秒计息，每段时间使用当时生效的利率，返回你“还没落袋但已经赚到”的利息。
     function calculatePendingInterest(
         address token,
         address user
     ) public view returns (uint256) {
-        uint256 principal = balances[token][user];
-        uint256 depositTime = depositTimestamps[token][user];
-
-        if (principal == 0 || depositTime == 0) {
-            return 0;
-        }
-
-        uint256 timeElapsed = block.timestamp - depositTime;
-        uint256 daysElapsed = timeElapsed / SECONDS_PER_DAY;
+        uint256 interest = _uncappedPendingInterest(token, user);
+        // 不超过当前利息储备：储备不足时只能结算储备里剩下的部分
+        uint256 reserve = interestReserve[token];
+        return interest < reserve ? interest : reserve;
+    }
 
-        if (daysElapsed == 0) {
-            return 0;
-        }
+    /**
+     * @notice 全部用户按利率应得、尚未结算的利息之和（不按储备封顶）
+     * @dev 先按单利计算全部用户，再加上复利用户按 compoundIndex 估算的利息上界。
+     * 复利用户的单利部分因此计算了两次，结果只会偏大，不会少于结算时实际要付的利息
+     */
+    function getTotalPendingInterest(
+        address token
+    ) public view returns (uint256) {
+        uint256 weighted = currentRateIndex(token) * totalDeposits[token];
+        uint256 compounded = Math.ceilDiv(
+            _currentCompoundIndex(token) * compoundWeight[token],
+            RATE_PRECISION
+        );
+        return
+            (weighted - totalIndexWeight[token]) /
+            (SECONDS_PER_DAY * RATE_PRECISION) +
+            compounded -
+            compoundingDeposits[token];
+    }
 
-        uint256 interest = (principal * daysElapsed * INTEREST_RATE_NUMERATOR) /
-            INTEREST_RATE_DENOMINATOR;
+    /**
+     * @notice 代币的偿付能力：用户本金 + 已结算利息 + 储备 对比 合约实际持有量
+     */
+    function getSolvency(
+        address token
+    ) external view returns (Solvency memory report) {
+        report.holdings = IERC20(token).balanceOf(address(this));
+        report.deposits = totalDeposits[token];
+        report.accruedInterest = totalAccruedInterest[token];
+        report.pendingInterest = getTotalPendingInterest(token);
+        report.reserve = interestReserve[token];
+        report.reserveShortfall = report.pendingInterest > report.reserve
+            ? report.pendingInterest - report.reserve
+            : 0;
+        report.termDeposits = terms.totalPrincipal[token];
+        report.termInterest = terms.interestCommitted[token];
+        report.solvent = report.holdings >= _accountedBalance(token);
+    }
 
-        return interest;
+    /**
+     * @dev 合约应当持有的代币：用户本金 + 已结算利息 + 储备 + 定期本金 + 定期预留利息
+     */
+    function _accountedBalance(address token) internal view returns (uint256) {
+        return
+            totalDeposits[token] +
+            totalAccruedInterest[token] +
+            interestReserve[token] +
+            terms.totalPrincipal[token] +
+            terms.interestCommitted[token];
     }
 
     /**
@@ -258,18 +667,269 @@ contract SmartTokenBank is ITokenRecipient {
      */
      //一次性返回本金、已赚利息、正在赚的利息、总收益、总资产，让用户和前端对存款情况一目了然
     function _settleInterest(address token, address user) internal {
+        _accrueRateIndex(token);
+
+        uint256 earned = _uncappedPendingInterest(token, user);
         uint256 pending = calculatePendingInterest(token, user);
+
+        uint256 principal = balances[token][user];
+        uint256 newIndex = rateIndex[token];
+        totalIndexWeight[token] =
+            totalIndexWeight[token] +
+            principal *
+            newIndex -
+            principal *
+            userRateIndex[token][user];
+        userRateIndex[token][user] = newIndex;
+        _updateCompoundShare(token, user);
+
         if (pending > 0) {
-            accruedInterest[token][user] += pending;
+            // 利息从储备划到用户名下
+            interestReserve[token] -= pending;
+            if (compounding[token][user]) {
+                // 复利：利息直接滚入本金
+                _increasePrincipal(token, user, pending);
+            } else {
+                accruedInterest[token][user] += pending;
+                totalAccruedInterest[token] += pending;
+            }
+        }
+        if (earned > pending) {
+            emit InterestShortfall(token, user, earned - pending);
         }
+
         // Reset timestamp for next calculation period
         if (balances[token][user] > 0) {
             depositTimestamps[token][user] = block.timestamp;
         }
     }
 
+    function _uncappedPendingInterest(
+        address token,
+        address user
+    ) internal view returns (uint256) {
+        uint256 principal = balances[token][user];
+        uint256 depositTime = depositTimestamps[token][user];
+        if (principal == 0 || depositTime == 0) {
+            return 0;
+        }
+
+        if (!compounding[token][user]) {
+            uint256 indexDelta = currentRateIndex(token) -
+                userRateIndex[token][user];
+            return
+                (principal * indexDelta) / (SECONDS_PER_DAY * RATE_PRECISION);
+        }
+
+        // 复利：本息按上次结算以来复利指数的增长倍数计算，每段时间只按当时的利率滚存
+        return
+            (principal * _currentCompoundIndex(token)) /
+            compoundShares[token][user].index -
+            principal;
+    }
+
+    /**
+     * @dev 累计到当前区块的复利指数：上次累计以来利率没有变过，每秒按 1 + 日利率 / 86400 滚存
+     */
+    function _currentCompoundIndex(address token) internal view returns (uint256) {
+        uint256 updatedAt = rateIndexUpdatedAt[token];
+        if (updatedAt == 0) {
+            return RATE_PRECISION;
+        }
+        uint256 elapsed = block.timestamp - updatedAt;
+        if (elapsed > MAX_COMPOUND_DAYS * SECONDS_PER_DAY) {
+            elapsed = MAX_COMPOUND_DAYS * SECONDS_PER_DAY;
+        }
+        uint256 growth = _rpow(
+            RATE_PRECISION + getInterestRate(token) / SECONDS_PER_DAY,
+            elapsed
+        );
+        return (compoundIndex[token] * growth) / RATE_PRECISION;
+    }
+
+    /**
+     * @dev 定点数幂运算（平方求幂），x 以 RATE_PRECISION 为精度，O(log n)
+     */
+    function _rpow(uint256 x, uint256 n) internal pure returns (uint256 z) {
+        z = RATE_PRECISION;
+        while (n > 0) {
+            if (n % 2 == 1) {
+                z = (z * x) / RATE_PRECISION;
+            }
+            n /= 2;
+            if (n > 0) {
+                x = (x * x) / RATE_PRECISION;
+            }
+        }
+    }
+
+    /**
+     * @dev 结算利息后从 user 的余额中扣除 amount，先扣利息再扣本金
+     */
+    function _debit(
+        address token,
+        address user,
+        uint256 amount
+    ) internal returns (uint256 principalUsed, uint256 interestUsed) {
+        // Settle pending interest first
+        _settleInterest(token, user);
+
+        uint256 principal = balances[token][user];         //本金
+        uint256 interest = accruedInterest[token][user];   //利息
+        uint256 totalAvailable = principal + interest;     //总金额
+
+        require(amount <= totalAvailable, "Insufficient balance");
+
+        // Deduct from interest first, then from principal
+        if (amount <= interest) {
+            // Only use interest
+            interestUsed = amount;
+        } else {
+            // Use all interest + some principal
+            interestUsed = interest;
+            principalUsed = amount - interest;
+        }
+
+        // Update state
+        accruedInterest[token][user] -= interestUsed;
+        totalAccruedInterest[token] -= interestUsed;
+        _decreasePrincipal(token, user, principalUsed);
+
+        // Reset timestamp if still has principal
+        if (balances[token][user] > 0) {
+            depositTimestamps[token][user] = block.timestamp;
+        } else {
+            depositTimestamps[token][user] = 0;
+        }
+    }
+
+    /**
+     * @dev 账户间转账：双方先结算利息，转出方先扣利息再扣本金，转入方全部记为本金
+     */
+    function _moveBalance(
+        address token,
+        address from,
+        address to,
+        uint256 amount
+    ) internal override {
+        _debit(token, from, amount);
+        _settleInterest(token, to);
+        _increasePrincipal(token, to, amount);
+    }
+
+    /**
+     * @dev 增加本金，调用前必须已经 _settleInterest（userRateIndex 等于当前指数）
+     */
+    function _increasePrincipal(
+        address token,
+        address user,
+        uint256 amount
+    ) internal {
+        balances[token][user] += amount;
+        totalDeposits[token] += amount;
+        totalIndexWeight[token] += amount * userRateIndex[token][user];
+        _updateCompoundShare(token, user);
+        depositTimestamps[token][user] = block.timestamp;
+        _syncPortfolio(token, user);
+    }
+
+    /**
+     * @dev 减少本金，调用前必须已经 _settleInterest
+     */
+    function _decreasePrincipal(
+        address token,
+        address user,
+        uint256 amount
+    ) internal {
+        balances[token][user] -= amount;
+        totalDeposits[token] -= amount;
+        totalIndexWeight[token] -= amount * userRateIndex[token][user];
+        _updateCompoundShare(token, user);
+    }
+
+    /**
+     * @dev 按当前本金和 compoundIndex 重新记录复利用户的快照，并更新全部复利用户的统计，单利用户为空。
+     * 调用前必须已经 _accrueRateIndex
+     */
+    function _updateCompoundShare(address token, address user) internal {
+        CompoundShare storage share = compoundShares[token][user];
+        uint256 principal = compounding[token][user] ? balances[token][user] : 0;
+        uint256 index = principal == 0 ? 0 : compoundIndex[token];
+
+        compoundingDeposits[token] = compoundingDeposits[token] + principal - share.principal;
+        compoundWeight[token] =
+            compoundWeight[token] +
+            _compoundWeight(principal, index) -
+            _compoundWeight(share.principal, share.index);
+        share.principal = principal;
+        share.index = index;
+    }
+
+    /**
+     * @dev 本金 / 结算时的复利指数，向上取整，所以估算的本息只会偏大
+     */
+    function _compoundWeight(
+        uint256 principal,
+        uint256 index
+    ) internal pure returns (uint256) {
+        return principal == 0 ? 0 : (principal * RATE_PRECISION) / index + 1;
+    }
+
+    /**
+     * @dev 从 from 转入 amount，返回实际到账的数量
+     */
+    function _pullTokens(
+        address token,
+        address from,
+        uint256 amount
+    ) internal returns (uint256 received) {
+        uint256 balanceBefore = IERC20(token).balanceOf(address(this));
+        IERC20(token).safeTransferFrom(from, address(this), amount);
+        uint256 balanceAfter = IERC20(token).balanceOf(address(this));
+        received = balanceAfter - balanceBefore;
+        require(received > 0, "SmartTokenBank: nothing received");
+        holdingsSnapshot[token] = balanceAfter;
+    }
+
+    /**
+     * @dev 代币转出之后记录持有量快照
+     */
+    function _recordHoldings(address token) internal {
+        holdingsSnapshot[token] = IERC20(token).balanceOf(address(this));
+    }
+
+    /**
+     * @dev 按当前利率把指数累计到当前区块
+     */
+    function _accrueRateIndex(address token) internal {
+        compoundIndex[token] = _currentCompoundIndex(token);
+        rateIndex[token] = currentRateIndex(token);
+        rateIndexUpdatedAt[token] = block.timestamp;
+    }
+
     // ==================== View Functions ==================== 查看函数
 
+    function _userPrincipal(
+        address token,
+        address user
+    ) internal view override returns (uint256) {
+        return balances[token][user] + terms.userPrincipal[token][user];
+    }
+
+    function _totalPrincipal(
+        address token
+    ) internal view override returns (uint256) {
+        return totalDeposits[token] + terms.totalPrincipal[token];
+    }
+
+    // 活期利息（已结算 + 未结算），定期利息见 getTermDeposits
+    function _userInterest(
+        address token,
+        address user
+    ) internal view override returns (uint256) {
+        return getTotalInterest(token, user);
+    }
+
     function _isContract(address account) internal view returns (bool) {
         return account.code.length > 0;
     }
@@ -292,6 +952,53 @@ contract SmartTokenBank is ITokenRecipient {
         return userBalances;
     }
 
+    function getTermDeposit(
+        uint256 id
+    ) external view returns (SmartTokenBankTerms.TermDeposit memory) {
+        return terms.deposits[id];
+    }
+
+    /**
+     * @notice 用户所有未结清的定期存款（顺序不固定）
+     */
+    function getTermDeposits(
+        address user
+    ) external view returns (SmartTokenBankTerms.TermDeposit[] memory) {
+        return terms.list(user);
+    }
+
+    // token -> 期限（天） -> 日利率，0 表示不提供该期限
+    function termRates(
+        address token,
+        uint256 termDays
+    ) external view returns (uint256) {
+        return terms.rates[token][termDays];
+    }
+
+    function nextTermDepositId() external view returns (uint256) {
+        return terms.count + 1;
+    }
+
+    // token -> 未结清的定期本金
+    function totalTermDeposits(address token) external view returns (uint256) {
+        return terms.totalPrincipal[token];
+    }
+
+    // token -> 为未结清定期存款预留的利息
+    function termInterestCommitted(
+        address token
+    ) external view returns (uint256) {
+        return terms.interestCommitted[token];
+    }
+
+    // token -> user -> 未结清的定期本金
+    function userTermPrincipal(
+        address token,
+        address user
+    ) external view returns (uint256) {
+        return terms.userPrincipal[token][user];
+    }
+
     function getDepositTimestamp(
         address token,
         address user
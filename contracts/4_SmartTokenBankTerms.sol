@@ -0,0 +1,240 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+
+/**
+ * @dev SmartTokenBank 的定期存款账本。作为外部库单独部署，银行通过 delegatecall 调用，数据仍然存在银行（或代理）的存储里，
+ * 这样定期存款的代码不计入 SmartTokenBank 的合约大小。
+ * 权限、暂停、储备是否够用和持仓同步由银行负责
+ */
+library SmartTokenBankTerms {
+    using SafeERC20 for IERC20;
+
+    uint256 internal constant RATE_PRECISION = 1e18;
+    uint256 internal constant SECONDS_PER_DAY = 86400;
+
+    // 定期存款：锁定期内按开户时的固定利率计息，到期一次性还本付息
+    struct TermDeposit {
+        uint256 id;
+        address token;
+        address owner;
+        uint256 principal;
+        uint256 ratePerDay;    // 开户时锁定的日利率，之后调整期限利率不影响
+        uint256 termDays;
+        uint256 startTime;
+        uint256 maturity;
+        uint256 interest;      // 到期应付利息，开户时从储备中划出
+    }
+
+    struct Book {
+        // token -> 期限（天） -> 日利率，0 表示不提供该期限
+        mapping(address => mapping(uint256 => uint256)) rates;
+        // id -> 定期存款，已结清的会被删除
+        mapping(uint256 => TermDeposit) deposits;
+        // user -> 未结清的定期存款 id
+        mapping(address => uint256[]) userIds;
+        // id -> 在 userIds 中的下标，删除时用来 O(1) 交换
+        mapping(uint256 => uint256) index;
+        // 已经开过的定期存款数量，编号从 1 开始
+        uint256 count;
+        // token -> 未结清的定期本金
+        mapping(address => uint256) totalPrincipal;
+        // token -> 为未结清定期存款预留的利息
+        mapping(address => uint256) interestCommitted;
+        // token -> user -> 未结清的定期本金，和活期本金一起计入 userCap
+        mapping(address => mapping(address => uint256)) userPrincipal;
+    }
+
+    // 与 SmartTokenBank 中的同名事件相同，由银行的地址发出
+    event TermDepositOpened(
+        uint256 indexed id,
+        address indexed token,
+        address indexed owner,
+        uint256 principal,
+        uint256 ratePerDay,
+        uint256 maturity
+    );
+    event TermDepositMatured(
+        uint256 indexed id,
+        address indexed token,
+        address indexed owner,
+        uint256 principal,
+        uint256 interest
+    );
+    event TermDepositBroken(
+        uint256 indexed id,
+        address indexed token,
+        address indexed owner,
+        uint256 principal,
+        uint256 forfeitedInterest
+    );
+    event EmergencyWithdraw(
+        address indexed token,
+        address indexed user,
+        uint256 termDepositId,
+        uint256 principal
+    );
+
+    /**
+     * @dev 记录一笔新开的定期存款，到期利息计入 interestCommitted。调用方负责收款，并从储备中划出返回的 interest
+     */
+    function open(
+        Book storage book,
+        address token,
+        address owner,
+        uint256 amount,
+        uint256 termDays,
+        uint256 ratePerDay
+    ) external returns (uint256 id, uint256 interest) {
+        id = ++book.count;
+        interest = (amount * ratePerDay * termDays) / RATE_PRECISION;
+        uint256 maturity = block.timestamp + termDays * SECONDS_PER_DAY;
+
+        book.deposits[id] = TermDeposit({
+            id: id,
+            token: token,
+            owner: owner,
+            principal: amount,
+            ratePerDay: ratePerDay,
+            termDays: termDays,
+            startTime: block.timestamp,
+            maturity: maturity,
+            interest: interest
+        });
+        book.index[id] = book.userIds[owner].length;
+        book.userIds[owner].push(id);
+        book.totalPrincipal[token] += amount;
+        book.interestCommitted[token] += interest;
+        book.userPrincipal[token][owner] += amount;
+
+        emit TermDepositOpened(id, token, owner, amount, ratePerDay, maturity);
+    }
+
+    /**
+     * @dev 到期后把本金和利息付给持有人
+     * @return token 定期存款的代币，调用方据此更新持仓
+     */
+    function redeem(
+        Book storage book,
+        uint256 id,
+        address caller
+    ) external returns (address token) {
+        TermDeposit memory position = _close(book, id, caller);
+        require(
+            block.timestamp >= position.maturity,
+            "SmartTokenBank: term not matured"
+        );
+
+        IERC20(position.token).safeTransfer(
+            caller,
+            position.principal + position.interest
+        );
+
+        emit TermDepositMatured(
+            id,
+            position.token,
+            caller,
+            position.principal,
+            position.interest
+        );
+        return position.token;
+    }
+
+    /**
+     * @dev 到期前提前支取：退还全部本金，罚没的利息退回储备 reserve
+     */
+    function breakEarly(
+        Book storage book,
+        mapping(address => uint256) storage reserve,
+        uint256 id,
+        address caller
+    ) external returns (address token) {
+        TermDeposit memory position = _close(book, id, caller);
+        require(
+            block.timestamp < position.maturity,
+            "SmartTokenBank: term already matured"
+        );
+        _returnPrincipal(reserve, position, caller);
+
+        emit TermDepositBroken(
+            id,
+            position.token,
+            caller,
+            position.principal,
+            position.interest
+        );
+        return position.token;
+    }
+
+    /**
+     * @dev 紧急模式下不论是否到期都退还本金，预留的利息退回储备 reserve
+     */
+    function emergencyWithdraw(
+        Book storage book,
+        mapping(address => uint256) storage reserve,
+        uint256 id,
+        address caller
+    ) external returns (address token) {
+        TermDeposit memory position = _close(book, id, caller);
+        _returnPrincipal(reserve, position, caller);
+
+        emit EmergencyWithdraw(position.token, caller, id, position.principal);
+        return position.token;
+    }
+
+    /**
+     * @dev 校验调用者并删除一笔定期存款，返回删除前的内容。预留的利息从 interestCommitted 中扣除，
+     * 由调用方付给用户或退回储备
+     */
+    function _close(
+        Book storage book,
+        uint256 id,
+        address caller
+    ) private returns (TermDeposit memory position) {
+        position = book.deposits[id];
+        require(position.owner != address(0), "SmartTokenBank: unknown term deposit");
+        require(
+            position.owner == caller,
+            "SmartTokenBank: caller is not position owner"
+        );
+
+        // 与最后一个交换后弹出
+        uint256[] storage ids = book.userIds[position.owner];
+        uint256 index = book.index[id];
+        uint256 lastId = ids[ids.length - 1];
+        ids[index] = lastId;
+        book.index[lastId] = index;
+        ids.pop();
+        delete book.index[id];
+        delete book.deposits[id];
+
+        book.totalPrincipal[position.token] -= position.principal;
+        book.interestCommitted[position.token] -= position.interest;
+        book.userPrincipal[position.token][position.owner] -= position.principal;
+    }
+
+    function _returnPrincipal(
+        mapping(address => uint256) storage reserve,
+        TermDeposit memory position,
+        address to
+    ) private {
+        reserve[position.token] += position.interest;
+        IERC20(position.token).safeTransfer(to, position.principal);
+    }
+
+    /**
+     * @dev 用户所有未结清的定期存款（顺序不固定）
+     */
+    function list(
+        Book storage book,
+        address user
+    ) external view returns (TermDeposit[] memory positions) {
+        uint256[] storage ids = book.userIds[user];
+        positions = new TermDeposit[](ids.length);
+        for (uint256 i = 0; i < ids.length; i++) {
+            positions[i] = book.deposits[ids[i]];
+        }
+    }
+}
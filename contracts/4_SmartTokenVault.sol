@@ -0,0 +1,175 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC4626.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "./4_ITokenRecipient.sol";
+import "./4_SmartTokenBank.sol";
+
+/**
+ * @dev SmartTokenBank 活期存款的 ERC-4626 份额，每个代币部署一个金库。
+ * 金库把收到的代币全部存进银行，以自己的名义持有一个开启复利的活期账户；份额是普通的 ERC20，
+ * 可以转让、抵押，也能在钱包里显示。
+ *  - totalAssets 就是金库账户的 getBalanceInfo(...).total（本金 + 已结算和待结算的利息），
+ *    previewDeposit/previewRedeem 等换算都以它为准，利息按份额比例归全体持有人
+ *  - 可以 deposit/mint，也可以直接 transferAndCall 到金库，两种方式都铸造份额
+ *  - 银行的白名单、存款限制和暂停对金库整体生效，userCap 限制的是金库账户的总本金
+ *  - 份额比资产多 DECIMALS_OFFSET 位小数，见 _decimalsOffset
+ * 到账数量和转账数量不一致的代币（收手续费、rebasing）不适用
+ */
+contract SmartTokenVault is ERC4626, ITokenRecipient {
+    using SafeERC20 for IERC20;
+
+    SmartTokenBank public immutable bank;
+
+    // 份额相对资产多出的小数位数
+    uint8 public constant DECIMALS_OFFSET = 6;
+
+    constructor(
+        SmartTokenBank bank_,
+        IERC20 asset_,
+        string memory name_,
+        string memory symbol_
+    ) ERC20(name_, symbol_) ERC4626(asset_) {
+        require(address(bank_) != address(0), "SmartTokenVault: invalid bank");
+        bank = bank_;
+
+        asset_.safeApprove(address(bank_), type(uint256).max);
+        // 利息滚入本金，份额的价值随之增长
+        bank_.setCompounding(address(asset_), true);
+    }
+
+    /**
+     * @notice 金库在银行的全部资产：本金 + 已结算和待结算的利息，与 getBalanceInfo 一致
+     */
+    function totalAssets() public view override returns (uint256) {
+        (, , , , uint256 total) = bank.getBalanceInfo(asset(), address(this));
+        return total;
+    }
+
+    /**
+     * @notice 还能存入的数量：银行暂停存款或代币不在白名单时为 0，否则受 userCap、tvlCap 的剩余额度限制
+     */
+    function maxDeposit(address) public view override returns (uint256) {
+        address token = asset();
+        if (_bankPaused(bank.deposit.selector) || !bank.tokenAllowed(token)) {
+            return 0;
+        }
+
+        (, uint256 userCap, uint256 tvlCap) = bank.tokenLimits(token);
+        uint256 room = type(uint256).max;
+        if (userCap > 0) {
+            room = _remaining(userCap, bank.balances(token, address(this)));
+        }
+        if (tvlCap > 0) {
+            uint256 tvl = bank.totalDeposits(token) + bank.totalTermDeposits(token);
+            room = Math.min(room, _remaining(tvlCap, tvl));
+        }
+        return room;
+    }
+
+    /**
+     * @dev 任何人都可以通过 bank.transferInternal 把余额直接转给金库账户，抬高第一笔存款之前的份额价格，
+     * 让后来者的份额被取整成 0。份额多出 6 位小数后，攻击者至少要捐出受害者存款的一百万倍才能做到，
+     * 而且捐出的资产大部分归后来的存款人
+     */
+    function _decimalsOffset() internal pure override returns (uint8) {
+        return DECIMALS_OFFSET;
+    }
+
+    function maxMint(address receiver) public view override returns (uint256) {
+        uint256 assets = maxDeposit(receiver);
+        return assets == type(uint256).max ? assets : previewDeposit(assets);
+    }
+
+    /**
+     * @notice 银行暂停取款时为 0
+     */
+    function maxWithdraw(address owner) public view override returns (uint256) {
+        return _bankPaused(bank.withdraw.selector) ? 0 : super.maxWithdraw(owner);
+    }
+
+    function maxRedeem(address owner) public view override returns (uint256) {
+        return _bankPaused(bank.withdraw.selector) ? 0 : super.maxRedeem(owner);
+    }
+
+    /**
+     * @notice SmartToken.transferAndCall 存入，按到账前的份额价格给 receiver 铸造份额
+     * @dev data 为空时份额记给 from，否则为 abi.encode(address receiver)
+     */
+    function onTransferReceived(
+        address,
+        address from,
+        uint256 value,
+        bytes calldata data
+    ) external returns (bytes4) {
+        require(msg.sender == asset(), "SmartTokenVault: unsupported token");
+
+        address receiver = from;
+        if (data.length > 0) {
+            require(data.length == 32, "SmartTokenVault: invalid deposit data");
+            receiver = abi.decode(data, (address));
+        }
+        require(value <= maxDeposit(receiver), "ERC4626: deposit more than max");
+
+        // 代币已经在金库里，但还没存进银行，不影响 totalAssets
+        _depositToBank(from, receiver, value, previewDeposit(value));
+
+        return ITokenRecipient.onTransferReceived.selector;
+    }
+
+    function _deposit(
+        address caller,
+        address receiver,
+        uint256 assets,
+        uint256 shares
+    ) internal override {
+        IERC20(asset()).safeTransferFrom(caller, address(this), assets);
+        _depositToBank(caller, receiver, assets, shares);
+    }
+
+    /**
+     * @dev 先烧份额，再从银行取出（银行先扣利息再扣本金）转给 receiver
+     */
+    function _withdraw(
+        address caller,
+        address receiver,
+        address owner,
+        uint256 assets,
+        uint256 shares
+    ) internal override {
+        if (caller != owner) {
+            _spendAllowance(owner, caller, shares);
+        }
+        _burn(owner, shares);
+
+        bank.withdraw(asset(), assets);
+        IERC20(asset()).safeTransfer(receiver, assets);
+
+        emit Withdraw(caller, receiver, owner, assets, shares);
+    }
+
+    /**
+     * @dev 把金库里的 assets 存进银行并铸造份额，shares 必须在存入前按旧的 totalAssets 算好
+     */
+    function _depositToBank(
+        address caller,
+        address receiver,
+        uint256 assets,
+        uint256 shares
+    ) private {
+        bank.deposit(asset(), assets);
+        _mint(receiver, shares);
+
+        emit Deposit(caller, receiver, assets, shares);
+    }
+
+    function _bankPaused(bytes4 selector) private view returns (bool) {
+        return bank.paused() || bank.functionPaused(selector);
+    }
+
+    function _remaining(uint256 cap, uint256 used) private pure returns (uint256) {
+        return cap > used ? cap - used : 0;
+    }
+}
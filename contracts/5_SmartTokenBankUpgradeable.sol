@@ -0,0 +1,22 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/proxy/utils/Initializable.sol";
+import "./4_SmartTokenBank.sol";
+
+/**
+ * @dev 部署在 TransparentUpgradeableProxy 后面的 SmartTokenBank，初始化和存储布局的约定见 TokenBankUpgradeable。
+ * 定期存款的逻辑在外部库 SmartTokenBankTerms 里，部署实现合约时需要链接已经部署的库
+ */
+contract SmartTokenBankUpgradeable is Initializable, SmartTokenBank {
+    constructor() {
+        _disableInitializers();
+    }
+
+    /**
+     * @notice 代理的初始化，调用者成为管理员并拥有全部角色，与 SmartTokenBank 的构造函数一致
+     */
+    function initialize() external initializer {
+        _grantInitialRoles(msg.sender);
+    }
+}
@@ -0,0 +1,31 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/proxy/utils/Initializable.sol";
+// 部署脚本使用的透明代理和代理管理合约，在这里引入以生成 artifact
+import "@openzeppelin/contracts/proxy/transparent/ProxyAdmin.sol";
+import "@openzeppelin/contracts/proxy/transparent/TransparentUpgradeableProxy.sol";
+import "./3_TokenBank.sol";
+
+/**
+ * @dev 部署在 TransparentUpgradeableProxy 后面的 TokenBank，修复问题时只需要换实现合约，用户余额留在代理里。
+ * 构造函数只作用于实现合约自己的存储，代理的初始状态由 initialize 设置（部署代理时一起调用），
+ * 实现合约本身的 initialize 被禁用。
+ * 升级由 ProxyAdmin 负责，实现合约里没有升级逻辑。Initializable 放在继承列表最前面，
+ * 它的状态变量占据最前面的槽位，之后给 TokenBank 末尾追加状态变量不会挪动已有的槽位；
+ * 给共用的基础合约（0_Bank*.sol）加状态变量时要从该合约的 __gap 里扣除同样的槽位数。
+ * 升级前用 scripts/upgrade.js 检查存储布局是否兼容
+ */
+contract TokenBankUpgradeable is Initializable, TokenBank {
+    constructor() {
+        _disableInitializers();
+    }
+
+    /**
+     * @notice 代理的初始化，调用者成为管理员并拥有全部角色，与 TokenBank 的构造函数一致
+     */
+    function initialize() external initializer {
+        _grantInitialRoles(msg.sender);
+        nextQueuedWithdrawalId = 1;
+    }
+}
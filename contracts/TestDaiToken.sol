@@ -0,0 +1,49 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.26;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+
+// 测试用：按 DAI 的 permit 格式实现，报错信息也与 DAI 一致
+contract TestDaiToken is ERC20, EIP712 {
+    bytes32 public constant PERMIT_TYPEHASH =
+        keccak256(
+            "Permit(address holder,address spender,uint256 nonce,uint256 expiry,bool allowed)"
+        );
+
+    mapping(address => uint256) public nonces;
+
+    constructor() ERC20("Test Dai Token", "TDAI") EIP712("Test Dai Token", "1") {
+        _mint(msg.sender, 1000000 * 10 ** decimals());
+    }
+
+    function DOMAIN_SEPARATOR() external view returns (bytes32) {
+        return _domainSeparatorV4();
+    }
+
+    // expiry 为 0 表示永不过期
+    function permit(
+        address holder,
+        address spender,
+        uint256 nonce,
+        uint256 expiry,
+        bool allowed,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external {
+        bytes32 digest = _hashTypedDataV4(
+            keccak256(
+                abi.encode(PERMIT_TYPEHASH, holder, spender, nonce, expiry, allowed)
+            )
+        );
+
+        require(holder != address(0), "Dai/invalid-address-0");
+        require(holder == ECDSA.recover(digest, v, r, s), "Dai/invalid-permit");
+        require(expiry == 0 || block.timestamp <= expiry, "Dai/permit-expired");
+        require(nonce == nonces[holder]++, "Dai/invalid-nonce");
+
+        _approve(holder, spender, allowed ? type(uint256).max : 0);
+    }
+}
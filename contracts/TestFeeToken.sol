@@ -0,0 +1,38 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.26;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "./4_ITokenRecipient.sol";
+
+// 测试用：每笔转账按 feeBps 扣手续费并销毁，收款方实际到账少于转账数量
+contract TestFeeToken is ERC20 {
+    uint256 public feeBps = 100; // 1%
+
+    constructor() ERC20("Test Fee Token", "TFEE") {
+        _mint(msg.sender, 1000000 * 10 ** decimals());
+    }
+
+    function setFeeBps(uint256 newFeeBps) external {
+        require(newFeeBps <= 10000, "TestFeeToken: fee too high");
+        feeBps = newFeeBps;
+    }
+
+    // 和 SmartToken 一样在转账后回调收款合约，回调里的 value 是扣费前的数量
+    function transferAndCall(address to, uint256 value) external returns (bool) {
+        transfer(to, value);
+        require(
+            ITokenRecipient(to).onTransferReceived(msg.sender, msg.sender, value, "") ==
+                ITokenRecipient.onTransferReceived.selector,
+            "TestFeeToken: invalid return value"
+        );
+        return true;
+    }
+
+    function _transfer(address from, address to, uint256 amount) internal override {
+        uint256 fee = (amount * feeBps) / 10000;
+        if (fee > 0) {
+            _burn(from, fee);
+        }
+        super._transfer(from, to, amount - fee);
+    }
+}
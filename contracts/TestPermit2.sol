@@ -0,0 +1,80 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.26;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "./3_IPermit2.sol";
+
+// 测试用：按 Uniswap Permit2 的 SignatureTransfer 实现，签名格式和域与 Permit2 一致（域里没有 version）
+contract TestPermit2 is IPermit2 {
+    using SafeERC20 for IERC20;
+
+    bytes32 public constant TOKEN_PERMISSIONS_TYPEHASH =
+        keccak256("TokenPermissions(address token,uint256 amount)");
+    bytes32 public constant PERMIT_TRANSFER_FROM_TYPEHASH =
+        keccak256(
+            "PermitTransferFrom(TokenPermissions permitted,address spender,uint256 nonce,uint256 deadline)TokenPermissions(address token,uint256 amount)"
+        );
+
+    // owner -> wordPos -> bitmap，每个 nonce 占一位
+    mapping(address => mapping(uint256 => uint256)) public nonceBitmap;
+
+    function DOMAIN_SEPARATOR() public view returns (bytes32) {
+        return
+            keccak256(
+                abi.encode(
+                    keccak256("EIP712Domain(string name,uint256 chainId,address verifyingContract)"),
+                    keccak256("Permit2"),
+                    block.chainid,
+                    address(this)
+                )
+            );
+    }
+
+    function permitTransferFrom(
+        PermitTransferFrom calldata permit,
+        SignatureTransferDetails calldata transferDetails,
+        address owner,
+        bytes calldata signature
+    ) external {
+        require(block.timestamp <= permit.deadline, "Permit2: signature expired");
+        require(
+            transferDetails.requestedAmount <= permit.permitted.amount,
+            "Permit2: invalid amount"
+        );
+
+        _useUnorderedNonce(owner, permit.nonce);
+
+        bytes32 structHash = keccak256(
+            abi.encode(
+                PERMIT_TRANSFER_FROM_TYPEHASH,
+                keccak256(
+                    abi.encode(
+                        TOKEN_PERMISSIONS_TYPEHASH,
+                        permit.permitted.token,
+                        permit.permitted.amount
+                    )
+                ),
+                msg.sender,
+                permit.nonce,
+                permit.deadline
+            )
+        );
+        bytes32 digest = ECDSA.toTypedDataHash(DOMAIN_SEPARATOR(), structHash);
+        require(ECDSA.recover(digest, signature) == owner, "Permit2: invalid signer");
+
+        IERC20(permit.permitted.token).safeTransferFrom(
+            owner,
+            transferDetails.to,
+            transferDetails.requestedAmount
+        );
+    }
+
+    function _useUnorderedNonce(address owner, uint256 nonce) internal {
+        uint256 wordPos = nonce >> 8;
+        uint256 bit = 1 << (nonce & 0xff);
+        uint256 flipped = nonceBitmap[owner][wordPos] ^= bit;
+        require(flipped & bit != 0, "Permit2: invalid nonce");
+    }
+}
@@ -0,0 +1,11 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.26;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+// 测试用：没有任何 permit 的普通 ERC20，只能通过 approve 或 Permit2 存款
+contract TestPlainToken is ERC20 {
+    constructor() ERC20("Test Plain Token", "TPL") {
+        _mint(msg.sender, 1000000 * 10 ** decimals());
+    }
+}
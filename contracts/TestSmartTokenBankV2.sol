@@ -0,0 +1,11 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./5_SmartTokenBankUpgradeable.sol";
+
+// 升级测试用的新版本
+contract TestSmartTokenBankV2 is SmartTokenBankUpgradeable {
+    function version() external pure returns (uint256) {
+        return 2;
+    }
+}
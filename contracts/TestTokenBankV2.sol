@@ -0,0 +1,24 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./5_TokenBankUpgradeable.sol";
+
+// 升级测试用的新版本：在末尾追加状态变量，并通过 reinitializer 设置
+contract TestTokenBankV2 is TokenBankUpgradeable {
+    string public releaseNote;
+
+    function initializeV2(string calldata note) external reinitializer(2) {
+        releaseNote = note;
+    }
+
+    function version() external pure returns (uint256) {
+        return 2;
+    }
+}
+
+contract TestStorageShift {
+    uint256 internal shifted;
+}
+
+// 存储布局不兼容的新版本：多出来的状态变量排在最前面，已有的槽位全部后移
+contract TestTokenBankBadLayout is TestStorageShift, TokenBankUpgradeable {}
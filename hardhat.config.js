@@ -1,8 +1,18 @@
 require("@nomicfoundation/hardhat-toolbox");
 require("hardhat-gas-reporter");  // gas
+require("./tasks/bank");  // bank:*, tokenbank:*, smartbank:*, admin:* 任务
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
-  solidity: "0.8.26",
+  solidity: {
+    version: "0.8.26",
+    settings: {
+      // SmartTokenBank 不开优化会超过 24KB 的合约大小限制，加上内部转账后只开优化也不够，需要 IR 管线
+      optimizer: { enabled: true, runs: 200 },
+      viaIR: true,
+      // scripts/upgrade.js 升级代理前对比存储布局
+      outputSelection: { "*": { "*": ["storageLayout"] } },
+    },
+  },
   gasReporter: {
     enabled: true,      // 开启 gas 报告
     currency: "USD",    // 显示 USD
@@ -0,0 +1,57 @@
+// 各网络的部署参数
+// default 为公共配置，具体网络下的同名字段会覆盖 default
+
+const config = {
+  default: {
+    EtherBank: {
+      leaderboardSize: 10, // 排行榜名额
+    },
+    BigBank: {
+      leaderboardSize: 10,
+    },
+    TokenBank: {
+      // Uniswap Permit2 在各条链上的统一地址
+      permit2: "0x000000000022D473030F116dDEE9F6B43aC78BA3",
+      // 部署后加入白名单的代币地址；部署的 SmartToken 和本地链的测试代币会自动加入
+      allowedTokens: [],
+    },
+    SmartToken: {
+      name: "Smart Token",
+      symbol: "SMT",
+      initialSupply: "1000000", // 整币数量，部署时按 18 位精度换算
+    },
+    SmartTokenBank: {
+      // 部署的 SmartToken 总会加入白名单，这里填其他代币
+      allowedTokens: [],
+    },
+    SmartTokenVault: {
+      name: "Smart Token Vault",
+      symbol: "vSMT",
+    },
+  },
+
+  // 本地链没有官方 Permit2，使用部署的 TestPermit2
+  hardhat: {
+    TokenBank: { permit2: null },
+  },
+
+  localhost: {
+    TokenBank: { permit2: null },
+  },
+};
+
+function getDeployConfig(network) {
+  const overrides = config[network] || {};
+  const merged = {};
+
+  for (const key of new Set([
+    ...Object.keys(config.default),
+    ...Object.keys(overrides),
+  ])) {
+    merged[key] = { ...config.default[key], ...overrides[key] };
+  }
+
+  return merged;
+}
+
+module.exports = { getDeployConfig };
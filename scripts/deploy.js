@@ -1,33 +1,245 @@
-// We require the Hardhat Runtime Environment explicitly here. This is optional
-// but useful for running the script in a standalone fashion through `node <script>`.
+// 部署整套银行合约，并把地址和 ABI 写入 deployments/<network>.json
 //
-// You can also run a script with `npx hardhat run <script>`. If you do that, Hardhat
-// will compile your contracts, add the Hardhat Runtime Environment's members to the
-// global scope, and execute the script.
-const hre = require("hardhat");
+//   npx hardhat run scripts/deploy.js --network localhost
+//   REDEPLOY=all npx hardhat run scripts/deploy.js                  # 全部重新部署
+//   REDEPLOY=SmartToken,SmartTokenBank npx hardhat run scripts/deploy.js
+//   UPGRADE_PROXIES=1 npx hardhat run scripts/deploy.js --network sepolia   # 允许原地升级代理
+//
+// 清单里已有且链上确实有代码、构造参数也没变的合约会被跳过，除非在 REDEPLOY 中点名。
+// 参数引用的合约被重新部署时（例如 SmartTokenBank），依赖它的合约（SmartTokenVault）也会随之重新部署。
+// 代理部署的合约（proxy: true）被跳过时，如果实现合约的代码改过，会先检查存储布局再原地升级，
+// 布局不兼容时报错。本地链默认直接升级，其他网络只有设置了 UPGRADE_PROXIES 才升级，否则只打印提示；
+// REDEPLOY 点名则会部署一个全新的代理，原代理里的余额不会迁移。
+const { getDeployConfig } = require("./deploy-config");
+const { readManifest, writeManifest, DEFAULT_DIR } = require("./lib/manifest");
+const { bytecodeHash, deployProxy, upgradeProxy } = require("./lib/proxy");
+const { deployWithLibraries } = require("./lib/libraries");
 
-async function main() {
-  const currentTimestampInSeconds = Math.round(Date.now() / 1000);
-  const unlockTime = currentTimestampInSeconds + 60;
+// 按依赖顺序排列，args 可以引用前面已部署的合约地址（deployed[name]）；
+// init 在合约新部署后执行一次，用于部署后的配置；config 指定使用哪个合约的部署参数，默认与 name 相同。
+// proxy 为 true 的合约部署在 TransparentUpgradeableProxy 后面，由 ProxyAdmin 升级，args 是 initialize 的参数。
+// 代币排在银行前面，银行部署后直接把它们加入白名单；单独重新部署代币时需要用 admin:allow-token 手动加入
+const SUITE = [
+  { name: "EtherBank", args: (config) => [config.leaderboardSize] },
+  { name: "BigBank", args: (config) => [config.leaderboardSize] },
+  // 仅本地链：主网等网络使用配置里的官方 Permit2 地址
+  { name: "TestPermit2", args: () => [], localOnly: true },
+  // 仅本地链：给 permit 存款提供 EIP-2612、DAI 风格和没有 permit 的代币
+  { name: "TestPermitToken", args: () => [], localOnly: true },
+  { name: "TestDaiToken", args: () => [], localOnly: true },
+  { name: "TestPlainToken", args: () => [], localOnly: true },
+  {
+    name: "SmartToken",
+    args: (config, { ethers }) => [
+      config.name,
+      config.symbol,
+      ethers.parseUnits(config.initialSupply, 18),
+    ],
+  },
+  { name: "TokenBank", args: () => [], init: initTokenBank },
+  { name: "SmartTokenBank", args: () => [], init: initSmartTokenBank },
+  // SmartToken 的 ERC-4626 份额，资产存在 SmartTokenBank 里
+  {
+    name: "SmartTokenVault",
+    args: (config, { deployed }) => [
+      deployed.SmartTokenBank,
+      deployed.SmartToken,
+      config.name,
+      config.symbol,
+    ],
+  },
+  // 代理版银行共用的 ProxyAdmin，owner 是部署者
+  { name: "ProxyAdmin", args: () => [] },
+  // 可升级的银行，使用与不可升级版本相同的部署参数
+  {
+    name: "TokenBankUpgradeable",
+    config: "TokenBank",
+    proxy: true,
+    args: () => [],
+    init: initTokenBank,
+  },
+  {
+    name: "SmartTokenBankUpgradeable",
+    config: "SmartTokenBank",
+    proxy: true,
+    args: () => [],
+    init: initSmartTokenBank,
+  },
+];
 
-  const lockedAmount = hre.ethers.parseEther("0.001");
+async function initTokenBank(contract, config, { deployed }) {
+  const permit2 = config.permit2 || deployed.TestPermit2;
+  if (permit2) {
+    await (await contract.setPermit2(permit2)).wait();
+  }
+  await allowTokens(contract, [
+    ...config.allowedTokens,
+    deployed.TestPermitToken,
+    deployed.TestDaiToken,
+    deployed.TestPlainToken,
+    deployed.SmartToken,
+  ]);
+}
 
-  const lock = await hre.ethers.deployContract("Lock", [unlockTime], {
-    value: lockedAmount,
-  });
+async function initSmartTokenBank(contract, config, { deployed }) {
+  await allowTokens(contract, [...config.allowedTokens, deployed.SmartToken]);
+}
 
-  await lock.waitForDeployment();
+// 把代币加入银行白名单，跳过空地址和已经在白名单里的
+async function allowTokens(bank, tokens) {
+  for (const token of tokens.filter(Boolean)) {
+    if (!(await bank.tokenAllowed(token))) {
+      await (await bank.setTokenAllowed(token, true)).wait();
+    }
+  }
+}
+
+const LOCAL_NETWORKS = ["hardhat", "localhost"];
+
+function parseRedeploy(value) {
+  if (!value) return new Set();
+  return new Set(value.split(",").map((name) => name.trim()).filter(Boolean));
+}
 
-  console.log(
-    `Lock with ${ethers.formatEther(
-      lockedAmount
-    )}ETH and unlock timestamp ${unlockTime} deployed to ${lock.target}`
+function shouldRedeploy(redeploy, name) {
+  return redeploy.has("all") || redeploy.has(name);
+}
+
+async function isDeployed(provider, entry) {
+  if (!entry || !entry.address) return false;
+  const code = await provider.getCode(entry.address);
+  return code !== "0x";
+}
+
+// 清单里的参数是字符串，旧清单没有 args 时按未变处理
+function sameArgs(saved, args) {
+  if (!saved) return true;
+  return (
+    saved.length === args.length &&
+    args.every((arg, i) => arg.toString() === saved[i])
   );
 }
 
-// We recommend this pattern to be able to use async/await everywhere
-// and properly handle errors.
-main().catch((error) => {
-  console.error(error);
-  process.exitCode = 1;
-});
+/**
+ * 部署整套合约
+ * @param hre Hardhat 运行时
+ * @param options.redeploy 需要强制重新部署的合约名集合（"all" 表示全部）
+ * @param options.upgrade 实现合约改过时是否原地升级代理，默认只在本地链升级
+ * @param options.manifestDir 清单目录，默认 deployments/
+ * @param options.log 日志函数
+ * @return 更新后的部署清单
+ */
+async function deploySuite(hre, options = {}) {
+  const {
+    redeploy = new Set(),
+    upgrade = LOCAL_NETWORKS.includes(hre.network.name),
+    manifestDir = DEFAULT_DIR,
+    log = console.log,
+  } = options;
+  const { ethers, network } = hre;
+
+  const config = getDeployConfig(network.name);
+  const manifest = readManifest(network.name, manifestDir);
+  const chainId = (await ethers.provider.getNetwork()).chainId.toString();
+
+  // 链被重置过（例如换了 chainId），旧地址都不可信
+  if (manifest.chainId !== null && manifest.chainId !== chainId) {
+    manifest.contracts = {};
+  }
+  manifest.chainId = chainId;
+
+  const deployed = {};
+  // 中途失败（例如升级时存储布局不兼容）也把已经部署的合约写进清单
+  try {
+    for (const step of SUITE) {
+      if (step.localOnly && !LOCAL_NETWORKS.includes(network.name)) {
+        continue;
+      }
+
+      const existing = manifest.contracts[step.name];
+      const stepConfig = config[step.config || step.name] || {};
+      const args = step.args(stepConfig, { ethers, deployed });
+
+      if (
+        !shouldRedeploy(redeploy, step.name) &&
+        (await isDeployed(ethers.provider, existing)) &&
+        sameArgs(existing.args, args)
+      ) {
+        const changed = step.proxy && (await implementationChanged(hre, step.name, existing));
+        if (changed && upgrade) {
+          log(`${step.name}: implementation changed, upgrading ${existing.address}`);
+          Object.assign(existing, await upgradeProxy(hre, existing, step.name));
+          log(`${step.name}: upgraded to ${existing.implementation}`);
+        } else if (changed) {
+          log(
+            `${step.name}: implementation changed, not upgrading ${existing.address} ` +
+              "(set UPGRADE_PROXIES=1 or use scripts/upgrade.js)"
+          );
+        } else {
+          log(`${step.name}: reusing ${existing.address}`);
+        }
+        deployed[step.name] = existing.address;
+        continue;
+      }
+
+      let contract, deployedAt, proxyFields;
+      if (step.proxy) {
+        ({ contract, deployedAt, fields: proxyFields } = await deployProxy(hre, step.name, {
+          proxyAdmin: deployed.ProxyAdmin,
+          args,
+        }));
+      } else {
+        contract = await deployWithLibraries(hre, step.name, args);
+        deployedAt = contract.deploymentTransaction().hash;
+      }
+      if (step.init) {
+        await step.init(contract, stepConfig, { ethers, deployed });
+      }
+
+      const address = await contract.getAddress();
+      const artifact = await hre.artifacts.readArtifact(step.name);
+
+      manifest.contracts[step.name] = {
+        address,
+        abi: artifact.abi,
+        args: args.map((arg) => arg.toString()),
+        deployedAt,
+        ...proxyFields,
+      };
+      deployed[step.name] = address;
+
+      log(`${step.name}: deployed to ${address}`);
+    }
+  } finally {
+    const file = writeManifest(manifest, manifestDir);
+    log(`Manifest written to ${file}`);
+  }
+
+  return manifest;
+}
+
+// 代理已经被 scripts/upgrade.js 升级到其他合约时不自动升级回来
+async function implementationChanged(hre, name, entry) {
+  if (entry.contractName && entry.contractName !== name) {
+    return false;
+  }
+  return entry.bytecodeHash !== (await bytecodeHash(hre, name));
+}
+
+async function main() {
+  // 在这里才加载 hardhat，方便 hardhat.config.js 中的任务复用 deploySuite
+  const hre = require("hardhat");
+  await deploySuite(hre, {
+    redeploy: parseRedeploy(process.env.REDEPLOY),
+    upgrade: process.env.UPGRADE_PROXIES ? process.env.UPGRADE_PROXIES !== "0" : undefined,
+  });
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { SUITE, deploySuite, parseRedeploy };
@@ -0,0 +1,109 @@
+// 把银行合约的事件同步到本地 JSON 文件，并导出用户对账单
+//
+//   node scripts/indexer.js sync --network localhost                    # 从上次同步到的区块继续
+//   node scripts/indexer.js statement --user 0x... --from 2025-01-01 --to 2025-01-31 --format csv --out statement.csv
+//
+// 合约地址和 ABI 读取 deployments/<network>.json，索引默认写入 indexer/<network>.json。
+// 日期可以是 YYYY-MM-DD（UTC，--to 包含当天）、ISO 时间或秒级时间戳
+const fs = require("fs");
+const path = require("path");
+const { parseArgs } = require("util");
+const { JsonRpcProvider } = require("ethers");
+const { readManifest, DEFAULT_DIR } = require("./lib/manifest");
+const {
+  JsonStore,
+  syncEvents,
+  buildStatement,
+  statementToCsv,
+  statementToJson,
+} = require("./lib/indexer");
+
+const DEFAULT_STORE_DIR = path.join(__dirname, "..", "indexer");
+
+const OPTIONS = {
+  network: { type: "string", default: "localhost" },
+  rpc: { type: "string", default: "http://127.0.0.1:8545" },
+  db: { type: "string" },
+  user: { type: "string" },
+  from: { type: "string" },
+  to: { type: "string" },
+  bank: { type: "string" },
+  token: { type: "string" },
+  format: { type: "string", default: "csv" },
+  out: { type: "string" },
+};
+
+/**
+ * 解析日期参数为秒级时间戳；只有日期时 endOfDay 取当天最后一秒
+ */
+function parseTime(value, endOfDay = false) {
+  if (value === undefined) return null;
+  if (/^\d+$/.test(value)) return Number(value);
+
+  const ms = /^\d{4}-\d{2}-\d{2}$/.test(value)
+    ? Date.parse(`${value}T00:00:00Z`) + (endOfDay ? 86400 * 1000 - 1 : 0)
+    : Date.parse(value);
+  if (Number.isNaN(ms)) {
+    throw new Error(`Invalid date: ${value}`);
+  }
+  return Math.floor(ms / 1000);
+}
+
+/**
+ * @param argv 命令行参数（不含 node 和脚本路径）
+ * @param options.provider 测试时传入进程内的 provider，默认连接 --rpc
+ * @param options.manifestDir 清单目录，默认 deployments/
+ * @param options.log 日志函数
+ */
+async function main(argv, options = {}) {
+  const { manifestDir = DEFAULT_DIR, log = console.log } = options;
+  const { positionals, values } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  const [command] = positionals;
+  const store = JsonStore.load(values.db || path.join(DEFAULT_STORE_DIR, `${values.network}.json`));
+
+  if (command === "sync") {
+    const provider = options.provider || new JsonRpcProvider(values.rpc);
+    const manifest = readManifest(values.network, manifestDir);
+    const result = await syncEvents(provider, manifest, store, { log });
+    log(`Synced blocks ${result.fromBlock}-${result.toBlock}, ${result.added} new events`);
+    return result;
+  }
+
+  if (command === "statement") {
+    if (!values.user) {
+      throw new Error("--user is required");
+    }
+    if (!["csv", "json"].includes(values.format)) {
+      throw new Error("--format must be csv or json");
+    }
+    if (store.data.lastBlock === null) {
+      throw new Error(`${store.file} is empty, run the sync command first`);
+    }
+
+    const statement = buildStatement(store, values.user, {
+      from: parseTime(values.from),
+      to: parseTime(values.to, true),
+      bank: values.bank,
+      token: values.token,
+    });
+    const output = values.format === "csv" ? statementToCsv(statement) : statementToJson(statement);
+    if (values.out) {
+      fs.writeFileSync(values.out, output);
+      log(`Statement written to ${values.out} (${statement.entries.length} entries)`);
+    } else {
+      process.stdout.write(output);
+    }
+    return statement;
+  }
+
+  throw new Error("Usage: node scripts/indexer.js <sync|statement> [options]");
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).catch((error) => {
+    console.error(error.message);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { main, parseTime };
@@ -0,0 +1,439 @@
+const fs = require("fs");
+const path = require("path");
+const { Contract, Interface, formatUnits } = require("ethers");
+const { ERC20_ABI } = require("../../sdk/abi");
+
+const STORE_VERSION = 1;
+// EtherBank / BigBank 的记录用 "ETH" 代替代币地址
+const ETH = "ETH";
+const ETH_METADATA = { symbol: "ETH", decimals: 18 };
+
+// 银行事件 -> 统一的记录 { type, user, token, amount, interest, counterparty, termId }。
+// amount 是本金部分，interest 是同一笔里支付的利息；没有列出的事件（管理操作、WithdrawWithSig 等
+// 和其他事件重复的记录）不影响用户账户，直接跳过
+const ETH_BANK_EVENTS = {
+  Deposit: ({ user, amount }) => ({ type: "deposit", user, token: ETH, amount }),
+  UserWithdraw: ({ user, principal, interest }) => ({
+    type: "withdraw",
+    user,
+    token: ETH,
+    amount: principal,
+    interest,
+  }),
+  EmergencyWithdraw: ({ user, amount }) => ({ type: "emergency-withdraw", user, token: ETH, amount }),
+  // 大额取款排队时已经记为取出，被 guardian 取消后退回
+  WithdrawalCancelled: ({ owner, amount }) => ({ type: "withdraw-cancelled", user: owner, token: ETH, amount }),
+};
+
+const TOKEN_BANK_EVENTS = {
+  Deposit: ({ token, user, amount }) => ({ type: "deposit", user, token, amount }),
+  InternalTransfer: ({ token, from, to, amount }) => ({
+    type: "transfer",
+    user: from,
+    token,
+    amount,
+    counterparty: to,
+  }),
+};
+
+const EVENT_HANDLERS = {
+  EtherBank: ETH_BANK_EVENTS,
+  BigBank: ETH_BANK_EVENTS,
+  TokenBank: {
+    ...TOKEN_BANK_EVENTS,
+    Withdraw: ({ token, user, amount }) => ({ type: "withdraw", user, token, amount }),
+    EmergencyWithdraw: ({ token, user, amount }) => ({ type: "emergency-withdraw", user, token, amount }),
+    WithdrawalCancelled: ({ token, owner, amount }) => ({ type: "withdraw-cancelled", user: owner, token, amount }),
+  },
+  SmartTokenBank: {
+    ...TOKEN_BANK_EVENTS,
+    Withdraw: ({ token, user, principal, interest }) => ({
+      type: "withdraw",
+      user,
+      token,
+      amount: principal,
+      interest,
+    }),
+    EmergencyWithdraw: ({ token, user, termDepositId, principal }) => ({
+      type: "emergency-withdraw",
+      user,
+      token,
+      amount: principal,
+      termId: termDepositId,
+    }),
+    TermDepositOpened: ({ id, token, owner, principal }) => ({
+      type: "term-open",
+      user: owner,
+      token,
+      amount: principal,
+      termId: id,
+    }),
+    TermDepositMatured: ({ id, token, owner, principal, interest }) => ({
+      type: "term-redeem",
+      user: owner,
+      token,
+      amount: principal,
+      interest,
+      termId: id,
+    }),
+    TermDepositBroken: ({ id, token, owner, principal }) => ({
+      type: "term-break",
+      user: owner,
+      token,
+      amount: principal,
+      termId: id,
+    }),
+  },
+};
+// 代理后面的可升级银行和不可升级的版本触发同样的事件
+EVENT_HANDLERS.TokenBankUpgradeable = EVENT_HANDLERS.TokenBank;
+EVENT_HANDLERS.SmartTokenBankUpgradeable = EVENT_HANDLERS.SmartTokenBank;
+
+// 对账单中每种记录的方向：+1 存入，-1 取出
+const DIRECTION = {
+  deposit: 1n,
+  "term-open": 1n,
+  withdraw: -1n,
+  "term-redeem": -1n,
+  "emergency-withdraw": -1n,
+  "term-break": -1n,
+  "withdraw-cancelled": 1n,
+};
+
+function emptyStore() {
+  return {
+    version: STORE_VERSION,
+    chainId: null,
+    contracts: {},
+    lastBlock: null,
+    tokens: { [ETH]: ETH_METADATA },
+    events: [],
+  };
+}
+
+/**
+ * 保存在一个 JSON 文件里的索引：{ version, chainId, contracts, lastBlock, tokens, events }
+ */
+class JsonStore {
+  constructor(file, data = emptyStore()) {
+    this.file = file;
+    this.data = data;
+  }
+
+  static load(file) {
+    if (!fs.existsSync(file)) {
+      return new JsonStore(file);
+    }
+    const data = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (data.version !== STORE_VERSION) {
+      throw new Error(`${file} was written by an incompatible indexer version, delete it and re-sync`);
+    }
+    return new JsonStore(file, data);
+  }
+
+  reset() {
+    this.data = emptyStore();
+  }
+
+  // 先写临时文件再改名，同步中途被打断也不会留下写了一半的文件
+  save() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const tmp = `${this.file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(this.data, null, 2) + "\n");
+    fs.renameSync(tmp, this.file);
+  }
+}
+
+// 清单中需要索引的银行：名字 -> 地址
+function indexedContracts(manifest) {
+  const contracts = {};
+  for (const name of Object.keys(EVENT_HANDLERS)) {
+    if (manifest.contracts[name]) {
+      contracts[name] = manifest.contracts[name].address;
+    }
+  }
+  return contracts;
+}
+
+function sameContracts(a, b) {
+  const names = Object.keys(a);
+  return names.length === Object.keys(b).length && names.every((name) => a[name] === b[name]);
+}
+
+// 从部署交易找到最早的部署区块，找不到时从 0 开始
+async function firstDeploymentBlock(provider, manifest, names) {
+  let first = null;
+  for (const name of names) {
+    const { deployedAt } = manifest.contracts[name];
+    const receipt = deployedAt ? await provider.getTransactionReceipt(deployedAt) : null;
+    if (!receipt) {
+      return 0;
+    }
+    first = first === null ? receipt.blockNumber : Math.min(first, receipt.blockNumber);
+  }
+  return first ?? 0;
+}
+
+async function tokenMetadata(provider, token) {
+  const erc20 = new Contract(token, ERC20_ABI, provider);
+  try {
+    const [symbol, decimals] = await Promise.all([erc20.symbol(), erc20.decimals()]);
+    return { symbol, decimals: Number(decimals) };
+  } catch {
+    // 不标准的代币按 18 位小数显示
+    return { symbol: token, decimals: 18 };
+  }
+}
+
+/**
+ * 把清单中银行合约的事件同步到 store，从上次同步到的区块继续。
+ * 链被重置（chainId 变化、区块高度回退）或银行被重新部署时清空重建
+ * @param provider ethers Provider
+ * @param manifest 部署清单
+ * @param {JsonStore} store
+ * @param options.toBlock 同步到哪个区块，默认最新区块
+ * @param options.batchSize 每次 getLogs 查询的区块数
+ * @param options.log 日志函数
+ * @return {{ fromBlock: number, toBlock: number, added: number }}
+ */
+async function syncEvents(provider, manifest, store, options = {}) {
+  const { batchSize = 2000, log = () => {} } = options;
+  const contracts = indexedContracts(manifest);
+  const names = Object.keys(contracts);
+  if (names.length === 0) {
+    throw new Error(`No bank contracts in the ${manifest.network} manifest, run scripts/deploy.js first`);
+  }
+
+  const chainId = (await provider.getNetwork()).chainId.toString();
+  const head = options.toBlock ?? (await provider.getBlockNumber());
+  const data = store.data;
+  if (
+    data.chainId !== chainId ||
+    !sameContracts(data.contracts, contracts) ||
+    (data.lastBlock !== null && data.lastBlock > head)
+  ) {
+    if (data.lastBlock !== null) {
+      log("Chain or deployments changed, re-indexing from scratch");
+    }
+    store.reset();
+    store.data.chainId = chainId;
+    store.data.contracts = contracts;
+  }
+
+  const fromBlock =
+    store.data.lastBlock === null
+      ? await firstDeploymentBlock(provider, manifest, names)
+      : store.data.lastBlock + 1;
+
+  // 地址 -> { name, iface }
+  const sources = new Map(
+    names.map((name) => [
+      contracts[name].toLowerCase(),
+      { name, iface: new Interface(manifest.contracts[name].abi) },
+    ])
+  );
+  const timestamps = new Map();
+  let added = 0;
+
+  for (let start = fromBlock; start <= head; start += batchSize) {
+    const end = Math.min(start + batchSize - 1, head);
+    const logs = await provider.getLogs({
+      address: Object.values(contracts),
+      fromBlock: start,
+      toBlock: end,
+    });
+
+    for (const entry of logs) {
+      const { name, iface } = sources.get(entry.address.toLowerCase());
+      const parsed = iface.parseLog(entry);
+      const handler = parsed && EVENT_HANDLERS[name][parsed.name];
+      if (!handler) continue;
+
+      if (!timestamps.has(entry.blockNumber)) {
+        timestamps.set(entry.blockNumber, (await provider.getBlock(entry.blockNumber)).timestamp);
+      }
+      const record = handler(parsed.args);
+      if (!store.data.tokens[record.token]) {
+        store.data.tokens[record.token] = await tokenMetadata(provider, record.token);
+      }
+
+      store.data.events.push({
+        bank: name,
+        type: record.type,
+        user: record.user,
+        token: record.token,
+        amount: record.amount.toString(),
+        interest: (record.interest ?? 0n).toString(),
+        counterparty: record.counterparty ?? null,
+        termId: record.termId ? record.termId.toString() : null,
+        blockNumber: entry.blockNumber,
+        logIndex: entry.index,
+        transactionHash: entry.transactionHash,
+        timestamp: timestamps.get(entry.blockNumber),
+      });
+      added++;
+    }
+
+    // 每批保存一次，中途失败时下次从这里继续
+    store.data.lastBlock = end;
+    store.save();
+    log(`Indexed blocks ${start}-${end}`);
+  }
+
+  return { fromBlock, toBlock: head, added };
+}
+
+/**
+ * 生成用户在 [from, to] 内的对账单，时间为秒级时间戳，不传表示不限。
+ * 每个 (bank, token) 是一个账户，余额从第一条记录开始累计，from 之前的部分作为期初余额。
+ * 取款时支付的利息单独记一行 interest，再记一行取款（本金 + 利息）。
+ * 余额只反映事件中可见的资金流动：复利滚入本金、未取出就转给别人的利息不会单独出现
+ * @return {{ user, from, to, accounts: object[], entries: object[] }}
+ */
+function buildStatement(store, user, options = {}) {
+  const { from = null, to = null, bank = null, token = null } = options;
+  const account = user.toLowerCase();
+  const accounts = new Map();
+  const entries = [];
+
+  const accountOf = (event) => {
+    const key = `${event.bank}:${event.token}`;
+    if (!accounts.has(key)) {
+      const { symbol, decimals } = store.data.tokens[event.token];
+      accounts.set(key, {
+        bank: event.bank,
+        token: event.token,
+        symbol,
+        decimals,
+        openingBalance: 0n,
+        deposits: 0n,
+        withdrawals: 0n,
+        interest: 0n,
+        closingBalance: 0n,
+      });
+    }
+    return accounts.get(key);
+  };
+
+  const events = [...store.data.events].sort(
+    (a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex
+  );
+  for (const event of events) {
+    if (bank && event.bank !== bank) continue;
+    if (token && event.token.toLowerCase() !== token.toLowerCase()) continue;
+    if (to !== null && event.timestamp > to) break;
+
+    for (const line of statementLines(event, account)) {
+      const summary = accountOf(event);
+      summary.closingBalance += line.amount;
+      if (from !== null && event.timestamp < from) {
+        summary.openingBalance = summary.closingBalance;
+        continue;
+      }
+
+      if (line.type === "interest") {
+        summary.interest += line.amount;
+      } else if (line.amount > 0n) {
+        summary.deposits += line.amount;
+      } else {
+        summary.withdrawals -= line.amount;
+      }
+      entries.push({
+        timestamp: event.timestamp,
+        date: new Date(event.timestamp * 1000).toISOString(),
+        blockNumber: event.blockNumber,
+        transactionHash: event.transactionHash,
+        bank: event.bank,
+        token: event.token,
+        symbol: summary.symbol,
+        type: line.type,
+        counterparty: line.counterparty ?? null,
+        termId: event.termId,
+        amount: line.amount,
+        balance: summary.closingBalance,
+      });
+    }
+  }
+
+  return { user, from, to, accounts: [...accounts.values()], entries };
+}
+
+// 一条事件记录在 account 的对账单上对应的行（金额带符号），和 account 无关时为空
+function statementLines(event, account) {
+  const amount = BigInt(event.amount);
+  const interest = BigInt(event.interest);
+
+  if (event.type === "transfer") {
+    if (event.user.toLowerCase() === account) {
+      return [{ type: "transfer-out", amount: -amount, counterparty: event.counterparty }];
+    }
+    if (event.counterparty.toLowerCase() === account) {
+      return [{ type: "transfer-in", amount, counterparty: event.user }];
+    }
+    return [];
+  }
+  if (event.user.toLowerCase() !== account) {
+    return [];
+  }
+
+  const lines = [];
+  if (interest > 0n) {
+    lines.push({ type: "interest", amount: interest });
+  }
+  lines.push({ type: event.type, amount: DIRECTION[event.type] * (amount + interest) });
+  return lines;
+}
+
+const CSV_COLUMNS = [
+  "date",
+  "blockNumber",
+  "transactionHash",
+  "bank",
+  "token",
+  "symbol",
+  "type",
+  "counterparty",
+  "termId",
+  "amount",
+  "balance",
+];
+
+/**
+ * 对账单转 CSV，金额按代币小数位格式化
+ */
+function statementToCsv(statement) {
+  const decimals = new Map(
+    statement.accounts.map((account) => [`${account.bank}:${account.token}`, account.decimals])
+  );
+  const rows = statement.entries.map((entry) => {
+    const units = decimals.get(`${entry.bank}:${entry.token}`);
+    return CSV_COLUMNS.map((column) => {
+      const value = entry[column];
+      if (column === "amount" || column === "balance") {
+        return formatUnits(value, units);
+      }
+      return value ?? "";
+    }).join(",");
+  });
+  return [CSV_COLUMNS.join(","), ...rows].join("\n") + "\n";
+}
+
+/**
+ * 对账单转 JSON，bigint 金额转为十进制字符串（最小单位）
+ */
+function statementToJson(statement) {
+  return (
+    JSON.stringify(statement, (key, value) => (typeof value === "bigint" ? value.toString() : value), 2) +
+    "\n"
+  );
+}
+
+module.exports = {
+  ETH,
+  EVENT_HANDLERS,
+  JsonStore,
+  syncEvents,
+  buildStatement,
+  statementToCsv,
+  statementToJson,
+};
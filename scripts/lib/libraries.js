@@ -0,0 +1,52 @@
+// 链接外部库的合约（例如 SmartTokenBank 链接 SmartTokenBankTerms）的部署
+//
+// 库没有状态，部署合约时总是一起部署一份新的库，合约和它链接的库来自同一次编译，清单里不单独记录库
+
+// artifact 的 linkReferences 中用到的库，返回完整名称，例如 contracts/4_SmartTokenBankTerms.sol:SmartTokenBankTerms
+function linkedLibraries(artifact) {
+  return Object.entries(artifact.linkReferences).flatMap(([sourceName, libraries]) =>
+    Object.keys(libraries).map((library) => `${sourceName}:${library}`)
+  );
+}
+
+/**
+ * 部署 name 链接的库，再部署 name 本身
+ * @param hre Hardhat 运行时
+ * @param name 合约名
+ * @param args 构造参数
+ * @return 已经上链的合约
+ */
+async function deployWithLibraries(hre, name, args = []) {
+  const { ethers } = hre;
+  const artifact = await hre.artifacts.readArtifact(name);
+
+  const libraries = {};
+  for (const library of linkedLibraries(artifact)) {
+    const contract = await ethers.deployContract(library);
+    await contract.waitForDeployment();
+    libraries[library] = await contract.getAddress();
+  }
+
+  const contract = await ethers.deployContract(name, args, { libraries });
+  await contract.waitForDeployment();
+  return contract;
+}
+
+/**
+ * 合约及其链接的库的 deployedBytecode 哈希，任何一个改过哈希都会变。
+ * 未链接的 bytecode 里有库地址的占位符，不是合法的十六进制，所以这种情况按字符串计算；
+ * 没有链接库的合约与以前的清单保持一致
+ */
+async function bytecodeHash(hre, name) {
+  const artifact = await hre.artifacts.readArtifact(name);
+  const names = linkedLibraries(artifact);
+  if (names.length === 0) {
+    return hre.ethers.keccak256(artifact.deployedBytecode);
+  }
+  const libraries = await Promise.all(
+    names.map((library) => hre.artifacts.readArtifact(library))
+  );
+  return hre.ethers.id([artifact, ...libraries].map((a) => a.deployedBytecode).join(""));
+}
+
+module.exports = { deployWithLibraries, bytecodeHash };
@@ -0,0 +1,48 @@
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_DIR = path.join(__dirname, "..", "..", "deployments");
+
+// deployments/<network>.json 的结构：
+// { network, chainId, contracts: { <Name>: { address, abi, args, deployedAt } } }
+// 代理部署的合约另有 implementation、proxyAdmin、storageLayout 等字段，见 lib/proxy.js
+
+function manifestPath(network, dir = DEFAULT_DIR) {
+  return path.join(dir, `${network}.json`);
+}
+
+function readManifest(network, dir = DEFAULT_DIR) {
+  const file = manifestPath(network, dir);
+  if (!fs.existsSync(file)) {
+    return { network, chainId: null, contracts: {} };
+  }
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+function writeManifest(manifest, dir = DEFAULT_DIR) {
+  fs.mkdirSync(dir, { recursive: true });
+  const file = manifestPath(manifest.network, dir);
+  fs.writeFileSync(file, JSON.stringify(manifest, null, 2) + "\n");
+  return file;
+}
+
+/**
+ * 从部署清单中取出某个合约的地址，没有部署过则直接报错
+ */
+function getDeployment(manifest, name) {
+  const entry = manifest.contracts[name];
+  if (!entry) {
+    throw new Error(
+      `${name} is not deployed on ${manifest.network}, run scripts/deploy.js first`
+    );
+  }
+  return entry;
+}
+
+module.exports = {
+  DEFAULT_DIR,
+  manifestPath,
+  readManifest,
+  writeManifest,
+  getDeployment,
+};
@@ -0,0 +1,97 @@
+// 透明代理（TransparentUpgradeableProxy + ProxyAdmin）的部署和升级，供 scripts/deploy.js 和 scripts/upgrade.js 使用
+//
+// 清单里代理合约的条目在普通合约的基础上多出：
+//   implementation  当前实现合约地址（address 是代理地址）
+//   contractName    当前实现的合约名，升级到其他合约后与清单里的键不同
+//   proxyAdmin      有权升级这个代理的 ProxyAdmin
+//   storageLayout   当前实现的存储布局，下次升级时对比
+//   bytecodeHash    当前实现（连同链接的库）的 deployedBytecode 哈希，部署脚本据此发现实现合约改过
+const { getStorageLayout, compareStorageLayouts } = require("./storageLayout");
+const { deployWithLibraries, bytecodeHash } = require("./libraries");
+
+/**
+ * 部署实现合约和代理，部署代理时调用 initializer 初始化代理的存储
+ * @param options.proxyAdmin ProxyAdmin 地址
+ * @param options.initializer 初始化函数名，默认 initialize
+ * @param options.args 初始化参数
+ * @return contract 连在代理地址上的合约对象，以及写入清单的代理字段
+ */
+async function deployProxy(hre, name, { proxyAdmin, initializer = "initialize", args = [] }) {
+  const { ethers } = hre;
+  const implementation = await deployWithLibraries(hre, name);
+  const data = implementation.interface.encodeFunctionData(initializer, args);
+
+  const proxy = await ethers.deployContract("TransparentUpgradeableProxy", [
+    await implementation.getAddress(),
+    proxyAdmin,
+    data,
+  ]);
+  await proxy.waitForDeployment();
+
+  return {
+    contract: await ethers.getContractAt(name, await proxy.getAddress()),
+    deployedAt: proxy.deploymentTransaction().hash,
+    fields: {
+      implementation: await implementation.getAddress(),
+      contractName: name,
+      proxyAdmin,
+      storageLayout: await getStorageLayout(hre, name),
+      bytecodeHash: await bytecodeHash(hre, name),
+    },
+  };
+}
+
+/**
+ * 检查 name 能否作为 entry 这个代理的新实现，不兼容时抛出错误
+ * @return 新实现的存储布局
+ */
+async function validateUpgrade(hre, entry, name) {
+  if (!entry.storageLayout) {
+    throw new Error(`No storage layout recorded for the proxy at ${entry.address}`);
+  }
+  const layout = await getStorageLayout(hre, name);
+  const errors = compareStorageLayouts(entry.storageLayout, layout);
+  if (errors.length > 0) {
+    throw new Error(
+      `Storage layout of ${name} is incompatible with the current implementation of ${entry.address}:\n` +
+        errors.map((error) => `  - ${error}`).join("\n")
+    );
+  }
+  return layout;
+}
+
+/**
+ * 检查存储布局后部署 name 的新实现，并通过 ProxyAdmin 升级代理
+ * @param entry 清单里的代理条目
+ * @param options.call 升级的同时调用的函数 { fn, args }，例如新版本的 reinitializer
+ * @return 需要更新到清单条目里的字段
+ */
+async function upgradeProxy(hre, entry, name, { call } = {}) {
+  const { ethers } = hre;
+  const storageLayout = await validateUpgrade(hre, entry, name);
+
+  const implementation = await deployWithLibraries(hre, name);
+  const implementationAddress = await implementation.getAddress();
+  const proxyAdmin = await ethers.getContractAt("ProxyAdmin", entry.proxyAdmin);
+
+  const tx = call
+    ? await proxyAdmin.upgradeAndCall(
+        entry.address,
+        implementationAddress,
+        implementation.interface.encodeFunctionData(call.fn, call.args || [])
+      )
+    : await proxyAdmin.upgrade(entry.address, implementationAddress);
+  await tx.wait();
+
+  const artifact = await hre.artifacts.readArtifact(name);
+  return {
+    abi: artifact.abi,
+    implementation: implementationAddress,
+    contractName: name,
+    storageLayout,
+    bytecodeHash: await bytecodeHash(hre, name),
+    upgradedAt: tx.hash,
+  };
+}
+
+module.exports = { bytecodeHash, deployProxy, validateUpgrade, upgradeProxy };
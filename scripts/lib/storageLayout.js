@@ -0,0 +1,112 @@
+// 代理升级前的存储布局检查
+//
+// 布局来自编译输出（hardhat.config.js 的 outputSelection 打开了 storageLayout），整理成：
+//   [{ label, slot, offset, bytes, type }]
+// type 是按结构展开的类型描述，例如 mapping(address => struct X { uint256 a; bool b; })，
+// 不包含编译输出里每次编译都可能变化的 AST id，可以直接存进部署清单，下次升级时对比
+
+/**
+ * 读取已编译合约的存储布局
+ * @param hre Hardhat 运行时
+ * @param name 合约名
+ */
+async function getStorageLayout(hre, name) {
+  const artifact = await hre.artifacts.readArtifact(name);
+  const buildInfo = await hre.artifacts.getBuildInfo(
+    `${artifact.sourceName}:${artifact.contractName}`
+  );
+  const output =
+    buildInfo && buildInfo.output.contracts[artifact.sourceName][artifact.contractName];
+  if (!output || !output.storageLayout) {
+    throw new Error(
+      `No storage layout for ${name}, enable storageLayout in the compiler outputSelection`
+    );
+  }
+  return normalizeLayout(output.storageLayout);
+}
+
+function normalizeLayout({ storage, types }) {
+  return storage.map((variable) => ({
+    label: variable.label,
+    slot: Number(variable.slot),
+    offset: variable.offset,
+    bytes: Number(types[variable.type].numberOfBytes),
+    type: describeType(types, variable.type),
+  }));
+}
+
+function describeType(types, id) {
+  const type = types[id];
+  if (type.encoding === "mapping") {
+    return `mapping(${describeType(types, type.key)} => ${describeType(types, type.value)})`;
+  }
+  if (type.encoding === "dynamic_array") {
+    return `${describeType(types, type.base)}[]`;
+  }
+  if (type.base) {
+    // 定长数组，长度只出现在 label 里，例如 uint256[3]
+    return `${describeType(types, type.base)}${type.label.slice(type.label.lastIndexOf("["))}`;
+  }
+  if (type.members) {
+    const members = type.members
+      .map((member) => `${describeType(types, member.type)} ${member.label};`)
+      .join(" ");
+    return `${type.label} { ${members} }`;
+  }
+  return type.label;
+}
+
+/**
+ * 对比升级前后的存储布局：已有变量的位置、名字和类型都不能变，新变量只能排在已有变量之后，
+ * 或者放进基础合约的 __gap 里：__gap 的终点不变、起点后移，腾出来的位置留给新变量
+ * @param previous 当前实现的布局（部署清单里记录的）
+ * @param next 新实现的布局
+ * @return 不兼容之处的说明，为空表示可以升级
+ */
+function compareStorageLayouts(previous, next) {
+  const key = (variable) => `${variable.slot}:${variable.offset}`;
+  const position = (variable) => `slot ${variable.slot} offset ${variable.offset}`;
+  const errors = [];
+
+  const start = (variable) => variable.slot * 32 + variable.offset;
+  const end = (variable) => start(variable) + variable.bytes;
+  const isGap = (variable) => variable.label === "__gap";
+
+  const byPosition = new Map(next.map((variable) => [key(variable), variable]));
+  // 仍然预留着的 __gap 原来占用的范围，新变量可以放在里面
+  const gaps = [];
+  for (const old of previous) {
+    const current = byPosition.get(key(old));
+    if (isGap(old)) {
+      const gap = next.find((v) => isGap(v) && end(v) === end(old) && start(v) >= start(old));
+      if (gap) {
+        gaps.push(old);
+      } else {
+        errors.push(`${old.label} at ${position(old)} was resized or moved`);
+      }
+    } else if (!current) {
+      errors.push(`${old.label} at ${position(old)} was removed or moved`);
+    } else if (current.label !== old.label) {
+      errors.push(`${old.label} at ${position(old)} was replaced by ${current.label}`);
+    } else if (current.type !== old.type) {
+      errors.push(
+        `${old.label} at ${position(old)} changed type from ${old.type} to ${current.type}`
+      );
+    }
+  }
+
+  // 已有变量占用到的位置（按字节计），新变量必须从这之后开始
+  const used = Math.max(0, ...previous.map(end));
+  const existing = new Set(previous.map(key));
+  const inGap = (variable) =>
+    gaps.some((gap) => start(variable) >= start(gap) && end(variable) <= end(gap));
+  for (const variable of next) {
+    if (!existing.has(key(variable)) && start(variable) < used && !inGap(variable)) {
+      errors.push(`new variable ${variable.label} at ${position(variable)} overlaps existing storage`);
+    }
+  }
+
+  return errors;
+}
+
+module.exports = { getStorageLayout, compareStorageLayouts };
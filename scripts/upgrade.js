@@ -0,0 +1,72 @@
+// 把代理部署的银行升级到新的实现合约，并更新 deployments/<network>.json
+//
+//   UPGRADE=TokenBankUpgradeable npx hardhat run scripts/upgrade.js --network localhost
+//   UPGRADE=TokenBankUpgradeable IMPLEMENTATION=TokenBankUpgradeableV2 npx hardhat run scripts/upgrade.js
+//   UPGRADE=SmartTokenBankUpgradeable CHECK_ONLY=1 npx hardhat run scripts/upgrade.js   # 只检查存储布局
+//
+// 新实现的存储布局与清单里记录的当前布局逐个变量对比：已有变量的位置、名字和类型都不能变，新变量只能追加在最后。
+// 不兼容时直接报错，不会部署任何合约。升级需要 ProxyAdmin 的 owner（默认是部署者）执行
+const { readManifest, writeManifest, getDeployment, DEFAULT_DIR } = require("./lib/manifest");
+const { validateUpgrade, upgradeProxy } = require("./lib/proxy");
+
+/**
+ * 升级清单里的一个代理
+ * @param hre Hardhat 运行时
+ * @param name 清单里的合约名，例如 TokenBankUpgradeable
+ * @param options.implementation 新实现的合约名，默认与 name 相同（修改源码后重新编译的同一个合约）
+ * @param options.call 升级的同时调用的函数 { fn, args }，例如新版本的 reinitializer
+ * @param options.checkOnly 只检查存储布局，不部署也不升级
+ * @param options.manifestDir 清单目录，默认 deployments/
+ * @param options.log 日志函数
+ * @return 更新后的部署清单
+ */
+async function upgradeContract(hre, name, options = {}) {
+  const {
+    implementation = name,
+    call,
+    checkOnly = false,
+    manifestDir = DEFAULT_DIR,
+    log = console.log,
+  } = options;
+
+  const manifest = readManifest(hre.network.name, manifestDir);
+  const entry = getDeployment(manifest, name);
+  if (!entry.proxyAdmin) {
+    throw new Error(`${name} on ${manifest.network} is not deployed behind a proxy`);
+  }
+
+  if (checkOnly) {
+    await validateUpgrade(hre, entry, implementation);
+    log(`${name}: storage layout of ${implementation} is compatible`);
+    return manifest;
+  }
+
+  Object.assign(entry, await upgradeProxy(hre, entry, implementation, { call }));
+  log(`${name}: upgraded ${entry.address} to ${implementation} at ${entry.implementation}`);
+
+  const file = writeManifest(manifest, manifestDir);
+  log(`Manifest written to ${file}`);
+
+  return manifest;
+}
+
+async function main() {
+  const hre = require("hardhat");
+  const name = process.env.UPGRADE;
+  if (!name) {
+    throw new Error("Set UPGRADE to the proxy to upgrade, e.g. UPGRADE=TokenBankUpgradeable");
+  }
+  await upgradeContract(hre, name, {
+    implementation: process.env.IMPLEMENTATION || name,
+    checkOnly: Boolean(process.env.CHECK_ONLY),
+  });
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { upgradeContract };
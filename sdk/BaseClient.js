@@ -0,0 +1,151 @@
+const { Contract } = require("ethers");
+const { ERC20_ABI } = require("./abi");
+const { decodeError } = require("./errors");
+const { roleId } = require("./roles");
+
+/**
+ * 所有客户端的公共部分：持有合约实例，统一发送交易和翻译错误
+ */
+class BaseClient {
+  /**
+   * @param {string} address 合约地址
+   * @param {import("ethers").ContractRunner} runner Signer（发交易）或 Provider（只读）
+   * @param {import("ethers").InterfaceAbi} abi
+   */
+  constructor(address, runner, abi) {
+    this.address = address;
+    this.runner = runner;
+    this.contract = new Contract(address, abi, runner);
+  }
+
+  /**
+   * 返回绑定到当前 runner 的代币合约
+   * @param {string} token 代币地址
+   */
+  token(token) {
+    return new Contract(token, ERC20_ABI, this.runner);
+  }
+
+  /**
+   * 当前 Signer 的地址，只读客户端调用会报错
+   * @returns {Promise<string>}
+   */
+  async signerAddress() {
+    if (!this.runner || typeof this.runner.getAddress !== "function") {
+      throw new Error("This client was created without a signer");
+    }
+    return this.runner.getAddress();
+  }
+
+  /**
+   * @param {string} role 角色名（PAUSER、RATE_MANAGER、TREASURER、GUARDIAN、DEFAULT_ADMIN）或角色 id
+   * @param {string} account
+   * @returns {Promise<boolean>}
+   */
+  async hasRole(role, account) {
+    return this._call(() => this.contract.hasRole(roleId(role), account));
+  }
+
+  /**
+   * 管理员授予角色
+   * @param {string} role
+   * @param {string} account
+   */
+  async grantRole(role, account) {
+    return this._send(() => this.contract.grantRole(roleId(role), account));
+  }
+
+  /**
+   * 管理员撤销角色
+   * @param {string} role
+   * @param {string} account
+   */
+  async revokeRole(role, account) {
+    return this._send(() => this.contract.revokeRole(roleId(role), account));
+  }
+
+  /**
+   * 管理员转移第一步：提名新管理员，address(0) 表示取消提名
+   * @param {string} newAdmin
+   */
+  async proposeAdmin(newAdmin) {
+    return this._send(() => this.contract.proposeAdmin(newAdmin));
+  }
+
+  /**
+   * 管理员转移第二步：由被提名的地址调用
+   */
+  async acceptAdmin() {
+    return this._send(() => this.contract.acceptAdmin());
+  }
+
+  /**
+   * @returns {Promise<boolean>}
+   */
+  async isPaused() {
+    return this._call(() => this.contract.paused());
+  }
+
+  async pause() {
+    return this._send(() => this.contract.pause());
+  }
+
+  async unpause() {
+    return this._send(() => this.contract.unpause());
+  }
+
+  /**
+   * 单独暂停/恢复某个函数
+   * @param {string} fn 函数名（例如 "deposit"）或 selector
+   * @param {boolean} paused
+   */
+  async setFunctionPaused(fn, paused) {
+    const selector = fn.startsWith("0x") ? fn : this.contract.interface.getFunction(fn).selector;
+    return this._send(() => this.contract.setFunctionPaused(selector, paused));
+  }
+
+  /**
+   * @returns {Promise<boolean>}
+   */
+  async isEmergency() {
+    return this._call(() => this.contract.emergency());
+  }
+
+  async enterEmergency() {
+    return this._send(() => this.contract.enterEmergency());
+  }
+
+  async exitEmergency() {
+    return this._send(() => this.contract.exitEmergency());
+  }
+
+  /**
+   * 发送交易并等待回执，revert 会被转换成 BankError 子类
+   * @param {() => Promise<import("ethers").ContractTransactionResponse>} send
+   * @returns {Promise<import("ethers").ContractTransactionReceipt>}
+   */
+  async _send(send) {
+    try {
+      const tx = await send();
+      return await tx.wait();
+    } catch (error) {
+      throw decodeError(error);
+    }
+  }
+
+  /**
+   * 只读调用，同样翻译 revert
+   * @template T
+   * @param {() => Promise<T>} call
+   * @returns {Promise<T>}
+   */
+  async _call(call) {
+    try {
+      return await call();
+    } catch (error) {
+      throw decodeError(error);
+    }
+  }
+}
+
+module.exports = { BaseClient };
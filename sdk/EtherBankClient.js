@@ -0,0 +1,169 @@
+const { BaseClient } = require("./BaseClient");
+const { ETHER_BANK_ABI } = require("./abi");
+const { ZeroAddress } = require("ethers");
+
+/**
+ * EtherBank / BigBank 客户端
+ */
+class EtherBankClient extends BaseClient {
+  constructor(address, runner, abi = ETHER_BANK_ABI) {
+    super(address, runner, abi);
+  }
+
+  /**
+   * 存入 ETH
+   * @param {bigint} amount 单位 wei
+   */
+  async deposit(amount) {
+    return this._send(() => this.contract.deposit({ value: amount }));
+  }
+
+  /**
+   * 管理员注入利息储备
+   * @param {bigint} amount 单位 wei
+   */
+  async fundInterestReserve(amount) {
+    return this._send(() => this.contract.fundInterestReserve({ value: amount }));
+  }
+
+  /**
+   * 取回自己的存款，先扣利息再扣本金
+   * @param {bigint} amount 单位 wei
+   */
+  async withdraw(amount) {
+    return this._send(() => this.contract.userWithdraw(amount));
+  }
+
+  /**
+   * 紧急模式下取回全部本金，未结算的利息作废
+   */
+  async emergencyWithdraw() {
+    return this._send(() => this.contract.emergencyWithdraw());
+  }
+
+  /**
+   * 管理员提取盈余（合约余额减去用户存款总额）
+   * @param {bigint} amount 单位 wei
+   */
+  async withdrawSurplus(amount) {
+    return this._send(() => this.contract.withdraw(amount));
+  }
+
+  /**
+   * @param {string} user
+   * @returns {Promise<bigint>}
+   */
+  async balanceOf(user) {
+    return this._call(() => this.contract.balances(user));
+  }
+
+  /**
+   * 本金、利息一览，和合约的 getBalanceInfo 一致
+   * @param {string} user
+   * @returns {Promise<{ principal: bigint, settledInterest: bigint, pendingInterest: bigint, totalInterest: bigint, total: bigint }>}
+   */
+  async getBalanceInfo(user) {
+    const info = await this._call(() => this.contract.getBalanceInfo(user));
+    return {
+      principal: info.principal,
+      settledInterest: info.settledInterest,
+      pendingInterest: info.pendingInterest,
+      totalInterest: info.totalInterest,
+      total: info.total,
+    };
+  }
+
+  /**
+   * 合约持有的 ETH 总额
+   * @returns {Promise<bigint>}
+   */
+  async totalHoldings() {
+    return this._call(() => this.contract.getBalance());
+  }
+
+  /**
+   * 可供管理员提取的盈余
+   * @returns {Promise<bigint>}
+   */
+  async surplus() {
+    return this._call(() => this.contract.getSurplus());
+  }
+
+  /**
+   * 排行榜，按名次排列并带上余额
+   * @returns {Promise<{ user: string, balance: bigint, rank: number }[]>}
+   */
+  async getTopDepositors() {
+    const entries = await this._call(() => this.contract.getLeaderboard());
+    return entries.map((entry) => ({
+      user: entry.user,
+      balance: entry.balance,
+      rank: Number(entry.rank),
+    }));
+  }
+
+  /**
+   * 用户名次，从 1 开始；不在榜上返回 0
+   * @param {string} user
+   * @returns {Promise<number>}
+   */
+  async rankOf(user) {
+    return Number(await this._call(() => this.contract.rankOf(user)));
+  }
+
+  /**
+   * 管理员设置 ETH 的取款限额，不填的字段为 0（不限制）
+   * @param {{ window?: number | bigint, globalLimit?: bigint, userLimit?: bigint, largeThreshold?: bigint, delay?: number | bigint }} limit
+   *   window 和 delay 单位为秒；单笔达到 largeThreshold 的取款排队 delay 秒后才能领取
+   */
+  async setWithdrawLimit({ window = 0, globalLimit = 0n, userLimit = 0n, largeThreshold = 0n, delay = 0 }) {
+    return this._send(() =>
+      this.contract.setWithdrawLimit(ZeroAddress, window, globalLimit, userLimit, largeThreshold, delay)
+    );
+  }
+
+  /**
+   * 当前窗口内还能取出的 ETH，MaxUint256 表示不限制
+   * @param {string} user
+   * @returns {Promise<{ globalRemaining: bigint, userRemaining: bigint }>}
+   */
+  async getWithdrawAllowance(user) {
+    const allowance = await this._call(() => this.contract.getWithdrawAllowance(ZeroAddress, user));
+    return { globalRemaining: allowance.globalRemaining, userRemaining: allowance.userRemaining };
+  }
+
+  /**
+   * 排队中的大额取款，已领取或已取消时返回 null
+   * @param {bigint} id
+   * @returns {Promise<{ id: bigint, owner: string, to: string, amount: bigint, readyAt: number } | null>}
+   */
+  async getQueuedWithdrawal(id) {
+    const queued = await this._call(() => this.contract.queuedWithdrawals(id));
+    if (queued.owner === ZeroAddress) return null;
+    return {
+      id: BigInt(id),
+      owner: queued.owner,
+      to: queued.to,
+      amount: queued.amount,
+      readyAt: Number(queued.readyAt),
+    };
+  }
+
+  /**
+   * 延时结束后领取排队中的取款
+   * @param {bigint} id
+   */
+  async claimWithdrawal(id) {
+    return this._send(() => this.contract.claimWithdrawal(id));
+  }
+
+  /**
+   * GUARDIAN 在延时期内取消排队中的取款，ETH 退回用户的本金
+   * @param {bigint} id
+   */
+  async cancelWithdrawal(id) {
+    return this._send(() => this.contract.cancelWithdrawal(id));
+  }
+}
+
+module.exports = { EtherBankClient };
@@ -0,0 +1,271 @@
+const { TokenAllowlistClient } = require("./TokenAllowlistClient");
+const { SMART_TOKEN_BANK_ABI } = require("./abi");
+const { AbiCoder, ZeroAddress, ZeroHash, encodeBytes32String, isHexString } = require("ethers");
+
+/**
+ * 编码 transferAndCall 存款的 data，格式见 SmartTokenBank.onTransferReceived；都不填时返回空 data
+ * @param {{ beneficiary?: string, termDays?: number | bigint, referralCode?: string }} [options]
+ *   referralCode 可以是 bytes32 十六进制串，也可以是不超过 31 字节的字符串
+ * @returns {string}
+ */
+function encodeDepositData({ beneficiary, termDays, referralCode } = {}) {
+  if (beneficiary === undefined && termDays === undefined && referralCode === undefined) {
+    return "0x";
+  }
+  let code = ZeroHash;
+  if (referralCode !== undefined) {
+    code = isHexString(referralCode, 32) ? referralCode : encodeBytes32String(referralCode);
+  }
+  return AbiCoder.defaultAbiCoder().encode(
+    ["address", "uint256", "bytes32"],
+    [beneficiary ?? ZeroAddress, termDays ?? 0, code]
+  );
+}
+
+/**
+ * SmartTokenBank 客户端
+ */
+class SmartTokenBankClient extends TokenAllowlistClient {
+  constructor(address, runner, abi = SMART_TOKEN_BANK_ABI) {
+    super(address, runner, abi);
+  }
+
+  /**
+   * 本金、利息一览，和合约的 getBalanceInfo 一致
+   * @param {string} token
+   * @param {string} user
+   * @returns {Promise<{ principal: bigint, settledInterest: bigint, pendingInterest: bigint, totalInterest: bigint, total: bigint }>}
+   */
+  async getBalanceInfo(token, user) {
+    const info = await this._call(() => this.contract.getBalanceInfo(token, user));
+    return {
+      principal: info.principal,
+      settledInterest: info.settledInterest,
+      pendingInterest: info.pendingInterest,
+      totalInterest: info.totalInterest,
+      total: info.total,
+    };
+  }
+
+  /**
+   * @param {string} token
+   * @param {bigint} amount
+   */
+  async deposit(token, amount) {
+    return this._send(() => this.contract.deposit(token, amount));
+  }
+
+  /**
+   * 授权不足时先 approve，再存款
+   * @param {string} token
+   * @param {bigint} amount
+   */
+  async approveAndDeposit(token, amount) {
+    const owner = await this.signerAddress();
+    const erc20 = this.token(token);
+
+    const allowance = await this._call(() => erc20.allowance(owner, this.address));
+    if (allowance < amount) {
+      await this._send(() => erc20.approve(this.address, amount));
+    }
+    return this.deposit(token, amount);
+  }
+
+  /**
+   * 用 SmartToken.transferAndCall 一笔交易完成存款，由 onTransferReceived 记账
+   * @param {string} token SmartToken 地址
+   * @param {bigint} amount
+   * @param {{ beneficiary?: string, termDays?: number | bigint, referralCode?: string }} [options]
+   *   beneficiary 代别人存款，termDays 直接开定期，referralCode 推荐码；都不填时记到自己的活期
+   */
+  async transferAndCallDeposit(token, amount, options = {}) {
+    const smartToken = this.token(token);
+    const data = encodeDepositData(options);
+    if (data === "0x") {
+      return this._send(() => smartToken["transferAndCall(address,uint256)"](this.address, amount));
+    }
+    return this._send(() =>
+      smartToken["transferAndCall(address,uint256,bytes)"](this.address, amount, data)
+    );
+  }
+
+  /**
+   * 提款，先扣利息再扣本金
+   * @param {string} token
+   * @param {bigint} amount
+   */
+  async withdraw(token, amount) {
+    return this._send(() => this.contract.withdraw(token, amount));
+  }
+
+  /**
+   * 开启或关闭复利，开启时已结算的利息会转入本金
+   * @param {string} token
+   * @param {boolean} enabled
+   */
+  async setCompounding(token, enabled) {
+    return this._send(() => this.contract.setCompounding(token, enabled));
+  }
+
+  /**
+   * @param {string} token
+   * @param {string} user
+   * @returns {Promise<boolean>}
+   */
+  async isCompounding(token, user) {
+    return this._call(() => this.contract.compounding(token, user));
+  }
+
+  /**
+   * 开一笔定期存款，授权不足时先 approve
+   * @param {string} token
+   * @param {bigint} amount
+   * @param {number} termDays
+   * @returns {Promise<bigint>} 定期存款编号
+   */
+  async openTermDeposit(token, amount, termDays) {
+    const owner = await this.signerAddress();
+    const erc20 = this.token(token);
+
+    const allowance = await this._call(() => erc20.allowance(owner, this.address));
+    if (allowance < amount) {
+      await this._send(() => erc20.approve(this.address, amount));
+    }
+    const receipt = await this._send(() =>
+      this.contract.openTermDeposit(token, amount, termDays)
+    );
+    const opened = receipt.logs.find((log) => log.eventName === "TermDepositOpened");
+    return opened.args.id;
+  }
+
+  /**
+   * 到期后取回本金和利息
+   * @param {bigint} id
+   */
+  async redeemTermDeposit(id) {
+    return this._send(() => this.contract.redeemTermDeposit(id));
+  }
+
+  /**
+   * 提前支取，放弃全部利息
+   * @param {bigint} id
+   */
+  async breakTermDeposit(id) {
+    return this._send(() => this.contract.breakTermDeposit(id));
+  }
+
+  /**
+   * 用户未结清的定期存款
+   * @param {string} user
+   * @returns {Promise<{ id: bigint, token: string, principal: bigint, ratePerDay: bigint, termDays: number, maturity: number, interest: bigint, matured: boolean }[]>}
+   */
+  async getTermDeposits(user) {
+    const positions = await this._call(() => this.contract.getTermDeposits(user));
+    const block = await this.runner.provider.getBlock("latest");
+    return positions.map((position) => ({
+      id: position.id,
+      token: position.token,
+      principal: position.principal,
+      ratePerDay: position.ratePerDay,
+      termDays: Number(position.termDays),
+      maturity: Number(position.maturity),
+      interest: position.interest,
+      matured: Number(position.maturity) <= block.timestamp,
+    }));
+  }
+
+  /**
+   * 管理员设置期限利率，0 表示下架该期限
+   * @param {string} token
+   * @param {number} termDays
+   * @param {bigint} ratePerDay 1e18 = 100% per day
+   */
+  async setTermRate(token, termDays, ratePerDay) {
+    return this._send(() => this.contract.setTermRate(token, termDays, ratePerDay));
+  }
+
+  /**
+   * 代币当前日利率，1e18 = 100% per day
+   * @param {string} token
+   * @returns {Promise<bigint>}
+   */
+  async getInterestRate(token) {
+    return this._call(() => this.contract.getInterestRate(token));
+  }
+
+  /**
+   * 利率调整历史
+   * @param {string} token
+   * @returns {Promise<{ timestamp: number, ratePerDay: bigint }[]>}
+   */
+  async getRateHistory(token) {
+    const history = await this._call(() => this.contract.getRateHistory(token));
+    return history.map((point) => ({
+      timestamp: Number(point.timestamp),
+      ratePerDay: point.ratePerDay,
+    }));
+  }
+
+  /**
+   * 管理员调整代币日利率，只影响之后的时间段
+   * @param {string} token
+   * @param {bigint} ratePerDay 1e18 = 100% per day
+   */
+  async setInterestRate(token, ratePerDay) {
+    return this._send(() => this.contract.setInterestRate(token, ratePerDay));
+  }
+
+  /**
+   * 代币的偿付能力报告
+   * @param {string} token
+   * @returns {Promise<{ holdings: bigint, deposits: bigint, accruedInterest: bigint, pendingInterest: bigint, reserve: bigint, reserveShortfall: bigint, termDeposits: bigint, termInterest: bigint, solvent: boolean }>}
+   */
+  async getSolvency(token) {
+    const report = await this._call(() => this.contract.getSolvency(token));
+    return {
+      holdings: report.holdings,
+      deposits: report.deposits,
+      accruedInterest: report.accruedInterest,
+      pendingInterest: report.pendingInterest,
+      reserve: report.reserve,
+      reserveShortfall: report.reserveShortfall,
+      termDeposits: report.termDeposits,
+      termInterest: report.termInterest,
+      solvent: report.solvent,
+    };
+  }
+
+  /**
+   * 管理员注入利息储备，授权不足时先 approve
+   * @param {string} token
+   * @param {bigint} amount
+   */
+  async fundInterestReserve(token, amount) {
+    const owner = await this.signerAddress();
+    const erc20 = this.token(token);
+
+    const allowance = await this._call(() => erc20.allowance(owner, this.address));
+    if (allowance < amount) {
+      await this._send(() => erc20.approve(this.address, amount));
+    }
+    return this._send(() => this.contract.fundInterestReserve(token, amount));
+  }
+
+  /**
+   * 紧急模式下取回全部活期本金，未结算的利息作废
+   * @param {string} token
+   */
+  async emergencyWithdraw(token) {
+    return this._send(() => this.contract.emergencyWithdraw(token));
+  }
+
+  /**
+   * 紧急模式下取回定期本金，不论是否到期
+   * @param {bigint} id
+   */
+  async emergencyWithdrawTermDeposit(id) {
+    return this._send(() => this.contract.emergencyWithdrawTermDeposit(id));
+  }
+}
+
+module.exports = { SmartTokenBankClient, encodeDepositData };
@@ -0,0 +1,116 @@
+const { AbiCoder } = require("ethers");
+const { BaseClient } = require("./BaseClient");
+const { SMART_TOKEN_VAULT_ABI } = require("./abi");
+
+/**
+ * SmartTokenVault（ERC-4626 份额）客户端，金额单位都是资产代币的最小单位，份额单独注明
+ */
+class SmartTokenVaultClient extends BaseClient {
+  constructor(address, runner, abi = SMART_TOKEN_VAULT_ABI) {
+    super(address, runner, abi);
+  }
+
+  /**
+   * 金库的资产代币地址
+   * @returns {Promise<string>}
+   */
+  async asset() {
+    if (!this._asset) {
+      this._asset = await this._call(() => this.contract.asset());
+    }
+    return this._asset;
+  }
+
+  /**
+   * 用户的份额和按当前价格可以赎回的资产
+   * @param {string} user
+   * @returns {Promise<{ shares: bigint, assets: bigint }>}
+   */
+  async getPosition(user) {
+    const shares = await this._call(() => this.contract.balanceOf(user));
+    const assets = await this._call(() => this.contract.previewRedeem(shares));
+    return { shares, assets };
+  }
+
+  /**
+   * 金库在银行的全部资产（本金 + 利息）和份额总量
+   * @returns {Promise<{ totalAssets: bigint, totalSupply: bigint }>}
+   */
+  async getTotals() {
+    const [totalAssets, totalSupply] = await Promise.all([
+      this._call(() => this.contract.totalAssets()),
+      this._call(() => this.contract.totalSupply()),
+    ]);
+    return { totalAssets, totalSupply };
+  }
+
+  /**
+   * 存入资产换份额，授权不足时先 approve
+   * @param {bigint} assets
+   * @param {string} [receiver] 份额接收人，默认自己
+   */
+  async deposit(assets, receiver) {
+    const owner = await this.signerAddress();
+    const erc20 = this.token(await this.asset());
+
+    const allowance = await this._call(() => erc20.allowance(owner, this.address));
+    if (allowance < assets) {
+      await this._send(() => erc20.approve(this.address, assets));
+    }
+    return this._send(() => this.contract.deposit(assets, receiver ?? owner));
+  }
+
+  /**
+   * 用 SmartToken.transferAndCall 一笔交易存入，不需要 approve
+   * @param {bigint} assets
+   * @param {string} [receiver] 份额接收人，默认自己
+   */
+  async transferAndCallDeposit(assets, receiver) {
+    const smartToken = this.token(await this.asset());
+    if (receiver === undefined) {
+      return this._send(() => smartToken["transferAndCall(address,uint256)"](this.address, assets));
+    }
+    const data = AbiCoder.defaultAbiCoder().encode(["address"], [receiver]);
+    return this._send(() =>
+      smartToken["transferAndCall(address,uint256,bytes)"](this.address, assets, data)
+    );
+  }
+
+  /**
+   * 赎回份额，资产转给 receiver
+   * @param {bigint} shares 份额数量
+   * @param {string} [receiver] 默认自己
+   */
+  async redeem(shares, receiver) {
+    const owner = await this.signerAddress();
+    return this._send(() => this.contract.redeem(shares, receiver ?? owner, owner));
+  }
+
+  /**
+   * 取出指定数量的资产，按需烧掉份额
+   * @param {bigint} assets
+   * @param {string} [receiver] 默认自己
+   */
+  async withdraw(assets, receiver) {
+    const owner = await this.signerAddress();
+    return this._send(() => this.contract.withdraw(assets, receiver ?? owner, owner));
+  }
+
+  /**
+   * @param {bigint} assets
+   * @returns {Promise<bigint>} 现在存入能得到的份额
+   */
+  async previewDeposit(assets) {
+    return this._call(() => this.contract.previewDeposit(assets));
+  }
+
+  /**
+   * @param {bigint} shares
+   * @returns {Promise<bigint>} 现在赎回能得到的资产
+   */
+  async previewRedeem(shares) {
+    return this._call(() => this.contract.previewRedeem(shares));
+  }
+}
+
+module.exports = { SmartTokenVaultClient };
@@ -0,0 +1,155 @@
+const { BaseClient } = require("./BaseClient");
+const { signInternalTransfer } = require("./transferSig");
+
+// 不指定 deadline 时签名有效期为 1 小时
+const DEFAULT_PERMIT_TTL = 3600;
+
+/**
+ * TokenBank 和 SmartTokenBank 共用的代币白名单、存款限制、用户仓位和账户间转账
+ */
+class TokenAllowlistClient extends BaseClient {
+  /**
+   * 代币是否在白名单中，不在白名单的代币不能存入
+   * @param {string} token
+   * @returns {Promise<boolean>}
+   */
+  async isTokenAllowed(token) {
+    return this._call(() => this.contract.tokenAllowed(token));
+  }
+
+  /**
+   * 把代币加入或移出白名单（管理员），移出后已有存款仍可取出
+   * @param {string} token
+   * @param {boolean} allowed
+   */
+  async setTokenAllowed(token, allowed) {
+    return this._send(() => this.contract.setTokenAllowed(token, allowed));
+  }
+
+  /**
+   * 代币的存款限制，0 表示不限制
+   * @param {string} token
+   * @returns {Promise<{ minDeposit: bigint, userCap: bigint, tvlCap: bigint }>}
+   */
+  async getTokenLimits(token) {
+    const limits = await this._call(() => this.contract.tokenLimits(token));
+    return {
+      minDeposit: limits.minDeposit,
+      userCap: limits.userCap,
+      tvlCap: limits.tvlCap,
+    };
+  }
+
+  /**
+   * 设置存款限制（管理员），代币必须已在白名单中
+   * @param {string} token
+   * @param {{ minDeposit?: bigint, userCap?: bigint, tvlCap?: bigint }} limits 不填的项为 0，即不限制
+   */
+  async setTokenLimits(token, { minDeposit = 0n, userCap = 0n, tvlCap = 0n }) {
+    return this._send(() =>
+      this.contract.setTokenLimits(token, minDeposit, userCap, tvlCap)
+    );
+  }
+
+  /**
+   * 白名单中的全部代币及其限制和当前 TVL
+   * @returns {Promise<Array<{ token: string, minDeposit: bigint, userCap: bigint, tvlCap: bigint, tvl: bigint }>>}
+   */
+  async getSupportedTokens() {
+    const tokens = await this._call(() => this.contract.getSupportedTokens());
+    return tokens.map((entry) => ({
+      token: entry.token,
+      minDeposit: entry.minDeposit,
+      userCap: entry.userCap,
+      tvlCap: entry.tvlCap,
+      tvl: entry.tvl,
+    }));
+  }
+
+  /**
+   * 分页查询用户有仓位的代币（顺序不固定）。SmartTokenBank 的 principal 含定期本金，interest 是活期利息
+   * @param {string} user
+   * @param {{ offset?: number, limit?: number }} [page]
+   * @returns {Promise<{ entries: Array<{ token: string, principal: bigint, interest: bigint }>, total: number }>}
+   */
+  async getPortfolio(user, { offset = 0, limit = 50 } = {}) {
+    const [entries, total] = await this._call(() =>
+      this.contract.getPortfolio(user, offset, limit)
+    );
+    return {
+      entries: entries.map((entry) => ({
+        token: entry.token,
+        principal: entry.principal,
+        interest: entry.interest,
+      })),
+      total: Number(total),
+    };
+  }
+
+  /**
+   * 逐页取出用户的全部仓位
+   * @param {string} user
+   * @param {number} [pageSize]
+   */
+  async getFullPortfolio(user, pageSize = 50) {
+    const all = [];
+    for (let offset = 0; ; offset += pageSize) {
+      const { entries, total } = await this.getPortfolio(user, { offset, limit: pageSize });
+      all.push(...entries);
+      if (offset + pageSize >= total) {
+        return all;
+      }
+    }
+  }
+
+  /**
+   * 把自己在银行中的代币转到 to 的账户，不经过钱包
+   * @param {string} token
+   * @param {string} to
+   * @param {bigint} amount
+   */
+  async transferInternal(token, to, amount) {
+    return this._send(() => this.contract.transferInternal(token, to, amount));
+  }
+
+  /**
+   * 为当前 Signer 签一个账户间转账，交给中继人调用 submitTransferInternalWithSig
+   * @param {string} token
+   * @param {string} to
+   * @param {bigint} amount
+   * @param {{ deadline?: number | bigint }} [options]
+   * @returns {Promise<{ token: string, to: string, amount: bigint, nonce: bigint, deadline: bigint, signature: string }>}
+   */
+  async signTransferInternal(token, to, amount, options = {}) {
+    const deadline = BigInt(options.deadline ?? (await this._defaultDeadline()));
+
+    return signInternalTransfer(this.runner, this.contract, token, to, amount, deadline);
+  }
+
+  /**
+   * 提交别人签好的账户间转账（当前 Signer 只付 gas）
+   * @param {{ token: string, to: string, amount: bigint, nonce: bigint, deadline: bigint, signature: string }} request
+   */
+  async submitTransferInternalWithSig(request) {
+    const { token, to, amount, nonce, deadline, signature } = request;
+    return this._send(() =>
+      this.contract.transferInternalWithSig(token, to, amount, nonce, deadline, signature)
+    );
+  }
+
+  /**
+   * @param {string} user
+   * @returns {Promise<bigint>} 下一个签名转账的 nonce
+   */
+  async transferNonce(user) {
+    return this._call(() => this.contract.transferNonces(user));
+  }
+
+  // 以链上时间为准，本地链被推进过时间也不会立刻过期
+  async _defaultDeadline() {
+    const block = await this.runner.provider.getBlock("latest");
+    return block.timestamp + DEFAULT_PERMIT_TTL;
+  }
+}
+
+module.exports = { TokenAllowlistClient, DEFAULT_PERMIT_TTL };
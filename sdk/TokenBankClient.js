@@ -0,0 +1,320 @@
+const { TokenAllowlistClient, DEFAULT_PERMIT_TTL } = require("./TokenAllowlistClient");
+const { TOKEN_BANK_ABI } = require("./abi");
+const { MaxUint256, ZeroAddress, randomBytes, toBigInt } = require("ethers");
+const { signPermit, signDaiPermit, signPermit2Transfer } = require("./permit");
+const { signWithdraw } = require("./withdrawSig");
+
+/**
+ * TokenBank 客户端
+ */
+class TokenBankClient extends TokenAllowlistClient {
+  constructor(address, runner, abi = TOKEN_BANK_ABI) {
+    super(address, runner, abi);
+  }
+
+  /**
+   * @param {string} token
+   * @param {string} user
+   * @returns {Promise<bigint>}
+   */
+  async balanceOf(token, user) {
+    return this._call(() => this.contract.getBalance(token, user));
+  }
+
+  /**
+   * 已经 approve 过时直接存款
+   * @param {string} token
+   * @param {bigint} amount
+   */
+  async deposit(token, amount) {
+    return this._send(() => this.contract.deposit(token, amount));
+  }
+
+  /**
+   * 授权不足时先 approve，再存款
+   * @param {string} token
+   * @param {bigint} amount
+   */
+  async approveAndDeposit(token, amount) {
+    const owner = await this.signerAddress();
+    const erc20 = this.token(token);
+
+    const allowance = await this._call(() => erc20.allowance(owner, this.address));
+    if (allowance < amount) {
+      await this._send(() => erc20.approve(this.address, amount));
+    }
+    return this.deposit(token, amount);
+  }
+
+  /**
+   * 为当前 Signer 签一个给 TokenBank 的 permit，可以交给中继人调用 submitPermitDeposit
+   * @param {string} token
+   * @param {bigint} amount
+   * @param {{ deadline?: number | bigint }} [options] deadline 为绝对时间戳（秒）
+   * @returns {Promise<{ token: string, amount: bigint, deadline: bigint, owner: string, v: number, r: string, s: string }>}
+   */
+  async signPermitDeposit(token, amount, options = {}) {
+    const owner = await this.signerAddress();
+    const deadline = BigInt(options.deadline ?? (await this._defaultDeadline()));
+
+    const { v, r, s } = await signPermit(
+      this.runner,
+      this.token(token),
+      this.address,
+      amount,
+      deadline
+    );
+    return { token, amount, deadline, owner, v, r, s };
+  }
+
+  /**
+   * 提交别人签好的 permit 存款（当前 Signer 只付 gas）
+   * @param {{ token: string, amount: bigint, deadline: bigint, owner: string, v: number, r: string, s: string }} permit
+   */
+  async submitPermitDeposit(permit) {
+    const { token, amount, deadline, owner, v, r, s } = permit;
+    return this._send(() =>
+      this.contract.permitDeposit(token, amount, deadline, v, r, s, owner)
+    );
+  }
+
+  /**
+   * 读取 nonce、签名并提交 permitDeposit，一步完成
+   * @param {string} token
+   * @param {bigint} amount
+   * @param {{ deadline?: number | bigint }} [options]
+   */
+  async depositWithPermit(token, amount, options = {}) {
+    const permit = await this.signPermitDeposit(token, amount, options);
+    return this.submitPermitDeposit(permit);
+  }
+
+  /**
+   * 为当前 Signer 签一个 DAI 风格的 permit（授权无限额度），可以交给中继人调用 submitDaiPermitDeposit
+   * @param {string} token
+   * @param {bigint} amount
+   * @param {{ deadline?: number | bigint }} [options] deadline 为 0 表示永不过期
+   * @returns {Promise<{ token: string, amount: bigint, nonce: bigint, expiry: bigint, holder: string, v: number, r: string, s: string }>}
+   */
+  async signDaiPermitDeposit(token, amount, options = {}) {
+    const holder = await this.signerAddress();
+    const expiry = BigInt(options.deadline ?? (await this._defaultDeadline()));
+
+    const { v, r, s, nonce } = await signDaiPermit(
+      this.runner,
+      this.token(token),
+      this.address,
+      expiry
+    );
+    return { token, amount, nonce, expiry, holder, v, r, s };
+  }
+
+  /**
+   * 提交别人签好的 DAI permit 存款
+   * @param {{ token: string, amount: bigint, nonce: bigint, expiry: bigint, holder: string, v: number, r: string, s: string }} permit
+   */
+  async submitDaiPermitDeposit(permit) {
+    const { token, amount, nonce, expiry, holder, v, r, s } = permit;
+    return this._send(() =>
+      this.contract.daiPermitDeposit(token, amount, nonce, expiry, v, r, s, holder)
+    );
+  }
+
+  /**
+   * 签名并提交 DAI permit 存款，一步完成
+   * @param {string} token
+   * @param {bigint} amount
+   * @param {{ deadline?: number | bigint }} [options]
+   */
+  async depositWithDaiPermit(token, amount, options = {}) {
+    const permit = await this.signDaiPermitDeposit(token, amount, options);
+    return this.submitDaiPermitDeposit(permit);
+  }
+
+  /**
+   * 为当前 Signer 签一个 Permit2 签名转账，spender 为 TokenBank。需要事先 approve 过 Permit2（见 approvePermit2）
+   * @param {string} token
+   * @param {bigint} amount
+   * @param {{ deadline?: number | bigint, nonce?: bigint }} [options] nonce 默认随机生成
+   * @returns {Promise<{ permit: { permitted: { token: string, amount: bigint }, nonce: bigint, deadline: bigint }, owner: string, signature: string }>}
+   */
+  async signPermit2Deposit(token, amount, options = {}) {
+    const owner = await this.signerAddress();
+    const deadline = BigInt(options.deadline ?? (await this._defaultDeadline()));
+    // Permit2 的 nonce 无序，随机取一个基本不会与已用过的冲突
+    const nonce = options.nonce ?? toBigInt(randomBytes(8));
+    const permit2 = await this._call(() => this.contract.permit2());
+
+    const { permit, signature } = await signPermit2Transfer(
+      this.runner,
+      permit2,
+      token,
+      amount,
+      this.address,
+      nonce,
+      deadline
+    );
+    return { permit, owner, signature };
+  }
+
+  /**
+   * 提交别人签好的 Permit2 存款
+   * @param {{ permit: object, owner: string, signature: string }} signed
+   */
+  async submitPermit2Deposit(signed) {
+    const { permit, owner, signature } = signed;
+    return this._send(() => this.contract.permit2Deposit(permit, owner, signature));
+  }
+
+  /**
+   * 签名并提交 Permit2 存款，一步完成
+   * @param {string} token
+   * @param {bigint} amount
+   * @param {{ deadline?: number | bigint, nonce?: bigint }} [options]
+   */
+  async depositWithPermit2(token, amount, options = {}) {
+    const signed = await this.signPermit2Deposit(token, amount, options);
+    return this.submitPermit2Deposit(signed);
+  }
+
+  /**
+   * 一次性给 Permit2 无限授权（已授权时跳过），之后的 Permit2 存款只需要签名
+   * @param {string} token
+   */
+  async approvePermit2(token) {
+    const owner = await this.signerAddress();
+    const permit2 = await this._call(() => this.contract.permit2());
+    const erc20 = this.token(token);
+
+    const allowance = await this._call(() => erc20.allowance(owner, permit2));
+    if (allowance < MaxUint256 / 2n) {
+      await this._send(() => erc20.approve(permit2, MaxUint256));
+    }
+  }
+
+  /**
+   * @param {string} token
+   * @param {bigint} amount
+   */
+  async withdraw(token, amount) {
+    return this._send(() => this.contract.withdraw(token, amount));
+  }
+
+  /**
+   * 为当前 Signer 签一个取款授权，交给中继人调用 submitWithdrawWithSig，自己不需要 ETH
+   * @param {string} token
+   * @param {bigint} amount
+   * @param {{ to?: string, deadline?: number | bigint }} [options] to 默认为签名人自己
+   * @returns {Promise<{ token: string, amount: bigint, to: string, nonce: bigint, deadline: bigint, signature: string }>}
+   */
+  async signWithdraw(token, amount, options = {}) {
+    const owner = await this.signerAddress();
+    const deadline = BigInt(options.deadline ?? (await this._defaultDeadline()));
+
+    return signWithdraw(this.runner, this.contract, token, amount, options.to ?? owner, deadline);
+  }
+
+  /**
+   * 提交别人签好的取款（当前 Signer 只付 gas）
+   * @param {{ token: string, amount: bigint, to: string, nonce: bigint, deadline: bigint, signature: string }} request
+   */
+  async submitWithdrawWithSig(request) {
+    const { token, amount, to, nonce, deadline, signature } = request;
+    return this._send(() =>
+      this.contract.withdrawWithSig(token, amount, to, nonce, deadline, signature)
+    );
+  }
+
+  /**
+   * @param {string} user
+   * @returns {Promise<bigint>} 下一个签名取款的 nonce
+   */
+  async withdrawNonce(user) {
+    return this._call(() => this.contract.withdrawNonces(user));
+  }
+
+  /**
+   * 紧急模式下取回某个代币的全部余额
+   * @param {string} token
+   */
+  async emergencyWithdraw(token) {
+    return this._send(() => this.contract.emergencyWithdraw(token));
+  }
+
+  /**
+   * 不属于任何用户的代币
+   * @param {string} token
+   * @returns {Promise<bigint>}
+   */
+  async getSurplus(token) {
+    return this._call(() => this.contract.getSurplus(token));
+  }
+
+  /**
+   * TREASURER 提取盈余
+   * @param {string} token
+   * @param {bigint} amount
+   */
+  async withdrawSurplus(token, amount) {
+    return this._send(() => this.contract.withdrawSurplus(token, amount));
+  }
+
+  /**
+   * 管理员设置取款限额，不填的字段为 0（不限制）
+   * @param {string} token
+   * @param {{ window?: number | bigint, globalLimit?: bigint, userLimit?: bigint, largeThreshold?: bigint, delay?: number | bigint }} limit
+   *   window 和 delay 单位为秒；单笔达到 largeThreshold 的取款排队 delay 秒后才能领取
+   */
+  async setWithdrawLimit(token, { window = 0, globalLimit = 0n, userLimit = 0n, largeThreshold = 0n, delay = 0 }) {
+    return this._send(() =>
+      this.contract.setWithdrawLimit(token, window, globalLimit, userLimit, largeThreshold, delay)
+    );
+  }
+
+  /**
+   * 当前窗口内还能取出的数量，MaxUint256 表示不限制
+   * @param {string} token
+   * @param {string} user
+   * @returns {Promise<{ globalRemaining: bigint, userRemaining: bigint }>}
+   */
+  async getWithdrawAllowance(token, user) {
+    const allowance = await this._call(() => this.contract.getWithdrawAllowance(token, user));
+    return { globalRemaining: allowance.globalRemaining, userRemaining: allowance.userRemaining };
+  }
+
+  /**
+   * 排队中的大额取款，已领取或已取消时返回 null
+   * @param {bigint} id
+   * @returns {Promise<{ id: bigint, token: string, owner: string, to: string, amount: bigint, readyAt: number } | null>}
+   */
+  async getQueuedWithdrawal(id) {
+    const queued = await this._call(() => this.contract.queuedWithdrawals(id));
+    if (queued.owner === ZeroAddress) return null;
+    return {
+      id: BigInt(id),
+      token: queued.token,
+      owner: queued.owner,
+      to: queued.to,
+      amount: queued.amount,
+      readyAt: Number(queued.readyAt),
+    };
+  }
+
+  /**
+   * 延时结束后领取排队中的取款，代币转给排队时指定的收款地址
+   * @param {bigint} id
+   */
+  async claimWithdrawal(id) {
+    return this._send(() => this.contract.claimWithdrawal(id));
+  }
+
+  /**
+   * GUARDIAN 在延时期内取消排队中的取款
+   * @param {bigint} id
+   */
+  async cancelWithdrawal(id) {
+    return this._send(() => this.contract.cancelWithdrawal(id));
+  }
+}
+
+module.exports = { TokenBankClient, DEFAULT_PERMIT_TTL };
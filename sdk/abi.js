@@ -0,0 +1,237 @@
+// SDK 用到的最小 ABI（ethers 可读格式）
+// 部署清单 deployments/<network>.json 里有完整 ABI，可以通过 fromManifest 传入
+
+const ERC20_ABI = [
+  "function name() view returns (string)",
+  "function symbol() view returns (string)",
+  "function decimals() view returns (uint8)",
+  "function balanceOf(address) view returns (uint256)",
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function approve(address spender, uint256 amount) returns (bool)",
+  "function transfer(address to, uint256 amount) returns (bool)",
+  // EIP-2612
+  "function nonces(address owner) view returns (uint256)",
+  "function permit(address owner, address spender, uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s)",
+  // SmartToken
+  "function transferAndCall(address to, uint256 value) returns (bool)",
+  "function transferAndCall(address to, uint256 value, bytes data) returns (bool)",
+];
+
+// 四个银行共用的 BankAccessControl
+const ACCESS_CONTROL_ABI = [
+  "function admin() view returns (address)",
+  "function pendingAdmin() view returns (address)",
+  "function hasRole(bytes32 role, address account) view returns (bool)",
+  "function grantRole(bytes32 role, address account)",
+  "function revokeRole(bytes32 role, address account)",
+  "function renounceRole(bytes32 role, address account)",
+  "function proposeAdmin(address newAdmin)",
+  "function acceptAdmin()",
+  "event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender)",
+  "event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender)",
+  "event AdminProposed(address indexed currentAdmin, address indexed proposedAdmin)",
+  "event OwnershipTransferred(address indexed previousAdmin, address indexed newAdmin)",
+];
+
+// 四个银行共用的 BankPausable
+const PAUSABLE_ABI = [
+  "function paused() view returns (bool)",
+  "function functionPaused(bytes4 selector) view returns (bool)",
+  "function emergency() view returns (bool)",
+  "function pause()",
+  "function unpause()",
+  "function setFunctionPaused(bytes4 selector, bool isPaused)",
+  "function enterEmergency()",
+  "function exitEmergency()",
+  "event Paused(address indexed account)",
+  "event Unpaused(address indexed account)",
+  "event FunctionPauseChanged(bytes4 indexed selector, bool paused, address indexed account)",
+  "event EmergencyModeChanged(bool enabled, address indexed account)",
+];
+
+// TokenBank 和 SmartTokenBank 共用的 BankTokenAllowlist
+const TOKEN_ALLOWLIST_ABI = [
+  "function tokenAllowed(address token) view returns (bool)",
+  "function setTokenAllowed(address token, bool allowed)",
+  "function tokenLimits(address token) view returns (uint256 minDeposit, uint256 userCap, uint256 tvlCap)",
+  "function setTokenLimits(address token, uint256 minDeposit, uint256 userCap, uint256 tvlCap)",
+  "function getSupportedTokens() view returns (tuple(address token, uint256 minDeposit, uint256 userCap, uint256 tvlCap, uint256 tvl)[])",
+  "event TokenAllowlistChanged(address indexed token, bool allowed, address indexed account)",
+  "event TokenLimitsChanged(address indexed token, uint256 minDeposit, uint256 userCap, uint256 tvlCap)",
+];
+
+// TokenBank 和 SmartTokenBank 共用的 BankPortfolio
+const PORTFOLIO_ABI = [
+  "function getPortfolio(address user, uint256 offset, uint256 limit) view returns (tuple(address token, uint256 principal, uint256 interest)[] entries, uint256 total)",
+];
+
+// TokenBank 和 SmartTokenBank 共用的 BankInternalTransfer
+const INTERNAL_TRANSFER_ABI = [
+  "function transferInternal(address token, address to, uint256 amount)",
+  "function transferInternalWithSig(address token, address to, uint256 amount, uint256 nonce, uint256 deadline, bytes sig)",
+  "function transferNonces(address user) view returns (uint256)",
+  "function DOMAIN_SEPARATOR() view returns (bytes32)",
+  "function eip712Domain() view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)",
+  "event InternalTransfer(address indexed token, address indexed from, address indexed to, uint256 amount)",
+];
+
+// EtherBank / BigBank 和 TokenBank 共用的 BankWithdrawLimiter，ETH 银行的代币地址为 address(0)
+const WITHDRAW_LIMITER_ABI = [
+  "function withdrawLimits(address token) view returns (uint256 window, uint256 globalLimit, uint256 userLimit, uint256 largeThreshold, uint256 delay)",
+  "function setWithdrawLimit(address token, uint256 window, uint256 globalLimit, uint256 userLimit, uint256 largeThreshold, uint256 delay)",
+  "function getWithdrawAllowance(address token, address user) view returns (uint256 globalRemaining, uint256 userRemaining)",
+  "function queuedWithdrawals(uint256 id) view returns (address token, address owner, address to, uint256 amount, uint256 readyAt, uint256 queuedAt)",
+  "function totalQueuedWithdrawals(address token) view returns (uint256)",
+  "function claimWithdrawal(uint256 id)",
+  "function cancelWithdrawal(uint256 id)",
+  "event WithdrawLimitChanged(address indexed token, uint256 window, uint256 globalLimit, uint256 userLimit, uint256 largeThreshold, uint256 delay)",
+  "event WithdrawalQueued(uint256 indexed id, address indexed token, address indexed owner, address to, uint256 amount, uint256 readyAt)",
+  "event WithdrawalClaimed(uint256 indexed id, address indexed token, address indexed owner, address to, uint256 amount)",
+  "event WithdrawalCancelled(uint256 indexed id, address indexed token, address indexed owner, address guardian, uint256 amount)",
+];
+
+const ETHER_BANK_ABI = [
+  ...ACCESS_CONTROL_ABI,
+  ...PAUSABLE_ABI,
+  ...WITHDRAW_LIMITER_ABI,
+  "function balances(address) view returns (uint256)",
+  "function totalDeposits() view returns (uint256)",
+  "function getBalance() view returns (uint256)",
+  "function getSurplus() view returns (uint256)",
+  "function interestReserve() view returns (uint256)",
+  "function getBalanceInfo(address user) view returns (uint256 principal, uint256 settledInterest, uint256 pendingInterest, uint256 totalInterest, uint256 total)",
+  "function fundInterestReserve() payable",
+  "function leaderboardSize() view returns (uint256)",
+  "function getTopDepositors() view returns (address[])",
+  "function getLeaderboard() view returns (tuple(address user, uint256 balance, uint256 rank)[])",
+  "function rankOf(address user) view returns (uint256)",
+  "function deposit() payable",
+  "function withdraw(uint256 amount)",
+  "function userWithdraw(uint256 amount)",
+  "function emergencyWithdraw()",
+  "event Deposit(address indexed user, uint256 amount)",
+  "event Withdraw(address indexed treasurer, uint256 amount)",
+  "event UserWithdraw(address indexed user, uint256 principal, uint256 interest)",
+  "event InterestReserveFunded(address indexed treasurer, uint256 amount)",
+  "event EmergencyWithdraw(address indexed user, uint256 amount)",
+  "event LeaderboardChanged(address indexed user, uint256 oldRank, uint256 newRank)",
+];
+
+const TOKEN_BANK_ABI = [
+  ...ACCESS_CONTROL_ABI,
+  ...PAUSABLE_ABI,
+  ...TOKEN_ALLOWLIST_ABI,
+  ...PORTFOLIO_ABI,
+  ...INTERNAL_TRANSFER_ABI,
+  ...WITHDRAW_LIMITER_ABI,
+  "function balances(address user, address token) view returns (uint256)",
+  "function totalDeposits(address token) view returns (uint256)",
+  "function getSurplus(address token) view returns (uint256)",
+  "function withdrawSurplus(address token, uint256 amount)",
+  "function getBalance(address token, address user) view returns (uint256)",
+  "function getBalances(address[] tokens, address user) view returns (uint256[])",
+  "function deposit(address token, uint256 amount)",
+  "function permitDeposit(address token, uint256 amount, uint256 deadline, uint8 v, bytes32 r, bytes32 s, address owner)",
+  "function daiPermitDeposit(address token, uint256 amount, uint256 nonce, uint256 expiry, uint8 v, bytes32 r, bytes32 s, address holder)",
+  "function permit2() view returns (address)",
+  "function setPermit2(address newPermit2)",
+  "function permit2Deposit(tuple(tuple(address token, uint256 amount) permitted, uint256 nonce, uint256 deadline) permit, address owner, bytes signature)",
+  "function withdraw(address token, uint256 amount)",
+  "function withdrawNonces(address user) view returns (uint256)",
+  "function withdrawWithSig(address token, uint256 amount, address to, uint256 nonce, uint256 deadline, bytes sig)",
+  "function emergencyWithdraw(address token)",
+  "event Deposit(address indexed token, address indexed user, uint256 amount)",
+  "event Withdraw(address indexed token, address indexed user, uint256 amount)",
+  "event Permit2Changed(address indexed oldPermit2, address indexed newPermit2)",
+  "event WithdrawWithSig(address indexed token, address indexed owner, address indexed to, uint256 amount, uint256 nonce, address relayer)",
+  "event EmergencyWithdraw(address indexed token, address indexed user, uint256 amount)",
+  "event SurplusWithdrawn(address indexed token, address indexed treasurer, uint256 amount)",
+];
+
+const SMART_TOKEN_BANK_ABI = [
+  ...ACCESS_CONTROL_ABI,
+  ...PAUSABLE_ABI,
+  ...TOKEN_ALLOWLIST_ABI,
+  ...PORTFOLIO_ABI,
+  ...INTERNAL_TRANSFER_ABI,
+  "function getBalance(address token, address user) view returns (uint256)",
+  "function getBalanceInfo(address token, address user) view returns (uint256 principal, uint256 settledInterest, uint256 pendingInterest, uint256 totalInterest, uint256 total)",
+  "function getInterestRate(address token) view returns (uint256)",
+  "function getRateHistory(address token) view returns (tuple(uint256 timestamp, uint256 ratePerDay)[])",
+  "function setInterestRate(address token, uint256 ratePerDay)",
+  "function interestReserve(address token) view returns (uint256)",
+  "function getTotalPendingInterest(address token) view returns (uint256)",
+  "function getSolvency(address token) view returns (tuple(uint256 holdings, uint256 deposits, uint256 accruedInterest, uint256 pendingInterest, uint256 reserve, uint256 reserveShortfall, uint256 termDeposits, uint256 termInterest, bool solvent))",
+  "function fundInterestReserve(address token, uint256 amount)",
+  "function withdrawInterestReserve(address token, uint256 amount)",
+  "function compounding(address token, address user) view returns (bool)",
+  "function setCompounding(address token, bool enabled)",
+  "function deposit(address token, uint256 amount)",
+  "function withdraw(address token, uint256 amount)",
+  "function termRates(address token, uint256 termDays) view returns (uint256)",
+  "function setTermRate(address token, uint256 termDays, uint256 ratePerDay)",
+  "function openTermDeposit(address token, uint256 amount, uint256 termDays) returns (uint256)",
+  "function redeemTermDeposit(uint256 id)",
+  "function breakTermDeposit(uint256 id)",
+  "function emergencyWithdraw(address token)",
+  "function emergencyWithdrawTermDeposit(uint256 id)",
+  "function getTermDeposit(uint256 id) view returns (tuple(uint256 id, address token, address owner, uint256 principal, uint256 ratePerDay, uint256 termDays, uint256 startTime, uint256 maturity, uint256 interest))",
+  "function getTermDeposits(address user) view returns (tuple(uint256 id, address token, address owner, uint256 principal, uint256 ratePerDay, uint256 termDays, uint256 startTime, uint256 maturity, uint256 interest)[])",
+  "event Deposit(address indexed token, address indexed user, uint256 amount)",
+  "event Withdraw(address indexed token, address indexed user, uint256 principal, uint256 interest)",
+  "event RateChanged(address indexed token, uint256 oldRatePerDay, uint256 newRatePerDay, uint256 effectiveFrom)",
+  "event InterestReserveFunded(address indexed token, address indexed from, uint256 amount)",
+  "event InterestReserveWithdrawn(address indexed token, address indexed to, uint256 amount)",
+  "event InterestShortfall(address indexed token, address indexed user, uint256 unpaid)",
+  "event CompoundingChanged(address indexed token, address indexed user, bool enabled)",
+  "event TermRateChanged(address indexed token, uint256 termDays, uint256 ratePerDay)",
+  "event Referral(address indexed token, address indexed user, bytes32 indexed code, uint256 amount)",
+  "event TermDepositOpened(uint256 indexed id, address indexed token, address indexed owner, uint256 principal, uint256 ratePerDay, uint256 maturity)",
+  "event TermDepositMatured(uint256 indexed id, address indexed token, address indexed owner, uint256 principal, uint256 interest)",
+  "event TermDepositBroken(uint256 indexed id, address indexed token, address indexed owner, uint256 principal, uint256 forfeitedInterest)",
+  "event EmergencyWithdraw(address indexed token, address indexed user, uint256 termDepositId, uint256 principal)",
+];
+
+// SmartTokenVault：SmartTokenBank 活期存款的 ERC-4626 份额
+const SMART_TOKEN_VAULT_ABI = [
+  "function name() view returns (string)",
+  "function symbol() view returns (string)",
+  "function decimals() view returns (uint8)",
+  "function totalSupply() view returns (uint256)",
+  "function balanceOf(address) view returns (uint256)",
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function approve(address spender, uint256 amount) returns (bool)",
+  "function transfer(address to, uint256 amount) returns (bool)",
+  "function bank() view returns (address)",
+  "function asset() view returns (address)",
+  "function totalAssets() view returns (uint256)",
+  "function convertToShares(uint256 assets) view returns (uint256)",
+  "function convertToAssets(uint256 shares) view returns (uint256)",
+  "function maxDeposit(address receiver) view returns (uint256)",
+  "function maxWithdraw(address owner) view returns (uint256)",
+  "function maxRedeem(address owner) view returns (uint256)",
+  "function previewDeposit(uint256 assets) view returns (uint256)",
+  "function previewMint(uint256 shares) view returns (uint256)",
+  "function previewWithdraw(uint256 assets) view returns (uint256)",
+  "function previewRedeem(uint256 shares) view returns (uint256)",
+  "function deposit(uint256 assets, address receiver) returns (uint256)",
+  "function mint(uint256 shares, address receiver) returns (uint256)",
+  "function withdraw(uint256 assets, address receiver, address owner) returns (uint256)",
+  "function redeem(uint256 shares, address receiver, address owner) returns (uint256)",
+  "event Deposit(address indexed sender, address indexed owner, uint256 assets, uint256 shares)",
+  "event Withdraw(address indexed sender, address indexed receiver, address indexed owner, uint256 assets, uint256 shares)",
+];
+
+module.exports = {
+  ERC20_ABI,
+  ACCESS_CONTROL_ABI,
+  PAUSABLE_ABI,
+  TOKEN_ALLOWLIST_ABI,
+  PORTFOLIO_ABI,
+  INTERNAL_TRANSFER_ABI,
+  WITHDRAW_LIMITER_ABI,
+  ETHER_BANK_ABI,
+  TOKEN_BANK_ABI,
+  SMART_TOKEN_BANK_ABI,
+  SMART_TOKEN_VAULT_ABI,
+};
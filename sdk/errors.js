@@ -0,0 +1,111 @@
+// 把合约 revert 原因翻译成具体的 JS 错误类型，调用方可以用 instanceof 判断
+const { AbiCoder, dataSlice } = require("ethers");
+
+// Error(string) 的选择器
+const ERROR_STRING_SELECTOR = "0x08c379a0";
+
+class BankError extends Error {
+  /**
+   * @param {string} message
+   * @param {string | null} reason 合约返回的原始 revert 字符串
+   * @param {unknown} cause 原始的 ethers 错误
+   */
+  constructor(message, reason = null, cause = undefined) {
+    super(message);
+    this.name = this.constructor.name;
+    this.reason = reason;
+    this.cause = cause;
+  }
+}
+
+class PermitExpiredError extends BankError {}
+class InvalidSignatureError extends BankError {}
+class ContractPausedError extends BankError {}
+class InsufficientBalanceError extends BankError {}
+class UnauthorizedError extends BankError {}
+class InvalidArgumentError extends BankError {}
+// 低于最小存款或超出用户/TVL 上限
+class DepositLimitError extends BankError {}
+// 超出取款窗口限额，或排队中的大额取款还没到期
+class WithdrawLimitError extends BankError {}
+
+// revert 字符串 -> 错误类型，按顺序匹配
+const REVERT_REASONS = [
+  [/^Permit expired$/, PermitExpiredError],
+  [/^Signature expired$/, PermitExpiredError],
+  [/^Invalid (signature|nonce)$/, InvalidSignatureError],
+  [/^ERC20Permit: expired deadline$/, PermitExpiredError],
+  [/^ERC20Permit: invalid signature$/, InvalidSignatureError],
+  [/^Dai\/permit-expired$/, PermitExpiredError],
+  [/^Dai\/invalid-(permit|nonce)$/, InvalidSignatureError],
+  [/^Permit2: signature expired$/, PermitExpiredError],
+  [/^Permit2: invalid (signer|nonce)$/, InvalidSignatureError],
+  [/: contract is paused$/, ContractPausedError],
+  [/: function is paused$/, ContractPausedError],
+  [/^Insufficient (contract |surplus )?balance$/, InsufficientBalanceError],
+  [/: reserve is committed$/, InsufficientBalanceError],
+  [/^ERC20: transfer amount exceeds balance$/, InsufficientBalanceError],
+  [/^ERC20: insufficient allowance$/, InsufficientBalanceError],
+  [/^AccessControl: account 0x[0-9a-f]{40} is missing role 0x[0-9a-f]{64}$/, UnauthorizedError],
+  [/: caller is not pending admin$/, UnauthorizedError],
+  [/: use proposeAdmin$/, UnauthorizedError],
+  [/: caller is not position owner$/, UnauthorizedError],
+  [/^Invalid (token address|recipient)$/, InvalidArgumentError],
+  [/must be (greater than 0|at least)/, InvalidArgumentError],
+  [/: rate exceeds maximum$/, InvalidArgumentError],
+  [/: term not offered$/, InvalidArgumentError],
+  [/: token (not allowed|already set)$/, InvalidArgumentError],
+  [/: deposit below minimum$/, DepositLimitError],
+  [/: (user|TVL) cap exceeded$/, DepositLimitError],
+  [/^ERC4626: (deposit|mint) more than max$/, DepositLimitError],
+  [/^ERC4626: (withdraw|redeem) more than max$/, InsufficientBalanceError],
+  [/: (global|user) limit exceeded$/, WithdrawLimitError],
+  [/: withdrawal not ready$/, WithdrawLimitError],
+  [/: unknown withdrawal$/, InvalidArgumentError],
+  [/: cap below minimum deposit$/, InvalidArgumentError],
+];
+
+function extractReason(error) {
+  if (!error || typeof error !== "object") return null;
+  if (typeof error.reason === "string") return error.reason;
+  if (error.revert && error.revert.name === "Error") return error.revert.args[0];
+  // 进程内的 hardhat 网络只给原始 revert 数据
+  if (typeof error.data === "string" && error.data.startsWith(ERROR_STRING_SELECTOR)) {
+    return AbiCoder.defaultAbiCoder().decode(["string"], dataSlice(error.data, 4))[0];
+  }
+  // hardhat 有时把 revert 包在 error.error / error.info.error 里
+  return extractReason(error.error) || extractReason(error.info && error.info.error);
+}
+
+/**
+ * 把 ethers 抛出的错误转换为 BankError 子类；无法识别的 revert 归为 BankError，
+ * 不是 revert 的错误（网络错误等）原样返回
+ * @param {unknown} error
+ * @returns {Error}
+ */
+function decodeError(error) {
+  if (error instanceof BankError) return error;
+
+  const reason = extractReason(error);
+  if (reason === null) return error;
+
+  for (const [pattern, ErrorType] of REVERT_REASONS) {
+    if (pattern.test(reason)) {
+      return new ErrorType(reason, reason, error);
+    }
+  }
+  return new BankError(reason, reason, error);
+}
+
+module.exports = {
+  BankError,
+  PermitExpiredError,
+  InvalidSignatureError,
+  ContractPausedError,
+  InsufficientBalanceError,
+  UnauthorizedError,
+  InvalidArgumentError,
+  DepositLimitError,
+  WithdrawLimitError,
+  decodeError,
+};
@@ -0,0 +1,68 @@
+// 银行合约的 JS SDK
+//
+//   const { fromManifest } = require("./sdk");
+//   const bank = fromManifest(require("./deployments/localhost.json"), signer);
+//   await bank.tokenBank.depositWithPermit(token, amount);
+const { EtherBankClient } = require("./EtherBankClient");
+const { TokenBankClient, DEFAULT_PERMIT_TTL } = require("./TokenBankClient");
+const { SmartTokenBankClient, encodeDepositData } = require("./SmartTokenBankClient");
+const { SmartTokenVaultClient } = require("./SmartTokenVaultClient");
+const {
+  PERMIT_TYPES,
+  signPermit,
+  DAI_PERMIT_TYPES,
+  signDaiPermit,
+  PERMIT2_TYPES,
+  signPermit2Transfer,
+} = require("./permit");
+const { WITHDRAW_TYPES, signWithdraw } = require("./withdrawSig");
+const { INTERNAL_TRANSFER_TYPES, signInternalTransfer } = require("./transferSig");
+const { ROLES } = require("./roles");
+const errors = require("./errors");
+const abi = require("./abi");
+
+/**
+ * 根据部署清单（deployments/<network>.json）创建全部客户端，使用清单里的完整 ABI
+ * @param {{ contracts: Record<string, { address: string, abi: any[] }> }} manifest
+ * @param {import("ethers").ContractRunner} runner
+ */
+function fromManifest(manifest, runner) {
+  const client = (Client, name) => {
+    const entry = manifest.contracts[name];
+    return entry ? new Client(entry.address, runner, entry.abi) : undefined;
+  };
+
+  return {
+    etherBank: client(EtherBankClient, "EtherBank"),
+    bigBank: client(EtherBankClient, "BigBank"),
+    tokenBank: client(TokenBankClient, "TokenBank"),
+    smartTokenBank: client(SmartTokenBankClient, "SmartTokenBank"),
+    smartTokenVault: client(SmartTokenVaultClient, "SmartTokenVault"),
+    // 代理部署的可升级版本，清单里的 address 是代理地址
+    upgradeableTokenBank: client(TokenBankClient, "TokenBankUpgradeable"),
+    upgradeableSmartTokenBank: client(SmartTokenBankClient, "SmartTokenBankUpgradeable"),
+  };
+}
+
+module.exports = {
+  EtherBankClient,
+  TokenBankClient,
+  SmartTokenBankClient,
+  SmartTokenVaultClient,
+  encodeDepositData,
+  fromManifest,
+  signPermit,
+  PERMIT_TYPES,
+  signDaiPermit,
+  DAI_PERMIT_TYPES,
+  signPermit2Transfer,
+  PERMIT2_TYPES,
+  signWithdraw,
+  WITHDRAW_TYPES,
+  signInternalTransfer,
+  INTERNAL_TRANSFER_TYPES,
+  DEFAULT_PERMIT_TTL,
+  ROLES,
+  abi,
+  ...errors,
+};
@@ -0,0 +1,142 @@
+// 链下授权签名：EIP-2612 permit（和 test/TokenBankPermittest.js 里手工构造的数据一致）、
+// DAI 风格 permit，以及 Permit2 的签名转账
+const { Signature } = require("ethers");
+
+const PERMIT_TYPES = {
+  Permit: [
+    { name: "owner", type: "address" },
+    { name: "spender", type: "address" },
+    { name: "value", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+/**
+ * 为 owner 签一个授权 spender 使用 value 的 permit
+ * @param owner 签名人（ethers Signer）
+ * @param token 支持 EIP-2612 的代币合约实例
+ * @return { v, r, s, nonce }
+ */
+async function signPermit(owner, token, spender, value, deadline) {
+  const ownerAddress = await owner.getAddress();
+  const [name, nonce, network] = await Promise.all([
+    token.name(),
+    token.nonces(ownerAddress),
+    owner.provider.getNetwork(),
+  ]);
+
+  const domain = {
+    name,
+    version: "1",
+    chainId: network.chainId,
+    verifyingContract: await token.getAddress(),
+  };
+
+  const message = {
+    owner: ownerAddress,
+    spender,
+    value,
+    nonce,
+    deadline,
+  };
+
+  const signature = await owner.signTypedData(domain, PERMIT_TYPES, message);
+  const { v, r, s } = Signature.from(signature);
+
+  return { v, r, s, nonce };
+}
+
+const DAI_PERMIT_TYPES = {
+  Permit: [
+    { name: "holder", type: "address" },
+    { name: "spender", type: "address" },
+    { name: "nonce", type: "uint256" },
+    { name: "expiry", type: "uint256" },
+    { name: "allowed", type: "bool" },
+  ],
+};
+
+/**
+ * 为 holder 签一个 DAI 风格的 permit（allowed = true，授权无限额度）
+ * @param holder 签名人（ethers Signer）
+ * @param token DAI 风格代币合约实例
+ * @param expiry 过期时间戳，0 表示永不过期
+ * @return { v, r, s, nonce }
+ */
+async function signDaiPermit(holder, token, spender, expiry) {
+  const holderAddress = await holder.getAddress();
+  const [name, nonce, network] = await Promise.all([
+    token.name(),
+    token.nonces(holderAddress),
+    holder.provider.getNetwork(),
+  ]);
+
+  const domain = {
+    name,
+    version: "1",
+    chainId: network.chainId,
+    verifyingContract: await token.getAddress(),
+  };
+
+  const message = {
+    holder: holderAddress,
+    spender,
+    nonce,
+    expiry,
+    allowed: true,
+  };
+
+  const signature = await holder.signTypedData(domain, DAI_PERMIT_TYPES, message);
+  const { v, r, s } = Signature.from(signature);
+
+  return { v, r, s, nonce };
+}
+
+const PERMIT2_TYPES = {
+  PermitTransferFrom: [
+    { name: "permitted", type: "TokenPermissions" },
+    { name: "spender", type: "address" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+  TokenPermissions: [
+    { name: "token", type: "address" },
+    { name: "amount", type: "uint256" },
+  ],
+};
+
+/**
+ * 为 owner 签一个 Permit2 签名转账，允许 spender 转走 amount 个 token
+ * @param owner 签名人（ethers Signer），需要事先 approve 过 Permit2
+ * @param permit2 Permit2 合约地址
+ * @param nonce 无序 nonce，每个值只能用一次
+ * @return { permit: { permitted: { token, amount }, nonce, deadline }, signature }
+ */
+async function signPermit2Transfer(owner, permit2, token, amount, spender, nonce, deadline) {
+  const network = await owner.provider.getNetwork();
+
+  // Permit2 的域没有 version
+  const domain = {
+    name: "Permit2",
+    chainId: network.chainId,
+    verifyingContract: permit2,
+  };
+
+  const permit = { permitted: { token, amount }, nonce, deadline };
+  const signature = await owner.signTypedData(domain, PERMIT2_TYPES, {
+    ...permit,
+    spender,
+  });
+
+  return { permit, signature };
+}
+
+module.exports = {
+  PERMIT_TYPES,
+  signPermit,
+  DAI_PERMIT_TYPES,
+  signDaiPermit,
+  PERMIT2_TYPES,
+  signPermit2Transfer,
+};
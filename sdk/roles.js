@@ -0,0 +1,23 @@
+// BankAccessControl 的角色 id，和合约里的 keccak256("...") 一致
+const { ZeroHash, id } = require("ethers");
+
+const ROLES = {
+  DEFAULT_ADMIN: ZeroHash,
+  PAUSER: id("PAUSER_ROLE"),
+  RATE_MANAGER: id("RATE_MANAGER_ROLE"),
+  TREASURER: id("TREASURER_ROLE"),
+  GUARDIAN: id("GUARDIAN_ROLE"),
+};
+
+/**
+ * 角色名（PAUSER、TREASURER、GUARDIAN 等）或 bytes32 角色 id 统一转换为角色 id
+ * @param {string} role
+ * @returns {string}
+ */
+function roleId(role) {
+  if (role in ROLES) return ROLES[role];
+  if (/^0x[0-9a-fA-F]{64}$/.test(role)) return role;
+  throw new Error(`Unknown role ${role}, expected one of ${Object.keys(ROLES).join(", ")}`);
+}
+
+module.exports = { ROLES, roleId };
@@ -0,0 +1,38 @@
+// TokenBank / SmartTokenBank.transferInternalWithSig 的 EIP-712 签名，域名从合约的 eip712Domain() 读取
+const INTERNAL_TRANSFER_TYPES = {
+  InternalTransfer: [
+    { name: "token", type: "address" },
+    { name: "to", type: "address" },
+    { name: "amount", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+/**
+ * owner 签名授权任何人把自己在银行中的 amount 个代币转到 to 的账户
+ * @param owner 签名人（ethers Signer）
+ * @param bank TokenBank 或 SmartTokenBank 合约实例
+ * @return { token, to, amount, nonce, deadline, signature }
+ */
+async function signInternalTransfer(owner, bank, token, to, amount, deadline) {
+  const ownerAddress = await owner.getAddress();
+  const [nonce, eip712] = await Promise.all([
+    bank.transferNonces(ownerAddress),
+    bank.eip712Domain(),
+  ]);
+
+  const domain = {
+    name: eip712.name,
+    version: eip712.version,
+    chainId: eip712.chainId,
+    verifyingContract: eip712.verifyingContract,
+  };
+  const message = { token, to, amount, nonce, deadline };
+
+  const signature = await owner.signTypedData(domain, INTERNAL_TRANSFER_TYPES, message);
+
+  return { ...message, signature };
+}
+
+module.exports = { INTERNAL_TRANSFER_TYPES, signInternalTransfer };
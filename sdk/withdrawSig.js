@@ -0,0 +1,39 @@
+// TokenBank.withdrawWithSig 的 EIP-712 签名，域为 ("TokenBank", "1", chainId, bank 地址)
+const WITHDRAW_TYPES = {
+  Withdraw: [
+    { name: "token", type: "address" },
+    { name: "amount", type: "uint256" },
+    { name: "to", type: "address" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+/**
+ * owner 签名授权任何人把自己在 TokenBank 的 amount 个代币取到 to
+ * @param owner 签名人（ethers Signer）
+ * @param bank TokenBank 合约实例
+ * @return { token, amount, to, nonce, deadline, signature }
+ */
+async function signWithdraw(owner, bank, token, amount, to, deadline) {
+  const ownerAddress = await owner.getAddress();
+  const [nonce, network, verifyingContract] = await Promise.all([
+    bank.withdrawNonces(ownerAddress),
+    owner.provider.getNetwork(),
+    bank.getAddress(),
+  ]);
+
+  const domain = {
+    name: "TokenBank",
+    version: "1",
+    chainId: network.chainId,
+    verifyingContract,
+  };
+  const message = { token, amount, to, nonce, deadline };
+
+  const signature = await owner.signTypedData(domain, WITHDRAW_TYPES, message);
+
+  return { ...message, signature };
+}
+
+module.exports = { WITHDRAW_TYPES, signWithdraw };
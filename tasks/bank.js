@@ -0,0 +1,506 @@
+// 日常操作银行合约的 Hardhat 任务，合约地址从 deployments/<network>.json 读取
+//
+//   npx hardhat bank:deposit --amount 0.5 --network localhost
+//   npx hardhat tokenbank:permit-deposit --token TestPermitToken --amount 100 --network localhost
+//   npx hardhat tokenbank:sig-withdraw --token TestPermitToken --amount 50 --relayer 0x... --network localhost
+const { task, types } = require("hardhat/config");
+const { readManifest, getDeployment } = require("../scripts/lib/manifest");
+const { signPermit } = require("../sdk/permit");
+const { signWithdraw } = require("../sdk/withdrawSig");
+const { roleId } = require("../sdk/roles");
+
+const ETH_BANKS = ["EtherBank", "BigBank"];
+const TOKEN_BANKS = ["TokenBank", "SmartTokenBank"];
+const ALL_BANKS = [...ETH_BANKS, ...TOKEN_BANKS];
+
+// ==================== Helpers ====================
+
+async function getBank(hre, name, signer) {
+  const manifest = readManifest(hre.network.name);
+  const { address } = getDeployment(manifest, name);
+  return hre.ethers.getContractAt(name, address, signer);
+}
+
+// --from 不填时用第一个账户
+async function getSigner(hre, from) {
+  if (from) return hre.ethers.getSigner(from);
+  const [signer] = await hre.ethers.getSigners();
+  return signer;
+}
+
+// --token 既可以是地址，也可以是部署清单里的合约名（例如 SmartToken）
+async function getToken(hre, token, signer) {
+  let address = token;
+  if (!hre.ethers.isAddress(token)) {
+    const manifest = readManifest(hre.network.name);
+    address = getDeployment(manifest, token).address;
+  }
+
+  const contract = await hre.ethers.getContractAt("ERC20Permit", address, signer);
+  const [symbol, decimals] = await Promise.all([
+    contract.symbol(),
+    contract.decimals(),
+  ]);
+
+  return { contract, address, symbol, decimals };
+}
+
+function checkEthBank(bank) {
+  if (!ETH_BANKS.includes(bank)) {
+    throw new Error(`--bank must be one of ${ETH_BANKS.join(", ")}`);
+  }
+}
+
+function checkTokenBank(bank) {
+  if (!TOKEN_BANKS.includes(bank)) {
+    throw new Error(`--bank must be one of ${TOKEN_BANKS.join(", ")}`);
+  }
+}
+
+function checkBank(bank) {
+  if (!ALL_BANKS.includes(bank)) {
+    throw new Error(`--bank must be one of ${ALL_BANKS.join(", ")}`);
+  }
+}
+
+// ==================== ETH Banks ====================
+
+task("bank:deposit", "Deposit ETH into EtherBank/BigBank")
+  .addParam("amount", "Amount in ETH, e.g. 0.5")
+  .addOptionalParam("bank", "EtherBank or BigBank", "EtherBank")
+  .addOptionalParam("from", "Depositor address (defaults to first account)")
+  .setAction(async ({ amount, bank, from }, hre) => {
+    checkEthBank(bank);
+    const signer = await getSigner(hre, from);
+    const contract = await getBank(hre, bank, signer);
+
+    const value = hre.ethers.parseEther(amount);
+    const tx = await contract.deposit({ value });
+    await tx.wait();
+
+    const balance = await contract.balances(signer.address);
+    console.log(
+      `${signer.address} deposited ${amount} ETH into ${bank}, balance ${hre.ethers.formatEther(balance)} ETH (tx ${tx.hash})`
+    );
+    return balance;
+  });
+
+task("bank:withdraw", "Withdraw your own ETH from EtherBank/BigBank")
+  .addParam("amount", "Amount in ETH")
+  .addOptionalParam("bank", "EtherBank or BigBank", "EtherBank")
+  .addOptionalParam("from", "Depositor address (defaults to first account)")
+  .addFlag("surplus", "Withdraw surplus ETH to the admin instead (admin only)")
+  .setAction(async ({ amount, bank, from, surplus }, hre) => {
+    checkEthBank(bank);
+    const signer = await getSigner(hre, from);
+    const contract = await getBank(hre, bank, signer);
+
+    const value = hre.ethers.parseEther(amount);
+    const tx = surplus
+      ? await contract.withdraw(value)
+      : await contract.userWithdraw(value);
+    await tx.wait();
+
+    const source = surplus ? "surplus of " : "";
+    console.log(`${signer.address} withdrew ${amount} ETH from ${source}${bank} (tx ${tx.hash})`);
+  });
+
+task("bank:fund-reserve", "Fund the ETH interest reserve of EtherBank/BigBank (admin only)")
+  .addParam("amount", "Amount in ETH")
+  .addOptionalParam("bank", "EtherBank or BigBank", "EtherBank")
+  .addOptionalParam("from", "Admin address (defaults to first account)")
+  .setAction(async ({ amount, bank, from }, hre) => {
+    checkEthBank(bank);
+    const contract = await getBank(hre, bank, await getSigner(hre, from));
+
+    const tx = await contract.fundInterestReserve({ value: hre.ethers.parseEther(amount) });
+    await tx.wait();
+
+    const reserve = await contract.interestReserve();
+    console.log(`${bank} interest reserve is now ${hre.ethers.formatEther(reserve)} ETH (tx ${tx.hash})`);
+    return reserve;
+  });
+
+task("bank:balance", "Show a user's ETH bank balance and the bank total")
+  .addOptionalParam("account", "User address (defaults to first account)")
+  .addOptionalParam("bank", "EtherBank or BigBank", "EtherBank")
+  .setAction(async ({ account, bank }, hre) => {
+    checkEthBank(bank);
+    const user = account || (await getSigner(hre)).address;
+    const contract = await getBank(hre, bank);
+
+    const [balance, info, total, surplus] = await Promise.all([
+      contract.balances(user),
+      contract.getBalanceInfo(user),
+      contract.getBalance(),
+      contract.getSurplus(),
+    ]);
+
+    console.log(`${bank} balance of ${user}: ${hre.ethers.formatEther(balance)} ETH`);
+    console.log(`  interest: ${hre.ethers.formatEther(info.totalInterest)} ETH (pending ${hre.ethers.formatEther(info.pendingInterest)} ETH)`);
+    console.log(`${bank} total holdings: ${hre.ethers.formatEther(total)} ETH (surplus ${hre.ethers.formatEther(surplus)} ETH)`);
+    return balance;
+  });
+
+task("bank:top", "Show the top depositors of EtherBank/BigBank")
+  .addOptionalParam("bank", "EtherBank or BigBank", "EtherBank")
+  .setAction(async ({ bank }, hre) => {
+    checkEthBank(bank);
+    const contract = await getBank(hre, bank);
+
+    const top = await contract.getLeaderboard();
+
+    if (top.length === 0) {
+      console.log(`${bank} has no depositors yet`);
+    }
+    for (const entry of top) {
+      console.log(`#${entry.rank} ${entry.user} ${hre.ethers.formatEther(entry.balance)} ETH`);
+    }
+    return top.map((entry) => entry.user);
+  });
+
+// ==================== TokenBank ====================
+
+task("tokenbank:deposit", "Approve and deposit ERC20 tokens into TokenBank")
+  .addParam("token", "Token address or manifest name")
+  .addParam("amount", "Amount in whole tokens, e.g. 100")
+  .addOptionalParam("from", "Depositor address (defaults to first account)")
+  .setAction(async ({ token, amount, from }, hre) => {
+    const signer = await getSigner(hre, from);
+    const bank = await getBank(hre, "TokenBank", signer);
+    const { contract, address, symbol, decimals } = await getToken(hre, token, signer);
+
+    const value = hre.ethers.parseUnits(amount, decimals);
+    await (await contract.approve(await bank.getAddress(), value)).wait();
+    const tx = await bank.deposit(address, value);
+    await tx.wait();
+
+    const balance = await bank.getBalance(address, signer.address);
+    console.log(
+      `${signer.address} deposited ${amount} ${symbol}, balance ${hre.ethers.formatUnits(balance, decimals)} ${symbol} (tx ${tx.hash})`
+    );
+    return balance;
+  });
+
+task("tokenbank:permit-deposit", "Sign an EIP-2612 permit locally and call TokenBank.permitDeposit")
+  .addParam("token", "EIP-2612 token address or manifest name")
+  .addParam("amount", "Amount in whole tokens")
+  .addOptionalParam("deadline", "Seconds the signature stays valid", 3600, types.int)
+  .addOptionalParam("from", "Token owner who signs the permit (defaults to first account)")
+  .addOptionalParam("relayer", "Account that submits the transaction (defaults to the owner)")
+  .setAction(async ({ token, amount, deadline, from, relayer }, hre) => {
+    const owner = await getSigner(hre, from);
+    const sender = relayer ? await hre.ethers.getSigner(relayer) : owner;
+    const bank = await getBank(hre, "TokenBank", sender);
+    const { contract, address, symbol, decimals } = await getToken(hre, token, owner);
+
+    // 用链上时间而不是本地时间，避免本地链被 evm_increaseTime 推进后签名立刻过期
+    const latest = await hre.ethers.provider.getBlock("latest");
+    const expiry = latest.timestamp + deadline;
+    const value = hre.ethers.parseUnits(amount, decimals);
+
+    const { v, r, s } = await signPermit(
+      owner,
+      contract,
+      await bank.getAddress(),
+      value,
+      expiry
+    );
+
+    const tx = await bank.permitDeposit(address, value, expiry, v, r, s, owner.address);
+    await tx.wait();
+
+    const balance = await bank.getBalance(address, owner.address);
+    console.log(
+      `${owner.address} permit-deposited ${amount} ${symbol} via ${sender.address}, balance ${hre.ethers.formatUnits(balance, decimals)} ${symbol} (tx ${tx.hash})`
+    );
+    return balance;
+  });
+
+task("tokenbank:sig-withdraw", "Sign an EIP-712 withdrawal locally and let a relayer call TokenBank.withdrawWithSig")
+  .addParam("token", "Token address or manifest name")
+  .addParam("amount", "Amount in whole tokens")
+  .addOptionalParam("to", "Recipient (defaults to the owner)")
+  .addOptionalParam("deadline", "Seconds the signature stays valid", 3600, types.int)
+  .addOptionalParam("from", "Depositor who signs the withdrawal (defaults to first account)")
+  .addOptionalParam("relayer", "Account that submits the transaction (defaults to the owner)")
+  .setAction(async ({ token, amount, to, deadline, from, relayer }, hre) => {
+    const owner = await getSigner(hre, from);
+    const sender = relayer ? await hre.ethers.getSigner(relayer) : owner;
+    const bank = await getBank(hre, "TokenBank", sender);
+    const { address, symbol, decimals } = await getToken(hre, token, owner);
+
+    const latest = await hre.ethers.provider.getBlock("latest");
+    const value = hre.ethers.parseUnits(amount, decimals);
+    const request = await signWithdraw(
+      owner,
+      bank,
+      address,
+      value,
+      to || owner.address,
+      latest.timestamp + deadline
+    );
+
+    const tx = await bank.withdrawWithSig(
+      request.token,
+      request.amount,
+      request.to,
+      request.nonce,
+      request.deadline,
+      request.signature
+    );
+    await tx.wait();
+
+    const balance = await bank.getBalance(address, owner.address);
+    console.log(
+      `${owner.address} withdrew ${amount} ${symbol} to ${request.to} via ${sender.address}, balance ${hre.ethers.formatUnits(balance, decimals)} ${symbol} (tx ${tx.hash})`
+    );
+    return balance;
+  });
+
+// ==================== SmartTokenBank ====================
+
+// 保留旧任务名，转给 admin:pause / admin:unpause 处理
+task("smartbank:pause", "Pause SmartTokenBank, same as admin:pause --bank SmartTokenBank (PAUSER only)")
+  .addOptionalParam("functions", "Comma-separated function names, e.g. deposit,withdraw")
+  .addOptionalParam("from", "Pauser address (defaults to first account)")
+  .setAction((args, hre) => hre.run("admin:pause", { ...args, bank: "SmartTokenBank" }));
+
+task("smartbank:unpause", "Unpause SmartTokenBank, same as admin:unpause --bank SmartTokenBank (PAUSER only)")
+  .addOptionalParam("functions", "Comma-separated function names")
+  .addOptionalParam("from", "Pauser address (defaults to first account)")
+  .setAction((args, hre) => hre.run("admin:unpause", { ...args, bank: "SmartTokenBank" }));
+
+task("smartbank:set-rate", "Set a token's daily interest rate in SmartTokenBank (admin only)")
+  .addParam("token", "Token address or manifest name")
+  .addParam("rate", "Daily rate in percent, e.g. 0.1 for 0.1% per day")
+  .addOptionalParam("from", "Admin address (defaults to first account)")
+  .setAction(async ({ token, rate, from }, hre) => {
+    const signer = await getSigner(hre, from);
+    const bank = await getBank(hre, "SmartTokenBank", signer);
+    const { address, symbol } = await getToken(hre, token, signer);
+
+    // 合约中 1e18 = 100%，所以 1% = 1e16
+    const ratePerDay = hre.ethers.parseUnits(rate, 16);
+    const tx = await bank.setInterestRate(address, ratePerDay);
+    await tx.wait();
+
+    console.log(`SmartTokenBank ${symbol} rate set to ${rate}% per day (tx ${tx.hash})`);
+    return ratePerDay;
+  });
+
+task("smartbank:set-term-rate", "Set the daily rate of a fixed term in SmartTokenBank (admin only)")
+  .addParam("token", "Token address or manifest name")
+  .addParam("days", "Term length in days")
+  .addParam("rate", "Daily rate in percent, 0 to stop offering the term")
+  .addOptionalParam("from", "Admin address (defaults to first account)")
+  .setAction(async ({ token, days, rate, from }, hre) => {
+    const signer = await getSigner(hre, from);
+    const bank = await getBank(hre, "SmartTokenBank", signer);
+    const { address, symbol } = await getToken(hre, token, signer);
+
+    const ratePerDay = hre.ethers.parseUnits(rate, 16);
+    const tx = await bank.setTermRate(address, days, ratePerDay);
+    await tx.wait();
+
+    console.log(`SmartTokenBank ${symbol} ${days}-day term rate set to ${rate}% per day (tx ${tx.hash})`);
+    return ratePerDay;
+  });
+
+task("smartbank:fund-reserve", "Fund a token's interest reserve in SmartTokenBank (admin only)")
+  .addParam("token", "Token address or manifest name")
+  .addParam("amount", "Amount in whole tokens")
+  .addOptionalParam("from", "Admin address (defaults to first account)")
+  .setAction(async ({ token, amount, from }, hre) => {
+    const signer = await getSigner(hre, from);
+    const bank = await getBank(hre, "SmartTokenBank", signer);
+    const { contract, address, symbol, decimals } = await getToken(hre, token, signer);
+
+    const value = hre.ethers.parseUnits(amount, decimals);
+    await (await contract.approve(await bank.getAddress(), value)).wait();
+    const tx = await bank.fundInterestReserve(address, value);
+    await tx.wait();
+
+    const reserve = await bank.interestReserve(address);
+    console.log(`SmartTokenBank ${symbol} interest reserve is now ${hre.ethers.formatUnits(reserve, decimals)} ${symbol} (tx ${tx.hash})`);
+    return reserve;
+  });
+
+task("smartbank:solvency", "Show SmartTokenBank's solvency for a token")
+  .addParam("token", "Token address or manifest name")
+  .setAction(async ({ token }, hre) => {
+    const bank = await getBank(hre, "SmartTokenBank");
+    const { address, symbol, decimals } = await getToken(hre, token);
+    const report = await bank.getSolvency(address);
+    const fmt = (value) => `${hre.ethers.formatUnits(value, decimals)} ${symbol}`;
+
+    console.log(`holdings:          ${fmt(report.holdings)}`);
+    console.log(`deposits:          ${fmt(report.deposits)}`);
+    console.log(`accrued interest:  ${fmt(report.accruedInterest)}`);
+    console.log(`pending interest:  ${fmt(report.pendingInterest)}`);
+    console.log(`interest reserve:  ${fmt(report.reserve)}`);
+    console.log(`reserve shortfall: ${fmt(report.reserveShortfall)}`);
+    console.log(`term deposits:     ${fmt(report.termDeposits)}`);
+    console.log(`term interest:     ${fmt(report.termInterest)}`);
+    console.log(report.solvent ? "solvent" : "INSOLVENT");
+    return report.solvent;
+  });
+
+// ==================== Admin ====================
+
+// --functions 不填时暂停/恢复整个合约，填写时只处理列出的函数，例如 deposit,permitDeposit
+async function setPaused(hre, { bank, functions, from }, paused) {
+  checkBank(bank);
+  const contract = await getBank(hre, bank, await getSigner(hre, from));
+
+  if (!functions) {
+    await (await (paused ? contract.pause() : contract.unpause())).wait();
+    console.log(`${bank} ${paused ? "paused" : "unpaused"}`);
+    return contract.paused();
+  }
+
+  for (const name of functions.split(",").map((fn) => fn.trim())) {
+    const { selector } = contract.interface.getFunction(name);
+    await (await contract.setFunctionPaused(selector, paused)).wait();
+    console.log(`${bank}.${name} ${paused ? "paused" : "unpaused"}`);
+  }
+  return paused;
+}
+
+task("admin:pause", "Pause a bank, or only some of its functions (PAUSER only)")
+  .addParam("bank", ALL_BANKS.join(", "))
+  .addOptionalParam("functions", "Comma-separated function names, e.g. deposit,permitDeposit")
+  .addOptionalParam("from", "Pauser address (defaults to first account)")
+  .setAction((args, hre) => setPaused(hre, args, true));
+
+task("admin:unpause", "Unpause a bank, or only some of its functions (PAUSER only)")
+  .addParam("bank", ALL_BANKS.join(", "))
+  .addOptionalParam("functions", "Comma-separated function names")
+  .addOptionalParam("from", "Pauser address (defaults to first account)")
+  .setAction((args, hre) => setPaused(hre, args, false));
+
+task("admin:emergency", "Enter (PAUSER) or exit (admin) emergency mode, where users withdraw principal only")
+  .addParam("bank", ALL_BANKS.join(", "))
+  .addFlag("exit", "Exit emergency mode instead of entering it")
+  .addOptionalParam("from", "Signer address (defaults to first account)")
+  .setAction(async ({ bank, exit, from }, hre) => {
+    checkBank(bank);
+    const contract = await getBank(hre, bank, await getSigner(hre, from));
+    await (await (exit ? contract.exitEmergency() : contract.enterEmergency())).wait();
+    const emergency = await contract.emergency();
+    console.log(`${bank} emergency mode ${emergency ? "on" : "off"}`);
+    return emergency;
+  });
+
+task("admin:allow-token", "Add a token to (or remove it from) a token bank's allowlist (admin only)")
+  .addParam("bank", TOKEN_BANKS.join(", "))
+  .addParam("token", "Token address or deployment name")
+  .addFlag("remove", "Remove the token instead; existing deposits can still be withdrawn")
+  .addOptionalParam("from", "Admin address (defaults to first account)")
+  .setAction(async ({ bank, token, remove, from }, hre) => {
+    checkTokenBank(bank);
+    const signer = await getSigner(hre, from);
+    const contract = await getBank(hre, bank, signer);
+    const { address, symbol } = await getToken(hre, token, signer);
+
+    await (await contract.setTokenAllowed(address, !remove)).wait();
+    const allowed = await contract.tokenAllowed(address);
+    console.log(`${bank} ${symbol} ${allowed ? "allowed" : "not allowed"}`);
+    return allowed;
+  });
+
+task("admin:token-limits", "Set a token's minimum deposit, per-user cap and TVL cap in a token bank (admin only)")
+  .addParam("bank", TOKEN_BANKS.join(", "))
+  .addParam("token", "Token address or deployment name")
+  .addOptionalParam("min", "Minimum deposit in whole tokens, 0 = no minimum", "0")
+  .addOptionalParam("userCap", "Per-user principal cap in whole tokens, 0 = unlimited", "0")
+  .addOptionalParam("tvlCap", "Total principal cap in whole tokens, 0 = unlimited", "0")
+  .addOptionalParam("from", "Admin address (defaults to first account)")
+  .setAction(async ({ bank, token, min, userCap, tvlCap, from }, hre) => {
+    checkTokenBank(bank);
+    const signer = await getSigner(hre, from);
+    const contract = await getBank(hre, bank, signer);
+    const { address, symbol, decimals } = await getToken(hre, token, signer);
+    const parse = (value) => hre.ethers.parseUnits(value, decimals);
+
+    await (await contract.setTokenLimits(address, parse(min), parse(userCap), parse(tvlCap))).wait();
+    console.log(`${bank} ${symbol} limits: min ${min}, user cap ${userCap}, TVL cap ${tvlCap} (0 = unlimited)`);
+    return contract.tokenLimits(address);
+  });
+
+task("admin:list-tokens", "List the tokens a token bank accepts, with their limits and current TVL")
+  .addParam("bank", TOKEN_BANKS.join(", "))
+  .setAction(async ({ bank }, hre) => {
+    checkTokenBank(bank);
+    const contract = await getBank(hre, bank);
+    const tokens = await contract.getSupportedTokens();
+
+    for (const entry of tokens) {
+      const { symbol, decimals } = await getToken(hre, entry.token);
+      const fmt = (value) => (value === 0n ? "unlimited" : hre.ethers.formatUnits(value, decimals));
+      console.log(
+        `${symbol} ${entry.token} min ${hre.ethers.formatUnits(entry.minDeposit, decimals)}, ` +
+          `user cap ${fmt(entry.userCap)}, TVL ${hre.ethers.formatUnits(entry.tvl, decimals)} / ${fmt(entry.tvlCap)}`
+      );
+    }
+    return tokens;
+  });
+
+// 管理员转移分两步：admin:propose 由当前管理员提名，admin:accept 由新管理员接受
+
+task("admin:propose", "Propose a new admin for a bank (step 1 of 2)")
+  .addParam("bank", ALL_BANKS.join(", "))
+  .addParam("to", "Proposed admin address, zero address cancels")
+  .addOptionalParam("from", "Current admin address (defaults to first account)")
+  .setAction(async ({ bank, to, from }, hre) => {
+    checkBank(bank);
+    const contract = await getBank(hre, bank, await getSigner(hre, from));
+    await (await contract.proposeAdmin(to)).wait();
+    console.log(`${bank} pending admin is ${to}, waiting for admin:accept`);
+    return to;
+  });
+
+task("admin:accept", "Accept the admin role of a bank (step 2 of 2)")
+  .addParam("bank", ALL_BANKS.join(", "))
+  .addParam("from", "Proposed admin address")
+  .setAction(async ({ bank, from }, hre) => {
+    checkBank(bank);
+    const contract = await getBank(hre, bank, await getSigner(hre, from));
+    await (await contract.acceptAdmin()).wait();
+    const admin = await contract.admin();
+    console.log(`${bank} admin is now ${admin}`);
+    return admin;
+  });
+
+// 旧的单步转移任务保留为 admin:propose 的别名，新管理员仍需执行 admin:accept
+task("admin:transfer", "Alias of admin:propose, kept for existing scripts")
+  .addParam("bank", ALL_BANKS.join(", "))
+  .addParam("to", "Proposed admin address, zero address cancels")
+  .addOptionalParam("from", "Current admin address (defaults to first account)")
+  .setAction((args, hre) => hre.run("admin:propose", args));
+
+task("admin:grant-role", "Grant a role on a bank (admin only)")
+  .addParam("bank", ALL_BANKS.join(", "))
+  .addParam("role", "PAUSER, RATE_MANAGER, TREASURER or GUARDIAN")
+  .addParam("to", "Account receiving the role")
+  .addOptionalParam("from", "Admin address (defaults to first account)")
+  .setAction(async ({ bank, role, to, from }, hre) => {
+    checkBank(bank);
+    const contract = await getBank(hre, bank, await getSigner(hre, from));
+    await (await contract.grantRole(roleId(role), to)).wait();
+    console.log(`${bank} granted ${role} to ${to}`);
+    return contract.hasRole(roleId(role), to);
+  });
+
+task("admin:revoke-role", "Revoke a role on a bank (admin only)")
+  .addParam("bank", ALL_BANKS.join(", "))
+  .addParam("role", "PAUSER, RATE_MANAGER, TREASURER or GUARDIAN")
+  .addParam("account", "Account losing the role")
+  .addOptionalParam("from", "Admin address (defaults to first account)")
+  .setAction(async ({ bank, role, account, from }, hre) => {
+    checkBank(bank);
+    const contract = await getBank(hre, bank, await getSigner(hre, from));
+    await (await contract.revokeRole(roleId(role), account)).wait();
+    console.log(`${bank} revoked ${role} from ${account}`);
+    return contract.hasRole(roleId(role), account);
+  });
@@ -0,0 +1,247 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { deployWithLibraries } = require("../scripts/lib/libraries");
+
+describe("角色权限", function () {
+  let owner, pauser, rateManager, treasurer, outsider;
+  let PAUSER_ROLE, RATE_MANAGER_ROLE, TREASURER_ROLE, DEFAULT_ADMIN_ROLE;
+
+  function missingRole(account, role) {
+    return `AccessControl: account ${account.address.toLowerCase()} is missing role ${role}`;
+  }
+
+  beforeEach(async function () {
+    [owner, pauser, rateManager, treasurer, outsider] = await ethers.getSigners();
+  });
+
+  // 四个银行共用同一套管理员转移逻辑
+  const BANKS = {
+    EtherBank: () => ethers.deployContract("EtherBank", [3]),
+    BigBank: () => ethers.deployContract("BigBank", [3]),
+    TokenBank: () => ethers.deployContract("TokenBank"),
+    SmartTokenBank: () => deployWithLibraries(hre, "SmartTokenBank"),
+  };
+
+  for (const [name, deploy] of Object.entries(BANKS)) {
+    describe(`${name} 管理员`, function () {
+      let bank;
+
+      beforeEach(async function () {
+        bank = await deploy();
+        DEFAULT_ADMIN_ROLE = await bank.DEFAULT_ADMIN_ROLE();
+        PAUSER_ROLE = await bank.PAUSER_ROLE();
+      });
+
+      it("部署者拥有全部角色", async function () {
+        expect(await bank.admin()).to.equal(owner.address);
+        for (const role of ["DEFAULT_ADMIN_ROLE", "PAUSER_ROLE", "RATE_MANAGER_ROLE", "TREASURER_ROLE", "GUARDIAN_ROLE"]) {
+          expect(await bank.hasRole(await bank[role](), owner.address)).to.equal(true);
+        }
+      });
+
+      it("应该两步转移管理员", async function () {
+        await expect(bank.proposeAdmin(outsider.address))
+          .to.emit(bank, "AdminProposed")
+          .withArgs(owner.address, outsider.address);
+
+        // 接受之前原管理员仍然有效
+        expect(await bank.admin()).to.equal(owner.address);
+        expect(await bank.pendingAdmin()).to.equal(outsider.address);
+
+        await expect(bank.connect(outsider).acceptAdmin())
+          .to.emit(bank, "OwnershipTransferred")
+          .withArgs(owner.address, outsider.address);
+
+        expect(await bank.admin()).to.equal(outsider.address);
+        expect(await bank.pendingAdmin()).to.equal(ethers.ZeroAddress);
+        expect(await bank.hasRole(DEFAULT_ADMIN_ROLE, outsider.address)).to.equal(true);
+        expect(await bank.hasRole(DEFAULT_ADMIN_ROLE, owner.address)).to.equal(false);
+      });
+
+      it("只有被提名的地址能接受", async function () {
+        await bank.proposeAdmin(outsider.address);
+
+        await expect(
+          bank.connect(pauser).acceptAdmin()
+        ).to.be.revertedWith("BankAccessControl: caller is not pending admin");
+      });
+
+      it("提名错地址后可以重新提名或取消", async function () {
+        await bank.proposeAdmin(pauser.address);
+        await bank.proposeAdmin(outsider.address);
+        await expect(
+          bank.connect(pauser).acceptAdmin()
+        ).to.be.revertedWith("BankAccessControl: caller is not pending admin");
+
+        await bank.proposeAdmin(ethers.ZeroAddress);
+        await expect(
+          bank.connect(outsider).acceptAdmin()
+        ).to.be.revertedWith("BankAccessControl: caller is not pending admin");
+        expect(await bank.admin()).to.equal(owner.address);
+      });
+
+      it("非管理员不能提名、授予或撤销角色", async function () {
+        await expect(
+          bank.connect(outsider).proposeAdmin(outsider.address)
+        ).to.be.revertedWith(missingRole(outsider, DEFAULT_ADMIN_ROLE));
+        await expect(
+          bank.connect(outsider).grantRole(PAUSER_ROLE, outsider.address)
+        ).to.be.revertedWith(missingRole(outsider, DEFAULT_ADMIN_ROLE));
+        await expect(
+          bank.connect(outsider).revokeRole(PAUSER_ROLE, owner.address)
+        ).to.be.revertedWith(missingRole(outsider, DEFAULT_ADMIN_ROLE));
+      });
+
+      it("DEFAULT_ADMIN_ROLE 不能绕过两步转移", async function () {
+        await expect(
+          bank.grantRole(DEFAULT_ADMIN_ROLE, outsider.address)
+        ).to.be.revertedWith("BankAccessControl: use proposeAdmin");
+        await expect(
+          bank.renounceRole(DEFAULT_ADMIN_ROLE, owner.address)
+        ).to.be.revertedWith("BankAccessControl: use proposeAdmin");
+      });
+
+      it("新管理员接手后可以管理角色，原管理员不行", async function () {
+        await bank.proposeAdmin(outsider.address);
+        await bank.connect(outsider).acceptAdmin();
+
+        await expect(
+          bank.grantRole(PAUSER_ROLE, pauser.address)
+        ).to.be.revertedWith(missingRole(owner, DEFAULT_ADMIN_ROLE));
+
+        await bank.connect(outsider).grantRole(PAUSER_ROLE, pauser.address);
+        expect(await bank.hasRole(PAUSER_ROLE, pauser.address)).to.equal(true);
+      });
+    });
+  }
+
+  describe("SmartTokenBank 角色边界", function () {
+    let bank, token, tokenAddress, bankAddress;
+
+    beforeEach(async function () {
+      bank = await deployWithLibraries(hre, "SmartTokenBank");
+      token = await ethers.deployContract("SmartToken", [
+        "Smart Token",
+        "SMT",
+        ethers.parseEther("1000000"),
+      ]);
+      bankAddress = await bank.getAddress();
+      tokenAddress = await token.getAddress();
+
+      PAUSER_ROLE = await bank.PAUSER_ROLE();
+      RATE_MANAGER_ROLE = await bank.RATE_MANAGER_ROLE();
+      TREASURER_ROLE = await bank.TREASURER_ROLE();
+
+      await bank.grantRole(PAUSER_ROLE, pauser.address);
+      await bank.grantRole(RATE_MANAGER_ROLE, rateManager.address);
+      await bank.grantRole(TREASURER_ROLE, treasurer.address);
+      await bank.setTokenAllowed(tokenAddress, true);
+
+      await token.transfer(treasurer.address, ethers.parseEther("1000"));
+      await token.connect(treasurer).approve(bankAddress, ethers.parseEther("1000"));
+    });
+
+    it("PAUSER 只能暂停和恢复", async function () {
+      await bank.connect(pauser).pause();
+      expect(await bank.paused()).to.equal(true);
+      await bank.connect(pauser).unpause();
+
+      await expect(
+        bank.connect(pauser).setInterestRate(tokenAddress, 1)
+      ).to.be.revertedWith(missingRole(pauser, RATE_MANAGER_ROLE));
+      await expect(
+        bank.connect(pauser).fundInterestReserve(tokenAddress, 1)
+      ).to.be.revertedWith(missingRole(pauser, TREASURER_ROLE));
+    });
+
+    it("RATE_MANAGER 只能调整利率", async function () {
+      await bank.connect(rateManager).setInterestRate(tokenAddress, 1);
+      await bank.connect(rateManager).setTermRate(tokenAddress, 30, 2);
+      expect(await bank.getInterestRate(tokenAddress)).to.equal(1);
+
+      await expect(
+        bank.connect(rateManager).pause()
+      ).to.be.revertedWith(missingRole(rateManager, PAUSER_ROLE));
+      await expect(
+        bank.connect(rateManager).withdrawInterestReserve(tokenAddress, 0)
+      ).to.be.revertedWith(missingRole(rateManager, TREASURER_ROLE));
+    });
+
+    it("TREASURER 只能管理储备", async function () {
+      await bank.connect(treasurer).fundInterestReserve(tokenAddress, ethers.parseEther("100"));
+      await expect(
+        bank.connect(treasurer).withdrawInterestReserve(tokenAddress, ethers.parseEther("40"))
+      ).to.changeTokenBalance(token, treasurer, ethers.parseEther("40"));
+
+      await expect(
+        bank.connect(treasurer).pause()
+      ).to.be.revertedWith(missingRole(treasurer, PAUSER_ROLE));
+      await expect(
+        bank.connect(treasurer).setTermRate(tokenAddress, 30, 1)
+      ).to.be.revertedWith(missingRole(treasurer, RATE_MANAGER_ROLE));
+    });
+
+    it("撤销角色后立即失效", async function () {
+      await bank.revokeRole(PAUSER_ROLE, pauser.address);
+
+      await expect(
+        bank.connect(pauser).pause()
+      ).to.be.revertedWith(missingRole(pauser, PAUSER_ROLE));
+    });
+  });
+
+  describe("ETH 银行角色边界", function () {
+    for (const name of ["EtherBank", "BigBank"]) {
+      it(`${name} 的储备和盈余只由 TREASURER 管理`, async function () {
+        const bank = await BANKS[name]();
+        TREASURER_ROLE = await bank.TREASURER_ROLE();
+        await bank.grantRole(TREASURER_ROLE, treasurer.address);
+
+        await bank.connect(treasurer).fundInterestReserve({ value: ethers.parseEther("1") });
+        expect(await bank.interestReserve()).to.equal(ethers.parseEther("1"));
+
+        await expect(
+          bank.connect(pauser).fundInterestReserve({ value: 1 })
+        ).to.be.revertedWith(missingRole(pauser, TREASURER_ROLE));
+        await expect(
+          bank.connect(pauser).withdraw(0)
+        ).to.be.revertedWith(missingRole(pauser, TREASURER_ROLE));
+
+        await expect(
+          bank.connect(treasurer).withdraw(0)
+        ).to.emit(bank, "Withdraw").withArgs(treasurer.address, 0);
+      });
+    }
+  });
+
+  describe("TokenBank 角色边界", function () {
+    it("只有 TREASURER 能提取不属于用户的代币", async function () {
+      const bank = await BANKS.TokenBank();
+      const token = await ethers.deployContract("TestPermitToken");
+      const bankAddress = await bank.getAddress();
+      const tokenAddress = await token.getAddress();
+      TREASURER_ROLE = await bank.TREASURER_ROLE();
+      await bank.grantRole(TREASURER_ROLE, treasurer.address);
+      await bank.setTokenAllowed(tokenAddress, true);
+
+      await token.approve(bankAddress, ethers.parseEther("100"));
+      await bank.deposit(tokenAddress, ethers.parseEther("100"));
+      // 直接转账进来的代币没有记到任何人名下
+      await token.transfer(bankAddress, ethers.parseEther("5"));
+
+      expect(await bank.getSurplus(tokenAddress)).to.equal(ethers.parseEther("5"));
+      await expect(
+        bank.connect(outsider).withdrawSurplus(tokenAddress, 1)
+      ).to.be.revertedWith(missingRole(outsider, TREASURER_ROLE));
+      await expect(
+        bank.connect(treasurer).withdrawSurplus(tokenAddress, ethers.parseEther("6"))
+      ).to.be.revertedWith("Insufficient surplus balance");
+
+      await expect(
+        bank.connect(treasurer).withdrawSurplus(tokenAddress, ethers.parseEther("5"))
+      ).to.changeTokenBalance(token, treasurer, ethers.parseEther("5"));
+      expect(await bank.totalDeposits(tokenAddress)).to.equal(ethers.parseEther("100"));
+    });
+  });
+});
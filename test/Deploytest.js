@@ -0,0 +1,264 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { takeSnapshot } = require("@nomicfoundation/hardhat-network-helpers");
+const { deploySuite, parseRedeploy } = require("../scripts/deploy");
+const { upgradeContract } = require("../scripts/upgrade");
+const { readManifest, writeManifest } = require("../scripts/lib/manifest");
+
+describe("部署脚本", function () {
+  let manifestDir;
+  let snapshot;
+  const quiet = () => {};
+
+  beforeEach(async function () {
+    snapshot = await takeSnapshot();
+    manifestDir = fs.mkdtempSync(path.join(os.tmpdir(), "bank-deployments-"));
+  });
+
+  // 每次部署整套合约要出几十个区块，区块时间会跑到真实时间前面，用例结束后还原
+  afterEach(async function () {
+    fs.rmSync(manifestDir, { recursive: true, force: true });
+    await snapshot.restore();
+  });
+
+  it("应该按顺序部署全部合约并写入清单", async function () {
+    const manifest = await deploySuite(hre, { manifestDir, log: quiet });
+
+    expect(Object.keys(manifest.contracts)).to.deep.equal([
+      "EtherBank",
+      "BigBank",
+      "TestPermit2",
+      "TestPermitToken",
+      "TestDaiToken",
+      "TestPlainToken",
+      "SmartToken",
+      "TokenBank",
+      "SmartTokenBank",
+      "SmartTokenVault",
+      "ProxyAdmin",
+      "TokenBankUpgradeable",
+      "SmartTokenBankUpgradeable",
+    ]);
+
+    const saved = readManifest(hre.network.name, manifestDir);
+    expect(saved.contracts.TokenBank.address).to.equal(
+      manifest.contracts.TokenBank.address
+    );
+    expect(saved.contracts.TokenBank.abi).to.be.an("array").that.is.not.empty;
+  });
+
+  it("本地链上应该把 TokenBank 指向部署的 TestPermit2", async function () {
+    const manifest = await deploySuite(hre, { manifestDir, log: quiet });
+    const tokenBank = await hre.ethers.getContractAt(
+      "TokenBank",
+      manifest.contracts.TokenBank.address
+    );
+
+    expect(await tokenBank.permit2()).to.equal(manifest.contracts.TestPermit2.address);
+  });
+
+  it("应该把部署的代币加入银行白名单", async function () {
+    const manifest = await deploySuite(hre, { manifestDir, log: quiet });
+    const { contracts } = manifest;
+    const tokenBank = await hre.ethers.getContractAt("TokenBank", contracts.TokenBank.address);
+    const smartBank = await hre.ethers.getContractAt(
+      "SmartTokenBank",
+      contracts.SmartTokenBank.address
+    );
+
+    for (const name of ["TestPermitToken", "TestDaiToken", "TestPlainToken"]) {
+      expect(await tokenBank.tokenAllowed(contracts[name].address)).to.equal(true);
+    }
+    expect(await smartBank.tokenAllowed(contracts.SmartToken.address)).to.equal(true);
+  });
+
+  it("应该使用配置中的构造参数", async function () {
+    const manifest = await deploySuite(hre, { manifestDir, log: quiet });
+    const token = await hre.ethers.getContractAt(
+      "SmartToken",
+      manifest.contracts.SmartToken.address
+    );
+
+    expect(await token.symbol()).to.equal("SMT");
+    expect(await token.totalSupply()).to.equal(
+      hre.ethers.parseUnits("1000000", 18)
+    );
+  });
+
+  it("应该跳过已部署的合约", async function () {
+    const first = await deploySuite(hre, { manifestDir, log: quiet });
+    const second = await deploySuite(hre, { manifestDir, log: quiet });
+
+    for (const name of Object.keys(first.contracts)) {
+      expect(second.contracts[name].address).to.equal(
+        first.contracts[name].address
+      );
+    }
+  });
+
+  it("应该只重新部署被点名的合约", async function () {
+    const first = await deploySuite(hre, { manifestDir, log: quiet });
+    const second = await deploySuite(hre, {
+      manifestDir,
+      log: quiet,
+      redeploy: parseRedeploy("SmartToken"),
+    });
+
+    expect(second.contracts.SmartToken.address).to.not.equal(
+      first.contracts.SmartToken.address
+    );
+    expect(second.contracts.TokenBank.address).to.equal(
+      first.contracts.TokenBank.address
+    );
+    // 金库的构造参数引用了 SmartToken，跟着重新部署
+    expect(second.contracts.SmartTokenVault.address).to.not.equal(
+      first.contracts.SmartTokenVault.address
+    );
+    expect(second.contracts.SmartTokenVault.args[1]).to.equal(
+      second.contracts.SmartToken.address
+    );
+  });
+
+  describe("代理部署", function () {
+    const e = (value) => hre.ethers.parseEther(value);
+
+    // 在代理版 TokenBank 里存一笔，升级后用来核对余额
+    async function depositIntoProxy(manifest) {
+      const [owner] = await hre.ethers.getSigners();
+      const { TokenBankUpgradeable, TestPlainToken } = manifest.contracts;
+      const bank = await hre.ethers.getContractAt("TokenBankUpgradeable", TokenBankUpgradeable.address);
+      const token = await hre.ethers.getContractAt("TestPlainToken", TestPlainToken.address);
+      await token.approve(TokenBankUpgradeable.address, e("7"));
+      await bank.deposit(TestPlainToken.address, e("7"));
+      return async () => bank.balances(owner.address, TestPlainToken.address);
+    }
+
+    it("应该把可升级的银行部署在代理后面并记录存储布局", async function () {
+      const [owner] = await hre.ethers.getSigners();
+      const manifest = await deploySuite(hre, { manifestDir, log: quiet });
+      const { contracts } = manifest;
+      const proxyAdmin = await hre.ethers.getContractAt("ProxyAdmin", contracts.ProxyAdmin.address);
+
+      for (const name of ["TokenBankUpgradeable", "SmartTokenBankUpgradeable"]) {
+        const entry = contracts[name];
+        expect(entry.proxyAdmin).to.equal(contracts.ProxyAdmin.address);
+        expect(await proxyAdmin.getProxyImplementation(entry.address)).to.equal(entry.implementation);
+        expect(entry.storageLayout).to.be.an("array").that.is.not.empty;
+
+        const bank = await hre.ethers.getContractAt(name, entry.address);
+        expect(await bank.admin()).to.equal(owner.address);
+      }
+
+      // 与不可升级的版本使用同样的部署参数
+      const tokenBank = await hre.ethers.getContractAt(
+        "TokenBankUpgradeable",
+        contracts.TokenBankUpgradeable.address
+      );
+      expect(await tokenBank.permit2()).to.equal(contracts.TestPermit2.address);
+      expect(await tokenBank.tokenAllowed(contracts.TestPlainToken.address)).to.equal(true);
+    });
+
+    it("实现合约改过时应该检查存储布局后原地升级", async function () {
+      const first = await deploySuite(hre, { manifestDir, log: quiet });
+      const balance = await depositIntoProxy(first);
+
+      // 模拟修改源码后重新编译：清单里记录的实现代码与当前编译结果不同
+      const saved = readManifest(hre.network.name, manifestDir);
+      saved.contracts.TokenBankUpgradeable.bytecodeHash = hre.ethers.ZeroHash;
+      writeManifest(saved, manifestDir);
+
+      const second = await deploySuite(hre, { manifestDir, log: quiet });
+      const before = first.contracts.TokenBankUpgradeable;
+      const after = second.contracts.TokenBankUpgradeable;
+
+      expect(after.address).to.equal(before.address);
+      expect(after.implementation).to.not.equal(before.implementation);
+      expect(after.upgradedAt).to.be.a("string");
+      expect(second.contracts.SmartTokenBankUpgradeable.implementation).to.equal(
+        first.contracts.SmartTokenBankUpgradeable.implementation
+      );
+      expect(await balance()).to.equal(e("7"));
+    });
+
+    it("没有允许升级时只提示实现合约改过，不升级代理", async function () {
+      const first = await deploySuite(hre, { manifestDir, log: quiet });
+      const saved = readManifest(hre.network.name, manifestDir);
+      saved.contracts.TokenBankUpgradeable.bytecodeHash = hre.ethers.ZeroHash;
+      writeManifest(saved, manifestDir);
+
+      const logs = [];
+      const second = await deploySuite(hre, {
+        manifestDir,
+        upgrade: false,
+        log: (line) => logs.push(line),
+      });
+      const entry = second.contracts.TokenBankUpgradeable;
+
+      expect(entry.implementation).to.equal(first.contracts.TokenBankUpgradeable.implementation);
+      expect(entry.upgradedAt).to.equal(undefined);
+      expect(logs).to.include(
+        `TokenBankUpgradeable: implementation changed, not upgrading ${entry.address} ` +
+          "(set UPGRADE_PROXIES=1 or use scripts/upgrade.js)"
+      );
+    });
+
+    it("存储布局不兼容时 upgrade 脚本应该报错且不改动代理和清单", async function () {
+      const first = await deploySuite(hre, { manifestDir, log: quiet });
+      const entry = first.contracts.TokenBankUpgradeable;
+
+      const error = await upgradeContract(hre, "TokenBankUpgradeable", {
+        implementation: "TestTokenBankBadLayout",
+        manifestDir,
+        log: quiet,
+      }).catch((e) => e);
+      expect(error.message).to.include("Storage layout of TestTokenBankBadLayout is incompatible");
+
+      const checkError = await upgradeContract(hre, "TokenBankUpgradeable", {
+        implementation: "TestTokenBankBadLayout",
+        checkOnly: true,
+        manifestDir,
+        log: quiet,
+      }).catch((e) => e);
+      expect(checkError.message).to.include("is incompatible");
+
+      const proxyAdmin = await hre.ethers.getContractAt("ProxyAdmin", entry.proxyAdmin);
+      expect(await proxyAdmin.getProxyImplementation(entry.address)).to.equal(entry.implementation);
+      expect(readManifest(hre.network.name, manifestDir).contracts.TokenBankUpgradeable).to.deep.equal(entry);
+    });
+
+    it("upgrade 脚本应该升级代理并更新清单，之后部署脚本不会把它升级回去", async function () {
+      const first = await deploySuite(hre, { manifestDir, log: quiet });
+      const balance = await depositIntoProxy(first);
+
+      await upgradeContract(hre, "TokenBankUpgradeable", {
+        implementation: "TestTokenBankV2",
+        call: { fn: "initializeV2", args: ["v2"] },
+        manifestDir,
+        log: quiet,
+      });
+
+      const saved = readManifest(hre.network.name, manifestDir).contracts.TokenBankUpgradeable;
+      expect(saved.address).to.equal(first.contracts.TokenBankUpgradeable.address);
+      expect(saved.contractName).to.equal("TestTokenBankV2");
+      expect(saved.abi.map((item) => item.name)).to.include("releaseNote");
+
+      const bank = await hre.ethers.getContractAt("TestTokenBankV2", saved.address);
+      expect(await bank.releaseNote()).to.equal("v2");
+      expect(await balance()).to.equal(e("7"));
+
+      const again = await deploySuite(hre, { manifestDir, log: quiet });
+      expect(again.contracts.TokenBankUpgradeable.implementation).to.equal(saved.implementation);
+    });
+
+    it("不是代理部署的合约不能升级", async function () {
+      await deploySuite(hre, { manifestDir, log: quiet });
+
+      const error = await upgradeContract(hre, "TokenBank", { manifestDir, log: quiet }).catch((e) => e);
+
+      expect(error.message).to.include("TokenBank on hardhat is not deployed behind a proxy");
+    });
+  });
+});
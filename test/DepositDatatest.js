@@ -0,0 +1,147 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { takeSnapshot } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployWithLibraries } = require("../scripts/lib/libraries");
+
+describe("transferAndCall 存款指令", function () {
+  const e = (value) => ethers.parseEther(value);
+  const coder = ethers.AbiCoder.defaultAbiCoder();
+  const depositData = (beneficiary, termDays = 0, referralCode = ethers.ZeroHash) =>
+    coder.encode(["address", "uint256", "bytes32"], [beneficiary, termDays, referralCode]);
+  const WITH_DATA = "transferAndCall(address,uint256,bytes)";
+
+  let owner, user1, user2;
+  let bank, bankAddress, token, tokenAddress;
+  let snapshot;
+
+  beforeEach(async function () {
+    snapshot = await takeSnapshot();
+    [owner, user1, user2] = await ethers.getSigners();
+
+    bank = await deployWithLibraries(hre, "SmartTokenBank");
+    bankAddress = await bank.getAddress();
+    token = await ethers.deployContract("SmartToken", ["Smart Token", "SMT", e("1000000")]);
+    tokenAddress = await token.getAddress();
+    await bank.setTokenAllowed(tokenAddress, true);
+
+    await token.approve(bankAddress, e("1000"));
+    await bank.fundInterestReserve(tokenAddress, e("1000"));
+    await bank.setTermRate(tokenAddress, 30, ethers.parseUnits("0.1", 16));
+    await token.transfer(user1.address, e("1000"));
+  });
+
+  afterEach(async function () {
+    await snapshot.restore();
+  });
+
+  it("data 为空时和不带 data 的 transferAndCall 一样记到 from 名下", async function () {
+    await expect(token.connect(user1)[WITH_DATA](bankAddress, e("10"), "0x"))
+      .to.emit(bank, "Deposit")
+      .withArgs(tokenAddress, user1.address, e("10"));
+
+    expect(await bank.balances(tokenAddress, user1.address)).to.equal(e("10"));
+  });
+
+  it("代别人存入活期", async function () {
+    await expect(token.connect(user1)[WITH_DATA](bankAddress, e("25"), depositData(user2.address)))
+      .to.emit(bank, "Deposit")
+      .withArgs(tokenAddress, user2.address, e("25"));
+
+    expect(await bank.balances(tokenAddress, user2.address)).to.equal(e("25"));
+    expect(await bank.balances(tokenAddress, user1.address)).to.equal(0);
+    const [entries] = await bank.getPortfolio(user2.address, 0, 10);
+    expect(entries.map((entry) => entry.token)).to.deep.equal([tokenAddress]);
+  });
+
+  it("beneficiary 为零地址时记到 from 名下", async function () {
+    await token.connect(user1)[WITH_DATA](bankAddress, e("5"), depositData(ethers.ZeroAddress));
+
+    expect(await bank.balances(tokenAddress, user1.address)).to.equal(e("5"));
+  });
+
+  it("存款限制按 beneficiary 检查", async function () {
+    await bank.setTokenLimits(tokenAddress, 0, e("50"), 0);
+    await token.connect(user1).transferAndCall(bankAddress, e("50"));
+
+    await token.connect(user1)[WITH_DATA](bankAddress, e("50"), depositData(user2.address));
+    await expect(
+      token.connect(user1)[WITH_DATA](bankAddress, e("1"), depositData(user2.address))
+    ).to.be.revertedWith("BankTokenAllowlist: user cap exceeded");
+  });
+
+  it("直接开定期存款", async function () {
+    await expect(token.connect(user1)[WITH_DATA](bankAddress, e("100"), depositData(user2.address, 30)))
+      .to.emit(bank, "TermDepositOpened")
+      .to.not.emit(bank, "Deposit");
+
+    const [position] = await bank.getTermDeposits(user2.address);
+    expect(position.owner).to.equal(user2.address);
+    expect(position.principal).to.equal(e("100"));
+    // 100 × 0.1% × 30 天
+    expect(position.interest).to.equal(e("3"));
+    expect(await bank.balances(tokenAddress, user2.address)).to.equal(0);
+    expect((await bank.getSolvency(tokenAddress)).solvent).to.equal(true);
+
+    // 受益人可以自己提前支取
+    await bank.connect(user2).breakTermDeposit(position.id);
+    expect(await token.balanceOf(user2.address)).to.equal(e("100"));
+  });
+
+  it("没有提供的期限应失败", async function () {
+    await expect(
+      token.connect(user1)[WITH_DATA](bankAddress, e("100"), depositData(ethers.ZeroAddress, 7))
+    ).to.be.revertedWith("SmartTokenBank: term not offered");
+  });
+
+  it("暂停 openTermDeposit 时不能通过 data 开定期，活期不受影响", async function () {
+    const { selector } = bank.interface.getFunction("openTermDeposit");
+    await bank.setFunctionPaused(selector, true);
+
+    await expect(
+      token.connect(user1)[WITH_DATA](bankAddress, e("100"), depositData(ethers.ZeroAddress, 30))
+    ).to.be.revertedWith("BankPausable: function is paused");
+    await token.connect(user1)[WITH_DATA](bankAddress, e("100"), depositData(ethers.ZeroAddress));
+  });
+
+  it("推荐码非 0 时发出 Referral 事件", async function () {
+    const code = ethers.encodeBytes32String("FRIEND");
+
+    await expect(
+      token.connect(user1)[WITH_DATA](bankAddress, e("10"), depositData(user2.address, 0, code))
+    )
+      .to.emit(bank, "Referral")
+      .withArgs(tokenAddress, user2.address, code, e("10"));
+
+    await expect(
+      token.connect(user1)[WITH_DATA](bankAddress, e("10"), depositData(user2.address))
+    ).to.not.emit(bank, "Referral");
+  });
+
+  it("格式错误的 data 或以银行为 beneficiary 应失败", async function () {
+    await expect(
+      token.connect(user1)[WITH_DATA](bankAddress, e("1"), "0x1234")
+    ).to.be.revertedWith("SmartTokenBank: invalid deposit data");
+    await expect(
+      token.connect(user1)[WITH_DATA](bankAddress, e("1"), depositData(user2.address) + "00")
+    ).to.be.revertedWith("SmartTokenBank: invalid deposit data");
+    await expect(
+      token.connect(user1)[WITH_DATA](bankAddress, e("1"), depositData(bankAddress))
+    ).to.be.revertedWith("SmartTokenBank: invalid beneficiary");
+  });
+
+  it("transferFromAndCall 同样按 data 记账", async function () {
+    await token.connect(user1).approve(owner.address, e("40"));
+
+    await token.transferFromAndCall(user1.address, bankAddress, e("40"), depositData(user2.address, 30));
+
+    const [position] = await bank.getTermDeposits(user2.address);
+    expect(position.principal).to.equal(e("40"));
+  });
+
+  it("转给普通地址时忽略 data", async function () {
+    await token.connect(user1)[WITH_DATA](user2.address, e("3"), depositData(owner.address));
+
+    expect(await token.balanceOf(user2.address)).to.equal(e("3"));
+  });
+});
@@ -0,0 +1,429 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time, takeSnapshot } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("EtherBank / BigBank 用户取款", function () {
+  let bank, bigBank;
+  let owner, user1, user2, user3, user4;
+
+  beforeEach(async function () {
+    [owner, user1, user2, user3, user4] = await ethers.getSigners();
+    bank = await ethers.deployContract("EtherBank", [3]);
+    bigBank = await ethers.deployContract("BigBank", [3]);
+  });
+
+  describe("userWithdraw", function () {
+    it("应该允许用户取回自己的存款", async function () {
+      await bank.connect(user1).deposit({ value: ethers.parseEther("2") });
+
+      const tx = bank.connect(user1).userWithdraw(ethers.parseEther("0.5"));
+
+      await expect(tx)
+        .to.emit(bank, "UserWithdraw")
+        .withArgs(user1.address, ethers.parseEther("0.5"), 0);
+      await expect(tx).to.changeEtherBalances(
+        [user1, bank],
+        [ethers.parseEther("0.5"), -ethers.parseEther("0.5")]
+      );
+
+      expect(await bank.balances(user1.address)).to.equal(ethers.parseEther("1.5"));
+      expect(await bank.totalDeposits()).to.equal(ethers.parseEther("1.5"));
+    });
+
+    it("应该拒绝超过自己余额的取款", async function () {
+      await bank.connect(user1).deposit({ value: ethers.parseEther("1") });
+      await bank.connect(user2).deposit({ value: ethers.parseEther("5") });
+
+      await expect(
+        bank.connect(user1).userWithdraw(ethers.parseEther("2"))
+      ).to.be.revertedWith("Insufficient balance");
+    });
+
+    it("应该拒绝金额为0的取款", async function () {
+      await expect(bank.connect(user1).userWithdraw(0)).to.be.revertedWith(
+        "Withdraw amount must be greater than 0"
+      );
+    });
+
+    it("应该阻止重入攻击", async function () {
+      const attacker = await ethers.deployContract("TestReentrantWithdrawer", [
+        await bank.getAddress(),
+      ]);
+      await bank.connect(user1).deposit({ value: ethers.parseEther("5") });
+      await attacker.deposit({ value: ethers.parseEther("1") });
+
+      // 重入的 userWithdraw 被拦截，导致转账失败
+      await expect(attacker.attack(ethers.parseEther("1"))).to.be.revertedWith(
+        "ETH transfer failed"
+      );
+      expect(await bank.balances(await attacker.getAddress())).to.equal(
+        ethers.parseEther("1")
+      );
+    });
+
+    it("BigBank 也应该支持用户取款", async function () {
+      await bigBank.connect(user1).deposit({ value: ethers.parseEther("1") });
+      await bigBank.connect(user1).userWithdraw(ethers.parseEther("1"));
+
+      expect(await bigBank.balances(user1.address)).to.equal(0);
+    });
+  });
+
+  describe("管理员只能提取盈余", function () {
+    it("没有盈余时应该拒绝管理员提款", async function () {
+      await bank.connect(user1).deposit({ value: ethers.parseEther("1") });
+
+      expect(await bank.getSurplus()).to.equal(0);
+      await expect(bank.withdraw(1)).to.be.revertedWith(
+        "Insufficient surplus balance"
+      );
+    });
+
+    it("应该允许管理员提取盈余部分", async function () {
+      await bank.connect(user1).deposit({ value: ethers.parseEther("1") });
+      // 强制打入一笔不属于任何用户的 ETH
+      await ethers.provider.send("hardhat_setBalance", [
+        await bank.getAddress(),
+        ethers.toQuantity(ethers.parseEther("3")),
+      ]);
+
+      expect(await bank.getSurplus()).to.equal(ethers.parseEther("2"));
+      await expect(bank.withdraw(ethers.parseEther("2")))
+        .to.emit(bank, "Withdraw")
+        .withArgs(owner.address, ethers.parseEther("2"));
+      await expect(bank.withdraw(1)).to.be.revertedWith(
+        "Insufficient surplus balance"
+      );
+    });
+
+    it("BigBank 的管理员同样只能提取盈余", async function () {
+      await bigBank.connect(user1).deposit({ value: ethers.parseEther("1") });
+
+      await expect(bigBank.withdraw(1)).to.be.revertedWith(
+        "Insufficient surplus balance"
+      );
+    });
+  });
+
+  describe("取款后的排行榜", function () {
+    async function top() {
+      return bank.getTopDepositors();
+    }
+
+    beforeEach(async function () {
+      await bank.connect(user1).deposit({ value: ethers.parseEther("3") });
+      await bank.connect(user2).deposit({ value: ethers.parseEther("2") });
+      await bank.connect(user3).deposit({ value: ethers.parseEther("1") });
+    });
+
+    it("余额下降后应该向下移动", async function () {
+      await bank.connect(user1).userWithdraw(ethers.parseEther("2.5"));
+
+      expect(await top()).to.deep.equal([
+        user2.address,
+        user3.address,
+        user1.address,
+      ]);
+    });
+
+    it("全部取出后应该移出榜单", async function () {
+      await bank.connect(user2).userWithdraw(ethers.parseEther("2"));
+
+      expect(await top()).to.deep.equal([user1.address, user3.address]);
+    });
+
+    it("空出的位置可以被新用户占据", async function () {
+      await bank.connect(user1).userWithdraw(ethers.parseEther("3"));
+      await bank.connect(user4).deposit({ value: ethers.parseEther("0.5") });
+
+      expect(await top()).to.deep.equal([
+        user2.address,
+        user3.address,
+        user4.address,
+      ]);
+    });
+  });
+
+  describe("榜单外用户补位", function () {
+    let user5;
+
+    beforeEach(async function () {
+      user5 = (await ethers.getSigners())[5];
+      await bank.connect(user1).deposit({ value: ethers.parseEther("10") });
+      await bank.connect(user2).deposit({ value: ethers.parseEther("9") });
+      await bank.connect(user3).deposit({ value: ethers.parseEther("8") });
+      await bank.connect(user4).deposit({ value: ethers.parseEther("7") });
+    });
+
+    it("榜上用户余额低于榜外用户时应该互换位置", async function () {
+      const tx = bank.connect(user1).userWithdraw(ethers.parseEther("9.5"));
+      await expect(tx)
+        .to.emit(bank, "LeaderboardChanged")
+        .withArgs(user1.address, 1, 0);
+      await expect(tx)
+        .to.emit(bank, "LeaderboardChanged")
+        .withArgs(user4.address, 0, 3);
+
+      expect(await bank.getTopDepositors()).to.deep.equal([
+        user2.address,
+        user3.address,
+        user4.address,
+      ]);
+      expect(await bank.rankOf(user1.address)).to.equal(0);
+    });
+
+    it("榜上用户取光后应该由榜外余额最高的用户补上", async function () {
+      await bank.connect(user5).deposit({ value: ethers.parseEther("6") });
+      await bank.connect(user2).userWithdraw(ethers.parseEther("9"));
+
+      expect(await bank.getTopDepositors()).to.deep.equal([
+        user1.address,
+        user3.address,
+        user4.address,
+      ]);
+
+      await bank.connect(user1).userWithdraw(ethers.parseEther("10"));
+      expect(await bank.getTopDepositors()).to.deep.equal([
+        user3.address,
+        user4.address,
+        user5.address,
+      ]);
+    });
+
+    it("榜外用户取光后不会再被补上榜", async function () {
+      await bank.connect(user4).userWithdraw(ethers.parseEther("7"));
+      await bank.connect(user1).userWithdraw(ethers.parseEther("10"));
+
+      expect(await bank.getTopDepositors()).to.deep.equal([
+        user2.address,
+        user3.address,
+      ]);
+    });
+
+    it("多个榜外用户按余额从高到低补位", async function () {
+      const others = (await ethers.getSigners()).slice(5, 12);
+      const amounts = ["1", "6.5", "3", "5", "2", "6", "4"];
+      for (let i = 0; i < others.length; i++) {
+        await bank.connect(others[i]).deposit({ value: ethers.parseEther(amounts[i]) });
+      }
+      // 榜上三人依次取光，每次都应该补上当前榜外余额最高的人
+      for (const user of [user1, user2, user3]) {
+        await bank.connect(user).userWithdraw(await bank.balances(user.address));
+      }
+
+      expect(await bank.getTopDepositors()).to.deep.equal([
+        user4.address,
+        others[1].address,
+        others[5].address,
+      ]);
+    });
+  });
+
+  describe("可配置的排行榜", function () {
+    let signers;
+
+    beforeEach(async function () {
+      signers = (await ethers.getSigners()).slice(1, 13);
+    });
+
+    it("应该拒绝非法的排行榜容量", async function () {
+      await expect(ethers.deployContract("EtherBank", [0])).to.be.revertedWith(
+        "Invalid leaderboard size"
+      );
+      await expect(ethers.deployContract("BigBank", [101])).to.be.revertedWith(
+        "Invalid leaderboard size"
+      );
+    });
+
+    it("应该按部署时的容量保留前 N 名", async function () {
+      const board = await ethers.deployContract("EtherBank", [10]);
+      for (let i = 0; i < signers.length; i++) {
+        await board
+          .connect(signers[i])
+          .deposit({ value: ethers.parseEther(String(i + 1)) });
+      }
+
+      const entries = await board.getLeaderboard();
+      expect(entries.length).to.equal(10);
+      for (let i = 0; i < entries.length; i++) {
+        const expectedUser = signers[signers.length - 1 - i].address;
+        expect(entries[i].user).to.equal(expectedUser);
+        expect(entries[i].balance).to.equal(await board.balances(expectedUser));
+        expect(entries[i].rank).to.equal(i + 1);
+      }
+    });
+
+    it("rankOf 应该返回名次，不在榜上返回 0", async function () {
+      const board = await ethers.deployContract("EtherBank", [2]);
+      await board.connect(user1).deposit({ value: ethers.parseEther("1") });
+      await board.connect(user2).deposit({ value: ethers.parseEther("3") });
+      await board.connect(user3).deposit({ value: ethers.parseEther("2") });
+
+      expect(await board.rankOf(user2.address)).to.equal(1);
+      expect(await board.rankOf(user3.address)).to.equal(2);
+      expect(await board.rankOf(user1.address)).to.equal(0);
+    });
+
+    it("新用户上榜时应该触发 LeaderboardChanged", async function () {
+      const board = await ethers.deployContract("EtherBank", [2]);
+      await board.connect(user1).deposit({ value: ethers.parseEther("1") });
+
+      await expect(
+        board.connect(user2).deposit({ value: ethers.parseEther("2") })
+      )
+        .to.emit(board, "LeaderboardChanged")
+        .withArgs(user2.address, 0, 1);
+    });
+
+    it("被挤出榜单的用户也应该触发 LeaderboardChanged", async function () {
+      const board = await ethers.deployContract("EtherBank", [2]);
+      await board.connect(user1).deposit({ value: ethers.parseEther("1") });
+      await board.connect(user2).deposit({ value: ethers.parseEther("2") });
+
+      const tx = board.connect(user3).deposit({ value: ethers.parseEther("3") });
+      await expect(tx)
+        .to.emit(board, "LeaderboardChanged")
+        .withArgs(user1.address, 2, 0);
+      await expect(tx)
+        .to.emit(board, "LeaderboardChanged")
+        .withArgs(user3.address, 0, 1);
+    });
+
+    it("名次不变时不应该触发 LeaderboardChanged", async function () {
+      const board = await ethers.deployContract("EtherBank", [3]);
+      await board.connect(user1).deposit({ value: ethers.parseEther("5") });
+      await board.connect(user2).deposit({ value: ethers.parseEther("1") });
+
+      await expect(
+        board.connect(user1).deposit({ value: ethers.parseEther("1") })
+      ).to.not.emit(board, "LeaderboardChanged");
+    });
+
+    it("取款导致名次下降时应该触发 LeaderboardChanged", async function () {
+      const board = await ethers.deployContract("EtherBank", [3]);
+      await board.connect(user1).deposit({ value: ethers.parseEther("5") });
+      await board.connect(user2).deposit({ value: ethers.parseEther("3") });
+      await board.connect(user3).deposit({ value: ethers.parseEther("2") });
+
+      await expect(board.connect(user1).userWithdraw(ethers.parseEther("4")))
+        .to.emit(board, "LeaderboardChanged")
+        .withArgs(user1.address, 1, 3);
+    });
+  });
+
+  describe("ETH 存款利息", function () {
+    const DAY = 24 * 60 * 60;
+    let snapshot;
+
+    // 推进过的链上时间在用例结束后还原，避免影响其他测试文件里基于本地时间的 deadline
+    beforeEach(async function () {
+      snapshot = await takeSnapshot();
+    });
+
+    afterEach(async function () {
+      await snapshot.restore();
+    });
+
+    it("利息储备充足时应该按天计息", async function () {
+      await bank.fundInterestReserve({ value: ethers.parseEther("1") });
+      await bank.connect(user1).deposit({ value: ethers.parseEther("10") });
+
+      await time.increase(3 * DAY);
+
+      const info = await bank.getBalanceInfo(user1.address);
+      expect(info.principal).to.equal(ethers.parseEther("10"));
+      expect(info.settledInterest).to.equal(0);
+      expect(info.pendingInterest).to.equal(ethers.parseEther("0.03"));
+      expect(info.total).to.equal(ethers.parseEther("10.03"));
+    });
+
+    it("不足一天不计息", async function () {
+      await bank.fundInterestReserve({ value: ethers.parseEther("1") });
+      await bank.connect(user1).deposit({ value: ethers.parseEther("10") });
+
+      await time.increase(DAY - 10);
+
+      expect(await bank.calculatePendingInterest(user1.address)).to.equal(0);
+    });
+
+    it("再次存款时应该先结算利息", async function () {
+      await bank.fundInterestReserve({ value: ethers.parseEther("1") });
+      await bank.connect(user1).deposit({ value: ethers.parseEther("10") });
+      await time.increase(2 * DAY);
+
+      await bank.connect(user1).deposit({ value: ethers.parseEther("1") });
+
+      expect(await bank.accruedInterest(user1.address)).to.equal(
+        ethers.parseEther("0.02")
+      );
+      expect(await bank.interestReserve()).to.equal(ethers.parseEther("0.98"));
+      expect(await bank.calculatePendingInterest(user1.address)).to.equal(0);
+    });
+
+    it("取款时应该先付利息再扣本金", async function () {
+      await bank.fundInterestReserve({ value: ethers.parseEther("1") });
+      await bank.connect(user1).deposit({ value: ethers.parseEther("10") });
+      await time.increase(5 * DAY);
+
+      await expect(bank.connect(user1).userWithdraw(ethers.parseEther("1")))
+        .to.emit(bank, "UserWithdraw")
+        .withArgs(user1.address, ethers.parseEther("0.95"), ethers.parseEther("0.05"));
+
+      expect(await bank.balances(user1.address)).to.equal(ethers.parseEther("9.05"));
+      expect(await bank.totalAccruedInterest()).to.equal(0);
+    });
+
+    it("没有利息储备时不应该产生利息", async function () {
+      await bank.connect(user1).deposit({ value: ethers.parseEther("10") });
+      await time.increase(30 * DAY);
+
+      expect(await bank.calculatePendingInterest(user1.address)).to.equal(0);
+      await expect(
+        bank.connect(user1).userWithdraw(ethers.parseEther("10.01"))
+      ).to.be.revertedWith("Insufficient balance");
+    });
+
+    it("利息不应该超过储备，也不应该动用其他用户的本金", async function () {
+      await bank.fundInterestReserve({ value: ethers.parseEther("0.01") });
+      await bank.connect(user1).deposit({ value: ethers.parseEther("10") });
+      await bank.connect(user2).deposit({ value: ethers.parseEther("5") });
+      await time.increase(10 * DAY);
+
+      // 应得 0.1 ETH，但储备只有 0.01 ETH
+      expect(await bank.calculatePendingInterest(user1.address)).to.equal(
+        ethers.parseEther("0.01")
+      );
+      await bank.connect(user1).userWithdraw(ethers.parseEther("10.01"));
+
+      expect(await bank.interestReserve()).to.equal(0);
+      expect(await bank.getBalance()).to.equal(ethers.parseEther("5"));
+      await bank.connect(user2).userWithdraw(ethers.parseEther("5"));
+    });
+
+    it("利息储备不属于管理员可提取的盈余", async function () {
+      await bank.fundInterestReserve({ value: ethers.parseEther("1") });
+
+      expect(await bank.getSurplus()).to.equal(0);
+      await expect(bank.withdraw(1)).to.be.revertedWith(
+        "Insufficient surplus balance"
+      );
+    });
+
+    it("只有财务可以注入利息储备", async function () {
+      await expect(
+        bank.connect(user1).fundInterestReserve({ value: 1 })
+      ).to.be.revertedWith(
+        `AccessControl: account ${user1.address.toLowerCase()} is missing role ${await bank.TREASURER_ROLE()}`
+      );
+    });
+
+    it("BigBank 同样计息", async function () {
+      await bigBank.fundInterestReserve({ value: ethers.parseEther("1") });
+      await bigBank.connect(user1).deposit({ value: ethers.parseEther("1") });
+      await time.increase(DAY);
+
+      const info = await bigBank.getBalanceInfo(user1.address);
+      expect(info.pendingInterest).to.equal(ethers.parseEther("0.001"));
+    });
+  });
+});
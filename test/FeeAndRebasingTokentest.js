@@ -0,0 +1,247 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { time, takeSnapshot } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployWithLibraries } = require("../scripts/lib/libraries");
+
+describe("收手续费和 rebasing 代币", function () {
+  const DAY = 24 * 60 * 60;
+  // TestFeeToken 默认每笔转账扣 1%
+  const afterFee = (amount) => amount - amount / 100n;
+
+  let owner, user1, user2;
+  let feeToken, rebasingToken, feeAddress, rebasingAddress;
+  let snapshot;
+
+  beforeEach(async function () {
+    snapshot = await takeSnapshot();
+    [owner, user1, user2] = await ethers.getSigners();
+
+    feeToken = await ethers.deployContract("TestFeeToken");
+    rebasingToken = await ethers.deployContract("TestRebasingToken");
+    feeAddress = await feeToken.getAddress();
+    rebasingAddress = await rebasingToken.getAddress();
+
+    // 测试账户之间的转账手续费不影响断言
+    await feeToken.setFeeBps(0);
+    await feeToken.transfer(user1.address, ethers.parseEther("10000"));
+    await feeToken.setFeeBps(100);
+    await rebasingToken.transfer(user1.address, ethers.parseEther("10000"));
+  });
+
+  afterEach(async function () {
+    await snapshot.restore();
+  });
+
+  describe("代币白名单", function () {
+    for (const name of ["TokenBank", "SmartTokenBank"]) {
+      describe(name, function () {
+        let bank, bankAddress;
+
+        beforeEach(async function () {
+          bank = await deployWithLibraries(hre, name);
+          bankAddress = await bank.getAddress();
+          await rebasingToken.connect(user1).approve(bankAddress, ethers.MaxUint256);
+          await feeToken.connect(user1).approve(bankAddress, ethers.MaxUint256);
+        });
+
+        it("不在白名单中的代币（例如 rebasing 代币）不能存入", async function () {
+          await expect(
+            bank.connect(user1).deposit(rebasingAddress, ethers.parseEther("1"))
+          ).to.be.revertedWith("BankTokenAllowlist: token not allowed");
+          await expect(
+            bank.connect(user1).deposit(ethers.ZeroAddress, 1)
+          ).to.be.revertedWith("Invalid token address");
+        });
+
+        it("只有管理员能维护白名单", async function () {
+          const DEFAULT_ADMIN_ROLE = await bank.DEFAULT_ADMIN_ROLE();
+          await expect(
+            bank.connect(user1).setTokenAllowed(feeAddress, true)
+          ).to.be.revertedWith(
+            `AccessControl: account ${user1.address.toLowerCase()} is missing role ${DEFAULT_ADMIN_ROLE}`
+          );
+
+          await expect(bank.setTokenAllowed(feeAddress, true))
+            .to.emit(bank, "TokenAllowlistChanged")
+            .withArgs(feeAddress, true, owner.address);
+          await expect(
+            bank.setTokenAllowed(feeAddress, true)
+          ).to.be.revertedWith("BankTokenAllowlist: token already set");
+        });
+
+        it("移出白名单后不能再存入，已有存款仍可取出", async function () {
+          await bank.setTokenAllowed(feeAddress, true);
+          await bank.connect(user1).deposit(feeAddress, ethers.parseEther("100"));
+          await bank.setTokenAllowed(feeAddress, false);
+
+          await expect(
+            bank.connect(user1).deposit(feeAddress, ethers.parseEther("1"))
+          ).to.be.revertedWith("BankTokenAllowlist: token not allowed");
+          await bank.connect(user1).withdraw(feeAddress, ethers.parseEther("99"));
+        });
+      });
+    }
+  });
+
+  describe("TokenBank 按实际到账记账", function () {
+    let bank, bankAddress;
+
+    beforeEach(async function () {
+      bank = await ethers.deployContract("TokenBank");
+      bankAddress = await bank.getAddress();
+      await bank.setTokenAllowed(feeAddress, true);
+      await feeToken.connect(user1).approve(bankAddress, ethers.MaxUint256);
+    });
+
+    it("存款记的是扣费后的数量", async function () {
+      const amount = ethers.parseEther("100");
+
+      await expect(bank.connect(user1).deposit(feeAddress, amount))
+        .to.emit(bank, "Deposit")
+        .withArgs(feeAddress, user1.address, afterFee(amount));
+
+      expect(await bank.balances(user1.address, feeAddress)).to.equal(afterFee(amount));
+      expect(await bank.totalDeposits(feeAddress)).to.equal(afterFee(amount));
+      // 记账和实际持有量一致，没有凭空多出的负债
+      expect(await feeToken.balanceOf(bankAddress)).to.equal(afterFee(amount));
+      expect(await bank.getSurplus(feeAddress)).to.equal(0);
+    });
+
+    it("多个用户全部取出后银行不会资不抵债", async function () {
+      await feeToken.setFeeBps(0);
+      await feeToken.transfer(user2.address, ethers.parseEther("1000"));
+      await feeToken.setFeeBps(100);
+      await feeToken.connect(user2).approve(bankAddress, ethers.MaxUint256);
+
+      await bank.connect(user1).deposit(feeAddress, ethers.parseEther("100"));
+      await bank.connect(user2).deposit(feeAddress, ethers.parseEther("300"));
+
+      await bank.connect(user1).withdraw(feeAddress, await bank.balances(user1.address, feeAddress));
+      await bank.connect(user2).withdraw(feeAddress, await bank.balances(user2.address, feeAddress));
+
+      expect(await bank.totalDeposits(feeAddress)).to.equal(0);
+      expect(await feeToken.balanceOf(bankAddress)).to.equal(0);
+    });
+
+    it("全额扣费的转账不能存款", async function () {
+      await feeToken.setFeeBps(10000);
+
+      await expect(
+        bank.connect(user1).deposit(feeAddress, ethers.parseEther("1"))
+      ).to.be.revertedWith("TokenBank: nothing received");
+    });
+  });
+
+  describe("SmartTokenBank 按实际到账记账", function () {
+    let bank, bankAddress, smartToken, smartAddress;
+
+    beforeEach(async function () {
+      bank = await deployWithLibraries(hre, "SmartTokenBank");
+      bankAddress = await bank.getAddress();
+      await bank.setTokenAllowed(feeAddress, true);
+      await feeToken.connect(user1).approve(bankAddress, ethers.MaxUint256);
+      await feeToken.approve(bankAddress, ethers.MaxUint256);
+
+      smartToken = await ethers.deployContract("SmartToken", [
+        "Smart Token",
+        "SMT",
+        ethers.parseEther("1000000"),
+      ]);
+      smartAddress = await smartToken.getAddress();
+      await bank.setTokenAllowed(smartAddress, true);
+      await smartToken.transfer(user1.address, ethers.parseEther("10000"));
+    });
+
+    it("deposit 和注入储备都记扣费后的数量", async function () {
+      await expect(bank.fundInterestReserve(feeAddress, ethers.parseEther("1000")))
+        .to.emit(bank, "InterestReserveFunded")
+        .withArgs(feeAddress, owner.address, ethers.parseEther("990"));
+      await expect(bank.connect(user1).deposit(feeAddress, ethers.parseEther("100")))
+        .to.emit(bank, "Deposit")
+        .withArgs(feeAddress, user1.address, ethers.parseEther("99"));
+
+      expect(await bank.interestReserve(feeAddress)).to.equal(ethers.parseEther("990"));
+      expect(await bank.balances(feeAddress, user1.address)).to.equal(ethers.parseEther("99"));
+      expect((await bank.getSolvency(feeAddress)).solvent).to.equal(true);
+    });
+
+    it("transferAndCall 到账少于回调里的 value 时整笔回滚", async function () {
+      await expect(
+        feeToken.connect(user1).transferAndCall(bankAddress, ethers.parseEther("200"))
+      ).to.be.revertedWith("SmartTokenBank: value not received");
+
+      await feeToken.setFeeBps(0);
+      await expect(feeToken.connect(user1).transferAndCall(bankAddress, ethers.parseEther("200")))
+        .to.emit(bank, "Deposit")
+        .withArgs(feeAddress, user1.address, ethers.parseEther("200"));
+    });
+
+    it("持有量低于已记账的负债时 transferAndCall 仍按 value 记账", async function () {
+      await bank.setTokenAllowed(rebasingAddress, true);
+      await rebasingToken.connect(user1).approve(bankAddress, ethers.MaxUint256);
+      await bank.connect(user1).deposit(rebasingAddress, ethers.parseEther("1000"));
+
+      // rebase 减半后银行只持有 500，银行下一次转出时更新快照
+      await rebasingToken.rebase(ethers.parseEther("0.5"));
+      await bank.connect(user1).withdraw(rebasingAddress, ethers.parseEther("100"));
+      expect((await bank.getSolvency(rebasingAddress)).solvent).to.equal(false);
+
+      await expect(rebasingToken.connect(user1).transferAndCall(bankAddress, ethers.parseEther("50")))
+        .to.emit(bank, "Deposit")
+        .withArgs(rebasingAddress, user1.address, ethers.parseEther("50"));
+      expect(await bank.balances(rebasingAddress, user1.address)).to.equal(ethers.parseEther("950"));
+    });
+
+    it("定期存款的本金和利息按扣费后的数量计算", async function () {
+      await bank.fundInterestReserve(feeAddress, ethers.parseEther("1000"));
+      await bank.setTermRate(feeAddress, 30, ethers.parseUnits("0.1", 16));
+
+      await bank.connect(user1).openTermDeposit(feeAddress, ethers.parseEther("100"), 30);
+
+      const [position] = await bank.getTermDeposits(user1.address);
+      expect(position.principal).to.equal(ethers.parseEther("99"));
+      // 99 × 0.1% × 30 天
+      expect(position.interest).to.equal(ethers.parseEther("2.97"));
+      expect((await bank.getSolvency(feeAddress)).solvent).to.equal(true);
+    });
+
+    it("利息取走之后 transferAndCall 仍然可以存款", async function () {
+      await smartToken.approve(bankAddress, ethers.parseEther("1000"));
+      await bank.fundInterestReserve(smartAddress, ethers.parseEther("1000"));
+      await smartToken.connect(user1).transferAndCall(bankAddress, ethers.parseEther("1000"));
+
+      await time.increase(10 * DAY);
+      const { total } = await bank.getBalanceInfo(smartAddress, user1.address);
+      await bank.connect(user1).withdraw(smartAddress, total);
+
+      await expect(
+        smartToken.connect(user1).transferAndCall(bankAddress, ethers.parseEther("50"))
+      )
+        .to.emit(bank, "Deposit")
+        .withArgs(smartAddress, user1.address, ethers.parseEther("50"));
+      expect((await bank.getSolvency(smartAddress)).solvent).to.equal(true);
+    });
+
+    it("直接转进来的代币不会记到之后的 transferAndCall 名下", async function () {
+      await smartToken.connect(user1).transfer(bankAddress, ethers.parseEther("30"));
+
+      for (let i = 0; i < 2; i++) {
+        await expect(smartToken.connect(user1).transferAndCall(bankAddress, ethers.parseEther("10")))
+          .to.emit(bank, "Deposit")
+          .withArgs(smartAddress, user1.address, ethers.parseEther("10"));
+      }
+
+      expect(await bank.balances(smartAddress, user1.address)).to.equal(ethers.parseEther("20"));
+      expect(await smartToken.balanceOf(bankAddress)).to.equal(ethers.parseEther("50"));
+    });
+
+    it("不在白名单中的代币不能通过 transferAndCall 存入", async function () {
+      const other = await ethers.deployContract("SmartToken", ["Other", "OTH", 1000n]);
+
+      await expect(other.transferAndCall(bankAddress, 100n)).to.be.revertedWith(
+        "BankTokenAllowlist: token not allowed"
+      );
+    });
+  });
+});
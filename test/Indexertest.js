@@ -0,0 +1,228 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { time, takeSnapshot } = require("@nomicfoundation/hardhat-network-helpers");
+const { deploySuite } = require("../scripts/deploy");
+const { main, parseTime } = require("../scripts/indexer");
+const { JsonStore, buildStatement } = require("../scripts/lib/indexer");
+
+describe("事件索引和对账单", function () {
+  const { ethers } = hre;
+  const DAY = 24 * 60 * 60;
+  const e = (value) => ethers.parseEther(value);
+
+  let owner, user1, user2;
+  let manifest, manifestDir, dbFile;
+  let etherBank, tokenBank, smartBank, smartToken, smartAddress;
+  let snapshot;
+
+  // 索引器的命令行入口，使用进程内的 provider
+  const run = (...args) =>
+    main([...args, "--network", "hardhat", "--db", dbFile], {
+      provider: ethers.provider,
+      manifestDir,
+      log: () => {},
+    });
+  const types = (statement) => statement.entries.map((entry) => entry.type);
+
+  beforeEach(async function () {
+    snapshot = await takeSnapshot();
+    [owner, user1, user2] = await ethers.getSigners();
+
+    manifestDir = fs.mkdtempSync(path.join(os.tmpdir(), "bank-indexer-"));
+    dbFile = path.join(manifestDir, "index.json");
+    manifest = await deploySuite(hre, { redeploy: new Set(["all"]), manifestDir, log: () => {} });
+
+    const at = (name) => ethers.getContractAt(name, manifest.contracts[name].address);
+    etherBank = await at("EtherBank");
+    tokenBank = await at("TokenBank");
+    smartBank = await at("SmartTokenBank");
+    smartToken = await at("SmartToken");
+    smartAddress = await smartToken.getAddress();
+
+    await smartToken.transfer(user1.address, e("1000"));
+    await smartToken.approve(await smartBank.getAddress(), e("1000"));
+    await smartBank.fundInterestReserve(smartAddress, e("1000"));
+    await smartBank.setTermRate(smartAddress, 30, ethers.parseUnits("0.1", 16));
+    await smartToken.connect(user1).approve(await tokenBank.getAddress(), ethers.MaxUint256);
+    await smartToken.connect(user1).approve(await smartBank.getAddress(), ethers.MaxUint256);
+  });
+
+  afterEach(async function () {
+    await snapshot.restore();
+    fs.rmSync(manifestDir, { recursive: true, force: true });
+  });
+
+  it("同步全部银行的事件并生成带运行余额的对账单", async function () {
+    await etherBank.connect(user1).deposit({ value: e("2") });
+    await tokenBank.connect(user1).deposit(smartAddress, e("100"));
+    await tokenBank.connect(user1).transferInternal(smartAddress, user2.address, e("30"));
+    await tokenBank.connect(user1).withdraw(smartAddress, e("20"));
+    await smartBank.connect(user1).deposit(smartAddress, e("100"));
+    await time.increase(10 * DAY);
+    await smartBank.connect(user1).withdraw(smartAddress, e("50"));
+
+    const result = await run("sync");
+    expect(result.added).to.equal(6);
+
+    const statement = buildStatement(JsonStore.load(dbFile), user1.address);
+    expect(types(statement)).to.deep.equal([
+      "deposit",
+      "deposit",
+      "transfer-out",
+      "withdraw",
+      "deposit",
+      "interest",
+      "withdraw",
+    ]);
+
+    const [ether, token, smart] = statement.accounts;
+    expect(ether).to.include({ bank: "EtherBank", token: "ETH", symbol: "ETH" });
+    expect(ether.closingBalance).to.equal(e("2"));
+    expect(token.bank).to.equal("TokenBank");
+    expect(token.closingBalance).to.equal(e("50"));
+    expect(token.withdrawals).to.equal(e("50"));
+
+    // 取款先扣利息：记一行利息，再记一行取款
+    const { principal } = await smartBank.getBalanceInfo(smartAddress, user1.address);
+    expect(smart.interest).to.be.gt(0);
+    expect(smart.closingBalance).to.equal(principal);
+    const interestLine = statement.entries[5];
+    expect(interestLine.amount).to.equal(smart.interest);
+    expect(statement.entries[6].amount).to.equal(-e("50"));
+
+    // 收款人的对账单上是转入
+    const received = buildStatement(JsonStore.load(dbFile), user2.address);
+    expect(types(received)).to.deep.equal(["transfer-in"]);
+    expect(received.entries[0].counterparty).to.equal(user1.address);
+  });
+
+  it("同步代理部署的可升级银行的事件", async function () {
+    const upgradeable = await ethers.getContractAt(
+      "TokenBankUpgradeable",
+      manifest.contracts.TokenBankUpgradeable.address
+    );
+    const smartUpgradeable = await ethers.getContractAt(
+      "SmartTokenBankUpgradeable",
+      manifest.contracts.SmartTokenBankUpgradeable.address
+    );
+    await smartToken.connect(user1).approve(await upgradeable.getAddress(), e("40"));
+    await smartToken.connect(user1).approve(await smartUpgradeable.getAddress(), e("60"));
+    await upgradeable.connect(user1).deposit(smartAddress, e("40"));
+    await upgradeable.connect(user1).withdraw(smartAddress, e("15"));
+    await smartUpgradeable.connect(user1).deposit(smartAddress, e("60"));
+
+    await run("sync");
+    const statement = buildStatement(JsonStore.load(dbFile), user1.address);
+    const accounts = Object.fromEntries(statement.accounts.map((account) => [account.bank, account]));
+
+    expect(accounts.TokenBankUpgradeable.closingBalance).to.equal(e("25"));
+    expect(accounts.SmartTokenBankUpgradeable.closingBalance).to.equal(e("60"));
+  });
+
+  it("定期存款开户和到期分别记账", async function () {
+    await smartBank.connect(user1).openTermDeposit(smartAddress, e("100"), 30);
+    await time.increase(30 * DAY);
+    await smartBank.connect(user1).redeemTermDeposit(1);
+    await run("sync");
+
+    const statement = buildStatement(JsonStore.load(dbFile), user1.address, { bank: "SmartTokenBank" });
+    expect(types(statement)).to.deep.equal(["term-open", "interest", "term-redeem"]);
+    expect(statement.entries.map((entry) => entry.termId)).to.deep.equal(["1", "1", "1"]);
+    expect(statement.entries[1].amount).to.equal(e("3"));
+    expect(statement.accounts[0].closingBalance).to.equal(0);
+  });
+
+  it("被 guardian 取消的大额取款退回账户", async function () {
+    await tokenBank.setWithdrawLimit(smartAddress, 0, 0, 0, e("50"), DAY);
+    await tokenBank.connect(user1).deposit(smartAddress, e("100"));
+    await tokenBank.connect(user1).withdraw(smartAddress, e("60"));
+    await tokenBank.cancelWithdrawal(1);
+    await run("sync");
+
+    const statement = buildStatement(JsonStore.load(dbFile), user1.address);
+    expect(types(statement)).to.deep.equal(["deposit", "withdraw", "withdraw-cancelled"]);
+    expect(statement.entries[2].amount).to.equal(e("60"));
+    expect(statement.accounts[0].closingBalance).to.equal(e("100"));
+  });
+
+  it("从上次同步到的区块继续，不重复记录", async function () {
+    await tokenBank.connect(user1).deposit(smartAddress, e("10"));
+    const first = await run("sync");
+
+    await tokenBank.connect(user1).deposit(smartAddress, e("5"));
+    const second = await run("sync");
+    expect(second.fromBlock).to.equal(first.toBlock + 1);
+    expect(second.added).to.equal(1);
+
+    const third = await run("sync");
+    expect(third.added).to.equal(0);
+    expect(JsonStore.load(dbFile).data.events).to.have.length(2);
+  });
+
+  it("银行重新部署后清空重建", async function () {
+    await tokenBank.connect(user1).deposit(smartAddress, e("10"));
+    await run("sync");
+
+    manifest = await deploySuite(hre, { redeploy: new Set(["TokenBank"]), manifestDir, log: () => {} });
+    const result = await run("sync");
+
+    const store = JsonStore.load(dbFile);
+    expect(result.added).to.equal(0);
+    expect(store.data.events).to.have.length(0);
+    expect(store.data.contracts.TokenBank).to.equal(manifest.contracts.TokenBank.address);
+  });
+
+  it("按时间范围导出，之前的部分作为期初余额", async function () {
+    await tokenBank.connect(user1).deposit(smartAddress, e("10"));
+    await time.increase(2 * DAY);
+    const from = await time.latest();
+    await tokenBank.connect(user1).deposit(smartAddress, e("5"));
+    await time.increase(2 * DAY);
+    const to = await time.latest();
+    await tokenBank.connect(user1).withdraw(smartAddress, e("1"));
+    await run("sync");
+
+    const statement = await run("statement", "--user", user1.address, "--from", `${from}`, "--to", `${to}`, "--format", "json", "--out", path.join(manifestDir, "statement.json"));
+    expect(types(statement)).to.deep.equal(["deposit"]);
+    expect(statement.accounts[0].openingBalance).to.equal(e("10"));
+    expect(statement.accounts[0].closingBalance).to.equal(e("15"));
+
+    const json = JSON.parse(fs.readFileSync(path.join(manifestDir, "statement.json"), "utf8"));
+    expect(json.entries[0].balance).to.equal(e("15").toString());
+  });
+
+  it("导出 CSV，金额按小数位格式化", async function () {
+    await etherBank.connect(user1).deposit({ value: e("1.5") });
+    await run("sync");
+
+    const out = path.join(manifestDir, "statement.csv");
+    await run("statement", "--user", user1.address, "--out", out);
+
+    const [header, row] = fs.readFileSync(out, "utf8").trim().split("\n");
+    expect(header).to.equal(
+      "date,blockNumber,transactionHash,bank,token,symbol,type,counterparty,termId,amount,balance"
+    );
+    expect(row.split(",").slice(3)).to.deep.equal(["EtherBank", "ETH", "ETH", "deposit", "", "", "1.5", "1.5"]);
+  });
+
+  it("参数错误时报错", async function () {
+    await expect(run("statement", "--user", user1.address)).to.be.rejectedWith("run the sync command first");
+    await run("sync");
+    await expect(run("statement")).to.be.rejectedWith("--user is required");
+    await expect(run("statement", "--user", user1.address, "--format", "xml")).to.be.rejectedWith(
+      "--format must be csv or json"
+    );
+    await expect(run("rebuild")).to.be.rejectedWith("Usage");
+  });
+
+  it("解析日期参数", function () {
+    expect(parseTime("1700000000")).to.equal(1700000000);
+    expect(parseTime("2025-01-02")).to.equal(Date.UTC(2025, 0, 2) / 1000);
+    expect(parseTime("2025-01-02", true)).to.equal(Date.UTC(2025, 0, 3) / 1000 - 1);
+    expect(parseTime("2025-01-02T12:00:00Z")).to.equal(Date.UTC(2025, 0, 2, 12) / 1000);
+    expect(() => parseTime("yesterday")).to.throw("Invalid date");
+  });
+});
@@ -0,0 +1,248 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { time, takeSnapshot } = require("@nomicfoundation/hardhat-network-helpers");
+const { signInternalTransfer } = require("../sdk/transferSig");
+const { deployWithLibraries } = require("../scripts/lib/libraries");
+
+describe("账户间转账", function () {
+  const DAY = 24 * 60 * 60;
+  const e = (value) => ethers.parseEther(value);
+
+  let owner, user1, user2, relayer;
+  let snapshot;
+
+  beforeEach(async function () {
+    snapshot = await takeSnapshot();
+    [owner, user1, user2, relayer] = await ethers.getSigners();
+  });
+
+  afterEach(async function () {
+    await snapshot.restore();
+  });
+
+  // 两个银行的余额 mapping 下标顺序不同
+  const balanceOf = (bank, name, token, user) =>
+    name === "TokenBank" ? bank.balances(user, token) : bank.balances(token, user);
+
+  for (const name of ["TokenBank", "SmartTokenBank"]) {
+    describe(name, function () {
+      let bank, bankAddress, token, tokenAddress;
+
+      beforeEach(async function () {
+        bank = await deployWithLibraries(hre, name);
+        bankAddress = await bank.getAddress();
+        token = await ethers.deployContract("SmartToken", ["Smart Token", "SMT", e("1000000")]);
+        tokenAddress = await token.getAddress();
+        await bank.setTokenAllowed(tokenAddress, true);
+
+        await token.transfer(user1.address, e("1000"));
+        await token.connect(user1).approve(bankAddress, ethers.MaxUint256);
+        await bank.connect(user1).deposit(tokenAddress, e("100"));
+      });
+
+      it("只改账本，不转代币", async function () {
+        await expect(bank.connect(user1).transferInternal(tokenAddress, user2.address, e("40")))
+          .to.emit(bank, "InternalTransfer")
+          .withArgs(tokenAddress, user1.address, user2.address, e("40"));
+
+        expect(await balanceOf(bank, name, tokenAddress, user2.address)).to.equal(e("40"));
+        expect(await bank.totalDeposits(tokenAddress)).to.equal(e("100"));
+        expect(await token.balanceOf(bankAddress)).to.equal(e("100"));
+
+        // 收款人可以直接取出
+        await bank.connect(user2).withdraw(tokenAddress, e("40"));
+        expect(await token.balanceOf(user2.address)).to.equal(e("40"));
+      });
+
+      it("余额不足、转给自己或零地址应失败", async function () {
+        await expect(
+          bank.connect(user2).transferInternal(tokenAddress, user1.address, 1n)
+        ).to.be.revertedWith("Insufficient balance");
+        await expect(
+          bank.connect(user1).transferInternal(tokenAddress, user1.address, e("1"))
+        ).to.be.revertedWith("Invalid recipient");
+        await expect(
+          bank.connect(user1).transferInternal(tokenAddress, ethers.ZeroAddress, e("1"))
+        ).to.be.revertedWith("Invalid recipient");
+        await expect(
+          bank.connect(user1).transferInternal(tokenAddress, user2.address, 0)
+        ).to.be.revertedWith("Amount must be greater than 0");
+      });
+
+      it("收款人的本金受 userCap 限制", async function () {
+        await bank.setTokenLimits(tokenAddress, 0, e("50"), 0);
+
+        await expect(
+          bank.connect(user1).transferInternal(tokenAddress, user2.address, e("51"))
+        ).to.be.revertedWith("BankTokenAllowlist: user cap exceeded");
+        await bank.connect(user1).transferInternal(tokenAddress, user2.address, e("50"));
+      });
+
+      it("代币移出白名单后仍然可以转账", async function () {
+        await bank.setTokenAllowed(tokenAddress, false);
+
+        await bank.connect(user1).transferInternal(tokenAddress, user2.address, e("10"));
+        expect(await balanceOf(bank, name, tokenAddress, user2.address)).to.equal(e("10"));
+      });
+
+      it("更新双方的仓位", async function () {
+        await bank.connect(user1).transferInternal(tokenAddress, user2.address, e("100"));
+
+        const [fromEntries] = await bank.getPortfolio(user1.address, 0, 10);
+        const [toEntries] = await bank.getPortfolio(user2.address, 0, 10);
+        expect(fromEntries).to.have.length(0);
+        expect(toEntries.map((entry) => entry.token)).to.deep.equal([tokenAddress]);
+      });
+
+      it("可以单独暂停转账", async function () {
+        const { selector } = bank.interface.getFunction("transferInternal");
+        await bank.setFunctionPaused(selector, true);
+
+        await expect(
+          bank.connect(user1).transferInternal(tokenAddress, user2.address, e("1"))
+        ).to.be.revertedWith("BankPausable: function is paused");
+      });
+
+      describe("签名转账", function () {
+        let deadline;
+
+        beforeEach(async function () {
+          deadline = (await time.latest()) + 600;
+        });
+
+        it("中继人提交签名，从签名人的账户转出", async function () {
+          const request = await signInternalTransfer(user1, bank, tokenAddress, user2.address, e("25"), deadline);
+
+          await expect(
+            bank
+              .connect(relayer)
+              .transferInternalWithSig(tokenAddress, user2.address, e("25"), request.nonce, deadline, request.signature)
+          )
+            .to.emit(bank, "InternalTransfer")
+            .withArgs(tokenAddress, user1.address, user2.address, e("25"));
+
+          expect(await balanceOf(bank, name, tokenAddress, user2.address)).to.equal(e("25"));
+          expect(await bank.transferNonces(user1.address)).to.equal(1);
+        });
+
+        it("签名不能重放", async function () {
+          const { nonce, signature } = await signInternalTransfer(user1, bank, tokenAddress, user2.address, e("5"), deadline);
+          await bank
+            .connect(relayer)
+            .transferInternalWithSig(tokenAddress, user2.address, e("5"), nonce, deadline, signature);
+
+          await expect(
+            bank
+              .connect(relayer)
+              .transferInternalWithSig(tokenAddress, user2.address, e("5"), nonce, deadline, signature)
+          ).to.be.revertedWith("Invalid nonce");
+        });
+
+        it("篡改收款人或数量会恢复出其他地址", async function () {
+          const { nonce, signature } = await signInternalTransfer(user1, bank, tokenAddress, user2.address, e("5"), deadline);
+
+          await expect(
+            bank
+              .connect(relayer)
+              .transferInternalWithSig(tokenAddress, relayer.address, e("5"), nonce, deadline, signature)
+          ).to.be.reverted;
+          await expect(
+            bank
+              .connect(relayer)
+              .transferInternalWithSig(tokenAddress, user2.address, e("50"), nonce, deadline, signature)
+          ).to.be.reverted;
+          expect(await balanceOf(bank, name, tokenAddress, user1.address)).to.equal(e("100"));
+        });
+
+        it("过期签名应失败", async function () {
+          const { nonce, signature } = await signInternalTransfer(user1, bank, tokenAddress, user2.address, e("5"), deadline);
+          await time.increaseTo(deadline + 1);
+
+          await expect(
+            bank
+              .connect(relayer)
+              .transferInternalWithSig(tokenAddress, user2.address, e("5"), nonce, deadline, signature)
+          ).to.be.revertedWith("Signature expired");
+        });
+
+        it("签名只在签发它的银行有效", async function () {
+          const other = await deployWithLibraries(hre, name);
+          await other.setTokenAllowed(tokenAddress, true);
+          await token.connect(user1).approve(await other.getAddress(), e("10"));
+          await other.connect(user1).deposit(tokenAddress, e("10"));
+          const { nonce, signature } = await signInternalTransfer(user1, bank, tokenAddress, user2.address, e("5"), deadline);
+
+          await expect(
+            other
+              .connect(relayer)
+              .transferInternalWithSig(tokenAddress, user2.address, e("5"), nonce, deadline, signature)
+          ).to.be.reverted;
+        });
+      });
+    });
+  }
+
+  describe("SmartTokenBank 利息结算", function () {
+    let bank, bankAddress, token, tokenAddress;
+
+    beforeEach(async function () {
+      bank = await deployWithLibraries(hre, "SmartTokenBank");
+      bankAddress = await bank.getAddress();
+      token = await ethers.deployContract("SmartToken", ["Smart Token", "SMT", e("1000000")]);
+      tokenAddress = await token.getAddress();
+      await bank.setTokenAllowed(tokenAddress, true);
+
+      await token.approve(bankAddress, e("1000"));
+      await bank.fundInterestReserve(tokenAddress, e("1000"));
+      for (const user of [user1, user2]) {
+        await token.transfer(user.address, e("1000"));
+        await token.connect(user).transferAndCall(bankAddress, e("100"));
+      }
+    });
+
+    it("转账前结算双方利息，转出方先扣利息", async function () {
+      await time.increase(10 * DAY);
+
+      await bank.connect(user1).transferInternal(tokenAddress, user2.address, e("50"));
+
+      // 默认日利率 0.1%：10 天多 1 秒的利息
+      const earned = (e("100") * 10n) / 1000n;
+      const fromInfo = await bank.getBalanceInfo(tokenAddress, user1.address);
+      const toInfo = await bank.getBalanceInfo(tokenAddress, user2.address);
+      expect(fromInfo.settledInterest).to.equal(0);
+      expect(fromInfo.principal).to.be.closeTo(e("50") + earned, e("0.01"));
+      expect(toInfo.settledInterest).to.be.closeTo(earned, e("0.01"));
+      expect(toInfo.principal).to.equal(e("150"));
+      expect(await bank.getDepositTimestamp(tokenAddress, user2.address)).to.equal(await time.latest());
+
+      const report = await bank.getSolvency(tokenAddress);
+      expect(report.solvent).to.equal(true);
+    });
+
+    it("连本带息全部转出后清空转出方的账户", async function () {
+      await time.increase(DAY);
+      // 停止计息，之后余额不再变化
+      await bank.setInterestRate(tokenAddress, 0);
+      const { total } = await bank.getBalanceInfo(tokenAddress, user1.address);
+
+      await bank.connect(user1).transferInternal(tokenAddress, user2.address, total);
+
+      expect((await bank.getBalanceInfo(tokenAddress, user1.address)).total).to.equal(0);
+      expect(await bank.getDepositTimestamp(tokenAddress, user1.address)).to.equal(0);
+      const [entries] = await bank.getPortfolio(user1.address, 0, 10);
+      expect(entries).to.have.length(0);
+    });
+
+    it("收款人开启复利时利息先滚入本金", async function () {
+      await bank.connect(user2).setCompounding(tokenAddress, true);
+      await time.increase(DAY);
+
+      await bank.connect(user1).transferInternal(tokenAddress, user2.address, e("10"));
+
+      const info = await bank.getBalanceInfo(tokenAddress, user2.address);
+      expect(info.settledInterest).to.equal(0);
+      expect(info.principal).to.be.closeTo(e("110.1"), e("0.001"));
+    });
+  });
+});
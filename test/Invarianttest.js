@@ -0,0 +1,667 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { time, takeSnapshot } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployWithLibraries } = require("../scripts/lib/libraries");
+
+/**
+ * 随机操作序列的不变量测试：按种子生成存款、取款、时间跳跃、暂停等操作，每一步之后检查不变量。
+ * 失败时把操作序列缩减到仍然失败的最小反例再报告。
+ *
+ *   FUZZ_SEED  起始种子，默认固定值；设为 random 时每次运行使用不同的种子
+ *   FUZZ_RUNS  每个合约生成多少个序列，默认 8
+ *   FUZZ_STEPS 每个序列的操作数，默认 30
+ *
+ * 报错信息里的种子配合 FUZZ_RUNS=1 可以重放同一个序列
+ */
+const SEED =
+  process.env.FUZZ_SEED === "random"
+    ? Math.floor(Math.random() * 2 ** 31)
+    : Number(process.env.FUZZ_SEED || 20240601);
+const RUNS = Number(process.env.FUZZ_RUNS || 8);
+const STEPS = Number(process.env.FUZZ_STEPS || 30);
+// 缩减时最多重放多少个候选序列
+const SHRINK_BUDGET = 300;
+
+const HOUR = 60 * 60;
+const DAY = 24 * HOUR;
+
+// mulberry32：同一个种子总是生成同一串操作
+function createRng(seed) {
+  let state = seed >>> 0;
+  const next = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  return {
+    int: (min, max) => min + Math.floor(next() * (max - min + 1)),
+    chance: (probability) => next() < probability,
+    // 按权重选一个键，例如 { deposit: 3, withdraw: 1 }
+    weighted: (weights) => {
+      const entries = Object.entries(weights);
+      let roll = next() * entries.reduce((total, [, weight]) => total + weight, 0);
+      for (const [key, weight] of entries) {
+        roll -= weight;
+        if (roll < 0) {
+          return key;
+        }
+      }
+      return entries[entries.length - 1][0];
+    },
+  };
+}
+
+const formatActions = (actions) =>
+  actions
+    .map((action, i) =>
+      `  ${i + 1}. ${JSON.stringify(action, (_, value) =>
+        typeof value === "bigint" ? value.toString() : value
+      )}`
+    )
+    .join("\n");
+
+// 比 value 小的候选值，从最激进的 0 开始
+function smallerValues(value) {
+  const zero = typeof value === "bigint" ? 0n : 0;
+  const one = typeof value === "bigint" ? 1n : 1;
+  const half = typeof value === "bigint" ? value / 2n : Math.floor(value / 2);
+  return [...new Set([zero, half, value - one])].filter((v) => v >= zero && v < value);
+}
+
+/**
+ * 缩减候选：先截掉失败那一步之后的操作，再成块删除（块从一半缩到单个），最后把数值参数往小改
+ */
+function* shrinkCandidates(actions, failedAt) {
+  if (failedAt + 1 < actions.length) {
+    yield actions.slice(0, failedAt + 1);
+  }
+  for (let size = Math.max(actions.length >> 1, 1); size >= 1; size >>= 1) {
+    for (let start = 0; start + size <= actions.length; start += size) {
+      yield [...actions.slice(0, start), ...actions.slice(start + size)];
+    }
+  }
+  for (const [i, action] of actions.entries()) {
+    for (const [key, value] of Object.entries(action)) {
+      if (typeof value !== "number" && typeof value !== "bigint") {
+        continue;
+      }
+      for (const smaller of smallerValues(value)) {
+        yield actions.map((a, j) => (j === i ? { ...a, [key]: smaller } : a));
+      }
+    }
+  }
+}
+
+/**
+ * 生成 runs 个随机序列逐一执行。reset 把链和模型恢复到初始状态，step 执行一个操作（包括对这一步结果的断言），
+ * check 检查全局不变量。失败的序列被贪心缩减：每找到一个仍然失败的更小候选就从它重新开始，直到没有候选失败
+ * @returns 失败时抛出的错误带有 counterexample（缩减后的操作序列）和 seed
+ */
+async function checkProperty({ runs = RUNS, steps = STEPS, seed = SEED, generate, reset, step, check }) {
+  const attempt = async (actions) => {
+    await reset();
+    for (const [i, action] of actions.entries()) {
+      try {
+        await step(action);
+        await check();
+      } catch (error) {
+        return { error, failedAt: i };
+      }
+    }
+    return null;
+  };
+
+  for (let run = 0; run < runs; run++) {
+    const rng = createRng(seed + run);
+    const actions = Array.from({ length: steps }, () => generate(rng));
+    let failure = await attempt(actions);
+    if (!failure) {
+      continue;
+    }
+
+    let smallest = actions;
+    let tries = 0;
+    let improved = true;
+    while (improved && tries < SHRINK_BUDGET) {
+      improved = false;
+      for (const candidate of shrinkCandidates(smallest, failure.failedAt)) {
+        if (++tries > SHRINK_BUDGET) {
+          break;
+        }
+        const candidateFailure = await attempt(candidate);
+        if (candidateFailure) {
+          smallest = candidate;
+          failure = candidateFailure;
+          improved = true;
+          break;
+        }
+      }
+    }
+
+    const error = new Error(
+      `种子 ${seed + run} 生成的序列违反不变量（${actions.length} 步缩减到 ${smallest.length} 步，` +
+        `FUZZ_SEED=${seed + run} FUZZ_RUNS=1 可以重放）：\n${formatActions(smallest)}\n` +
+        `第 ${failure.failedAt + 1} 步失败：${failure.error.message}`
+    );
+    error.counterexample = smallest;
+    error.seed = seed + run;
+    throw error;
+  }
+}
+
+const sum = (values) => values.reduce((a, b) => a + b, 0n);
+
+// 重复暂停或恢复应该失败，状态不变
+async function setPaused(bank, state, paused) {
+  if (state.paused === paused) {
+    await expect(paused ? bank.pause() : bank.unpause()).to.be.revertedWith(
+      paused ? "BankPausable: contract is paused" : "BankPausable: contract is not paused"
+    );
+    return;
+  }
+  await (paused ? bank.pause() : bank.unpause());
+  state.paused = paused;
+}
+
+describe("随机操作序列的不变量", function () {
+  this.timeout(10 * 60 * 1000);
+
+  const USERS = 5;
+  // 榜单远小于用户数，榜外经常有人，榜上用户取款后需要从榜外补位
+  const LEADERBOARD_SIZE = 2;
+
+  let owner, users;
+
+  // 取款从有本金的用户里按序号选，大部分取款都落在有钱的账户上；都没有本金时直接按序号选
+  const pickHolder = async (index, principalOf) => {
+    const principals = await Promise.all(users.map(principalOf));
+    const holders = users.filter((_, i) => principals[i] > 0n);
+    return holders.length > 0 ? holders[index % holders.length] : users[index];
+  };
+
+  before(async function () {
+    const signers = await ethers.getSigners();
+    owner = signers[0];
+    users = signers.slice(1, 1 + USERS);
+  });
+
+  describe("缩减", function () {
+    it("失败的序列缩减到最小反例", async function () {
+      // 只要出现 amount >= 37 的操作就算失败，最小反例是只有一个 amount = 37 的操作
+      const error = await checkProperty({
+        runs: 20,
+        steps: 10,
+        seed: 1,
+        generate: (rng) => ({ type: "deposit", amount: rng.int(0, 100) }),
+        reset: async () => {},
+        step: async (action) => expect(action.amount).to.be.lt(37),
+        check: async () => {},
+      }).catch((e) => e);
+
+      expect(error).to.be.instanceOf(Error);
+      expect(error.counterexample).to.deep.equal([{ type: "deposit", amount: 37 }]);
+      expect(error.message).to.include(`FUZZ_SEED=${error.seed}`);
+    });
+
+    it("不变量成立时不报错", async function () {
+      let executed = 0;
+      await checkProperty({
+        runs: 3,
+        steps: 5,
+        seed: 1,
+        generate: (rng) => ({ amount: rng.int(0, 10) }),
+        reset: async () => {},
+        step: async () => {
+          executed++;
+        },
+        check: async () => {},
+      });
+      expect(executed).to.equal(15);
+    });
+  });
+
+  for (const name of ["EtherBank", "BigBank"]) {
+    describe(name, function () {
+      // 金额单位 0.0001 ETH，BigBank 的最低存款是 10 个单位
+      const UNIT = 10n ** 14n;
+      const MIN_DEPOSIT = ethers.parseEther("0.001");
+      const isBigBank = name === "BigBank";
+
+      let bank, bankAddress, initial, snapshot;
+      let actors, state;
+
+      before(async function () {
+        initial = await takeSnapshot();
+        bank = await ethers.deployContract(name, [LEADERBOARD_SIZE]);
+        bankAddress = await bank.getAddress();
+        await bank.fundInterestReserve({ value: ethers.parseEther("1") });
+        // 管理员可以在 owner 和用户之间转移，actors[0] 是 owner
+        actors = [owner, ...users];
+        snapshot = await takeSnapshot();
+      });
+
+      after(async function () {
+        await initial.restore();
+      });
+
+      const accounted = async () =>
+        (await bank.totalDeposits()) +
+        (await bank.totalAccruedInterest()) +
+        (await bank.interestReserve());
+
+      const reset = async () => {
+        await snapshot.restore();
+        state = { paused: false, depositPaused: false, admin: 0, accounted: await accounted() };
+      };
+
+      const generate = (rng) => {
+        // 恢复比暂停更常见，序列的大部分时间银行都在正常营业
+        const type = rng.weighted({
+          deposit: 6,
+          withdraw: 4,
+          timeJump: 3,
+          pause: 1,
+          unpause: 3,
+          pauseDeposit: 1,
+          resumeDeposit: 3,
+          fundReserve: 1,
+          transferAdmin: 1,
+        });
+        switch (type) {
+          case "deposit":
+            return {
+              type,
+              user: rng.int(0, USERS - 1),
+              amount: rng.chance(0.2) ? rng.int(0, 20) : rng.int(0, 100000),
+            };
+          case "withdraw":
+            return { type, user: rng.int(0, USERS - 1), percent: rng.int(0, 110) };
+          case "timeJump":
+            return { type, seconds: rng.chance(0.5) ? rng.int(1, 6 * HOUR) : rng.int(1, 10 * DAY) };
+          case "fundReserve":
+            return { type, amount: rng.int(0, 20000) };
+          case "transferAdmin":
+            return { type, to: rng.int(0, USERS) };
+          default:
+            return { type };
+        }
+      };
+
+      const step = async (action) => {
+        switch (action.type) {
+          case "deposit": {
+            const user = users[action.user];
+            const amount = BigInt(action.amount) * UNIT;
+            const tx = bank.connect(user).deposit({ value: amount });
+
+            if (isBigBank && amount < MIN_DEPOSIT) {
+              await expect(tx).to.be.revertedWith("Deposit amount must be at least 0.001 ETH");
+            } else if (state.paused) {
+              await expect(tx).to.be.revertedWith("BankPausable: contract is paused");
+            } else if (state.depositPaused) {
+              await expect(tx).to.be.revertedWith("BankPausable: function is paused");
+            } else if (amount === 0n) {
+              await expect(tx).to.be.revertedWith("Deposit amount must be greater than 0");
+            } else {
+              await expect(tx).to.changeEtherBalances([user, bank], [-amount, amount]);
+              state.accounted += amount;
+
+              // 刚存款的用户一定在榜上，除非榜单已满且他不比最后一名多
+              const board = await bank.getLeaderboard();
+              const balance = await bank.balances(user.address);
+              const onBoard = board.some((entry) => entry.user === user.address);
+              const full = board.length === LEADERBOARD_SIZE;
+              expect(
+                onBoard || (full && balance <= board[board.length - 1].balance),
+                "存款后应该上榜"
+              ).to.equal(true);
+            }
+            break;
+          }
+          case "withdraw": {
+            const user = await pickHolder(action.user, (u) => bank.balances(u.address));
+            const { total } = await bank.getBalanceInfo(user.address);
+            // 超过 100% 时额外多取 1 ETH，跨过整天多出来的利息也补不上
+            const amount =
+              (total * BigInt(action.percent)) / 100n +
+              (action.percent > 100 ? ethers.parseEther("1") : 0n);
+            const tx = bank.connect(user).userWithdraw(amount);
+
+            if (state.paused) {
+              await expect(tx).to.be.revertedWith("BankPausable: contract is paused");
+            } else if (amount === 0n) {
+              await expect(tx).to.be.revertedWith("Withdraw amount must be greater than 0");
+            } else if (amount > total) {
+              await expect(tx).to.be.revertedWith("Insufficient balance");
+            } else {
+              await expect(tx).to.changeEtherBalances([user, bank], [amount, -amount]);
+              state.accounted -= amount;
+            }
+            break;
+          }
+          case "timeJump": {
+            // 不发交易时，每个用户的利息只会随时间增加
+            const before = await Promise.all(users.map((u) => bank.getBalanceInfo(u.address)));
+            await time.increase(Math.max(action.seconds, 1));
+            const after = await Promise.all(users.map((u) => bank.getBalanceInfo(u.address)));
+            users.forEach((_, i) => {
+              expect(after[i].totalInterest, `用户 ${i} 的利息随时间减少`).to.be.gte(
+                before[i].totalInterest
+              );
+            });
+            break;
+          }
+          case "pause":
+          case "unpause":
+            await setPaused(bank, state, action.type === "pause");
+            break;
+          case "pauseDeposit":
+          case "resumeDeposit": {
+            const paused = action.type === "pauseDeposit";
+            const tx = bank.setFunctionPaused(bank.interface.getFunction("deposit").selector, paused);
+            if (state.depositPaused === paused) {
+              await expect(tx).to.be.revertedWith("BankPausable: function pause already set");
+            } else {
+              await tx;
+              state.depositPaused = paused;
+            }
+            break;
+          }
+          case "fundReserve": {
+            const amount = BigInt(action.amount) * UNIT;
+            const tx = bank.fundInterestReserve({ value: amount });
+            if (amount === 0n) {
+              await expect(tx).to.be.revertedWith("Reserve amount must be greater than 0");
+            } else {
+              await tx;
+              state.accounted += amount;
+            }
+            break;
+          }
+          case "transferAdmin": {
+            const current = actors[state.admin];
+            const next = actors[action.to];
+            if (action.to === state.admin) {
+              await expect(bank.connect(current).proposeAdmin(next.address)).to.be.revertedWith(
+                "BankAccessControl: already admin"
+              );
+            } else {
+              await bank.connect(current).proposeAdmin(next.address);
+              await bank.connect(next).acceptAdmin();
+              state.admin = action.to;
+            }
+            break;
+          }
+        }
+      };
+
+      const check = async () => {
+        const balances = await Promise.all(users.map((u) => bank.balances(u.address)));
+        const accrued = await Promise.all(users.map((u) => bank.accruedInterest(u.address)));
+        const holdings = await ethers.provider.getBalance(bankAddress);
+
+        expect(await bank.totalDeposits(), "totalDeposits 等于用户本金之和").to.equal(sum(balances));
+        expect(await bank.totalAccruedInterest(), "totalAccruedInterest 等于用户已结算利息之和").to.equal(
+          sum(accrued)
+        );
+        expect(sum(balances) + sum(accrued), "用户余额之和超过合约持有的 ETH").to.be.lte(holdings);
+        // 本金、已结算利息和储备之间的划转不改变总量，只有存取和注入储备会改变
+        expect(await accounted(), "账面总额与存取记录不符").to.equal(state.accounted);
+        expect(holdings, "合约持有的 ETH 与账面总额不符").to.equal(state.accounted);
+
+        // 排行榜按余额从大到小排列，余额与 balances 一致，不重复、没有余额为 0 的人
+        const board = await bank.getLeaderboard();
+        expect(board.length).to.be.lte(LEADERBOARD_SIZE);
+        // 榜单就是全体用户余额的前 N 名。余额相同的人谁在榜上都可以，所以按名次比较余额
+        const expectedTop = balances
+          .filter((balance) => balance > 0n)
+          .sort((a, b) => (a < b ? 1 : a > b ? -1 : 0))
+          .slice(0, LEADERBOARD_SIZE);
+        expect(
+          board.map((entry) => entry.balance),
+          "排行榜不是全体用户余额的前 N 名"
+        ).to.deep.equal(expectedTop);
+        expect(new Set(board.map((entry) => entry.user)).size, "排行榜有重复").to.equal(board.length);
+        board.forEach((entry, i) => {
+          const index = users.findIndex((u) => u.address === entry.user);
+          expect(entry.rank).to.equal(i + 1);
+          expect(entry.balance, `第 ${i + 1} 名的余额与 balances 不一致`).to.equal(balances[index]);
+          expect(entry.balance).to.be.gt(0);
+          if (i > 0) {
+            expect(entry.balance, "排行榜没有按余额排序").to.be.lte(board[i - 1].balance);
+          }
+        });
+
+        // 管理员始终只有一个
+        const admin = actors[state.admin].address;
+        expect(await bank.admin()).to.equal(admin);
+        const holders = await Promise.all(
+          actors.map((a) => bank.hasRole(ethers.ZeroHash, a.address))
+        );
+        expect(holders).to.deep.equal(actors.map((a) => a.address === admin));
+      };
+
+      it("存取、时间跳跃、暂停和转移管理员的随机序列保持不变量", async function () {
+        await checkProperty({ generate, reset, step, check });
+      });
+    });
+  }
+
+  describe("SmartTokenBank", function () {
+    // 金额单位 0.01 个代币
+    const UNIT = 10n ** 16n;
+    const WITH_DATA = "transferAndCall(address,uint256,bytes)";
+
+    let bank, bankAddress, token, tokenAddress, initial, snapshot;
+    let state;
+
+    before(async function () {
+      initial = await takeSnapshot();
+      bank = await deployWithLibraries(hre, "SmartTokenBank");
+      bankAddress = await bank.getAddress();
+      token = await ethers.deployContract("SmartToken", ["Smart Token", "SMT", ethers.parseEther("10000000")]);
+      tokenAddress = await token.getAddress();
+      await bank.setTokenAllowed(tokenAddress, true);
+      await token.approve(bankAddress, ethers.MaxUint256);
+      await bank.fundInterestReserve(tokenAddress, ethers.parseEther("100"));
+      for (const user of users) {
+        await token.transfer(user.address, ethers.parseEther("100000"));
+        await token.connect(user).approve(bankAddress, ethers.MaxUint256);
+      }
+      snapshot = await takeSnapshot();
+    });
+
+    after(async function () {
+      await initial.restore();
+    });
+
+    const accounted = async () =>
+      (await bank.totalDeposits(tokenAddress)) +
+      (await bank.totalAccruedInterest(tokenAddress)) +
+      (await bank.interestReserve(tokenAddress));
+
+    const reset = async () => {
+      await snapshot.restore();
+      state = { paused: false, accounted: await accounted(), donated: 0n };
+    };
+
+    const generate = (rng) => {
+      const type = rng.weighted({
+        deposit: 6,
+        withdraw: 4,
+        timeJump: 3,
+        toggleCompounding: 2,
+        setRate: 1,
+        pause: 1,
+        unpause: 3,
+        donate: 1,
+        fundReserve: 1,
+      });
+      switch (type) {
+        case "deposit":
+          return {
+            type,
+            user: rng.int(0, USERS - 1),
+            amount: rng.chance(0.1) ? 0 : rng.int(1, 50000),
+            // 0 = approve + deposit，1 = transferAndCall，2 = transferAndCall 并指定受益人
+            via: rng.int(0, 2),
+            beneficiary: rng.int(0, USERS - 1),
+          };
+        case "withdraw":
+          return { type, user: rng.int(0, USERS - 1), percent: rng.int(0, 110) };
+        case "toggleCompounding":
+          return { type, user: rng.int(0, USERS - 1) };
+        case "setRate":
+          // 日利率 0 ~ 1%，步长 0.01%
+          return { type, rate: rng.int(0, 100) };
+        case "timeJump":
+          return { type, seconds: rng.chance(0.5) ? rng.int(1, 6 * HOUR) : rng.int(1, 10 * DAY) };
+        case "donate":
+          return { type, user: rng.int(0, USERS - 1), amount: rng.int(1, 1000) };
+        case "fundReserve":
+          return { type, amount: rng.int(0, 5000) };
+        default:
+          return { type };
+      }
+    };
+
+    const step = async (action) => {
+      switch (action.type) {
+        case "deposit": {
+          const user = users[action.user];
+          const beneficiary = action.via === 2 ? users[action.beneficiary] : user;
+          const amount = BigInt(action.amount) * UNIT;
+          const before = await bank.getBalanceInfo(tokenAddress, beneficiary.address);
+
+          let tx;
+          if (action.via === 0) {
+            tx = bank.connect(user).deposit(tokenAddress, amount);
+          } else if (action.via === 1) {
+            tx = token.connect(user)["transferAndCall(address,uint256)"](bankAddress, amount);
+          } else {
+            const data = ethers.AbiCoder.defaultAbiCoder().encode(
+              ["address", "uint256", "bytes32"],
+              [beneficiary.address, 0, ethers.ZeroHash]
+            );
+            tx = token.connect(user)[WITH_DATA](bankAddress, amount, data);
+          }
+
+          if (state.paused) {
+            await expect(tx).to.be.revertedWith("BankPausable: contract is paused");
+          } else if (amount === 0n) {
+            await expect(tx).to.be.revertedWith(
+              action.via === 0 ? "Deposit amount must be greater than 0" : "SmartTokenBank: nothing received"
+            );
+          } else {
+            // 别人直接转进来的代币不会记到这次 transferAndCall 的存款里
+            await expect(tx).to.changeTokenBalances(token, [user, bank], [-amount, amount]);
+            state.accounted += amount;
+
+            const after = await bank.getBalanceInfo(tokenAddress, beneficiary.address);
+            expect(after.principal + after.settledInterest, "存款没有记到受益人名下").to.be.gte(
+              before.total + amount
+            );
+          }
+          break;
+        }
+        case "withdraw": {
+          const user = await pickHolder(action.user, (u) => bank.balances(tokenAddress, u.address));
+          const { total } = await bank.getBalanceInfo(tokenAddress, user.address);
+          // 超过 100% 时额外多取 100 个代币，下一个区块多出来的利息补不上
+          const amount =
+            (total * BigInt(action.percent)) / 100n +
+            (action.percent > 100 ? ethers.parseEther("100") : 0n);
+          const tx = bank.connect(user).withdraw(tokenAddress, amount);
+
+          if (state.paused) {
+            await expect(tx).to.be.revertedWith("BankPausable: contract is paused");
+          } else if (amount === 0n) {
+            await expect(tx).to.be.revertedWith("Withdraw amount must be greater than 0");
+          } else if (amount > total) {
+            await expect(tx).to.be.revertedWith("Insufficient balance");
+          } else {
+            await expect(tx).to.changeTokenBalances(token, [user, bank], [amount, -amount]);
+            state.accounted -= amount;
+          }
+          break;
+        }
+        case "toggleCompounding": {
+          const user = users[action.user];
+          const enabled = await bank.compounding(tokenAddress, user.address);
+          const tx = bank.connect(user).setCompounding(tokenAddress, !enabled);
+          if (state.paused) {
+            await expect(tx).to.be.revertedWith("BankPausable: contract is paused");
+          } else {
+            await tx;
+          }
+          break;
+        }
+        case "setRate":
+          await bank.setInterestRate(tokenAddress, BigInt(action.rate) * 10n ** 14n);
+          break;
+        case "timeJump": {
+          const before = await Promise.all(
+            users.map((u) => bank.getBalanceInfo(tokenAddress, u.address))
+          );
+          await time.increase(Math.max(action.seconds, 1));
+          const after = await Promise.all(
+            users.map((u) => bank.getBalanceInfo(tokenAddress, u.address))
+          );
+          users.forEach((_, i) => {
+            expect(after[i].totalInterest, `用户 ${i} 的利息随时间减少`).to.be.gte(
+              before[i].totalInterest
+            );
+          });
+          break;
+        }
+        case "pause":
+        case "unpause":
+          await setPaused(bank, state, action.type === "pause");
+          break;
+        case "donate": {
+          // 不经过 transferAndCall 直接转给银行，不属于任何人
+          const amount = BigInt(action.amount) * UNIT;
+          await token.connect(users[action.user]).transfer(bankAddress, amount);
+          state.donated += amount;
+          break;
+        }
+        case "fundReserve": {
+          const amount = BigInt(action.amount) * UNIT;
+          const tx = bank.fundInterestReserve(tokenAddress, amount);
+          if (amount === 0n) {
+            await expect(tx).to.be.revertedWith("Reserve amount must be greater than 0");
+          } else {
+            await tx;
+            state.accounted += amount;
+          }
+          break;
+        }
+      }
+    };
+
+    const check = async () => {
+      const balances = await Promise.all(users.map((u) => bank.balances(tokenAddress, u.address)));
+      const accrued = await Promise.all(users.map((u) => bank.accruedInterest(tokenAddress, u.address)));
+      const holdings = await token.balanceOf(bankAddress);
+
+      expect(await bank.totalDeposits(tokenAddress), "totalDeposits 等于用户本金之和").to.equal(sum(balances));
+      expect(
+        await bank.totalAccruedInterest(tokenAddress),
+        "totalAccruedInterest 等于用户已结算利息之和"
+      ).to.equal(sum(accrued));
+      expect(sum(balances) + sum(accrued), "用户余额之和超过合约持有的代币").to.be.lte(holdings);
+      expect(await accounted(), "账面总额与存取记录不符").to.equal(state.accounted);
+      expect(holdings, "合约持有的代币与账面总额加直接转入的数量不符").to.equal(
+        state.accounted + state.donated
+      );
+      expect((await bank.getSolvency(tokenAddress)).solvent).to.equal(true);
+    };
+
+    it("存取、transferAndCall、复利切换、调息和暂停的随机序列保持不变量", async function () {
+      await checkProperty({ generate, reset, step, check });
+    });
+  });
+});
@@ -0,0 +1,251 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { time, takeSnapshot } = require("@nomicfoundation/hardhat-network-helpers");
+const { signPermit } = require("../sdk/permit");
+const { deployWithLibraries } = require("../scripts/lib/libraries");
+
+describe("暂停与紧急模式", function () {
+  const DAY = 24 * 60 * 60;
+
+  let owner, user1, user2;
+  let snapshot;
+
+  function selector(contract, name) {
+    return contract.interface.getFunction(name).selector;
+  }
+
+  beforeEach(async function () {
+    [owner, user1, user2] = await ethers.getSigners();
+    snapshot = await takeSnapshot();
+  });
+
+  afterEach(async function () {
+    await snapshot.restore();
+  });
+
+  describe("TokenBank", function () {
+    let bank, token, bankAddress, tokenAddress;
+
+    beforeEach(async function () {
+      bank = await ethers.deployContract("TokenBank");
+      token = await ethers.deployContract("TestPermitToken");
+      bankAddress = await bank.getAddress();
+      tokenAddress = await token.getAddress();
+      await bank.setTokenAllowed(tokenAddress, true);
+
+      await token.transfer(user1.address, ethers.parseEther("1000"));
+      await token.connect(user1).approve(bankAddress, ethers.MaxUint256);
+      await bank.connect(user1).deposit(tokenAddress, ethers.parseEther("100"));
+    });
+
+    it("全局暂停时存款、签名存款和取款都不可用", async function () {
+      await expect(bank.pause()).to.emit(bank, "Paused").withArgs(owner.address);
+
+      await expect(
+        bank.connect(user1).deposit(tokenAddress, 1)
+      ).to.be.revertedWith("BankPausable: contract is paused");
+      await expect(
+        bank.connect(user1).withdraw(tokenAddress, 1)
+      ).to.be.revertedWith("BankPausable: contract is paused");
+
+      const deadline = (await time.latest()) + 3600;
+      const { v, r, s } = await signPermit(user1, token, bankAddress, 1n, deadline);
+      await expect(
+        bank.permitDeposit(tokenAddress, 1, deadline, v, r, s, user1.address)
+      ).to.be.revertedWith("BankPausable: contract is paused");
+
+      await bank.unpause();
+      await bank.connect(user1).withdraw(tokenAddress, 1);
+    });
+
+    it("可以只暂停存款，保留取款", async function () {
+      for (const name of ["deposit", "permitDeposit"]) {
+        await expect(bank.setFunctionPaused(selector(bank, name), true))
+          .to.emit(bank, "FunctionPauseChanged")
+          .withArgs(selector(bank, name), true, owner.address);
+      }
+
+      await expect(
+        bank.connect(user1).deposit(tokenAddress, 1)
+      ).to.be.revertedWith("BankPausable: function is paused");
+      await expect(
+        bank.connect(user1).withdraw(tokenAddress, ethers.parseEther("10"))
+      ).to.changeTokenBalance(token, user1, ethers.parseEther("10"));
+
+      await bank.setFunctionPaused(selector(bank, "deposit"), false);
+      await bank.connect(user1).deposit(tokenAddress, 1);
+    });
+
+    it("紧急模式下暂停时也能取回全部余额", async function () {
+      await bank.pause();
+      await expect(bank.enterEmergency())
+        .to.emit(bank, "EmergencyModeChanged")
+        .withArgs(true, owner.address);
+
+      const tx = bank.connect(user1).emergencyWithdraw(tokenAddress);
+      await expect(tx)
+        .to.emit(bank, "EmergencyWithdraw")
+        .withArgs(tokenAddress, user1.address, ethers.parseEther("100"));
+      await expect(tx).to.changeTokenBalance(token, user1, ethers.parseEther("100"));
+
+      expect(await bank.balances(user1.address, tokenAddress)).to.equal(0);
+      expect(await bank.totalDeposits(tokenAddress)).to.equal(0);
+    });
+
+    it("非紧急模式不能紧急取款", async function () {
+      await expect(
+        bank.connect(user1).emergencyWithdraw(tokenAddress)
+      ).to.be.revertedWith("BankPausable: not in emergency mode");
+    });
+  });
+
+  describe("EtherBank / BigBank", function () {
+    for (const name of ["EtherBank", "BigBank"]) {
+      describe(name, function () {
+        let bank, bankAddress;
+
+        beforeEach(async function () {
+          bank = await ethers.deployContract(name, [3]);
+          bankAddress = await bank.getAddress();
+          await bank.fundInterestReserve({ value: ethers.parseEther("1") });
+          await bank.connect(user1).deposit({ value: ethers.parseEther("10") });
+        });
+
+        it("暂停时 deposit、直接转账和取款都不可用", async function () {
+          await bank.pause();
+
+          await expect(
+            bank.connect(user1).deposit({ value: ethers.parseEther("1") })
+          ).to.be.revertedWith("BankPausable: contract is paused");
+          await expect(
+            user1.sendTransaction({ to: bankAddress, value: ethers.parseEther("1") })
+          ).to.be.revertedWith("BankPausable: contract is paused");
+          await expect(
+            bank.connect(user1).userWithdraw(1)
+          ).to.be.revertedWith("BankPausable: contract is paused");
+        });
+
+        it("单独暂停存款时直接转账也被拒绝，取款照常", async function () {
+          await bank.setFunctionPaused(selector(bank, "deposit"), true);
+
+          await expect(
+            user1.sendTransaction({ to: bankAddress, value: ethers.parseEther("1") })
+          ).to.be.revertedWith("BankPausable: function is paused");
+          await expect(
+            bank.connect(user1).userWithdraw(ethers.parseEther("1"))
+          ).to.changeEtherBalance(user1, ethers.parseEther("1"));
+        });
+
+        it("紧急模式下只退本金，未结算的利息作废", async function () {
+          await time.increase(2 * DAY);
+          await bank.pause();
+          await bank.enterEmergency();
+
+          const tx = bank.connect(user1).emergencyWithdraw();
+          await expect(tx)
+            .to.emit(bank, "EmergencyWithdraw")
+            .withArgs(user1.address, ethers.parseEther("10"));
+          await expect(tx).to.changeEtherBalance(user1, ethers.parseEther("10"));
+
+          expect(await bank.totalDeposits()).to.equal(0);
+          expect(await bank.interestReserve()).to.equal(ethers.parseEther("1"));
+          expect(await bank.getTopDepositors()).to.deep.equal([]);
+          expect(await bank.calculatePendingInterest(user1.address)).to.equal(0);
+        });
+      });
+    }
+  });
+
+  describe("SmartTokenBank", function () {
+    let bank, token, bankAddress, tokenAddress;
+
+    beforeEach(async function () {
+      bank = await deployWithLibraries(hre, "SmartTokenBank");
+      token = await ethers.deployContract("SmartToken", [
+        "Smart Token",
+        "SMT",
+        ethers.parseEther("1000000"),
+      ]);
+      bankAddress = await bank.getAddress();
+      tokenAddress = await token.getAddress();
+      await bank.setTokenAllowed(tokenAddress, true);
+
+      await token.approve(bankAddress, ethers.parseEther("1000"));
+      await bank.fundInterestReserve(tokenAddress, ethers.parseEther("1000"));
+      await bank.setTermRate(tokenAddress, 30, ethers.parseUnits("0.2", 16));
+
+      await token.transfer(user1.address, ethers.parseEther("1000"));
+      await token.connect(user1).approve(bankAddress, ethers.MaxUint256);
+      await bank.connect(user1).deposit(tokenAddress, ethers.parseEther("100"));
+      await bank.connect(user1).openTermDeposit(tokenAddress, ethers.parseEther("200"), 30);
+    });
+
+    it("单独暂停 transferAndCall 存款", async function () {
+      await bank.setFunctionPaused(selector(bank, "onTransferReceived"), true);
+
+      await expect(
+        token.connect(user1).transferAndCall(bankAddress, 1)
+      ).to.be.revertedWith("BankPausable: function is paused");
+      await bank.connect(user1).deposit(tokenAddress, 1);
+    });
+
+    it("紧急模式下暂停时也能取回活期和定期本金", async function () {
+      await time.increase(5 * DAY);
+      await bank.pause();
+      await bank.enterEmergency();
+
+      await expect(
+        bank.connect(user1).emergencyWithdraw(tokenAddress)
+      ).to.changeTokenBalance(token, user1, ethers.parseEther("100"));
+      await expect(
+        bank.connect(user1).emergencyWithdrawTermDeposit(1)
+      ).to.emit(bank, "EmergencyWithdraw")
+        .withArgs(tokenAddress, user1.address, 1, ethers.parseEther("200"));
+
+      // 定期预留的利息退回储备，持有量仍然足够覆盖储备
+      const report = await bank.getSolvency(tokenAddress);
+      expect(report.deposits).to.equal(0);
+      expect(report.termDeposits).to.equal(0);
+      expect(report.termInterest).to.equal(0);
+      expect(report.solvent).to.equal(true);
+    });
+
+    it("紧急取款后恢复正常时可以重新存款计息", async function () {
+      await bank.enterEmergency();
+      await bank.connect(user1).emergencyWithdraw(tokenAddress);
+      await bank.exitEmergency();
+
+      await bank.connect(user1).deposit(tokenAddress, ethers.parseEther("100"));
+      await time.increase(DAY);
+
+      expect(await bank.calculatePendingInterest(tokenAddress, user1.address))
+        .to.equal(ethers.parseEther("0.1"));
+    });
+  });
+
+  describe("权限", function () {
+    it("只有 PAUSER 能暂停和进入紧急模式，只有管理员能退出紧急模式", async function () {
+      const bank = await ethers.deployContract("TokenBank");
+      const PAUSER_ROLE = await bank.PAUSER_ROLE();
+      const DEFAULT_ADMIN_ROLE = await bank.DEFAULT_ADMIN_ROLE();
+      await bank.grantRole(PAUSER_ROLE, user1.address);
+
+      await expect(bank.connect(user2).pause()).to.be.revertedWith(
+        `AccessControl: account ${user2.address.toLowerCase()} is missing role ${PAUSER_ROLE}`
+      );
+      await expect(
+        bank.connect(user2).setFunctionPaused("0x47e7ef24", true)
+      ).to.be.revertedWith(
+        `AccessControl: account ${user2.address.toLowerCase()} is missing role ${PAUSER_ROLE}`
+      );
+
+      await bank.connect(user1).enterEmergency();
+      await expect(bank.connect(user1).exitEmergency()).to.be.revertedWith(
+        `AccessControl: account ${user1.address.toLowerCase()} is missing role ${DEFAULT_ADMIN_ROLE}`
+      );
+      await bank.exitEmergency();
+      expect(await bank.emergency()).to.equal(false);
+    });
+  });
+});
@@ -0,0 +1,207 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { time, takeSnapshot } = require("@nomicfoundation/hardhat-network-helpers");
+const { signWithdraw } = require("../sdk/withdrawSig");
+const { deployWithLibraries } = require("../scripts/lib/libraries");
+
+describe("用户仓位查询", function () {
+  const DAY = 24 * 60 * 60;
+  const e = (value) => ethers.parseEther(value);
+
+  let owner, user1, user2;
+  let snapshot;
+
+  beforeEach(async function () {
+    snapshot = await takeSnapshot();
+    [owner, user1, user2] = await ethers.getSigners();
+  });
+
+  afterEach(async function () {
+    await snapshot.restore();
+  });
+
+  // 部署 count 个白名单代币，分给 user1 并授权给银行
+  async function deployTokens(bank, count) {
+    const tokens = [];
+    for (let i = 0; i < count; i++) {
+      const token = await ethers.deployContract("SmartToken", [`Token ${i}`, `T${i}`, e("1000000")]);
+      await token.transfer(user1.address, e("10000"));
+      await token.connect(user1).approve(await bank.getAddress(), ethers.MaxUint256);
+      await bank.setTokenAllowed(await token.getAddress(), true);
+      tokens.push(token);
+    }
+    return tokens;
+  }
+
+  async function portfolioTokens(bank, user) {
+    const [entries] = await bank.getPortfolio(user, 0, 100);
+    return entries.map((entry) => entry.token);
+  }
+
+  for (const name of ["TokenBank", "SmartTokenBank"]) {
+    describe(name, function () {
+      let bank, tokens, addresses;
+
+      beforeEach(async function () {
+        bank = await deployWithLibraries(hre, name);
+        tokens = await deployTokens(bank, 3);
+        addresses = await Promise.all(tokens.map((token) => token.getAddress()));
+      });
+
+      it("存款后列出代币和本金，没有存款时为空", async function () {
+        let [entries, total] = await bank.getPortfolio(user1.address, 0, 10);
+        expect(entries).to.have.length(0);
+        expect(total).to.equal(0);
+
+        await bank.connect(user1).deposit(addresses[0], e("10"));
+        await bank.connect(user1).deposit(addresses[1], e("20"));
+        await bank.connect(user1).deposit(addresses[0], e("5"));
+
+        [entries, total] = await bank.getPortfolio(user1.address, 0, 10);
+        expect(total).to.equal(2);
+        expect(entries.map((entry) => entry.token)).to.deep.equal([addresses[0], addresses[1]]);
+        expect(entries[0].principal).to.equal(e("15"));
+        expect(entries[1].principal).to.equal(e("20"));
+        expect(await portfolioTokens(bank, user2.address)).to.deep.equal([]);
+      });
+
+      it("按 offset 和 limit 分页", async function () {
+        for (const address of addresses) {
+          await bank.connect(user1).deposit(address, e("1"));
+        }
+
+        let [entries, total] = await bank.getPortfolio(user1.address, 0, 2);
+        expect(total).to.equal(3);
+        expect(entries.map((entry) => entry.token)).to.deep.equal(addresses.slice(0, 2));
+
+        [entries, total] = await bank.getPortfolio(user1.address, 2, 2);
+        expect(entries.map((entry) => entry.token)).to.deep.equal([addresses[2]]);
+
+        [entries, total] = await bank.getPortfolio(user1.address, 3, 2);
+        expect(entries).to.have.length(0);
+        expect(total).to.equal(3);
+
+        [entries] = await bank.getPortfolio(user1.address, 1, 0);
+        expect(entries).to.have.length(0);
+      });
+
+      it("全部取出后移出仓位，部分取出仍保留", async function () {
+        for (const address of addresses) {
+          await bank.connect(user1).deposit(address, e("10"));
+        }
+
+        await bank.connect(user1).withdraw(addresses[2], e("4"));
+        expect(await portfolioTokens(bank, user1.address)).to.deep.equal(addresses);
+
+        // 最后一个代币换到空出的位置
+        await bank.connect(user1).withdraw(addresses[0], e("10"));
+        expect(await portfolioTokens(bank, user1.address)).to.deep.equal([addresses[2], addresses[1]]);
+
+        // 再次存入时重新加入
+        await bank.connect(user1).deposit(addresses[0], e("1"));
+        expect(await portfolioTokens(bank, user1.address)).to.deep.equal([
+          addresses[2],
+          addresses[1],
+          addresses[0],
+        ]);
+      });
+
+      it("紧急取出全部本金后移出仓位", async function () {
+        await bank.connect(user1).deposit(addresses[0], e("10"));
+        await bank.enterEmergency();
+
+        await bank.connect(user1).emergencyWithdraw(addresses[0]);
+        expect(await portfolioTokens(bank, user1.address)).to.deep.equal([]);
+      });
+    });
+  }
+
+  describe("TokenBank 签名取款", function () {
+    it("withdrawWithSig 取完后移出签名人的仓位", async function () {
+      const bank = await ethers.deployContract("TokenBank");
+      const [token] = await deployTokens(bank, 1);
+      const tokenAddress = await token.getAddress();
+      await bank.connect(user1).deposit(tokenAddress, e("10"));
+
+      const deadline = (await time.latest()) + 600;
+      const { signature } = await signWithdraw(user1, bank, tokenAddress, e("10"), user2.address, deadline);
+      await bank
+        .connect(user2)
+        .withdrawWithSig(tokenAddress, e("10"), user2.address, 0, deadline, signature);
+
+      expect(await portfolioTokens(bank, user1.address)).to.deep.equal([]);
+    });
+  });
+
+  describe("SmartTokenBank 利息和定期存款", function () {
+    let bank, bankAddress, token, tokenAddress;
+
+    beforeEach(async function () {
+      bank = await deployWithLibraries(hre, "SmartTokenBank");
+      bankAddress = await bank.getAddress();
+      [token] = await deployTokens(bank, 1);
+      tokenAddress = await token.getAddress();
+
+      await token.approve(bankAddress, e("1000"));
+      await bank.fundInterestReserve(tokenAddress, e("1000"));
+      await bank.setTermRate(tokenAddress, 30, ethers.parseUnits("0.1", 16));
+    });
+
+    it("interest 为已结算和未结算的活期利息", async function () {
+      await token.connect(user1).transferAndCall(bankAddress, e("100"));
+      await time.increase(10 * DAY);
+
+      const [[entry]] = await bank.getPortfolio(user1.address, 0, 1);
+      const info = await bank.getBalanceInfo(tokenAddress, user1.address);
+      expect(entry.token).to.equal(tokenAddress);
+      expect(entry.principal).to.equal(e("100"));
+      expect(entry.interest).to.equal(info.totalInterest);
+      expect(entry.interest).to.be.gt(0);
+
+      // 停止计息，之后余额不再变化；连本带息取完才移出
+      await bank.setInterestRate(tokenAddress, 0);
+      await bank.connect(user1).withdraw(tokenAddress, e("100"));
+      expect(await portfolioTokens(bank, user1.address)).to.deep.equal([tokenAddress]);
+      const { total } = await bank.getBalanceInfo(tokenAddress, user1.address);
+      await bank.connect(user1).withdraw(tokenAddress, total);
+      expect(await portfolioTokens(bank, user1.address)).to.deep.equal([]);
+    });
+
+    it("只有定期存款时也在仓位中，principal 包含定期本金", async function () {
+      // 活期不计息，取款时不会多出利息
+      await bank.setInterestRate(tokenAddress, 0);
+      await bank.connect(user1).openTermDeposit(tokenAddress, e("50"), 30);
+
+      let [entries] = await bank.getPortfolio(user1.address, 0, 10);
+      expect(entries).to.have.length(1);
+      expect(entries[0].principal).to.equal(e("50"));
+
+      await bank.connect(user1).deposit(tokenAddress, e("10"));
+      [entries] = await bank.getPortfolio(user1.address, 0, 10);
+      expect(entries[0].principal).to.equal(e("60"));
+
+      await bank.connect(user1).withdraw(tokenAddress, e("10"));
+      expect(await portfolioTokens(bank, user1.address)).to.deep.equal([tokenAddress]);
+
+      await time.increase(30 * DAY);
+      await bank.connect(user1).redeemTermDeposit(1);
+      expect(await portfolioTokens(bank, user1.address)).to.deep.equal([]);
+    });
+
+    it("紧急取出本金后，已结算的利息仍保留在仓位中", async function () {
+      await bank.connect(user1).deposit(tokenAddress, e("100"));
+      await time.increase(5 * DAY);
+      // 再存一笔，触发利息结算
+      await bank.connect(user1).deposit(tokenAddress, e("1"));
+      const settled = await bank.accruedInterest(tokenAddress, user1.address);
+
+      await bank.enterEmergency();
+      await bank.connect(user1).emergencyWithdraw(tokenAddress);
+
+      const [[entry]] = await bank.getPortfolio(user1.address, 0, 1);
+      expect(entry.principal).to.equal(0);
+      expect(entry.interest).to.equal(settled);
+    });
+  });
+});
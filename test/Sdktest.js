@@ -0,0 +1,550 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { time, takeSnapshot } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployWithLibraries } = require("../scripts/lib/libraries");
+const {
+  EtherBankClient,
+  TokenBankClient,
+  SmartTokenBankClient,
+  SmartTokenVaultClient,
+  fromManifest,
+  BankError,
+  PermitExpiredError,
+  InvalidSignatureError,
+  ContractPausedError,
+  InsufficientBalanceError,
+  UnauthorizedError,
+  InvalidArgumentError,
+  DepositLimitError,
+  WithdrawLimitError,
+  ROLES,
+} = require("../sdk");
+
+describe("JS SDK", function () {
+  let owner, user1, user2;
+  let snapshot;
+
+  beforeEach(async function () {
+    [owner, user1, user2] = await ethers.getSigners();
+    snapshot = await takeSnapshot();
+  });
+
+  // 还原推进过的链上时间
+  afterEach(async function () {
+    await snapshot.restore();
+  });
+
+  describe("TokenBankClient", function () {
+    let tokenBank, testToken, tokenAddress, bankAddress;
+
+    beforeEach(async function () {
+      testToken = await ethers.deployContract("TestPermitToken");
+      tokenBank = await ethers.deployContract("TokenBank");
+      tokenAddress = await testToken.getAddress();
+      bankAddress = await tokenBank.getAddress();
+      await tokenBank.setTokenAllowed(tokenAddress, true);
+
+      await testToken.transfer(user1.address, ethers.parseEther("1000"));
+    });
+
+    it("应该通过 depositWithPermit 一步完成签名存款", async function () {
+      const client = new TokenBankClient(bankAddress, user1);
+      const amount = ethers.parseEther("100");
+
+      await client.depositWithPermit(tokenAddress, amount);
+
+      expect(await client.balanceOf(tokenAddress, user1.address)).to.equal(amount);
+      expect(await testToken.nonces(user1.address)).to.equal(1n);
+    });
+
+    it("应该允许中继人提交用户签好的 permit", async function () {
+      const userClient = new TokenBankClient(bankAddress, user1);
+      const relayerClient = new TokenBankClient(bankAddress, user2);
+      const amount = ethers.parseEther("40");
+
+      const permit = await userClient.signPermitDeposit(tokenAddress, amount);
+      await relayerClient.submitPermitDeposit(permit);
+
+      expect(await tokenBank.balances(user1.address, tokenAddress)).to.equal(amount);
+    });
+
+    it("签名过期时应该抛出 PermitExpiredError", async function () {
+      const client = new TokenBankClient(bankAddress, user1);
+      const deadline = (await time.latest()) - 1;
+
+      const error = await client
+        .depositWithPermit(tokenAddress, ethers.parseEther("1"), { deadline })
+        .catch((e) => e);
+
+      expect(error).to.be.instanceOf(PermitExpiredError);
+      expect(error).to.be.instanceOf(BankError);
+      expect(error.reason).to.equal("Permit expired");
+    });
+
+    it("签名被篡改时应该抛出 InvalidSignatureError", async function () {
+      const client = new TokenBankClient(bankAddress, user1);
+      const permit = await client.signPermitDeposit(tokenAddress, ethers.parseEther("1"));
+
+      const error = await client
+        .submitPermitDeposit({ ...permit, amount: ethers.parseEther("2") })
+        .catch((e) => e);
+
+      expect(error).to.be.instanceOf(InvalidSignatureError);
+    });
+
+    it("应该在授权不足时自动 approve 再存款", async function () {
+      const client = new TokenBankClient(bankAddress, user1);
+      const amount = ethers.parseEther("25");
+
+      await client.approveAndDeposit(tokenAddress, amount);
+
+      expect(await client.balanceOf(tokenAddress, user1.address)).to.equal(amount);
+    });
+
+    it("应该分页查询用户仓位", async function () {
+      const other = await ethers.deployContract("TestPlainToken");
+      const otherAddress = await other.getAddress();
+      await tokenBank.setTokenAllowed(otherAddress, true);
+      await other.transfer(user1.address, ethers.parseEther("10"));
+
+      const client = new TokenBankClient(bankAddress, user1);
+      await client.approveAndDeposit(tokenAddress, ethers.parseEther("7"));
+      await client.approveAndDeposit(otherAddress, ethers.parseEther("3"));
+
+      const page = await client.getPortfolio(user1.address, { limit: 1 });
+      expect(page.total).to.equal(2);
+      expect(page.entries).to.deep.equal([
+        { token: tokenAddress, principal: ethers.parseEther("7"), interest: 0n },
+      ]);
+
+      const all = await client.getFullPortfolio(user1.address, 1);
+      expect(all.map((entry) => entry.token)).to.deep.equal([tokenAddress, otherAddress]);
+    });
+
+    it("应该授予角色并由 TREASURER 提取盈余", async function () {
+      const admin = new TokenBankClient(bankAddress, owner);
+      await admin.grantRole("TREASURER", user2.address);
+      expect(await admin.hasRole(ROLES.TREASURER, user2.address)).to.equal(true);
+
+      await testToken.transfer(bankAddress, ethers.parseEther("3"));
+      await new TokenBankClient(bankAddress, user2).withdrawSurplus(tokenAddress, ethers.parseEther("3"));
+
+      expect(await testToken.balanceOf(user2.address)).to.equal(ethers.parseEther("3"));
+    });
+
+    it("没有角色时应该抛出 UnauthorizedError", async function () {
+      const client = new TokenBankClient(bankAddress, user1);
+
+      const error = await client.withdrawSurplus(tokenAddress, 1n).catch((e) => e);
+
+      expect(error).to.be.instanceOf(UnauthorizedError);
+    });
+
+    it("应该两步转移管理员", async function () {
+      await new TokenBankClient(bankAddress, owner).proposeAdmin(user1.address);
+
+      const error = await new TokenBankClient(bankAddress, user2).acceptAdmin().catch((e) => e);
+      expect(error).to.be.instanceOf(UnauthorizedError);
+
+      await new TokenBankClient(bankAddress, user1).acceptAdmin();
+      expect(await tokenBank.admin()).to.equal(user1.address);
+    });
+
+    it("单独暂停存款时应该抛出 ContractPausedError，紧急模式下可以取回", async function () {
+      const admin = new TokenBankClient(bankAddress, owner);
+      const client = new TokenBankClient(bankAddress, user1);
+      await client.approveAndDeposit(tokenAddress, ethers.parseEther("10"));
+
+      await admin.setFunctionPaused("deposit", true);
+      const error = await client.approveAndDeposit(tokenAddress, 1n).catch((e) => e);
+      expect(error).to.be.instanceOf(ContractPausedError);
+
+      await admin.pause();
+      await admin.enterEmergency();
+      await client.emergencyWithdraw(tokenAddress);
+      expect(await client.balanceOf(tokenAddress, user1.address)).to.equal(0);
+    });
+
+    it("应该由中继人提交用户签好的取款", async function () {
+      const userClient = new TokenBankClient(bankAddress, user1);
+      await userClient.approveAndDeposit(tokenAddress, ethers.parseEther("10"));
+
+      const request = await userClient.signWithdraw(tokenAddress, ethers.parseEther("4"), {
+        to: user2.address,
+      });
+      await new TokenBankClient(bankAddress, owner).submitWithdrawWithSig(request);
+
+      expect(await testToken.balanceOf(user2.address)).to.equal(ethers.parseEther("4"));
+      expect(await userClient.withdrawNonce(user1.address)).to.equal(1n);
+
+      const error = await new TokenBankClient(bankAddress, owner)
+        .submitWithdrawWithSig(request)
+        .catch((e) => e);
+      expect(error).to.be.instanceOf(InvalidSignatureError);
+    });
+
+    it("应该支持 DAI permit 和 Permit2 存款", async function () {
+      const dai = await ethers.deployContract("TestDaiToken");
+      const plain = await ethers.deployContract("TestPlainToken");
+      const permit2 = await ethers.deployContract("TestPermit2");
+      await tokenBank.setPermit2(await permit2.getAddress());
+      await tokenBank.setTokenAllowed(await dai.getAddress(), true);
+      await tokenBank.setTokenAllowed(await plain.getAddress(), true);
+      await dai.transfer(user1.address, ethers.parseEther("100"));
+      await plain.transfer(user1.address, ethers.parseEther("100"));
+
+      const client = new TokenBankClient(bankAddress, user1);
+      const relayerClient = new TokenBankClient(bankAddress, user2);
+
+      const daiPermit = await client.signDaiPermitDeposit(
+        await dai.getAddress(),
+        ethers.parseEther("10")
+      );
+      await relayerClient.submitDaiPermitDeposit(daiPermit);
+      expect(await client.balanceOf(await dai.getAddress(), user1.address))
+        .to.equal(ethers.parseEther("10"));
+
+      await client.approvePermit2(await plain.getAddress());
+      await client.depositWithPermit2(await plain.getAddress(), ethers.parseEther("20"));
+      expect(await client.balanceOf(await plain.getAddress(), user1.address))
+        .to.equal(ethers.parseEther("20"));
+
+      // 同一个 Permit2 签名不能用两次
+      const signed = await client.signPermit2Deposit(
+        await plain.getAddress(),
+        ethers.parseEther("1"),
+        { nonce: 7n }
+      );
+      await relayerClient.submitPermit2Deposit(signed);
+      const error = await relayerClient.submitPermit2Deposit(signed).catch((e) => e);
+      expect(error).to.be.instanceOf(InvalidSignatureError);
+    });
+
+    it("不在白名单的代币存款时应该抛出 InvalidArgumentError", async function () {
+      const admin = new TokenBankClient(bankAddress, owner);
+      const client = new TokenBankClient(bankAddress, user1);
+      await admin.setTokenAllowed(tokenAddress, false);
+      expect(await client.isTokenAllowed(tokenAddress)).to.equal(false);
+
+      const error = await client.approveAndDeposit(tokenAddress, 1n).catch((e) => e);
+      expect(error).to.be.instanceOf(InvalidArgumentError);
+      expect(error.reason).to.equal("BankTokenAllowlist: token not allowed");
+    });
+
+    it("余额不足时应该抛出 InsufficientBalanceError", async function () {
+      const client = new TokenBankClient(bankAddress, user1);
+
+      const error = await client
+        .withdraw(tokenAddress, ethers.parseEther("1"))
+        .catch((e) => e);
+
+      expect(error).to.be.instanceOf(InsufficientBalanceError);
+    });
+
+    it("超出取款限额时应该抛出 WithdrawLimitError，大额取款排队后领取", async function () {
+      const admin = new TokenBankClient(bankAddress, owner);
+      const client = new TokenBankClient(bankAddress, user1);
+      await client.approveAndDeposit(tokenAddress, ethers.parseEther("100"));
+      // 从一个新窗口的开头开始，避免测试中途跨窗口
+      const now = await time.latest();
+      await time.increaseTo(now - (now % 86400) + 86400);
+      await admin.setWithdrawLimit(tokenAddress, {
+        window: 86400,
+        userLimit: ethers.parseEther("80"),
+        largeThreshold: ethers.parseEther("50"),
+        delay: 3600,
+      });
+
+      const receipt = await client.withdraw(tokenAddress, ethers.parseEther("60"));
+      const [queued] = receipt.logs.filter((log) => log.eventName === "WithdrawalQueued");
+      const pending = await client.getQueuedWithdrawal(queued.args.id);
+      expect(pending).to.include({ owner: user1.address, to: user1.address, amount: ethers.parseEther("60") });
+      expect((await client.getWithdrawAllowance(tokenAddress, user1.address)).userRemaining)
+        .to.equal(ethers.parseEther("20"));
+
+      const error = await client.withdraw(tokenAddress, ethers.parseEther("21")).catch((e) => e);
+      expect(error).to.be.instanceOf(WithdrawLimitError);
+      const early = await client.claimWithdrawal(pending.id).catch((e) => e);
+      expect(early).to.be.instanceOf(WithdrawLimitError);
+
+      await time.increase(3600);
+      await client.claimWithdrawal(pending.id);
+      expect(await client.getQueuedWithdrawal(pending.id)).to.equal(null);
+      expect(await testToken.balanceOf(user1.address)).to.equal(ethers.parseEther("960"));
+    });
+  });
+
+  describe("SmartTokenBankClient", function () {
+    let bank, smartToken, tokenAddress, bankAddress;
+
+    beforeEach(async function () {
+      smartToken = await ethers.deployContract("SmartToken", [
+        "Smart Token",
+        "SMT",
+        ethers.parseEther("1000000"),
+      ]);
+      bank = await deployWithLibraries(hre, "SmartTokenBank");
+      tokenAddress = await smartToken.getAddress();
+      bankAddress = await bank.getAddress();
+      await bank.setTokenAllowed(tokenAddress, true);
+
+      await smartToken.transfer(user1.address, ethers.parseEther("1000"));
+    });
+
+    it("应该通过 transferAndCallDeposit 存款", async function () {
+      const client = new SmartTokenBankClient(bankAddress, user1);
+      const amount = ethers.parseEther("100");
+
+      await client.transferAndCallDeposit(tokenAddress, amount);
+
+      const info = await client.getBalanceInfo(tokenAddress, user1.address);
+      expect(info.principal).to.equal(amount);
+      expect(info.total).to.equal(amount);
+    });
+
+    it("应该通过 transferAndCallDeposit 代别人存款并直接开定期", async function () {
+      const admin = new SmartTokenBankClient(bankAddress, owner);
+      await admin.fundInterestReserve(tokenAddress, ethers.parseEther("100"));
+      await admin.setTermRate(tokenAddress, 30, ethers.parseUnits("0.2", 16));
+      const client = new SmartTokenBankClient(bankAddress, user1);
+
+      await client.transferAndCallDeposit(tokenAddress, ethers.parseEther("10"), {
+        beneficiary: user2.address,
+        referralCode: "FRIEND",
+      });
+      await client.transferAndCallDeposit(tokenAddress, ethers.parseEther("20"), { termDays: 30 });
+
+      expect((await client.getBalanceInfo(tokenAddress, user2.address)).principal)
+        .to.equal(ethers.parseEther("10"));
+      const [position] = await client.getTermDeposits(user1.address);
+      expect(position.principal).to.equal(ethers.parseEther("20"));
+    });
+
+    it("应该通过 approveAndDeposit 存款", async function () {
+      const client = new SmartTokenBankClient(bankAddress, user1);
+      const amount = ethers.parseEther("50");
+
+      await client.approveAndDeposit(tokenAddress, amount);
+
+      expect((await client.getBalanceInfo(tokenAddress, user1.address)).principal)
+        .to.equal(amount);
+    });
+
+    it("暂停时应该抛出 ContractPausedError", async function () {
+      await new SmartTokenBankClient(bankAddress, owner).pause();
+      const client = new SmartTokenBankClient(bankAddress, user1);
+
+      const error = await client
+        .transferAndCallDeposit(tokenAddress, ethers.parseEther("1"))
+        .catch((e) => e);
+
+      expect(error).to.be.instanceOf(ContractPausedError);
+      expect(error.reason).to.equal("BankPausable: contract is paused");
+    });
+
+    it("应该由中继人提交签名的账户间转账", async function () {
+      const client = new SmartTokenBankClient(bankAddress, user1);
+      await client.transferAndCallDeposit(tokenAddress, ethers.parseEther("20"));
+
+      const request = await client.signTransferInternal(tokenAddress, user2.address, ethers.parseEther("5"));
+      await new SmartTokenBankClient(bankAddress, owner).submitTransferInternalWithSig(request);
+
+      expect((await client.getBalanceInfo(tokenAddress, user2.address)).principal)
+        .to.equal(ethers.parseEther("5"));
+      expect(await client.transferNonce(user1.address)).to.equal(1n);
+
+      const error = await new SmartTokenBankClient(bankAddress, owner)
+        .submitTransferInternalWithSig(request)
+        .catch((e) => e);
+      expect(error).to.be.instanceOf(InvalidSignatureError);
+    });
+
+    it("超过存款上限应该抛出 DepositLimitError，并能列出支持的代币", async function () {
+      const admin = new SmartTokenBankClient(bankAddress, owner);
+      await admin.setTokenLimits(tokenAddress, { userCap: ethers.parseEther("10") });
+
+      const tokens = await admin.getSupportedTokens();
+      expect(tokens).to.have.length(1);
+      expect(tokens[0].userCap).to.equal(ethers.parseEther("10"));
+
+      const error = await new SmartTokenBankClient(bankAddress, user1)
+        .transferAndCallDeposit(tokenAddress, ethers.parseEther("11"))
+        .catch((e) => e);
+      expect(error).to.be.instanceOf(DepositLimitError);
+      expect(error.reason).to.equal("BankTokenAllowlist: user cap exceeded");
+    });
+
+    it("应该注入利息储备并返回偿付能力报告", async function () {
+      const admin = new SmartTokenBankClient(bankAddress, owner);
+      await admin.fundInterestReserve(tokenAddress, ethers.parseEther("100"));
+      await new SmartTokenBankClient(bankAddress, user1)
+        .transferAndCallDeposit(tokenAddress, ethers.parseEther("10"));
+
+      const report = await admin.getSolvency(tokenAddress);
+      expect(report.reserve).to.equal(ethers.parseEther("100"));
+      expect(report.deposits).to.equal(ethers.parseEther("10"));
+      expect(report.solvent).to.equal(true);
+    });
+
+    it("应该开启复利并查询状态", async function () {
+      const client = new SmartTokenBankClient(bankAddress, user1);
+
+      await client.setCompounding(tokenAddress, true);
+
+      expect(await client.isCompounding(tokenAddress, user1.address)).to.equal(true);
+    });
+
+    it("应该开立并列出定期存款", async function () {
+      const admin = new SmartTokenBankClient(bankAddress, owner);
+      await admin.fundInterestReserve(tokenAddress, ethers.parseEther("100"));
+      await admin.setTermRate(tokenAddress, 30, ethers.parseUnits("0.2", 16));
+
+      const client = new SmartTokenBankClient(bankAddress, user1);
+      const id = await client.openTermDeposit(tokenAddress, ethers.parseEther("100"), 30);
+
+      const positions = await client.getTermDeposits(user1.address);
+      expect(positions).to.have.length(1);
+      expect(positions[0].id).to.equal(id);
+      expect(positions[0].interest).to.equal(ethers.parseEther("6"));
+      expect(positions[0].matured).to.equal(false);
+    });
+
+    it("不提供的期限应该抛出 InvalidArgumentError", async function () {
+      const client = new SmartTokenBankClient(bankAddress, user1);
+
+      const error = await client
+        .openTermDeposit(tokenAddress, ethers.parseEther("1"), 7)
+        .catch((e) => e);
+
+      expect(error).to.be.instanceOf(InvalidArgumentError);
+    });
+
+    it("非管理员暂停时应该抛出 UnauthorizedError", async function () {
+      const client = new SmartTokenBankClient(bankAddress, user1);
+
+      const error = await client.pause().catch((e) => e);
+
+      expect(error).to.be.instanceOf(UnauthorizedError);
+    });
+  });
+
+  describe("SmartTokenVaultClient", function () {
+    let bank, smartToken, tokenAddress, vaultAddress;
+
+    beforeEach(async function () {
+      smartToken = await ethers.deployContract("SmartToken", [
+        "Smart Token",
+        "SMT",
+        ethers.parseEther("1000000"),
+      ]);
+      bank = await deployWithLibraries(hre, "SmartTokenBank");
+      tokenAddress = await smartToken.getAddress();
+      await bank.setTokenAllowed(tokenAddress, true);
+      await bank.setInterestRate(tokenAddress, 0);
+      const vault = await ethers.deployContract("SmartTokenVault", [
+        await bank.getAddress(),
+        tokenAddress,
+        "Smart Token Vault",
+        "vSMT",
+      ]);
+      vaultAddress = await vault.getAddress();
+
+      await smartToken.transfer(user1.address, ethers.parseEther("1000"));
+    });
+
+    it("应该用 deposit 和 transferAndCallDeposit 换份额，再赎回", async function () {
+      const client = new SmartTokenVaultClient(vaultAddress, user1);
+
+      await client.deposit(ethers.parseEther("60"));
+      await client.transferAndCallDeposit(ethers.parseEther("40"), user2.address);
+
+      expect(await client.getPosition(user1.address)).to.deep.equal({
+        // 份额比资产多 6 位小数
+        shares: ethers.parseEther("60") * 10n ** 6n,
+        assets: ethers.parseEther("60"),
+      });
+      expect((await client.getTotals()).totalAssets).to.equal(ethers.parseEther("100"));
+
+      await new SmartTokenVaultClient(vaultAddress, user2).redeem(ethers.parseEther("40") * 10n ** 6n);
+      expect(await smartToken.balanceOf(user2.address)).to.equal(ethers.parseEther("40"));
+    });
+
+    it("超过银行的存款上限时应该抛出 DepositLimitError", async function () {
+      await bank.setTokenLimits(tokenAddress, 0, ethers.parseEther("10"), 0);
+      const client = new SmartTokenVaultClient(vaultAddress, user1);
+
+      const error = await client.deposit(ethers.parseEther("11")).catch((e) => e);
+
+      expect(error).to.be.instanceOf(DepositLimitError);
+    });
+  });
+
+  describe("EtherBankClient", function () {
+    it("应该存款并返回带余额的排行榜", async function () {
+      const bank = await ethers.deployContract("EtherBank", [3]);
+      const address = await bank.getAddress();
+
+      await new EtherBankClient(address, user1).deposit(ethers.parseEther("1"));
+      await new EtherBankClient(address, user2).deposit(ethers.parseEther("3"));
+
+      const top = await new EtherBankClient(address, ethers.provider).getTopDepositors();
+      expect(top).to.deep.equal([
+        { user: user2.address, balance: ethers.parseEther("3"), rank: 1 },
+        { user: user1.address, balance: ethers.parseEther("1"), rank: 2 },
+      ]);
+      expect(await new EtherBankClient(address, user1).rankOf(user1.address)).to.equal(2);
+    });
+
+    it("应该取回自己的存款", async function () {
+      const bank = await ethers.deployContract("EtherBank", [3]);
+      const client = new EtherBankClient(await bank.getAddress(), user1);
+
+      await client.deposit(ethers.parseEther("2"));
+      await client.withdraw(ethers.parseEther("0.5"));
+
+      expect(await client.balanceOf(user1.address)).to.equal(ethers.parseEther("1.5"));
+    });
+
+    it("应该返回 ETH 存款的利息信息", async function () {
+      const bank = await ethers.deployContract("EtherBank", [3]);
+      const address = await bank.getAddress();
+      await new EtherBankClient(address, owner).fundInterestReserve(ethers.parseEther("1"));
+
+      const client = new EtherBankClient(address, user1);
+      await client.deposit(ethers.parseEther("10"));
+      await time.increase(24 * 60 * 60);
+
+      const info = await client.getBalanceInfo(user1.address);
+      expect(info.pendingInterest).to.equal(ethers.parseEther("0.01"));
+      expect(info.total).to.equal(ethers.parseEther("10.01"));
+    });
+
+    it("非管理员提取盈余时应该抛出 UnauthorizedError", async function () {
+      const bank = await ethers.deployContract("EtherBank", [3]);
+      const client = new EtherBankClient(await bank.getAddress(), user1);
+
+      const error = await client.withdrawSurplus(1n).catch((e) => e);
+
+      expect(error).to.be.instanceOf(UnauthorizedError);
+    });
+  });
+
+  describe("fromManifest", function () {
+    it("应该用清单里的地址和 ABI 创建客户端", async function () {
+      const tokenBank = await ethers.deployContract("TokenBank");
+      const artifact = await artifacts.readArtifact("TokenBank");
+      const manifest = {
+        contracts: {
+          TokenBank: { address: await tokenBank.getAddress(), abi: artifact.abi },
+        },
+      };
+
+      const clients = fromManifest(manifest, user1);
+
+      expect(clients.tokenBank).to.be.instanceOf(TokenBankClient);
+      expect(clients.tokenBank.address).to.equal(await tokenBank.getAddress());
+      expect(clients.etherBank).to.equal(undefined);
+    });
+  });
+});
@@ -0,0 +1,621 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { time, takeSnapshot } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployWithLibraries } = require("../scripts/lib/libraries");
+
+describe("SmartTokenBank", function () {
+  const DAY = 24 * 60 * 60;
+  // 日利率精度：1e18 = 100% per day
+  const PERCENT = 10n ** 16n;
+
+  let bank, token, token2;
+  let bankAddress, tokenAddress, token2Address;
+  let owner, user1, user2;
+  let snapshot;
+
+  beforeEach(async function () {
+    snapshot = await takeSnapshot();
+    [owner, user1, user2] = await ethers.getSigners();
+
+    bank = await deployWithLibraries(hre, "SmartTokenBank");
+    token = await ethers.deployContract("SmartToken", [
+      "Smart Token",
+      "SMT",
+      ethers.parseEther("1000000"),
+    ]);
+    token2 = await ethers.deployContract("SmartToken", [
+      "Stable Token",
+      "STB",
+      ethers.parseEther("1000000"),
+    ]);
+    bankAddress = await bank.getAddress();
+    tokenAddress = await token.getAddress();
+    token2Address = await token2.getAddress();
+
+    for (const t of [token, token2]) {
+      await bank.setTokenAllowed(await t.getAddress(), true);
+      await t.transfer(user1.address, ethers.parseEther("10000"));
+      await t.transfer(user2.address, ethers.parseEther("10000"));
+      // 注入利息储备
+      await t.approve(bankAddress, ethers.parseEther("10000"));
+      await bank.fundInterestReserve(await t.getAddress(), ethers.parseEther("10000"));
+    }
+  });
+
+  // 推进过的链上时间在用例结束后还原
+  afterEach(async function () {
+    await snapshot.restore();
+  });
+
+  async function deposit(user, t, amount) {
+    await t.connect(user).approve(bankAddress, amount);
+    await bank.connect(user).deposit(await t.getAddress(), amount);
+  }
+
+  describe("按代币设置利率", function () {
+    it("未设置利率的代币使用默认的 0.1% 日利率", async function () {
+      expect(await bank.getInterestRate(tokenAddress)).to.equal(PERCENT / 10n);
+
+      await deposit(user1, token, ethers.parseEther("1000"));
+      await time.increase(DAY);
+
+      expect(await bank.calculatePendingInterest(tokenAddress, user1.address))
+        .to.equal(ethers.parseEther("1"));
+    });
+
+    it("应该按秒计息", async function () {
+      await deposit(user1, token, ethers.parseEther("1000"));
+      await time.increase(DAY / 2);
+
+      expect(await bank.calculatePendingInterest(tokenAddress, user1.address))
+        .to.equal(ethers.parseEther("0.5"));
+    });
+
+    it("不同代币可以使用不同利率", async function () {
+      await bank.setInterestRate(tokenAddress, PERCENT / 2n);
+      await bank.setInterestRate(token2Address, PERCENT / 100n);
+
+      await token.connect(user1).approve(bankAddress, ethers.parseEther("1000"));
+      await token2.connect(user1).approve(bankAddress, ethers.parseEther("1000"));
+      await bank.connect(user1).deposit(tokenAddress, ethers.parseEther("1000"));
+      await bank.connect(user1).deposit(token2Address, ethers.parseEther("1000"));
+      await time.increase(DAY);
+
+      // 第一笔存款早一个区块（1 秒）
+      expect(await bank.calculatePendingInterest(tokenAddress, user1.address))
+        .to.equal((ethers.parseEther("1000") * (PERCENT / 2n) * BigInt(DAY + 1)) / (BigInt(DAY) * 10n ** 18n));
+      expect(await bank.calculatePendingInterest(token2Address, user1.address))
+        .to.equal(ethers.parseEther("0.1"));
+    });
+
+    it("调整利率不应该追溯已经产生的利息", async function () {
+      await deposit(user1, token, ethers.parseEther("1000"));
+      await time.increase(DAY - 1);
+
+      // 调整利率的交易本身再过 1 秒，前一天按 0.1% 计息
+      await bank.setInterestRate(tokenAddress, PERCENT);
+      expect(await bank.calculatePendingInterest(tokenAddress, user1.address))
+        .to.equal(ethers.parseEther("1"));
+
+      await time.increase(DAY);
+      expect(await bank.calculatePendingInterest(tokenAddress, user1.address))
+        .to.equal(ethers.parseEther("11"));
+    });
+
+    it("多次调整利率时每段时间按当时的利率计息", async function () {
+      await deposit(user1, token, ethers.parseEther("1000"));
+      await time.increase(DAY - 1);
+      await bank.setInterestRate(tokenAddress, PERCENT / 5n); // 0.2%
+      await time.increase(DAY - 1);
+      await bank.setInterestRate(tokenAddress, 0);
+      await time.increase(10 * DAY);
+
+      // 1 + 2 + 0
+      expect(await bank.getTotalInterest(tokenAddress, user1.address))
+        .to.equal(ethers.parseEther("3"));
+    });
+
+    it("应该触发 RateChanged 并记录历史", async function () {
+      await expect(bank.setInterestRate(tokenAddress, PERCENT / 2n))
+        .to.emit(bank, "RateChanged")
+        .withArgs(tokenAddress, PERCENT / 10n, PERCENT / 2n, await time.latest() + 1);
+
+      await bank.setInterestRate(tokenAddress, PERCENT / 4n);
+
+      const history = await bank.getRateHistory(tokenAddress);
+      expect(history.length).to.equal(2);
+      expect(history[0].ratePerDay).to.equal(PERCENT / 2n);
+      expect(history[1].ratePerDay).to.equal(PERCENT / 4n);
+      expect(await bank.getInterestRate(tokenAddress)).to.equal(PERCENT / 4n);
+    });
+
+    it("只有利率管理员可以调整利率", async function () {
+      await expect(
+        bank.connect(user1).setInterestRate(tokenAddress, PERCENT)
+      ).to.be.revertedWith(
+        `AccessControl: account ${user1.address.toLowerCase()} is missing role ${await bank.RATE_MANAGER_ROLE()}`
+      );
+    });
+
+    it("应该拒绝超过上限的利率", async function () {
+      await expect(
+        bank.setInterestRate(tokenAddress, PERCENT + 1n)
+      ).to.be.revertedWith("SmartTokenBank: rate exceeds maximum");
+    });
+
+    it("提款时应该按利率历史结算利息", async function () {
+      await deposit(user1, token, ethers.parseEther("1000"));
+      await time.increase(DAY - 1);
+      await bank.setInterestRate(tokenAddress, PERCENT);
+      await time.increase(DAY - 1);
+
+      await expect(
+        bank.connect(user1).withdraw(tokenAddress, ethers.parseEther("1011"))
+      )
+        .to.emit(bank, "Withdraw")
+        .withArgs(tokenAddress, user1.address, ethers.parseEther("1000"), ethers.parseEther("11"));
+    });
+  });
+
+  describe("利息储备与偿付能力", function () {
+    let freshBank, freshAddress;
+
+    beforeEach(async function () {
+      // 没有注入储备的银行
+      freshBank = await deployWithLibraries(hre, "SmartTokenBank");
+      freshAddress = await freshBank.getAddress();
+      await freshBank.setTokenAllowed(tokenAddress, true);
+    });
+
+    async function freshDeposit(user, amount) {
+      await token.connect(user).approve(freshAddress, amount);
+      await freshBank.connect(user).deposit(tokenAddress, amount);
+    }
+
+    it("没有储备时不应该产生利息", async function () {
+      await freshDeposit(user1, ethers.parseEther("1000"));
+      await time.increase(10 * DAY);
+
+      expect(await freshBank.calculatePendingInterest(tokenAddress, user1.address))
+        .to.equal(0);
+      await expect(
+        freshBank.connect(user1).withdraw(tokenAddress, ethers.parseEther("1000.1"))
+      ).to.be.revertedWith("Insufficient balance");
+    });
+
+    it("利息只能从储备支付，不能动用其他用户的本金", async function () {
+      await token.approve(freshAddress, ethers.parseEther("1"));
+      await freshBank.fundInterestReserve(tokenAddress, ethers.parseEther("1"));
+      await freshDeposit(user1, ethers.parseEther("1000"));
+      await freshDeposit(user2, ethers.parseEther("1000"));
+      await time.increase(10 * DAY);
+
+      // 应得约 10，但储备只有 1
+      expect(await freshBank.calculatePendingInterest(tokenAddress, user1.address))
+        .to.equal(ethers.parseEther("1"));
+
+      await expect(
+        freshBank.connect(user1).withdraw(tokenAddress, ethers.parseEther("1001"))
+      ).to.emit(freshBank, "InterestShortfall");
+
+      expect(await freshBank.interestReserve(tokenAddress)).to.equal(0);
+      // user2 的本金仍然完整
+      await freshBank.connect(user2).withdraw(tokenAddress, ethers.parseEther("1000"));
+      expect(await token.balanceOf(freshAddress)).to.equal(0);
+    });
+
+    it("结算后的利息应该从储备转入负债", async function () {
+      await deposit(user1, token, ethers.parseEther("1000"));
+      await time.increase(DAY - 2);
+      await deposit(user1, token, ethers.parseEther("1")); // approve + deposit 各占一个区块，刚好一天
+
+      expect(await bank.accruedInterest(tokenAddress, user1.address)).to.equal(ethers.parseEther("1"));
+      expect(await bank.totalAccruedInterest(tokenAddress)).to.equal(ethers.parseEther("1"));
+      expect(await bank.interestReserve(tokenAddress)).to.equal(ethers.parseEther("9999"));
+    });
+
+    it("getSolvency 应该报告本金、利息负债和储备", async function () {
+      await deposit(user1, token, ethers.parseEther("1000"));
+      await deposit(user2, token, ethers.parseEther("3000"));
+      await time.increase(DAY);
+
+      const report = await bank.getSolvency(tokenAddress);
+      expect(report.holdings).to.equal(ethers.parseEther("14000"));
+      expect(report.deposits).to.equal(ethers.parseEther("4000"));
+      expect(report.reserve).to.equal(ethers.parseEther("10000"));
+      // user1 比 user2 多 2 秒
+      const expectedPending =
+        await bank.calculatePendingInterest(tokenAddress, user1.address) +
+        await bank.calculatePendingInterest(tokenAddress, user2.address);
+      expect(report.pendingInterest - expectedPending).to.be.lessThanOrEqual(1n);
+      expect(report.reserveShortfall).to.equal(0);
+      expect(report.solvent).to.equal(true);
+    });
+
+    it("储备不足时 getSolvency 应该报告缺口", async function () {
+      await token.approve(freshAddress, ethers.parseEther("1"));
+      await freshBank.fundInterestReserve(tokenAddress, ethers.parseEther("1"));
+      await freshDeposit(user1, ethers.parseEther("1000"));
+      await time.increase(5 * DAY);
+
+      const report = await freshBank.getSolvency(tokenAddress);
+      expect(report.pendingInterest).to.equal(ethers.parseEther("5"));
+      expect(report.reserveShortfall).to.equal(ethers.parseEther("4"));
+      expect(report.solvent).to.equal(true);
+    });
+
+    it("直接转入的代币可以通过 transferAndCall 正常存款（支付利息后）", async function () {
+      await deposit(user1, token, ethers.parseEther("1000"));
+      await time.increase(DAY);
+      await bank.connect(user1).withdraw(tokenAddress, ethers.parseEther("1"));
+
+      await token.connect(user2).transferAndCall(bankAddress, ethers.parseEther("10"));
+      expect(await bank.balances(tokenAddress, user2.address)).to.equal(ethers.parseEther("10"));
+    });
+
+    it("管理员只能取回未被占用的储备", async function () {
+      await deposit(user1, token, ethers.parseEther("1000"));
+      await time.increase(10 * DAY);
+
+      // 约 10 个代币的利息已经被用户赚到
+      await expect(
+        bank.withdrawInterestReserve(tokenAddress, ethers.parseEther("9995"))
+      ).to.be.revertedWith("SmartTokenBank: reserve is committed");
+
+      await expect(bank.withdrawInterestReserve(tokenAddress, ethers.parseEther("9980")))
+        .to.emit(bank, "InterestReserveWithdrawn")
+        .withArgs(tokenAddress, owner.address, ethers.parseEther("9980"));
+    });
+
+    it("只有财务可以注入储备", async function () {
+      await expect(
+        bank.connect(user1).fundInterestReserve(tokenAddress, 1)
+      ).to.be.revertedWith(
+        `AccessControl: account ${user1.address.toLowerCase()} is missing role ${await bank.TREASURER_ROLE()}`
+      );
+    });
+  });
+
+  describe("复利", function () {
+    const WAD = 10n ** 18n;
+
+    // 和合约相同的定点数幂运算
+    function rpow(x, n) {
+      let z = WAD;
+      while (n > 0n) {
+        if (n % 2n === 1n) z = (z * x) / WAD;
+        n /= 2n;
+        if (n > 0n) x = (x * x) / WAD;
+      }
+      return z;
+    }
+
+    // 每秒按 日利率 / 86400 滚存 seconds 秒后的本息
+    function compound(principal, ratePerDay, seconds) {
+      return (principal * rpow(WAD + ratePerDay / BigInt(DAY), BigInt(seconds))) / WAD;
+    }
+
+    // 合约里的复利指数是多次累计的乘积，与一次算出的结果只差取整的零头
+    const ROUNDING = 10n ** 6n;
+
+    it("开启复利后应该利滚利", async function () {
+      await bank.connect(user1).setCompounding(tokenAddress, true);
+      await deposit(user1, token, ethers.parseEther("1000"));
+      await time.increase(30 * DAY);
+
+      const expected =
+        compound(ethers.parseEther("1000"), PERCENT / 10n, 30 * DAY) - ethers.parseEther("1000");
+      const info = await bank.getBalanceInfo(tokenAddress, user1.address);
+      expect(info.pendingInterest).to.be.closeTo(expected, ROUNDING);
+      expect(info.total).to.equal(ethers.parseEther("1000") + info.pendingInterest);
+      // 复利多于单利
+      expect(expected).to.be.greaterThan(ethers.parseEther("30"));
+    });
+
+    it("结算时利息应该滚入本金", async function () {
+      await bank.connect(user1).setCompounding(tokenAddress, true);
+      await deposit(user1, token, ethers.parseEther("1000"));
+      await time.increase(10 * DAY - 2);
+      await deposit(user1, token, ethers.parseEther("1"));
+
+      const interest =
+        compound(ethers.parseEther("1000"), PERCENT / 10n, 10 * DAY) - ethers.parseEther("1000");
+      const balance = await bank.balances(tokenAddress, user1.address);
+      expect(balance).to.be.closeTo(ethers.parseEther("1001") + interest, ROUNDING);
+      expect(await bank.accruedInterest(tokenAddress, user1.address)).to.equal(0);
+      expect(await bank.totalDeposits(tokenAddress)).to.equal(balance);
+    });
+
+    it("开启复利时已结算的利息应该转入本金", async function () {
+      await deposit(user1, token, ethers.parseEther("1000"));
+      await time.increase(DAY - 1);
+
+      await expect(bank.connect(user1).setCompounding(tokenAddress, true))
+        .to.emit(bank, "CompoundingChanged")
+        .withArgs(tokenAddress, user1.address, true);
+
+      expect(await bank.balances(tokenAddress, user1.address)).to.equal(ethers.parseEther("1001"));
+      expect(await bank.accruedInterest(tokenAddress, user1.address)).to.equal(0);
+      expect(await bank.totalAccruedInterest(tokenAddress)).to.equal(0);
+    });
+
+    it("关闭复利后恢复单利", async function () {
+      await bank.connect(user1).setCompounding(tokenAddress, true);
+      await deposit(user1, token, ethers.parseEther("1000"));
+      await bank.connect(user1).setCompounding(tokenAddress, false);
+      const principal = await bank.balances(tokenAddress, user1.address);
+
+      await time.increase(10 * DAY);
+
+      expect(await bank.calculatePendingInterest(tokenAddress, user1.address))
+        .to.equal((principal * 10n) / 1000n);
+    });
+
+    it("利率降为 0 后复利用户的待结算利息不再增长", async function () {
+      await bank.connect(user1).setCompounding(tokenAddress, true);
+      await deposit(user1, token, ethers.parseEther("1000"));
+      await time.increase(10 * DAY);
+      await bank.setInterestRate(tokenAddress, 0);
+
+      const pending = await bank.calculatePendingInterest(tokenAddress, user1.address);
+      expect(pending).to.be.greaterThan(ethers.parseEther("10"));
+
+      await time.increase(30 * DAY);
+      expect(await bank.calculatePendingInterest(tokenAddress, user1.address)).to.equal(pending);
+    });
+
+    it("调整利率不影响复利用户此前已经产生的利息", async function () {
+      const principal = ethers.parseEther("1000");
+      await bank.connect(user1).setCompounding(tokenAddress, true);
+      await deposit(user1, token, principal);
+      await time.increase(10 * DAY - 1);
+      await bank.setInterestRate(tokenAddress, PERCENT / 2n);
+
+      // 调整前的 10 天仍按 0.1% 计算
+      const before = await bank.calculatePendingInterest(tokenAddress, user1.address);
+      expect(before).to.be.closeTo(compound(principal, PERCENT / 10n, 10 * DAY) - principal, ROUNDING);
+
+      // 之后的 10 天在此基础上按 0.5% 滚存
+      await time.increase(10 * DAY);
+      expect(await bank.calculatePendingInterest(tokenAddress, user1.address)).to.be.closeTo(
+        compound(principal + before, PERCENT / 2n, 10 * DAY) - principal,
+        ROUNDING
+      );
+    });
+
+    it("不能重复设置相同的复利状态", async function () {
+      await expect(
+        bank.connect(user1).setCompounding(tokenAddress, false)
+      ).to.be.revertedWith("SmartTokenBank: compounding already set");
+    });
+
+    it("待结算利息总额应该包含复利部分", async function () {
+      await bank.connect(user1).setCompounding(tokenAddress, true);
+      await deposit(user1, token, ethers.parseEther("1000"));
+      await deposit(user2, token, ethers.parseEther("1000"));
+      await time.increase(365 * DAY);
+
+      const compounded = (await bank.getBalanceInfo(tokenAddress, user1.address)).pendingInterest;
+      const simple = (await bank.getBalanceInfo(tokenAddress, user2.address)).pendingInterest;
+      // 复利明显多于单利，总额不能只按单利计算
+      expect(compounded - simple).to.be.greaterThan(ethers.parseEther("70"));
+      expect(await bank.getTotalPendingInterest(tokenAddress))
+        .to.be.at.least(compounded + simple);
+    });
+
+    it("财务不能取走复利用户应得的储备", async function () {
+      await bank.connect(user1).setCompounding(tokenAddress, true);
+      await deposit(user1, token, ethers.parseEther("1000"));
+      await time.increase(365 * DAY);
+
+      // 只按单利（约 365 个代币）预留时，剩下的储备不够支付复利
+      await expect(
+        bank.withdrawInterestReserve(tokenAddress, ethers.parseEther("9630"))
+      ).to.be.revertedWith("SmartTokenBank: reserve is committed");
+
+      const free =
+        (await bank.interestReserve(tokenAddress)) -
+        (await bank.getTotalPendingInterest(tokenAddress));
+      await bank.withdrawInterestReserve(tokenAddress, free - ethers.parseEther("1"));
+
+      const balance = await bank.balances(tokenAddress, user1.address);
+      const expected = compound(balance, PERCENT / 10n, 365 * DAY) - balance;
+      await expect(bank.connect(user1).withdraw(tokenAddress, 1))
+        .to.not.emit(bank, "InterestShortfall");
+      // 除去提款的 1 wei，至少拿到满一年的复利
+      expect(await bank.balances(tokenAddress, user1.address))
+        .to.be.at.least(balance + expected - 1n);
+    });
+
+    it("一年期的复利结算不需要逐日循环", async function () {
+      await bank.connect(user1).setCompounding(tokenAddress, true);
+      await bank.connect(user2).setCompounding(tokenAddress, true);
+      await deposit(user1, token, ethers.parseEther("1000"));
+      await deposit(user2, token, ethers.parseEther("1000"));
+
+      await time.increase(DAY);
+      const dayTx = await bank.connect(user1).withdraw(tokenAddress, 1);
+      await time.increase(364 * DAY);
+      const yearTx = await bank.connect(user2).withdraw(tokenAddress, 1);
+
+      const dayGas = (await dayTx.wait()).gasUsed;
+      const yearGas = (await yearTx.wait()).gasUsed;
+      // 平方求幂只多出几次乘法，逐日循环则要多出数百次
+      expect(yearGas - dayGas).to.be.lessThan(30000n);
+      expect(yearGas).to.be.lessThan(200000n);
+    });
+  });
+
+  describe("定期存款", function () {
+    // 30 天期 0.2% 日利率，高于活期的 0.1%
+    const TERM_RATE = PERCENT / 5n;
+
+    beforeEach(async function () {
+      await bank.setTermRate(tokenAddress, 30, TERM_RATE);
+    });
+
+    async function openTerm(user, amount, termDays = 30) {
+      await token.connect(user).approve(bankAddress, amount);
+      return bank.connect(user).openTermDeposit(tokenAddress, amount, termDays);
+    }
+
+    it("应该开立定期存款并预留到期利息", async function () {
+      const amount = ethers.parseEther("1000");
+      const interest = ethers.parseEther("60"); // 1000 × 0.2% × 30
+
+      const tx = await openTerm(user1, amount);
+      const maturity = (await time.latest()) + 30 * DAY;
+
+      await expect(tx)
+        .to.emit(bank, "TermDepositOpened")
+        .withArgs(1, tokenAddress, user1.address, amount, TERM_RATE, maturity);
+
+      const position = await bank.getTermDeposit(1);
+      expect(position.owner).to.equal(user1.address);
+      expect(position.principal).to.equal(amount);
+      expect(position.maturity).to.equal(maturity);
+      expect(position.interest).to.equal(interest);
+
+      expect(await bank.interestReserve(tokenAddress))
+        .to.equal(ethers.parseEther("10000") - interest);
+      expect(await bank.termInterestCommitted(tokenAddress)).to.equal(interest);
+
+      const report = await bank.getSolvency(tokenAddress);
+      expect(report.termDeposits).to.equal(amount);
+      expect(report.termInterest).to.equal(interest);
+      expect(report.solvent).to.equal(true);
+    });
+
+    it("到期后应该还本付息", async function () {
+      await openTerm(user1, ethers.parseEther("1000"));
+      await time.increase(30 * DAY);
+
+      const tx = bank.connect(user1).redeemTermDeposit(1);
+      await expect(tx)
+        .to.emit(bank, "TermDepositMatured")
+        .withArgs(1, tokenAddress, user1.address, ethers.parseEther("1000"), ethers.parseEther("60"));
+      await expect(tx).to.changeTokenBalance(token, user1, ethers.parseEther("1060"));
+
+      expect(await bank.totalTermDeposits(tokenAddress)).to.equal(0);
+      expect(await bank.termInterestCommitted(tokenAddress)).to.equal(0);
+    });
+
+    it("到期后不再计息", async function () {
+      await openTerm(user1, ethers.parseEther("1000"));
+      await time.increase(90 * DAY);
+
+      await expect(
+        bank.connect(user1).redeemTermDeposit(1)
+      ).to.changeTokenBalance(token, user1, ethers.parseEther("1060"));
+    });
+
+    it("未到期时不能按到期赎回", async function () {
+      await openTerm(user1, ethers.parseEther("1000"));
+      await time.increase(29 * DAY);
+
+      await expect(
+        bank.connect(user1).redeemTermDeposit(1)
+      ).to.be.revertedWith("SmartTokenBank: term not matured");
+    });
+
+    it("提前支取只退本金，利息退回储备", async function () {
+      await openTerm(user1, ethers.parseEther("1000"));
+      await time.increase(10 * DAY);
+
+      const tx = bank.connect(user1).breakTermDeposit(1);
+      await expect(tx)
+        .to.emit(bank, "TermDepositBroken")
+        .withArgs(1, tokenAddress, user1.address, ethers.parseEther("1000"), ethers.parseEther("60"));
+      await expect(tx).to.changeTokenBalance(token, user1, ethers.parseEther("1000"));
+
+      expect(await bank.interestReserve(tokenAddress)).to.equal(ethers.parseEther("10000"));
+      expect(await bank.termInterestCommitted(tokenAddress)).to.equal(0);
+    });
+
+    it("到期后不能再提前支取", async function () {
+      await openTerm(user1, ethers.parseEther("1000"));
+      await time.increase(30 * DAY);
+
+      await expect(
+        bank.connect(user1).breakTermDeposit(1)
+      ).to.be.revertedWith("SmartTokenBank: term already matured");
+    });
+
+    it("只有持有人能结清定期存款", async function () {
+      await openTerm(user1, ethers.parseEther("1000"));
+
+      await expect(
+        bank.connect(user2).breakTermDeposit(1)
+      ).to.be.revertedWith("SmartTokenBank: caller is not position owner");
+      await expect(
+        bank.connect(user1).breakTermDeposit(2)
+      ).to.be.revertedWith("SmartTokenBank: unknown term deposit");
+    });
+
+    it("应该列出用户未结清的定期存款", async function () {
+      await bank.setTermRate(tokenAddress, 90, PERCENT / 4n);
+      await openTerm(user1, ethers.parseEther("100"));
+      await openTerm(user1, ethers.parseEther("200"), 90);
+      await openTerm(user1, ethers.parseEther("300"));
+      await openTerm(user2, ethers.parseEther("400"));
+
+      await bank.connect(user1).breakTermDeposit(1);
+
+      const positions = await bank.getTermDeposits(user1.address);
+      expect(positions.map((p) => p.id)).to.have.members([2n, 3n]);
+      const ninety = positions.find((p) => p.id === 2n);
+      expect(ninety.termDays).to.equal(90);
+      expect(ninety.ratePerDay).to.equal(PERCENT / 4n);
+
+      expect((await bank.getTermDeposits(user2.address)).length).to.equal(1);
+    });
+
+    it("调整期限利率不影响已开的定期存款", async function () {
+      await openTerm(user1, ethers.parseEther("1000"));
+      await bank.setTermRate(tokenAddress, 30, PERCENT / 2n);
+      await time.increase(30 * DAY);
+
+      await expect(
+        bank.connect(user1).redeemTermDeposit(1)
+      ).to.changeTokenBalance(token, user1, ethers.parseEther("1060"));
+    });
+
+    it("不提供的期限不能开户", async function () {
+      await token.connect(user1).approve(bankAddress, ethers.parseEther("1"));
+
+      await expect(
+        bank.connect(user1).openTermDeposit(tokenAddress, ethers.parseEther("1"), 45)
+      ).to.be.revertedWith("SmartTokenBank: term not offered");
+    });
+
+    it("空闲储备不足以支付到期利息时不能开户", async function () {
+      // 40000 × 1% × 30 = 12000，超过 10000 的储备
+      await bank.setTermRate(tokenAddress, 30, PERCENT);
+      await token.transfer(user1.address, ethers.parseEther("40000"));
+
+      await expect(
+        openTerm(user1, ethers.parseEther("40000"))
+      ).to.be.revertedWith("SmartTokenBank: reserve is committed");
+    });
+
+    it("只有利率管理员能设置期限利率", async function () {
+      await expect(
+        bank.connect(user1).setTermRate(tokenAddress, 30, TERM_RATE)
+      ).to.be.revertedWith(
+        `AccessControl: account ${user1.address.toLowerCase()} is missing role ${await bank.RATE_MANAGER_ROLE()}`
+      );
+      await expect(
+        bank.setTermRate(tokenAddress, 30, PERCENT * 2n)
+      ).to.be.revertedWith("SmartTokenBank: rate exceeds maximum");
+    });
+
+    it("定期存款不影响活期余额和 transferAndCall 存款校验", async function () {
+      await openTerm(user1, ethers.parseEther("1000"));
+      await token.connect(user2).transferAndCall(bankAddress, ethers.parseEther("50"));
+
+      expect(await bank.balances(tokenAddress, user1.address)).to.equal(0);
+      expect(await bank.balances(tokenAddress, user2.address)).to.equal(ethers.parseEther("50"));
+    });
+  });
+});
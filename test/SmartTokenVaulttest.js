@@ -0,0 +1,217 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { time, takeSnapshot } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployWithLibraries } = require("../scripts/lib/libraries");
+
+describe("SmartTokenVault 份额", function () {
+  const DAY = 24 * 60 * 60;
+  const e = (value) => ethers.parseEther(value);
+  // 份额比资产多 6 位小数，价格 1:1 时的份额数量
+  const shares = (value) => e(value) * 10n ** 6n;
+  const WITH_DATA = "transferAndCall(address,uint256,bytes)";
+
+  let owner, user1, user2;
+  let bank, bankAddress, token, tokenAddress, vault, vaultAddress;
+  let snapshot;
+
+  const bankTotal = async () =>
+    (await bank.getBalanceInfo(tokenAddress, vaultAddress)).total;
+
+  // 停止计息，之后金库的资产不再随时间变化
+  const stopInterest = () => bank.setInterestRate(tokenAddress, 0);
+
+  beforeEach(async function () {
+    snapshot = await takeSnapshot();
+    [owner, user1, user2] = await ethers.getSigners();
+
+    bank = await deployWithLibraries(hre, "SmartTokenBank");
+    bankAddress = await bank.getAddress();
+    token = await ethers.deployContract("SmartToken", ["Smart Token", "SMT", e("1000000")]);
+    tokenAddress = await token.getAddress();
+    await bank.setTokenAllowed(tokenAddress, true);
+    await token.approve(bankAddress, e("1000"));
+    await bank.fundInterestReserve(tokenAddress, e("1000"));
+
+    vault = await ethers.deployContract("SmartTokenVault", [bankAddress, tokenAddress, "Smart Token Vault", "vSMT"]);
+    vaultAddress = await vault.getAddress();
+
+    for (const user of [user1, user2]) {
+      await token.transfer(user.address, e("1000"));
+      await token.connect(user).approve(vaultAddress, ethers.MaxUint256);
+    }
+  });
+
+  afterEach(async function () {
+    await snapshot.restore();
+  });
+
+  it("存入后铸造份额，资产作为金库的复利账户存进银行", async function () {
+    await expect(vault.connect(user1).deposit(e("100"), user1.address))
+      .to.emit(vault, "Deposit")
+      .withArgs(user1.address, user1.address, e("100"), shares("100"))
+      .and.to.emit(bank, "Deposit")
+      .withArgs(tokenAddress, vaultAddress, e("100"));
+
+    expect(await vault.balanceOf(user1.address)).to.equal(shares("100"));
+    expect(await vault.asset()).to.equal(tokenAddress);
+    expect(await vault.decimals()).to.equal(24);
+    expect(await bank.balances(tokenAddress, vaultAddress)).to.equal(e("100"));
+    expect(await bank.compounding(tokenAddress, vaultAddress)).to.equal(true);
+    expect(await token.balanceOf(vaultAddress)).to.equal(0);
+  });
+
+  it("transferAndCall 存入同样铸造份额，data 可以指定接收人", async function () {
+    // 不计息，份额价格保持 1:1
+    await bank.setInterestRate(tokenAddress, 0);
+    await expect(token.connect(user1).transferAndCall(vaultAddress, e("30")))
+      .to.emit(vault, "Deposit")
+      .withArgs(user1.address, user1.address, e("30"), shares("30"));
+
+    const receiver = ethers.AbiCoder.defaultAbiCoder().encode(["address"], [user2.address]);
+    await token.connect(user1)[WITH_DATA](vaultAddress, e("20"), receiver);
+
+    expect(await vault.balanceOf(user1.address)).to.equal(shares("30"));
+    expect(await vault.balanceOf(user2.address)).to.equal(shares("20"));
+    expect(await bank.balances(tokenAddress, vaultAddress)).to.equal(e("50"));
+  });
+
+  it("transferAndCall 的 data 格式错误或不是资产代币时应失败", async function () {
+    await expect(
+      token.connect(user1)[WITH_DATA](vaultAddress, e("1"), "0x1234")
+    ).to.be.revertedWith("SmartTokenVault: invalid deposit data");
+
+    const other = await ethers.deployContract("SmartToken", ["Other", "OTH", e("1000")]);
+    await expect(other.transferAndCall(vaultAddress, e("1"))).to.be.revertedWith(
+      "SmartTokenVault: unsupported token"
+    );
+  });
+
+  it("totalAssets 与银行的 getBalanceInfo 一致，利息按份额归持有人", async function () {
+    await vault.connect(user1).deposit(e("100"), user1.address);
+    await time.increase(10 * DAY);
+
+    expect(await vault.totalAssets()).to.equal(await bankTotal());
+    expect(await vault.totalAssets()).to.be.gt(e("100"));
+
+    // 后存入的人按更高的份额价格换到更少的份额
+    await vault.connect(user2).deposit(e("100"), user2.address);
+    const shares2 = await vault.balanceOf(user2.address);
+    expect(shares2).to.be.lt(shares("100"));
+
+    // 停止计息后逐一核对
+    await stopInterest();
+    const total = await bankTotal();
+    expect(await vault.totalAssets()).to.equal(total);
+    const assets1 = await vault.previewRedeem(shares("100"));
+    const assets2 = await vault.previewRedeem(shares2);
+    expect(assets1).to.be.closeTo(e("101"), e("0.01"));
+    expect(assets2).to.be.closeTo(e("100"), e("0.001"));
+    expect(assets1 + assets2).to.be.lte(total);
+    // 虚拟份额让换算有不到 1 wei 资产的偏差
+    expect(await vault.previewDeposit(total)).to.be.closeTo(await vault.totalSupply(), 10n ** 6n);
+  });
+
+  it("赎回得到 previewRedeem 的数量，全部赎回后银行里只剩取整的零头", async function () {
+    await vault.connect(user1).deposit(e("100"), user1.address);
+    await vault.connect(user2).deposit(e("50"), user2.address);
+    await time.increase(5 * DAY);
+    await stopInterest();
+
+    for (const user of [user1, user2]) {
+      const balance = await vault.balanceOf(user.address);
+      const expected = await vault.previewRedeem(balance);
+      const before = await token.balanceOf(user.address);
+
+      await expect(vault.connect(user).redeem(balance, user.address, user.address))
+        .to.emit(vault, "Withdraw")
+        .withArgs(user.address, user.address, user.address, expected, balance);
+      expect((await token.balanceOf(user.address)) - before).to.equal(expected);
+    }
+
+    expect(await vault.totalSupply()).to.equal(0);
+    expect(await bankTotal()).to.be.lte(2n);
+    expect((await bank.getSolvency(tokenAddress)).solvent).to.equal(true);
+  });
+
+  it("withdraw 按资产数量烧份额，可以由获得授权的人代为取出", async function () {
+    await vault.connect(user1).deposit(e("100"), user1.address);
+    await stopInterest();
+
+    const burned = await vault.previewWithdraw(e("40"));
+    await vault.connect(user1).approve(user2.address, burned);
+    await vault.connect(user2).withdraw(e("40"), user2.address, user1.address);
+
+    expect(await token.balanceOf(user2.address)).to.equal(e("1040"));
+    expect(await vault.balanceOf(user1.address)).to.equal(shares("100") - burned);
+    expect(await vault.allowance(user1.address, user2.address)).to.equal(0);
+    await expect(
+      vault.connect(user2).withdraw(e("1"), user2.address, user1.address)
+    ).to.be.revertedWith("ERC20: insufficient allowance");
+  });
+
+  it("份额可以转让，由新的持有人赎回", async function () {
+    await vault.connect(user1).mint(shares("10"), user1.address);
+    await vault.connect(user1).transfer(user2.address, shares("10"));
+    await stopInterest();
+
+    const expected = await vault.previewRedeem(shares("10"));
+    await vault.connect(user2).redeem(shares("10"), user2.address, user2.address);
+
+    expect(await token.balanceOf(user2.address)).to.equal(e("1000") + expected);
+  });
+
+  it("第一笔存款之前向金库账户捐款不能让后来者的份额取整成 0", async function () {
+    await stopInterest();
+    // 攻击者存入 1 wei，再通过银行内部转账把 100 个代币直接转给金库账户
+    await vault.connect(user1).deposit(1n, user1.address);
+    await token.connect(user1).approve(bankAddress, e("100"));
+    await bank.connect(user1).deposit(tokenAddress, e("100"));
+    await bank.connect(user1).transferInternal(tokenAddress, vaultAddress, e("100"));
+
+    await vault.connect(user2).deposit(e("50"), user2.address);
+    const victimShares = await vault.balanceOf(user2.address);
+    expect(victimShares).to.be.gt(0);
+    // 受害者只损失取整的零头，攻击者捐出的代币有一半归了受害者
+    expect(await vault.previewRedeem(victimShares)).to.be.closeTo(e("50"), e("0.001"));
+    expect(await vault.previewRedeem(await vault.balanceOf(user1.address))).to.be.lt(e("51"));
+  });
+
+  it("maxDeposit 反映银行的白名单、存款上限和暂停", async function () {
+    expect(await vault.maxDeposit(user1.address)).to.equal(ethers.MaxUint256);
+
+    // userCap 限制的是金库账户的总本金
+    await bank.setTokenLimits(tokenAddress, 0, e("150"), 0);
+    await vault.connect(user1).deposit(e("100"), user1.address);
+    expect(await vault.maxDeposit(user2.address)).to.equal(e("50"));
+    await expect(vault.connect(user2).deposit(e("51"), user2.address)).to.be.revertedWith(
+      "ERC4626: deposit more than max"
+    );
+    await expect(token.connect(user2).transferAndCall(vaultAddress, e("51"))).to.be.revertedWith(
+      "ERC4626: deposit more than max"
+    );
+
+    await bank.setTokenLimits(tokenAddress, 0, 0, e("120"));
+    expect(await vault.maxDeposit(user2.address)).to.equal(e("20"));
+
+    await bank.setFunctionPaused(bank.interface.getFunction("deposit").selector, true);
+    expect(await vault.maxDeposit(user2.address)).to.equal(0);
+    expect(await vault.maxMint(user2.address)).to.equal(0);
+
+    await bank.setFunctionPaused(bank.interface.getFunction("deposit").selector, false);
+    await bank.setTokenAllowed(tokenAddress, false);
+    expect(await vault.maxDeposit(user2.address)).to.equal(0);
+  });
+
+  it("银行暂停取款时 maxWithdraw/maxRedeem 为 0", async function () {
+    await vault.connect(user1).deposit(e("100"), user1.address);
+    expect(await vault.maxRedeem(user1.address)).to.equal(shares("100"));
+
+    await bank.pause();
+    expect(await vault.maxWithdraw(user1.address)).to.equal(0);
+    expect(await vault.maxRedeem(user1.address)).to.equal(0);
+    await expect(
+      vault.connect(user1).redeem(e("1"), user1.address, user1.address)
+    ).to.be.revertedWith("ERC4626: redeem more than max");
+  });
+});
@@ -0,0 +1,250 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { takeSnapshot } = require("@nomicfoundation/hardhat-network-helpers");
+const { deploySuite } = require("../scripts/deploy");
+const { readManifest } = require("../scripts/lib/manifest");
+
+describe("Hardhat 任务", function () {
+  const { ethers } = hre;
+  let owner, user1, user2;
+  let manifest;
+  let originalLog;
+  let snapshot;
+
+  beforeEach(async function () {
+    [owner, user1, user2] = await ethers.getSigners();
+    snapshot = await takeSnapshot();
+
+    // 任务会打印结果，测试里静音
+    originalLog = console.log;
+    console.log = () => {};
+
+    // 任务从默认目录读取清单，这里写入 deployments/hardhat.json
+    manifest = await deploySuite(hre, { redeploy: new Set(["all"]) });
+  });
+
+  // 每次重新部署整套合约会连续出很多块，还原掉，免得链上时间跑到后面用真实时间签名的测试前面
+  afterEach(async function () {
+    console.log = originalLog;
+    await snapshot.restore();
+  });
+
+  describe("ETH 银行任务", function () {
+    it("应该通过 bank:deposit 存款并用 bank:balance 查询", async function () {
+      await hre.run("bank:deposit", { amount: "1.5", from: user1.address });
+
+      const balance = await hre.run("bank:balance", { account: user1.address });
+      expect(balance).to.equal(ethers.parseEther("1.5"));
+    });
+
+    it("应该通过 bank:withdraw 取回自己的存款", async function () {
+      await hre.run("bank:deposit", { amount: "2", from: user1.address });
+      await hre.run("bank:withdraw", { amount: "0.5", from: user1.address });
+
+      const balance = await hre.run("bank:balance", { account: user1.address });
+      expect(balance).to.equal(ethers.parseEther("1.5"));
+    });
+
+    it("应该在 bank:top 中按余额排序", async function () {
+      await hre.run("bank:deposit", { amount: "1", from: user1.address });
+      await hre.run("bank:deposit", { amount: "2", from: user2.address });
+
+      const top = await hre.run("bank:top", {});
+      expect(top).to.deep.equal([user2.address, user1.address]);
+    });
+
+    it("应该拒绝未知的银行名", async function () {
+      await expect(
+        hre.run("bank:deposit", { amount: "1", bank: "TokenBank" })
+      ).to.be.rejectedWith("--bank must be one of");
+    });
+  });
+
+  describe("TokenBank 任务", function () {
+    it("应该通过 tokenbank:deposit 按小数位存款", async function () {
+      const balance = await hre.run("tokenbank:deposit", {
+        token: "SmartToken",
+        amount: "100",
+      });
+      expect(balance).to.equal(ethers.parseUnits("100", 18));
+    });
+
+    it("应该通过 tokenbank:permit-deposit 由中继人提交签名存款", async function () {
+      const tokenAddress = manifest.contracts.TestPermitToken.address;
+      const token = await ethers.getContractAt("TestPermitToken", tokenAddress);
+      await token.transfer(user1.address, ethers.parseEther("500"));
+
+      const balance = await hre.run("tokenbank:permit-deposit", {
+        token: tokenAddress,
+        amount: "250",
+        from: user1.address,
+        relayer: user2.address,
+      });
+
+      expect(balance).to.equal(ethers.parseEther("250"));
+      expect(await token.nonces(user1.address)).to.equal(1n);
+    });
+  });
+
+  describe("TokenBank 签名取款任务", function () {
+    it("应该通过 tokenbank:sig-withdraw 由中继人提交签名取款", async function () {
+      await hre.run("tokenbank:deposit", { token: "SmartToken", amount: "100" });
+
+      const balance = await hre.run("tokenbank:sig-withdraw", {
+        token: "SmartToken",
+        amount: "30",
+        to: user2.address,
+        relayer: user1.address,
+      });
+
+      expect(balance).to.equal(ethers.parseEther("70"));
+      const token = await ethers.getContractAt("SmartToken", manifest.contracts.SmartToken.address);
+      expect(await token.balanceOf(user2.address)).to.equal(ethers.parseEther("30"));
+    });
+  });
+
+  describe("管理任务", function () {
+    it("应该暂停和恢复 SmartTokenBank", async function () {
+      const bank = await ethers.getContractAt(
+        "SmartTokenBank",
+        readManifest("hardhat").contracts.SmartTokenBank.address
+      );
+
+      await hre.run("admin:pause", { bank: "SmartTokenBank" });
+      expect(await bank.paused()).to.equal(true);
+
+      await hre.run("admin:unpause", { bank: "SmartTokenBank" });
+      expect(await bank.paused()).to.equal(false);
+    });
+
+    it("smartbank:pause 和 smartbank:unpause 应该继续可用", async function () {
+      const bank = await ethers.getContractAt(
+        "SmartTokenBank",
+        manifest.contracts.SmartTokenBank.address
+      );
+
+      expect(await hre.run("smartbank:pause")).to.equal(true);
+      expect(await bank.paused()).to.equal(true);
+
+      expect(await hre.run("smartbank:unpause")).to.equal(false);
+      expect(await bank.paused()).to.equal(false);
+    });
+
+    it("应该通过 admin:pause --functions 只暂停 TokenBank 的存款", async function () {
+      await hre.run("admin:pause", { bank: "TokenBank", functions: "deposit,permitDeposit" });
+
+      const bank = await ethers.getContractAt("TokenBank", manifest.contracts.TokenBank.address);
+      const { selector } = bank.interface.getFunction("permitDeposit");
+      expect(await bank.functionPaused(selector)).to.equal(true);
+      expect(await bank.paused()).to.equal(false);
+    });
+
+    it("应该通过 admin:allow-token 管理代币白名单", async function () {
+      expect(
+        await hre.run("admin:allow-token", { bank: "SmartTokenBank", token: "TestPlainToken", remove: false })
+      ).to.equal(true);
+      expect(
+        await hre.run("admin:allow-token", { bank: "TokenBank", token: "TestPlainToken", remove: true })
+      ).to.equal(false);
+
+      await expect(
+        hre.run("admin:allow-token", { bank: "EtherBank", token: "TestPlainToken" })
+      ).to.be.rejectedWith("--bank must be one of TokenBank, SmartTokenBank");
+    });
+
+    it("应该通过 admin:token-limits 设置存款限制并在 admin:list-tokens 中列出", async function () {
+      const limits = await hre.run("admin:token-limits", {
+        bank: "SmartTokenBank",
+        token: "SmartToken",
+        min: "1",
+        userCap: "1000",
+        tvlCap: "50000",
+      });
+      expect(limits.minDeposit).to.equal(ethers.parseEther("1"));
+      expect(limits.userCap).to.equal(ethers.parseEther("1000"));
+
+      const tokens = await hre.run("admin:list-tokens", { bank: "SmartTokenBank" });
+      expect(tokens).to.have.length(1);
+      expect(tokens[0].token).to.equal(manifest.contracts.SmartToken.address);
+      expect(tokens[0].tvlCap).to.equal(ethers.parseEther("50000"));
+    });
+
+    it("应该通过 admin:emergency 进入和退出紧急模式", async function () {
+      expect(await hre.run("admin:emergency", { bank: "EtherBank" })).to.equal(true);
+      expect(await hre.run("admin:emergency", { bank: "EtherBank", exit: true })).to.equal(false);
+    });
+
+    it("应该通过 smartbank:set-rate 按百分比设置日利率", async function () {
+      await hre.run("smartbank:set-rate", { token: "SmartToken", rate: "0.25" });
+
+      const bank = await ethers.getContractAt(
+        "SmartTokenBank",
+        manifest.contracts.SmartTokenBank.address
+      );
+      expect(
+        await bank.getInterestRate(manifest.contracts.SmartToken.address)
+      ).to.equal(ethers.parseUnits("0.25", 16));
+    });
+
+    it("应该通过 smartbank:set-term-rate 设置定期利率", async function () {
+      await hre.run("smartbank:set-term-rate", { token: "SmartToken", days: "90", rate: "0.3" });
+
+      const bank = await ethers.getContractAt(
+        "SmartTokenBank",
+        manifest.contracts.SmartTokenBank.address
+      );
+      expect(
+        await bank.termRates(manifest.contracts.SmartToken.address, 90)
+      ).to.equal(ethers.parseUnits("0.3", 16));
+    });
+
+    it("应该通过 smartbank:fund-reserve 注入储备并在 smartbank:solvency 中体现", async function () {
+      const reserve = await hre.run("smartbank:fund-reserve", {
+        token: "SmartToken",
+        amount: "500",
+      });
+      expect(reserve).to.equal(ethers.parseEther("500"));
+
+      expect(await hre.run("smartbank:solvency", { token: "SmartToken" })).to.equal(true);
+    });
+
+    it("应该通过 admin:propose 和 admin:accept 两步转移管理员", async function () {
+      await hre.run("admin:propose", { bank: "BigBank", to: user1.address });
+
+      const bank = await ethers.getContractAt(
+        "BigBank",
+        manifest.contracts.BigBank.address
+      );
+      expect(await bank.admin()).to.equal(owner.address);
+
+      const admin = await hre.run("admin:accept", { bank: "BigBank", from: user1.address });
+      expect(admin).to.equal(user1.address);
+    });
+
+    it("admin:transfer 应该作为 admin:propose 的别名只提名新管理员", async function () {
+      expect(
+        await hre.run("admin:transfer", { bank: "SmartTokenBank", to: user1.address })
+      ).to.equal(user1.address);
+
+      const bank = await ethers.getContractAt(
+        "SmartTokenBank",
+        manifest.contracts.SmartTokenBank.address
+      );
+      expect(await bank.admin()).to.equal(owner.address);
+      expect(await bank.pendingAdmin()).to.equal(user1.address);
+    });
+
+    it("应该通过 admin:grant-role 和 admin:revoke-role 管理角色", async function () {
+      expect(
+        await hre.run("admin:grant-role", { bank: "TokenBank", role: "TREASURER", to: user2.address })
+      ).to.equal(true);
+      expect(
+        await hre.run("admin:revoke-role", { bank: "TokenBank", role: "TREASURER", account: user2.address })
+      ).to.equal(false);
+      // GUARDIAN 用来取消排队中的大额取款
+      expect(
+        await hre.run("admin:grant-role", { bank: "TokenBank", role: "GUARDIAN", to: user2.address })
+      ).to.equal(true);
+    });
+  });
+});
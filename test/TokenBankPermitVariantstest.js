@@ -0,0 +1,198 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time, takeSnapshot } = require("@nomicfoundation/hardhat-network-helpers");
+const { signDaiPermit, signPermit2Transfer } = require("../sdk/permit");
+
+describe("TokenBank DAI permit / Permit2 存款", function () {
+  let tokenBank, bankAddress;
+  let owner, user1, relayer;
+  let deadline;
+  let snapshot;
+
+  beforeEach(async function () {
+    snapshot = await takeSnapshot();
+    [owner, user1, relayer] = await ethers.getSigners();
+    tokenBank = await ethers.deployContract("TokenBank");
+    bankAddress = await tokenBank.getAddress();
+    deadline = (await time.latest()) + 600;
+  });
+
+  // 还原推进过的链上时间
+  afterEach(async function () {
+    await snapshot.restore();
+  });
+
+  describe("DAI 风格 permit", function () {
+    let dai, daiAddress;
+
+    beforeEach(async function () {
+      dai = await ethers.deployContract("TestDaiToken");
+      daiAddress = await dai.getAddress();
+      await tokenBank.setTokenAllowed(daiAddress, true);
+      await dai.transfer(user1.address, ethers.parseEther("1000"));
+    });
+
+    function submit(amount, expiry, { v, r, s, nonce }, holder = user1.address) {
+      return tokenBank
+        .connect(relayer)
+        .daiPermitDeposit(daiAddress, amount, nonce, expiry, v, r, s, holder);
+    }
+
+    it("中继人可以提交 DAI permit 存款", async function () {
+      const amount = ethers.parseEther("100");
+      const sig = await signDaiPermit(user1, dai, bankAddress, deadline);
+
+      await expect(submit(amount, deadline, sig))
+        .to.emit(tokenBank, "Deposit")
+        .withArgs(daiAddress, user1.address, amount);
+
+      expect(await tokenBank.balances(user1.address, daiAddress)).to.equal(amount);
+      expect(await dai.nonces(user1.address)).to.equal(1n);
+      // DAI 的 permit 授权无限额度
+      expect(await dai.allowance(user1.address, bankAddress)).to.equal(ethers.MaxUint256);
+    });
+
+    it("expiry 为 0 的签名永不过期", async function () {
+      const sig = await signDaiPermit(user1, dai, bankAddress, 0);
+      await time.increase(365 * 24 * 60 * 60);
+
+      await submit(ethers.parseEther("1"), 0, sig);
+      expect(await tokenBank.balances(user1.address, daiAddress)).to.equal(ethers.parseEther("1"));
+    });
+
+    it("签名过期应失败", async function () {
+      const expired = (await time.latest()) - 1;
+      const sig = await signDaiPermit(user1, dai, bankAddress, expired);
+
+      await expect(submit(1n, expired, sig)).to.be.revertedWith("Dai/permit-expired");
+    });
+
+    it("签名重放应失败", async function () {
+      const sig = await signDaiPermit(user1, dai, bankAddress, deadline);
+      await submit(1n, deadline, sig);
+
+      await expect(submit(1n, deadline, sig)).to.be.revertedWith("Dai/invalid-nonce");
+    });
+
+    it("holder 与签名人不一致应失败", async function () {
+      const sig = await signDaiPermit(user1, dai, bankAddress, deadline);
+
+      await expect(
+        submit(1n, deadline, sig, relayer.address)
+      ).to.be.revertedWith("Dai/invalid-permit");
+    });
+
+    it("DAI permit 留下的无限授权不能被别人通过 permitDeposit 动用", async function () {
+      const sig = await signDaiPermit(user1, dai, bankAddress, deadline);
+      await submit(ethers.parseEther("10"), deadline, sig);
+
+      await expect(
+        tokenBank
+          .connect(relayer)
+          .permitDeposit(daiAddress, ethers.parseEther("990"), deadline, 27, ethers.ZeroHash, ethers.ZeroHash, user1.address)
+      ).to.be.reverted;
+      expect(await dai.balanceOf(user1.address)).to.equal(ethers.parseEther("990"));
+      expect(await tokenBank.balances(user1.address, daiAddress)).to.equal(ethers.parseEther("10"));
+    });
+
+    it("EIP-2612 的 permitDeposit 不适用于 DAI 风格代币", async function () {
+      const sig = await signDaiPermit(user1, dai, bankAddress, deadline);
+
+      await expect(
+        tokenBank.permitDeposit(daiAddress, 1n, deadline, sig.v, sig.r, sig.s, user1.address)
+      ).to.be.reverted;
+    });
+  });
+
+  describe("Permit2 签名转账", function () {
+    let permit2, token, permit2Address, tokenAddress;
+
+    beforeEach(async function () {
+      permit2 = await ethers.deployContract("TestPermit2");
+      // 没有任何 permit 的普通代币
+      token = await ethers.deployContract("TestPlainToken");
+      permit2Address = await permit2.getAddress();
+      tokenAddress = await token.getAddress();
+      await tokenBank.setTokenAllowed(tokenAddress, true);
+
+      await expect(tokenBank.setPermit2(permit2Address))
+        .to.emit(tokenBank, "Permit2Changed")
+        .withArgs(ethers.ZeroAddress, permit2Address);
+
+      await token.transfer(user1.address, ethers.parseEther("1000"));
+      // 一次性授权给 Permit2，之后的存款都只需要签名
+      await token.connect(user1).approve(permit2Address, ethers.MaxUint256);
+    });
+
+    async function sign(amount, nonce, expiry = deadline, spender = bankAddress) {
+      return signPermit2Transfer(user1, permit2Address, tokenAddress, amount, spender, nonce, expiry);
+    }
+
+    function submit({ permit, signature }, holder = user1.address) {
+      return tokenBank.connect(relayer).permit2Deposit(permit, holder, signature);
+    }
+
+    it("中继人可以提交 Permit2 签名存款", async function () {
+      const amount = ethers.parseEther("100");
+      const signed = await sign(amount, 0);
+
+      const tx = submit(signed);
+      await expect(tx)
+        .to.emit(tokenBank, "Deposit")
+        .withArgs(tokenAddress, user1.address, amount);
+      await expect(tx).to.changeTokenBalances(token, [user1, tokenBank], [-amount, amount]);
+
+      // TokenBank 没有拿到 user1 的直接授权
+      expect(await token.allowance(user1.address, bankAddress)).to.equal(0);
+    });
+
+    it("nonce 无序，但每个只能用一次", async function () {
+      await submit(await sign(1n, 7));
+      await submit(await sign(1n, 3));
+
+      await expect(submit(await sign(1n, 7))).to.be.revertedWith("Permit2: invalid nonce");
+      expect(await tokenBank.balances(user1.address, tokenAddress)).to.equal(2n);
+    });
+
+    it("签名过期应失败", async function () {
+      const expired = (await time.latest()) - 1;
+
+      await expect(
+        submit(await sign(1n, 0, expired))
+      ).to.be.revertedWith("Permit2: signature expired");
+    });
+
+    it("签给其他 spender 的签名不能用于 TokenBank", async function () {
+      await expect(
+        submit(await sign(1n, 0, deadline, relayer.address))
+      ).to.be.revertedWith("Permit2: invalid signer");
+    });
+
+    it("owner 与签名人不一致应失败", async function () {
+      await expect(
+        submit(await sign(1n, 0), relayer.address)
+      ).to.be.revertedWith("Permit2: invalid signer");
+    });
+
+    it("未设置 Permit2 时不可用，只有管理员可以设置", async function () {
+      const signed = await sign(1n, 0);
+      await tokenBank.setPermit2(ethers.ZeroAddress);
+
+      await expect(submit(signed)).to.be.revertedWith("TokenBank: permit2 not set");
+      await expect(
+        tokenBank.connect(user1).setPermit2(permit2Address)
+      ).to.be.revertedWith(
+        `AccessControl: account ${user1.address.toLowerCase()} is missing role ${ethers.ZeroHash}`
+      );
+    });
+
+    it("单独暂停 permit2Deposit 时应失败", async function () {
+      await tokenBank.setFunctionPaused(
+        tokenBank.interface.getFunction("permit2Deposit").selector,
+        true
+      );
+
+      await expect(submit(await sign(1n, 0))).to.be.revertedWith("BankPausable: function is paused");
+    });
+  });
+});
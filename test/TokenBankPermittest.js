@@ -17,6 +17,9 @@ describe("TokenBank with Permit", function () {
     // 部署TokenBank合约
     const TokenBank = await ethers.getContractFactory("TokenBank");
     tokenBank = await TokenBank.deploy();
+
+    // 把测试代币加入白名单
+    await tokenBank.setTokenAllowed(await testToken.getAddress(), true);
     
     // 获取链ID
     chainId = (await ethers.provider.getNetwork()).chainId;
@@ -509,6 +512,177 @@ describe("TokenBank with Permit", function () {
     });
   });
 
+  describe("Permit存款测试 - 抢跑", function () {
+    let tokenAddress, bankAddress;
+
+    beforeEach(async function () {
+      tokenAddress = await testToken.getAddress();
+      bankAddress = await tokenBank.getAddress();
+    });
+
+    async function signPermitFor(signer, amount) {
+      const domain = {
+        name: await testToken.name(),
+        version: "1",
+        chainId: chainId,
+        verifyingContract: tokenAddress,
+      };
+      const types = {
+        Permit: [
+          { name: "owner", type: "address" },
+          { name: "spender", type: "address" },
+          { name: "value", type: "uint256" },
+          { name: "nonce", type: "uint256" },
+          { name: "deadline", type: "uint256" },
+        ],
+      };
+      const value = {
+        owner: signer.address,
+        spender: bankAddress,
+        value: amount,
+        nonce: await testToken.nonces(signer.address),
+        deadline: deadline,
+      };
+      return ethers.Signature.from(await signer.signTypedData(domain, types, value));
+    }
+
+    it("签名被抢先提交给 token.permit 后仍然可以存款", async function () {
+      const amount = ethers.parseEther("100");
+      const sig = await signPermitFor(user1, amount);
+
+      // 抢跑者从内存池里拿到签名，直接提交给代币合约，用掉了 nonce
+      await testToken
+        .connect(user2)
+        .permit(user1.address, bankAddress, amount, deadline, sig.v, sig.r, sig.s);
+      expect(await testToken.allowance(user1.address, bankAddress)).to.equal(amount);
+
+      await expect(
+        tokenBank.connect(user1).permitDeposit(
+          tokenAddress,
+          amount,
+          deadline,
+          sig.v, sig.r, sig.s,
+          user1.address
+        )
+      )
+        .to.emit(tokenBank, "Deposit")
+        .withArgs(tokenAddress, user1.address, amount);
+
+      expect(await tokenBank.balances(user1.address, tokenAddress)).to.equal(amount);
+      expect(await testToken.allowance(user1.address, bankAddress)).to.equal(0);
+    });
+
+    it("被抢跑后授权不足时抛出代币原本的错误", async function () {
+      const amount = ethers.parseEther("100");
+      const sig = await signPermitFor(user1, amount);
+
+      await testToken
+        .connect(user2)
+        .permit(user1.address, bankAddress, amount, deadline, sig.v, sig.r, sig.s);
+      // 授权在存款前被用户改小了
+      await testToken.connect(user1).approve(bankAddress, ethers.parseEther("50"));
+
+      await expect(
+        tokenBank.connect(user2).permitDeposit(
+          tokenAddress,
+          amount,
+          deadline,
+          sig.v, sig.r, sig.s,
+          user1.address
+        )
+      ).to.be.revertedWith("ERC20Permit: invalid signature");
+      expect(await tokenBank.balances(user1.address, tokenAddress)).to.equal(0);
+    });
+
+    it("抢跑后由第三方代为提交签名仍然可以存款", async function () {
+      const amount = ethers.parseEther("100");
+      const sig = await signPermitFor(user1, amount);
+
+      await testToken
+        .connect(user2)
+        .permit(user1.address, bankAddress, amount, deadline, sig.v, sig.r, sig.s);
+
+      // 签名确实是 user1 刚被用掉的那次 permit，代为提交的人可以继续完成存款
+      await tokenBank.connect(user2).permitDeposit(
+        tokenAddress,
+        amount,
+        deadline,
+        sig.v, sig.r, sig.s,
+        user1.address
+      );
+
+      expect(await tokenBank.balances(user1.address, tokenAddress)).to.equal(amount);
+      expect(await tokenBank.balances(user2.address, tokenAddress)).to.equal(0);
+    });
+
+    it("第三方不能用无效签名动用别人已有的授权", async function () {
+      const amount = ethers.parseEther("30");
+      await testToken.connect(user1).approve(bankAddress, ethers.MaxUint256);
+
+      // user2 的签名对 user1 无效，即使 user1 授权充足也不能替他存款
+      const sig = await signPermitFor(user2, amount);
+      await expect(
+        tokenBank.connect(user2).permitDeposit(
+          tokenAddress,
+          amount,
+          deadline,
+          sig.v, sig.r, sig.s,
+          user1.address
+        )
+      ).to.be.revertedWith("ERC20Permit: invalid signature");
+      // 全零的签名同样被拒绝
+      await expect(
+        tokenBank.connect(user2).permitDeposit(
+          tokenAddress,
+          amount,
+          deadline,
+          27, ethers.ZeroHash, ethers.ZeroHash,
+          user1.address
+        )
+      ).to.be.reverted;
+
+      expect(await tokenBank.balances(user1.address, tokenAddress)).to.equal(0);
+      expect(await testToken.balanceOf(user1.address)).to.equal(ethers.parseEther("1000"));
+    });
+
+    it("第三方不能重放 owner 用过的旧签名", async function () {
+      const amount = ethers.parseEther("10");
+      const sig = await signPermitFor(user1, amount);
+      await tokenBank.connect(user1).permitDeposit(
+        tokenAddress, amount, deadline, sig.v, sig.r, sig.s, user1.address
+      );
+      // user1 之后另外给了银行一笔授权
+      await testToken.connect(user1).approve(bankAddress, ethers.MaxUint256);
+      const later = await signPermitFor(user1, ethers.parseEther("1"));
+      await testToken
+        .connect(user1)
+        .permit(user1.address, bankAddress, ethers.parseEther("1"), deadline, later.v, later.r, later.s);
+
+      await expect(
+        tokenBank.connect(user2).permitDeposit(
+          tokenAddress, amount, deadline, sig.v, sig.r, sig.s, user1.address
+        )
+      ).to.be.revertedWith("ERC20Permit: invalid signature");
+      expect(await tokenBank.balances(user1.address, tokenAddress)).to.equal(amount);
+    });
+
+    it("owner 自己调用时签名无效但授权足够，按现有授权存款", async function () {
+      const amount = ethers.parseEther("30");
+      await testToken.connect(user1).approve(bankAddress, amount);
+
+      const sig = await signPermitFor(user2, amount);
+      await tokenBank.connect(user1).permitDeposit(
+        tokenAddress,
+        amount,
+        deadline,
+        sig.v, sig.r, sig.s,
+        user1.address
+      );
+
+      expect(await tokenBank.balances(user1.address, tokenAddress)).to.equal(amount);
+    });
+  });
+
   describe("查询功能测试", function () {
     it("应该正确查询单个代币余额", async function () {
       const tokenAddress = await testToken.getAddress();
@@ -528,6 +702,7 @@ describe("TokenBank with Permit", function () {
       const TestPermitToken2 = await ethers.getContractFactory("TestPermitToken");
       const testToken2 = await TestPermitToken2.deploy();
       const token2Address = await testToken2.getAddress();
+      await tokenBank.setTokenAllowed(token2Address, true);
       
       // 给user1转账第二个代币
       await testToken2.connect(owner).transfer(user1.address, ethers.parseEther("500"));
@@ -0,0 +1,163 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { signWithdraw, WITHDRAW_TYPES } = require("../sdk/withdrawSig");
+
+describe("TokenBank withdrawWithSig", function () {
+  let tokenBank, testToken;
+  let tokenAddress, bankAddress;
+  let owner, user1, user2, relayer;
+  let deadline;
+
+  beforeEach(async function () {
+    [owner, user1, user2, relayer] = await ethers.getSigners();
+
+    testToken = await ethers.deployContract("TestPermitToken");
+    tokenBank = await ethers.deployContract("TokenBank");
+    tokenAddress = await testToken.getAddress();
+    bankAddress = await tokenBank.getAddress();
+    await tokenBank.setTokenAllowed(tokenAddress, true);
+
+    // 以链上时间为准，10 分钟后过期
+    deadline = (await time.latest()) + 600;
+
+    // user1 存入 100 个代币
+    await testToken.transfer(user1.address, ethers.parseEther("1000"));
+    await testToken.connect(user1).approve(bankAddress, ethers.parseEther("100"));
+    await tokenBank.connect(user1).deposit(tokenAddress, ethers.parseEther("100"));
+  });
+
+  function submit(request, sender = relayer) {
+    return tokenBank
+      .connect(sender)
+      .withdrawWithSig(
+        request.token,
+        request.amount,
+        request.to,
+        request.nonce,
+        request.deadline,
+        request.signature
+      );
+  }
+
+  describe("成功场景", function () {
+    it("中继人可以提交用户的签名取款", async function () {
+      const amount = ethers.parseEther("40");
+      const request = await signWithdraw(user1, tokenBank, tokenAddress, amount, user1.address, deadline);
+
+      const tx = submit(request);
+      await expect(tx)
+        .to.emit(tokenBank, "WithdrawWithSig")
+        .withArgs(tokenAddress, user1.address, user1.address, amount, 0, relayer.address);
+      await expect(tx)
+        .to.emit(tokenBank, "Withdraw")
+        .withArgs(tokenAddress, user1.address, amount);
+      await expect(tx).to.changeTokenBalances(testToken, [user1, relayer], [amount, 0]);
+
+      expect(await tokenBank.balances(user1.address, tokenAddress)).to.equal(ethers.parseEther("60"));
+      expect(await tokenBank.withdrawNonces(user1.address)).to.equal(1n);
+    });
+
+    it("可以取款到其他收款地址", async function () {
+      const amount = ethers.parseEther("25");
+      const request = await signWithdraw(user1, tokenBank, tokenAddress, amount, user2.address, deadline);
+
+      await expect(submit(request)).to.changeTokenBalances(
+        testToken,
+        [user1, user2],
+        [0, amount]
+      );
+      expect(await tokenBank.balances(user1.address, tokenAddress)).to.equal(ethers.parseEther("75"));
+    });
+
+    it("签名取款 nonce 和代币的 permit nonce 互不影响", async function () {
+      const request = await signWithdraw(user1, tokenBank, tokenAddress, 1n, user1.address, deadline);
+      await submit(request);
+
+      expect(await tokenBank.withdrawNonces(user1.address)).to.equal(1n);
+      expect(await testToken.nonces(user1.address)).to.equal(0n);
+    });
+
+    it("域分隔符与链下计算一致", async function () {
+      const { chainId } = await ethers.provider.getNetwork();
+      const expected = ethers.TypedDataEncoder.hashDomain({
+        name: "TokenBank",
+        version: "1",
+        chainId,
+        verifyingContract: bankAddress,
+      });
+
+      expect(await tokenBank.DOMAIN_SEPARATOR()).to.equal(expected);
+      expect(await tokenBank.WITHDRAW_TYPEHASH()).to.equal(
+        ethers.id(ethers.TypedDataEncoder.from(WITHDRAW_TYPES).encodeType("Withdraw"))
+      );
+    });
+  });
+
+  describe("失败场景", function () {
+    it("签名过期应失败", async function () {
+      const expired = (await time.latest()) - 1;
+      const request = await signWithdraw(user1, tokenBank, tokenAddress, 1n, user1.address, expired);
+
+      await expect(submit(request)).to.be.revertedWith("Signature expired");
+    });
+
+    it("同一个签名不能重放", async function () {
+      const request = await signWithdraw(user1, tokenBank, tokenAddress, 1n, user1.address, deadline);
+      await submit(request);
+
+      await expect(submit(request)).to.be.revertedWith("Invalid nonce");
+    });
+
+    it("跳过 nonce 的签名应失败", async function () {
+      const request = await signWithdraw(user1, tokenBank, tokenAddress, 1n, user1.address, deadline);
+
+      await expect(submit({ ...request, nonce: 1n })).to.be.revertedWith("Invalid nonce");
+    });
+
+    it("其他人的签名不能取走用户的余额", async function () {
+      // user2 签的请求只能动 user2 自己的余额，而 user2 没有存款
+      const request = await signWithdraw(user2, tokenBank, tokenAddress, 1n, user2.address, deadline);
+
+      await expect(submit(request)).to.be.revertedWith("Insufficient balance");
+      expect(await tokenBank.balances(user1.address, tokenAddress)).to.equal(ethers.parseEther("100"));
+    });
+
+    it("篡改收款地址或金额后签名失效", async function () {
+      const request = await signWithdraw(user1, tokenBank, tokenAddress, 1n, user1.address, deadline);
+
+      // 恢复出的是另一个没有余额的地址
+      await expect(
+        submit({ ...request, to: relayer.address })
+      ).to.be.revertedWith("Insufficient balance");
+      await expect(
+        submit({ ...request, amount: ethers.parseEther("50") })
+      ).to.be.revertedWith("Insufficient balance");
+    });
+
+    it("格式错误的签名应失败", async function () {
+      const request = await signWithdraw(user1, tokenBank, tokenAddress, 1n, user1.address, deadline);
+
+      await expect(
+        submit({ ...request, signature: request.signature.slice(0, 100) })
+      ).to.be.revertedWith("Invalid signature");
+    });
+
+    it("其他合约的签名域不能复用", async function () {
+      const otherBank = await ethers.deployContract("TokenBank");
+      const request = await signWithdraw(user1, otherBank, tokenAddress, 1n, user1.address, deadline);
+
+      await expect(submit(request)).to.be.revertedWith("Insufficient balance");
+    });
+
+    it("单独暂停签名取款时应失败", async function () {
+      const request = await signWithdraw(user1, tokenBank, tokenAddress, 1n, user1.address, deadline);
+      await tokenBank.setFunctionPaused(
+        tokenBank.interface.getFunction("withdrawWithSig").selector,
+        true
+      );
+
+      await expect(submit(request)).to.be.revertedWith("BankPausable: function is paused");
+    });
+  });
+});
@@ -0,0 +1,227 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { time, takeSnapshot } = require("@nomicfoundation/hardhat-network-helpers");
+const { signPermit } = require("../sdk/permit");
+const { deployWithLibraries } = require("../scripts/lib/libraries");
+
+describe("代币白名单与存款限制", function () {
+  const e = (value) => ethers.parseEther(value);
+
+  let owner, user1, user2;
+  let snapshot;
+
+  beforeEach(async function () {
+    snapshot = await takeSnapshot();
+    [owner, user1, user2] = await ethers.getSigners();
+  });
+
+  afterEach(async function () {
+    await snapshot.restore();
+  });
+
+  async function deployToken(name, symbol) {
+    const token = await ethers.deployContract("SmartToken", [name, symbol, e("1000000")]);
+    for (const user of [user1, user2]) {
+      await token.transfer(user.address, e("10000"));
+    }
+    return token;
+  }
+
+  for (const name of ["TokenBank", "SmartTokenBank"]) {
+    describe(name, function () {
+      let bank, bankAddress, token, tokenAddress;
+
+      beforeEach(async function () {
+        bank = await deployWithLibraries(hre, name);
+        bankAddress = await bank.getAddress();
+        token = await deployToken("Smart Token", "SMT");
+        tokenAddress = await token.getAddress();
+        await bank.setTokenAllowed(tokenAddress, true);
+
+        for (const user of [user1, user2]) {
+          await token.connect(user).approve(bankAddress, ethers.MaxUint256);
+        }
+      });
+
+      it("应该设置并查询代币限制", async function () {
+        await expect(bank.setTokenLimits(tokenAddress, e("1"), e("100"), e("150")))
+          .to.emit(bank, "TokenLimitsChanged")
+          .withArgs(tokenAddress, e("1"), e("100"), e("150"));
+
+        const limits = await bank.tokenLimits(tokenAddress);
+        expect(limits.minDeposit).to.equal(e("1"));
+        expect(limits.userCap).to.equal(e("100"));
+        expect(limits.tvlCap).to.equal(e("150"));
+      });
+
+      it("低于最小存款应失败", async function () {
+        await bank.setTokenLimits(tokenAddress, e("1"), 0, 0);
+
+        await expect(
+          bank.connect(user1).deposit(tokenAddress, e("0.5"))
+        ).to.be.revertedWith("BankTokenAllowlist: deposit below minimum");
+        await bank.connect(user1).deposit(tokenAddress, e("1"));
+      });
+
+      it("单个用户的本金不能超过 userCap", async function () {
+        await bank.setTokenLimits(tokenAddress, 0, e("100"), 0);
+
+        await bank.connect(user1).deposit(tokenAddress, e("60"));
+        await expect(
+          bank.connect(user1).deposit(tokenAddress, e("41"))
+        ).to.be.revertedWith("BankTokenAllowlist: user cap exceeded");
+        await bank.connect(user1).deposit(tokenAddress, e("40"));
+
+        // 上限按用户分别计算
+        await bank.connect(user2).deposit(tokenAddress, e("100"));
+      });
+
+      it("全部用户的本金不能超过 tvlCap，取款后腾出额度", async function () {
+        await bank.setTokenLimits(tokenAddress, 0, 0, e("150"));
+
+        await bank.connect(user1).deposit(tokenAddress, e("100"));
+        await expect(
+          bank.connect(user2).deposit(tokenAddress, e("60"))
+        ).to.be.revertedWith("BankTokenAllowlist: TVL cap exceeded");
+
+        await bank.connect(user1).withdraw(tokenAddress, e("10"));
+        await bank.connect(user2).deposit(tokenAddress, e("60"));
+      });
+
+      it("调低上限不影响已有存款，只限制之后的存入", async function () {
+        await bank.connect(user1).deposit(tokenAddress, e("100"));
+        await bank.setTokenLimits(tokenAddress, 0, e("50"), 0);
+
+        await expect(
+          bank.connect(user1).deposit(tokenAddress, e("1"))
+        ).to.be.revertedWith("BankTokenAllowlist: user cap exceeded");
+        await bank.connect(user1).withdraw(tokenAddress, e("100"));
+      });
+
+      it("上限不能低于最小存款", async function () {
+        await expect(
+          bank.setTokenLimits(tokenAddress, e("10"), e("5"), 0)
+        ).to.be.revertedWith("BankTokenAllowlist: cap below minimum deposit");
+        await expect(
+          bank.setTokenLimits(tokenAddress, e("10"), 0, e("5"))
+        ).to.be.revertedWith("BankTokenAllowlist: cap below minimum deposit");
+      });
+
+      it("只能给白名单中的代币设置限制，且只有管理员可以设置", async function () {
+        const other = await deployToken("Other", "OTH");
+        await expect(
+          bank.setTokenLimits(await other.getAddress(), 0, 0, 0)
+        ).to.be.revertedWith("BankTokenAllowlist: token not allowed");
+
+        const DEFAULT_ADMIN_ROLE = await bank.DEFAULT_ADMIN_ROLE();
+        await expect(
+          bank.connect(user1).setTokenLimits(tokenAddress, 0, 0, 0)
+        ).to.be.revertedWith(
+          `AccessControl: account ${user1.address.toLowerCase()} is missing role ${DEFAULT_ADMIN_ROLE}`
+        );
+      });
+
+      it("getSupportedTokens 列出全部白名单代币、限制和 TVL", async function () {
+        const second = await deployToken("Stable Token", "STB");
+        const third = await deployToken("Third Token", "TRD");
+        const secondAddress = await second.getAddress();
+        const thirdAddress = await third.getAddress();
+        await bank.setTokenAllowed(secondAddress, true);
+        await bank.setTokenAllowed(thirdAddress, true);
+        await bank.setTokenLimits(secondAddress, e("1"), e("500"), e("1000"));
+        await bank.connect(user1).deposit(tokenAddress, e("30"));
+
+        let tokens = await bank.getSupportedTokens();
+        expect(tokens.map((t) => t.token)).to.deep.equal([tokenAddress, secondAddress, thirdAddress]);
+        expect(tokens[0].tvl).to.equal(e("30"));
+        expect(tokens[1].minDeposit).to.equal(e("1"));
+        expect(tokens[1].userCap).to.equal(e("500"));
+        expect(tokens[1].tvlCap).to.equal(e("1000"));
+
+        // 移出白名单时清空限制，最后一个代币换到空出的位置
+        await bank.setTokenAllowed(secondAddress, false);
+        tokens = await bank.getSupportedTokens();
+        expect(tokens.map((t) => t.token)).to.deep.equal([tokenAddress, thirdAddress]);
+        expect((await bank.tokenLimits(secondAddress)).userCap).to.equal(0);
+
+        // 重新加入后不限制
+        await bank.setTokenAllowed(secondAddress, true);
+        tokens = await bank.getSupportedTokens();
+        expect(tokens.map((t) => t.token)).to.deep.equal([tokenAddress, thirdAddress, secondAddress]);
+        expect(tokens[2].minDeposit).to.equal(0);
+      });
+    });
+  }
+
+  describe("TokenBank 签名存款", function () {
+    it("permitDeposit 同样受上限约束", async function () {
+      const bank = await ethers.deployContract("TokenBank");
+      const token = await ethers.deployContract("TestPermitToken");
+      const bankAddress = await bank.getAddress();
+      const tokenAddress = await token.getAddress();
+      await bank.setTokenAllowed(tokenAddress, true);
+      await bank.setTokenLimits(tokenAddress, 0, e("100"), 0);
+      await token.transfer(user1.address, e("1000"));
+
+      const deadline = (await time.latest()) + 600;
+      const { v, r, s } = await signPermit(user1, token, bankAddress, e("101"), deadline);
+      await expect(
+        bank.connect(user2).permitDeposit(tokenAddress, e("101"), deadline, v, r, s, user1.address)
+      ).to.be.revertedWith("BankTokenAllowlist: user cap exceeded");
+    });
+  });
+
+  describe("SmartTokenBank 定期与 transferAndCall", function () {
+    let bank, bankAddress, token, tokenAddress;
+
+    beforeEach(async function () {
+      bank = await deployWithLibraries(hre, "SmartTokenBank");
+      bankAddress = await bank.getAddress();
+      token = await deployToken("Smart Token", "SMT");
+      tokenAddress = await token.getAddress();
+      await bank.setTokenAllowed(tokenAddress, true);
+
+      await token.approve(bankAddress, e("1000"));
+      await bank.fundInterestReserve(tokenAddress, e("1000"));
+      await bank.setTermRate(tokenAddress, 30, ethers.parseUnits("0.1", 16));
+      await token.connect(user1).approve(bankAddress, ethers.MaxUint256);
+    });
+
+    it("定期本金和活期本金一起计入 userCap 和 tvlCap", async function () {
+      await bank.setTokenLimits(tokenAddress, 0, e("100"), e("120"));
+
+      await bank.connect(user1).openTermDeposit(tokenAddress, e("70"), 30);
+      expect(await bank.userTermPrincipal(tokenAddress, user1.address)).to.equal(e("70"));
+
+      await expect(
+        bank.connect(user1).deposit(tokenAddress, e("31"))
+      ).to.be.revertedWith("BankTokenAllowlist: user cap exceeded");
+      await bank.connect(user1).deposit(tokenAddress, e("30"));
+
+      await expect(
+        token.connect(user2).transferAndCall(bankAddress, e("21"))
+      ).to.be.revertedWith("BankTokenAllowlist: TVL cap exceeded");
+
+      const [listed] = await bank.getSupportedTokens();
+      expect(listed.tvl).to.equal(e("100"));
+    });
+
+    it("提前支取定期后腾出额度", async function () {
+      await bank.setTokenLimits(tokenAddress, 0, e("100"), 0);
+      await bank.connect(user1).openTermDeposit(tokenAddress, e("100"), 30);
+
+      await bank.connect(user1).breakTermDeposit(1);
+      expect(await bank.userTermPrincipal(tokenAddress, user1.address)).to.equal(0);
+      await bank.connect(user1).openTermDeposit(tokenAddress, e("100"), 30);
+    });
+
+    it("transferAndCall 低于最小存款应失败", async function () {
+      await bank.setTokenLimits(tokenAddress, e("5"), 0, 0);
+
+      await expect(
+        token.connect(user1).transferAndCall(bankAddress, e("4"))
+      ).to.be.revertedWith("BankTokenAllowlist: deposit below minimum");
+    });
+  });
+});
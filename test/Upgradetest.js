@@ -0,0 +1,289 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { time, takeSnapshot } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployProxy, upgradeProxy } = require("../scripts/lib/proxy");
+const { getStorageLayout, compareStorageLayouts } = require("../scripts/lib/storageLayout");
+const { TokenBankClient } = require("../sdk");
+
+describe("可升级的银行（透明代理）", function () {
+  const DAY = 24 * 60 * 60;
+  const e = (value) => ethers.parseEther(value);
+
+  let owner, user1, user2;
+  let proxyAdmin, proxyAdminAddress;
+  let snapshot;
+
+  // 部署代理，返回连在代理上的合约和升级时使用的清单条目
+  async function deploy(name) {
+    const { contract, fields } = await deployProxy(hre, name, { proxyAdmin: proxyAdminAddress });
+    return { bank: contract, entry: { address: await contract.getAddress(), ...fields } };
+  }
+
+  beforeEach(async function () {
+    snapshot = await takeSnapshot();
+    [owner, user1, user2] = await ethers.getSigners();
+    proxyAdmin = await ethers.deployContract("ProxyAdmin");
+    proxyAdminAddress = await proxyAdmin.getAddress();
+  });
+
+  afterEach(async function () {
+    await snapshot.restore();
+  });
+
+  describe("TokenBankUpgradeable", function () {
+    let bank, entry, token, tokenAddress;
+
+    beforeEach(async function () {
+      ({ bank, entry } = await deploy("TokenBankUpgradeable"));
+      token = await ethers.deployContract("TestPermitToken");
+      tokenAddress = await token.getAddress();
+      await bank.setTokenAllowed(tokenAddress, true);
+
+      for (const user of [user1, user2]) {
+        await token.transfer(user.address, e("1000"));
+        await token.connect(user).approve(entry.address, ethers.MaxUint256);
+      }
+    });
+
+    it("initialize 让部署者成为管理员，代理和实现合约都不能再次初始化", async function () {
+      expect(await bank.admin()).to.equal(owner.address);
+      for (const role of ["DEFAULT_ADMIN_ROLE", "PAUSER_ROLE", "RATE_MANAGER_ROLE", "TREASURER_ROLE", "GUARDIAN_ROLE"]) {
+        expect(await bank.hasRole(await bank[role](), owner.address)).to.equal(true);
+      }
+      expect(await bank.nextQueuedWithdrawalId()).to.equal(1);
+
+      await expect(bank.initialize()).to.be.revertedWith("Initializable: contract is already initialized");
+      const implementation = await ethers.getContractAt("TokenBankUpgradeable", entry.implementation);
+      await expect(implementation.connect(user1).initialize()).to.be.revertedWith(
+        "Initializable: contract is already initialized"
+      );
+      expect(await proxyAdmin.getProxyImplementation(entry.address)).to.equal(entry.implementation);
+    });
+
+    it("升级后余额、限额和排队中的取款都保留，新版本的 reinitializer 只能调用一次", async function () {
+      await bank.connect(user1).deposit(tokenAddress, e("100"));
+      await bank.connect(user2).deposit(tokenAddress, e("50"));
+      await bank.setWithdrawLimit(tokenAddress, 0, 0, 0, e("30"), DAY);
+      await bank.connect(user1).withdraw(tokenAddress, e("40"));
+
+      const upgraded = await upgradeProxy(hre, entry, "TestTokenBankV2", {
+        call: { fn: "initializeV2", args: ["v2"] },
+      });
+      const bankV2 = await ethers.getContractAt("TestTokenBankV2", entry.address);
+
+      expect(await proxyAdmin.getProxyImplementation(entry.address)).to.equal(upgraded.implementation);
+      expect(await bankV2.version()).to.equal(2);
+      expect(await bankV2.releaseNote()).to.equal("v2");
+      await expect(bankV2.initializeV2("again")).to.be.revertedWith(
+        "Initializable: contract is already initialized"
+      );
+
+      expect(await bankV2.balances(user1.address, tokenAddress)).to.equal(e("60"));
+      expect(await bankV2.balances(user2.address, tokenAddress)).to.equal(e("50"));
+      expect(await bankV2.totalDeposits(tokenAddress)).to.equal(e("110"));
+      expect(await bankV2.admin()).to.equal(owner.address);
+      expect(await bankV2.tokenAllowed(tokenAddress)).to.equal(true);
+      expect((await bankV2.withdrawLimits(tokenAddress)).largeThreshold).to.equal(e("30"));
+      expect(await bankV2.totalQueuedWithdrawals(tokenAddress)).to.equal(e("40"));
+
+      // 升级前排队的取款照常领取，编号继续递增
+      await time.increase(DAY);
+      await bankV2.claimWithdrawal(1);
+      expect(await token.balanceOf(user1.address)).to.equal(e("940"));
+      await bankV2.connect(user2).withdraw(tokenAddress, e("30"));
+      expect(await bankV2.nextQueuedWithdrawalId()).to.equal(3);
+    });
+
+    it("EIP-712 签名的域使用代理地址", async function () {
+      await bank.connect(user1).deposit(tokenAddress, e("10"));
+      await upgradeProxy(hre, entry, "TestTokenBankV2");
+
+      const client = new TokenBankClient(entry.address, user1);
+      const request = await client.signWithdraw(tokenAddress, e("4"), { to: user2.address });
+      await new TokenBankClient(entry.address, owner).submitWithdrawWithSig(request);
+
+      expect(await token.balanceOf(user2.address)).to.equal(e("1004"));
+      expect((await bank.eip712Domain()).verifyingContract).to.equal(entry.address);
+    });
+
+    it("只有 ProxyAdmin 的 owner 可以升级", async function () {
+      const implementation = await ethers.deployContract("TestTokenBankV2");
+
+      await expect(
+        proxyAdmin.connect(user1).upgrade(entry.address, await implementation.getAddress())
+      ).to.be.revertedWith("Ownable: caller is not the owner");
+    });
+
+    it("存储布局不兼容时拒绝升级，代理保持原来的实现", async function () {
+      await bank.connect(user1).deposit(tokenAddress, e("10"));
+
+      const error = await upgradeProxy(hre, entry, "TestTokenBankBadLayout").catch((e) => e);
+
+      expect(error).to.be.instanceOf(Error);
+      expect(error.message).to.include("Storage layout of TestTokenBankBadLayout is incompatible");
+      expect(error.message).to.include("_initialized at slot 0 offset 0 was replaced by shifted");
+      expect(await proxyAdmin.getProxyImplementation(entry.address)).to.equal(entry.implementation);
+      expect(await bank.balances(user1.address, tokenAddress)).to.equal(e("10"));
+    });
+  });
+
+  describe("SmartTokenBankUpgradeable", function () {
+    let bank, entry, token, tokenAddress;
+
+    beforeEach(async function () {
+      ({ bank, entry } = await deploy("SmartTokenBankUpgradeable"));
+      token = await ethers.deployContract("SmartToken", ["Smart Token", "SMT", e("1000000")]);
+      tokenAddress = await token.getAddress();
+      await bank.setTokenAllowed(tokenAddress, true);
+      await token.approve(entry.address, e("1000"));
+      await bank.fundInterestReserve(tokenAddress, e("1000"));
+
+      for (const user of [user1, user2]) {
+        await token.transfer(user.address, e("1000"));
+        await token.connect(user).approve(entry.address, ethers.MaxUint256);
+      }
+    });
+
+    // 两个用户的余额、利息和定期存款，以及全局的偿付能力
+    async function readState() {
+      const info = await Promise.all(
+        [user1, user2].map(async (user) => (await bank.getBalanceInfo(tokenAddress, user.address)).toArray())
+      );
+      return {
+        info,
+        term: (await bank.getTermDeposit(1)).toArray(),
+        solvency: (await bank.getSolvency(tokenAddress)).toArray(),
+        rateIndex: await bank.currentRateIndex(tokenAddress),
+      };
+    }
+
+    it("升级前后同一时刻的本金、利息和定期存款完全一致", async function () {
+      await bank.connect(user1).deposit(tokenAddress, e("100"));
+      await bank.connect(user2).setCompounding(tokenAddress, true);
+      await bank.connect(user2).deposit(tokenAddress, e("200"));
+      await bank.setTermRate(tokenAddress, 30, 2n * 10n ** 15n);
+      await bank.connect(user1).openTermDeposit(tokenAddress, e("50"), 30);
+      await time.increase(10 * DAY);
+      await bank.setInterestRate(tokenAddress, 3n * 10n ** 15n);
+      await time.increase(3 * DAY);
+
+      // 先看不升级时 5 天后的状态，再回到现在升级，推进到同一时刻对比
+      const at = (await time.latest()) + 5 * DAY;
+      const beforeUpgrade = await takeSnapshot();
+      await time.increaseTo(at);
+      const expected = await readState();
+      await beforeUpgrade.restore();
+
+      await upgradeProxy(hre, entry, "TestSmartTokenBankV2");
+      await time.increaseTo(at);
+      const actual = await readState();
+
+      expect(actual).to.deep.equal(expected);
+      expect(actual.info[0][2]).to.be.gt(0); // 升级后利息照常累计
+
+      const bankV2 = await ethers.getContractAt("TestSmartTokenBankV2", entry.address);
+      expect(await bankV2.version()).to.equal(2);
+      expect(await bankV2.compounding(tokenAddress, user2.address)).to.equal(true);
+      expect(await bankV2.nextTermDepositId()).to.equal(2);
+    });
+
+    it("升级后可以取出全部本金和利息", async function () {
+      await bank.connect(user1).deposit(tokenAddress, e("100"));
+      await time.increase(10 * DAY);
+
+      await upgradeProxy(hre, entry, "TestSmartTokenBankV2");
+      await bank.setInterestRate(tokenAddress, 0);
+      await bank.connect(user1).deposit(tokenAddress, 1n); // 按 0 利率结算一次，之后余额不再变化
+      const { total } = await bank.getBalanceInfo(tokenAddress, user1.address);
+      expect(total).to.be.gt(e("100") + 1n);
+
+      await bank.connect(user1).withdraw(tokenAddress, total);
+      expect(await token.balanceOf(user1.address)).to.equal(e("900") - 1n + total);
+      expect((await bank.getSolvency(tokenAddress)).solvent).to.equal(true);
+    });
+  });
+
+  describe("存储布局对比", function () {
+    const variable = (label, slot, type = "uint256", offset = 0, bytes = 32) => ({
+      label,
+      slot,
+      offset,
+      bytes,
+      type,
+    });
+
+    it("只在末尾追加变量的新版本是兼容的", async function () {
+      const current = await getStorageLayout(hre, "TokenBankUpgradeable");
+      const next = await getStorageLayout(hre, "TestTokenBankV2");
+
+      expect(next.length).to.equal(current.length + 1);
+      expect(compareStorageLayouts(current, next)).to.deep.equal([]);
+    });
+
+    it("结构体按成员展开描述，不包含 AST id", async function () {
+      const layout = await getStorageLayout(hre, "TokenBankUpgradeable");
+      const limits = layout.find((v) => v.label === "withdrawLimits");
+
+      expect(limits.type).to.equal(
+        "mapping(address => struct BankWithdrawLimiter.WithdrawLimit { uint256 window; uint256 globalLimit; " +
+          "uint256 userLimit; uint256 largeThreshold; uint256 delay; })"
+      );
+    });
+
+    it("删除、改名、改类型和插入变量都会被发现", function () {
+      const current = [variable("a", 0), variable("b", 1), variable("c", 2, "address", 0, 20)];
+
+      expect(compareStorageLayouts(current, [variable("a", 0), variable("b", 1)])).to.deep.equal([
+        "c at slot 2 offset 0 was removed or moved",
+      ]);
+      expect(
+        compareStorageLayouts(current, [variable("a", 0), variable("renamed", 1), variable("c", 2, "address", 0, 20)])
+      ).to.deep.equal(["b at slot 1 offset 0 was replaced by renamed"]);
+      expect(
+        compareStorageLayouts(current, [variable("a", 0), variable("b", 1, "int256"), variable("c", 2, "address", 0, 20)])
+      ).to.deep.equal(["b at slot 1 offset 0 changed type from uint256 to int256"]);
+      // 打包进最后一个槽位剩下的空间是允许的
+      expect(
+        compareStorageLayouts(current, [...current, variable("d", 2, "bool", 20, 1), variable("e", 3)])
+      ).to.deep.equal([]);
+      expect(
+        compareStorageLayouts(current, [...current, variable("d", 2, "bool", 10, 1)])
+      ).to.deep.equal(["new variable d at slot 2 offset 10 overlaps existing storage"]);
+    });
+
+    it("基础合约新增变量时从 __gap 里扣除是兼容的", function () {
+      const current = [variable("a", 0), variable("__gap", 1, "uint256[3]", 0, 96), variable("b", 4)];
+
+      expect(
+        compareStorageLayouts(current, [
+          variable("a", 0),
+          variable("added", 1, "address", 0, 20),
+          variable("__gap", 2, "uint256[2]", 0, 64),
+          variable("b", 4),
+        ])
+      ).to.deep.equal([]);
+      // 没有缩短 __gap，后面的变量整体后移
+      expect(
+        compareStorageLayouts(current, [
+          variable("a", 0),
+          variable("added", 1),
+          variable("__gap", 2, "uint256[3]", 0, 96),
+          variable("b", 5),
+        ])
+      ).to.deep.equal([
+        "__gap at slot 1 offset 0 was resized or moved",
+        "b at slot 4 offset 0 was removed or moved",
+        "new variable __gap at slot 2 offset 0 overlaps existing storage",
+      ]);
+    });
+
+    it("每个基础合约都预留了 __gap", async function () {
+      const layout = await getStorageLayout(hre, "TokenBankUpgradeable");
+      const gaps = layout.filter((v) => v.label === "__gap");
+
+      // BankAccessControl、BankPausable、BankTokenAllowlist、BankPortfolio、BankInternalTransfer、BankWithdrawLimiter
+      expect(gaps.length).to.equal(6);
+    });
+  });
+});
@@ -0,0 +1,371 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time, takeSnapshot } = require("@nomicfoundation/hardhat-network-helpers");
+const { signWithdraw } = require("../sdk/withdrawSig");
+
+describe("取款限额与大额延时", function () {
+  const DAY = 24 * 60 * 60;
+  const HOUR = 60 * 60;
+  const e = (value) => ethers.parseEther(value);
+
+  let owner, user1, user2, guardian, relayer;
+  let snapshot;
+
+  function missingRole(account, role) {
+    return `AccessControl: account ${account.address.toLowerCase()} is missing role ${role}`;
+  }
+
+  // 跳到下一个按天对齐的窗口开头，保证测试中的交易都落在同一个窗口里
+  async function startNextWindow() {
+    const now = await time.latest();
+    await time.increaseTo(now - (now % DAY) + DAY);
+  }
+
+  // 从回执中取出排队取款的编号
+  async function queuedId(bank, tx) {
+    const receipt = await (await tx).wait();
+    const log = receipt.logs
+      .map((entry) => bank.interface.parseLog(entry))
+      .find((parsed) => parsed && parsed.name === "WithdrawalQueued");
+    return log.args.id;
+  }
+
+  beforeEach(async function () {
+    snapshot = await takeSnapshot();
+    [owner, user1, user2, guardian, relayer] = await ethers.getSigners();
+  });
+
+  afterEach(async function () {
+    await snapshot.restore();
+  });
+
+  describe("TokenBank", function () {
+    let bank, bankAddress, token, tokenAddress;
+
+    beforeEach(async function () {
+      bank = await ethers.deployContract("TokenBank");
+      bankAddress = await bank.getAddress();
+      token = await ethers.deployContract("SmartToken", ["Smart Token", "SMT", e("1000000")]);
+      tokenAddress = await token.getAddress();
+      await bank.setTokenAllowed(tokenAddress, true);
+      await bank.grantRole(await bank.GUARDIAN_ROLE(), guardian.address);
+
+      for (const user of [user1, user2]) {
+        await token.transfer(user.address, e("1000"));
+        await token.connect(user).approve(bankAddress, ethers.MaxUint256);
+        await bank.connect(user).deposit(tokenAddress, e("500"));
+      }
+      await startNextWindow();
+    });
+
+    it("默认不限制", async function () {
+      const { globalRemaining, userRemaining } = await bank.getWithdrawAllowance(tokenAddress, user1.address);
+      expect(globalRemaining).to.equal(ethers.MaxUint256);
+      expect(userRemaining).to.equal(ethers.MaxUint256);
+
+      await expect(bank.connect(user1).withdraw(tokenAddress, e("500"))).to.not.emit(bank, "WithdrawalQueued");
+    });
+
+    it("只有管理员可以设置，参数需要自洽", async function () {
+      await expect(bank.setWithdrawLimit(tokenAddress, DAY, e("100"), e("10"), e("50"), HOUR))
+        .to.emit(bank, "WithdrawLimitChanged")
+        .withArgs(tokenAddress, DAY, e("100"), e("10"), e("50"), HOUR);
+      expect(await bank.withdrawLimits(tokenAddress)).to.deep.equal([
+        BigInt(DAY),
+        e("100"),
+        e("10"),
+        e("50"),
+        BigInt(HOUR),
+      ]);
+
+      await expect(
+        bank.connect(user1).setWithdrawLimit(tokenAddress, DAY, 0, 0, 0, 0)
+      ).to.be.revertedWith(missingRole(user1, ethers.ZeroHash));
+      await expect(bank.setWithdrawLimit(tokenAddress, 0, e("100"), 0, 0, 0)).to.be.revertedWith(
+        "BankWithdrawLimiter: window required"
+      );
+      await expect(bank.setWithdrawLimit(tokenAddress, 0, 0, 0, e("50"), 0)).to.be.revertedWith(
+        "BankWithdrawLimiter: delay required"
+      );
+      await expect(
+        bank.setWithdrawLimit(tokenAddress, 0, 0, 0, e("50"), 31 * DAY)
+      ).to.be.revertedWith("BankWithdrawLimiter: delay too long");
+    });
+
+    it("单个用户每个窗口的取款不超过 userLimit，下个窗口重新计算", async function () {
+      await bank.setWithdrawLimit(tokenAddress, DAY, 0, e("100"), 0, 0);
+
+      await bank.connect(user1).withdraw(tokenAddress, e("60"));
+      await bank.connect(user1).withdraw(tokenAddress, e("40"));
+      await expect(bank.connect(user1).withdraw(tokenAddress, 1n)).to.be.revertedWith(
+        "BankWithdrawLimiter: user limit exceeded"
+      );
+      expect((await bank.getWithdrawAllowance(tokenAddress, user1.address)).userRemaining).to.equal(0);
+
+      // 其他用户不受影响
+      await bank.connect(user2).withdraw(tokenAddress, e("100"));
+
+      await time.increase(DAY);
+      expect((await bank.getWithdrawAllowance(tokenAddress, user1.address)).userRemaining).to.equal(e("100"));
+      await bank.connect(user1).withdraw(tokenAddress, e("100"));
+    });
+
+    it("全部用户合计不超过 globalLimit", async function () {
+      await bank.setWithdrawLimit(tokenAddress, DAY, e("150"), 0, 0, 0);
+
+      await bank.connect(user1).withdraw(tokenAddress, e("100"));
+      expect((await bank.getWithdrawAllowance(tokenAddress, user2.address)).globalRemaining).to.equal(e("50"));
+      await expect(bank.connect(user2).withdraw(tokenAddress, e("51"))).to.be.revertedWith(
+        "BankWithdrawLimiter: global limit exceeded"
+      );
+      await bank.connect(user2).withdraw(tokenAddress, e("50"));
+    });
+
+    it("签名取款计入签名人的额度", async function () {
+      await bank.setWithdrawLimit(tokenAddress, DAY, 0, e("10"), 0, 0);
+      const deadline = (await time.latest()) + HOUR;
+      const request = await signWithdraw(user1, bank, tokenAddress, e("11"), user1.address, deadline);
+
+      await expect(
+        bank
+          .connect(relayer)
+          .withdrawWithSig(tokenAddress, e("11"), user1.address, request.nonce, deadline, request.signature)
+      ).to.be.revertedWith("BankWithdrawLimiter: user limit exceeded");
+    });
+
+    it("大额取款先扣余额再排队，到期后任何人都可以领取给收款地址", async function () {
+      await bank.setWithdrawLimit(tokenAddress, 0, 0, 0, e("100"), DAY);
+      const tx = bank.connect(user1).withdraw(tokenAddress, e("100"));
+      const readyAt = (await time.latest()) + 1 + DAY;
+
+      await expect(tx)
+        .to.emit(bank, "WithdrawalQueued")
+        .withArgs(1, tokenAddress, user1.address, user1.address, e("100"), readyAt)
+        .and.to.emit(bank, "Withdraw")
+        .withArgs(tokenAddress, user1.address, e("100"));
+      expect(await bank.balances(user1.address, tokenAddress)).to.equal(e("400"));
+      expect(await token.balanceOf(user1.address)).to.equal(e("500"));
+      expect(await bank.totalQueuedWithdrawals(tokenAddress)).to.equal(e("100"));
+
+      // 小额取款照常立即到账
+      await bank.connect(user1).withdraw(tokenAddress, e("99"));
+      expect(await token.balanceOf(user1.address)).to.equal(e("599"));
+
+      await expect(bank.connect(relayer).claimWithdrawal(1)).to.be.revertedWith(
+        "BankWithdrawLimiter: withdrawal not ready"
+      );
+      await time.increaseTo(readyAt);
+      await expect(bank.connect(relayer).claimWithdrawal(1))
+        .to.emit(bank, "WithdrawalClaimed")
+        .withArgs(1, tokenAddress, user1.address, user1.address, e("100"));
+
+      expect(await token.balanceOf(user1.address)).to.equal(e("699"));
+      expect(await bank.totalQueuedWithdrawals(tokenAddress)).to.equal(0);
+      await expect(bank.claimWithdrawal(1)).to.be.revertedWith("BankWithdrawLimiter: unknown withdrawal");
+    });
+
+    it("签名取款排队后转给签名里的收款地址", async function () {
+      await bank.setWithdrawLimit(tokenAddress, 0, 0, 0, e("100"), HOUR);
+      const deadline = (await time.latest()) + HOUR;
+      const request = await signWithdraw(user1, bank, tokenAddress, e("200"), user2.address, deadline);
+
+      const id = await queuedId(
+        bank,
+        bank
+          .connect(relayer)
+          .withdrawWithSig(tokenAddress, e("200"), user2.address, request.nonce, deadline, request.signature)
+      );
+      const queued = await bank.queuedWithdrawals(id);
+      expect(queued.owner).to.equal(user1.address);
+      expect(queued.to).to.equal(user2.address);
+
+      await time.increase(HOUR);
+      await bank.claimWithdrawal(id);
+      expect(await token.balanceOf(user2.address)).to.equal(e("700"));
+    });
+
+    it("guardian 可以在延时期内取消，数量退回原账户", async function () {
+      await bank.setWithdrawLimit(tokenAddress, 0, 0, 0, e("100"), DAY);
+      const id = await queuedId(bank, bank.connect(user1).withdraw(tokenAddress, e("300")));
+
+      await expect(bank.connect(user2).cancelWithdrawal(id)).to.be.revertedWith(
+        missingRole(user2, await bank.GUARDIAN_ROLE())
+      );
+      await expect(bank.connect(guardian).cancelWithdrawal(id))
+        .to.emit(bank, "WithdrawalCancelled")
+        .withArgs(id, tokenAddress, user1.address, guardian.address, e("300"));
+
+      expect(await bank.balances(user1.address, tokenAddress)).to.equal(e("500"));
+      expect(await bank.totalDeposits(tokenAddress)).to.equal(e("1000"));
+      expect(await bank.totalQueuedWithdrawals(tokenAddress)).to.equal(0);
+      const [entries] = await bank.getPortfolio(user1.address, 0, 10);
+      expect(entries[0].principal).to.equal(e("500"));
+      await expect(bank.claimWithdrawal(id)).to.be.revertedWith("BankWithdrawLimiter: unknown withdrawal");
+    });
+
+    it("取消后从当前窗口退回用量，不再占用 owner 和其他用户的限额", async function () {
+      await bank.setWithdrawLimit(tokenAddress, DAY, e("400"), e("300"), e("100"), HOUR);
+      const id = await queuedId(bank, bank.connect(user1).withdraw(tokenAddress, e("300")));
+      await expect(bank.connect(user2).withdraw(tokenAddress, e("101"))).to.be.revertedWith(
+        "BankWithdrawLimiter: global limit exceeded"
+      );
+
+      await bank.connect(guardian).cancelWithdrawal(id);
+
+      const { globalRemaining, userRemaining } = await bank.getWithdrawAllowance(tokenAddress, user1.address);
+      expect(globalRemaining).to.equal(e("400"));
+      expect(userRemaining).to.equal(e("300"));
+      await bank.connect(user2).withdraw(tokenAddress, e("99"));
+      await bank.connect(user1).withdraw(tokenAddress, e("99"));
+    });
+
+    it("排队时的窗口已经结束时，取消不影响新窗口的用量", async function () {
+      await bank.setWithdrawLimit(tokenAddress, DAY, e("400"), e("300"), e("100"), 2 * DAY);
+      const id = await queuedId(bank, bank.connect(user1).withdraw(tokenAddress, e("300")));
+      await startNextWindow();
+      await bank.connect(user1).withdraw(tokenAddress, e("50"));
+
+      await bank.connect(guardian).cancelWithdrawal(id);
+
+      const { globalRemaining, userRemaining } = await bank.getWithdrawAllowance(tokenAddress, user1.address);
+      expect(globalRemaining).to.equal(e("350"));
+      expect(userRemaining).to.equal(e("250"));
+    });
+
+    it("账户间转账计入转出人的 userLimit，不能分散到多个账户绕过", async function () {
+      await bank.setWithdrawLimit(tokenAddress, DAY, 0, e("100"), 0, 0);
+      await expect(bank.connect(user1).withdraw(tokenAddress, e("200"))).to.be.revertedWith(
+        "BankWithdrawLimiter: user limit exceeded"
+      );
+      await expect(bank.connect(user1).transferInternal(tokenAddress, relayer.address, e("300"))).to.be.revertedWith(
+        "BankWithdrawLimiter: user limit exceeded"
+      );
+
+      await bank.connect(user1).transferInternal(tokenAddress, relayer.address, e("60"));
+      expect((await bank.getWithdrawAllowance(tokenAddress, user1.address)).userRemaining).to.equal(e("40"));
+      await expect(bank.connect(user1).withdraw(tokenAddress, e("41"))).to.be.revertedWith(
+        "BankWithdrawLimiter: user limit exceeded"
+      );
+      await bank.connect(user1).withdraw(tokenAddress, e("40"));
+      // 收款账户用自己的额度取出收到的部分，两个账户合计仍然只有 userLimit
+      await bank.connect(relayer).withdraw(tokenAddress, e("60"));
+      expect(await token.balanceOf(user1.address)).to.equal(e("540"));
+    });
+
+    it("到期后不能再取消", async function () {
+      await bank.setWithdrawLimit(tokenAddress, 0, 0, 0, e("100"), HOUR);
+      const id = await queuedId(bank, bank.connect(user1).withdraw(tokenAddress, e("100")));
+      await time.increase(HOUR);
+
+      await expect(bank.connect(guardian).cancelWithdrawal(id)).to.be.revertedWith(
+        "BankWithdrawLimiter: withdrawal already claimable"
+      );
+    });
+
+    it("排队中的代币不算盈余，财务提取盈余也受窗口限额约束", async function () {
+      await bank.setWithdrawLimit(tokenAddress, 0, 0, 0, e("100"), DAY);
+      await bank.connect(user1).withdraw(tokenAddress, e("100"));
+      await token.transfer(bankAddress, e("10"));
+      expect(await bank.getSurplus(tokenAddress)).to.equal(e("10"));
+
+      await bank.setWithdrawLimit(tokenAddress, DAY, 0, e("5"), 0, 0);
+      await expect(bank.withdrawSurplus(tokenAddress, e("6"))).to.be.revertedWith(
+        "BankWithdrawLimiter: user limit exceeded"
+      );
+      await bank.withdrawSurplus(tokenAddress, e("5"));
+    });
+
+    it("暂停时不能领取", async function () {
+      await bank.setWithdrawLimit(tokenAddress, 0, 0, 0, e("100"), HOUR);
+      const id = await queuedId(bank, bank.connect(user1).withdraw(tokenAddress, e("100")));
+      await time.increase(HOUR);
+
+      await bank.pause();
+      await expect(bank.claimWithdrawal(id)).to.be.revertedWith("BankPausable: contract is paused");
+    });
+
+    it("紧急模式下暂停时也可以领取到期的排队取款", async function () {
+      await bank.setWithdrawLimit(tokenAddress, 0, 0, 0, e("100"), HOUR);
+      const id = await queuedId(bank, bank.connect(user1).withdraw(tokenAddress, e("100")));
+      await bank.pause();
+      await bank.setFunctionPaused(bank.interface.getFunction("claimWithdrawal").selector, true);
+      await bank.enterEmergency();
+
+      // 延时仍然有效
+      await expect(bank.claimWithdrawal(id)).to.be.revertedWith(
+        "BankWithdrawLimiter: withdrawal not ready"
+      );
+      await time.increase(HOUR);
+      await expect(bank.connect(relayer).claimWithdrawal(id))
+        .to.emit(bank, "WithdrawalClaimed")
+        .withArgs(id, tokenAddress, user1.address, user1.address, e("100"));
+      expect(await token.balanceOf(user1.address)).to.equal(e("600"));
+      expect(await bank.totalQueuedWithdrawals(tokenAddress)).to.equal(0);
+    });
+
+    it("紧急模式下取回本金不受限额", async function () {
+      await bank.setWithdrawLimit(tokenAddress, DAY, e("1"), e("1"), e("1"), HOUR);
+      await bank.enterEmergency();
+
+      await bank.connect(user1).emergencyWithdraw(tokenAddress);
+      expect(await token.balanceOf(user1.address)).to.equal(e("1000"));
+    });
+  });
+
+  for (const name of ["EtherBank", "BigBank"]) {
+    describe(name, function () {
+      let bank, bankAddress;
+
+      beforeEach(async function () {
+        bank = await ethers.deployContract(name, [3]);
+        bankAddress = await bank.getAddress();
+        await bank.grantRole(await bank.GUARDIAN_ROLE(), guardian.address);
+        await bank.connect(user1).deposit({ value: e("10") });
+        await bank.connect(user2).deposit({ value: e("5") });
+        await startNextWindow();
+      });
+
+      it("按用户和全局限制 ETH 取款", async function () {
+        await bank.setWithdrawLimit(ethers.ZeroAddress, DAY, e("6"), e("4"), 0, 0);
+
+        await bank.connect(user1).userWithdraw(e("4"));
+        await expect(bank.connect(user1).userWithdraw(e("0.1"))).to.be.revertedWith(
+          "BankWithdrawLimiter: user limit exceeded"
+        );
+        await expect(bank.connect(user2).userWithdraw(e("3"))).to.be.revertedWith(
+          "BankWithdrawLimiter: global limit exceeded"
+        );
+        await bank.connect(user2).userWithdraw(e("2"));
+      });
+
+      it("大额取款排队，领取后 ETH 到账", async function () {
+        await bank.setWithdrawLimit(ethers.ZeroAddress, 0, 0, 0, e("5"), HOUR);
+        const id = await queuedId(bank, bank.connect(user1).userWithdraw(e("6")));
+
+        expect(await bank.balances(user1.address)).to.equal(e("4"));
+        expect(await bank.totalQueuedWithdrawals(ethers.ZeroAddress)).to.equal(e("6"));
+        // 排队中的 ETH 仍属于用户，不算盈余
+        expect(await bank.getSurplus()).to.equal(0);
+
+        await time.increase(HOUR);
+        await expect(bank.connect(relayer).claimWithdrawal(id)).to.changeEtherBalances(
+          [user1, bank],
+          [e("6"), -e("6")]
+        );
+      });
+
+      it("取消后退回本金并更新排行榜", async function () {
+        await bank.setWithdrawLimit(ethers.ZeroAddress, 0, 0, 0, e("5"), HOUR);
+        const id = await queuedId(bank, bank.connect(user1).userWithdraw(e("8")));
+        expect(await bank.rankOf(user1.address)).to.equal(2);
+
+        await bank.connect(guardian).cancelWithdrawal(id);
+
+        expect(await bank.balances(user1.address)).to.equal(e("10"));
+        expect(await bank.totalDeposits()).to.equal(e("15"));
+        expect(await bank.rankOf(user1.address)).to.equal(1);
+        expect(await ethers.provider.getBalance(bankAddress)).to.equal(e("15"));
+      });
+    });
+  }
+});